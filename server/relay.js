@@ -0,0 +1,33 @@
+// Relay for createWebSocketTransport.js: every text message a client sends is
+// passed on to all the other clients, untouched. Run it with `npm run relay`
+// (PORT sets the port, 8787 by default) and point the transport at
+// ws://<host>:<port>.
+const { WebSocket, WebSocketServer } = require('ws');
+
+const DEFAULT_PORT = 8787;
+const MAX_MESSAGE_BYTES = 16 * 1024;
+
+// Starts a relay; `options` go to the ws server (e.g. port, or server to share an
+// HTTP server). Returns the server - close() stops it.
+const createRelay = (options = { port: DEFAULT_PORT }) => {
+  const relay = new WebSocketServer({ maxPayload: MAX_MESSAGE_BYTES, ...options });
+
+  relay.on('connection', (client) => {
+    client.on('message', (data, isBinary) => {
+      if (isBinary) return;
+      relay.clients.forEach((other) => {
+        if (other !== client && other.readyState === WebSocket.OPEN) other.send(data, { binary: false });
+      });
+    });
+  });
+
+  return relay;
+};
+
+if (require.main === module) {
+  const port = Number(process.env.PORT) || DEFAULT_PORT;
+  createRelay({ port });
+  process.stdout.write(`Fluid relay listening on ws://localhost:${port}\n`);
+}
+
+module.exports = createRelay;
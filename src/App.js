@@ -7,7 +7,7 @@ function App() {
     <div className="App">
       <FluidCursor />
       <header className="App-header">
-        <h1>$KAI is the new AI</h1>
+        <h1 data-fluid-obstacle data-fluid-text>$KAI is the new AI</h1>
       </header>
     </div>
   );
@@ -0,0 +1,502 @@
+import React, { useEffect, useId, useRef, useState } from 'react';
+import { CONFIG_FIELDS, isFieldActive } from '../fluid/config';
+import PaletteEditor from './PaletteEditor';
+import PerformanceStats from './PerformanceStats';
+import { SHORTCUTS, shortcutKeys } from './shortcuts';
+import { sectionTitleStyle, smallButtonStyle, textInputStyle } from './controlStyles';
+
+const EXPORT_SCALES = [1, 2, 3]; // Export resolutions relative to the viewport
+const MAX_CLIP_SECONDS = 60;
+
+const toolbarButtonStyle = {
+  padding: '8px 12px',
+  background: 'rgba(13, 17, 23, 0.7)',
+  color: '#fff',
+  border: '1px solid rgba(59, 130, 246, 0.5)',
+  borderRadius: '4px',
+  fontSize: '12px',
+  cursor: 'pointer',
+};
+
+const checkboxLabelStyle = { display: 'flex', gap: '6px', alignItems: 'center', fontSize: '12px', marginBottom: '6px' };
+
+// A button that opens a file picker, so it can be reached from the keyboard like
+// any other button (the input itself stays hidden)
+const FileButton = ({ accept, onFile, children }) => {
+  const inputRef = useRef(null);
+  return (
+    <>
+      <button type="button" onClick={() => inputRef.current.click()} style={smallButtonStyle}>
+        {children}
+      </button>
+      <input
+        ref={inputRef}
+        type="file"
+        accept={accept}
+        tabIndex={-1}
+        aria-hidden="true"
+        onChange={(e) => {
+          onFile(e.target.files[0] || null);
+          e.target.value = '';
+        }}
+        style={{ display: 'none' }}
+      />
+    </>
+  );
+};
+
+// Toolbar (pause, native cursor and the panel toggle) plus the settings panel for
+// FluidCursor. The panel takes focus when it opens and gives it back to its toggle
+// when Escape closes it.
+const FluidControls = ({
+  open,
+  onToggle,
+  paused = false,
+  onTogglePause,
+  nativeCursor = false,
+  onToggleCursor,
+  reducedMotion = false,
+  onToggleReducedMotion,
+  config,
+  onChange,
+  presets,
+  builtInPresetNames,
+  onApplyPreset,
+  onSavePreset,
+  onDeletePreset,
+  onReset,
+  onShare,
+  audioFileName = null,
+  onAudioFile,
+  onExportImage,
+  onExportClip,
+  session = null,
+  onSaveState,
+  onLoadState,
+  onStartRecording,
+  onStopRecording,
+  onReplay,
+  onStopReplay,
+  showDiagnostics = false,
+  onToggleDiagnostics,
+  stats = null,
+  vitals,
+  fieldHints = {},
+}) => {
+  const [selectedPreset, setSelectedPreset] = useState('');
+  const [exportScale, setExportScale] = useState(1);
+  const [clipSeconds, setClipSeconds] = useState(5);
+  const [recording, setRecording] = useState(false);
+  const [presetName, setPresetName] = useState('');
+  const [shareUrl, setShareUrl] = useState('');
+  const [sessionError, setSessionError] = useState('');
+  const toggleRef = useRef(null);
+  const titleRef = useRef(null);
+  const wasOpenRef = useRef(open);
+  const idPrefix = useId(); // Keeps the ids apart when a page has several panels
+  const elementId = (name) => `${idPrefix}fluid-${name}`;
+
+  // Focus moves into the panel when it opens, and back to the toggle if it was
+  // inside when the panel closed
+  useEffect(() => {
+    if (open && !wasOpenRef.current) titleRef.current.focus();
+    if (!open && wasOpenRef.current && (!document.activeElement || document.activeElement === document.body)) {
+      toggleRef.current.focus();
+    }
+    wasOpenRef.current = open;
+  }, [open]);
+
+  const handlePanelKeyDown = (e) => {
+    if (e.key !== 'Escape') return;
+    e.stopPropagation();
+    onToggle();
+  };
+
+  const handleSelectPreset = (e) => {
+    const name = e.target.value;
+    setSelectedPreset(name);
+    if (name) onApplyPreset(name);
+  };
+
+  // Built-in presets can't be overwritten
+  const canSave = presetName.trim() !== '' && !builtInPresetNames.includes(presetName.trim());
+
+  const handleSave = () => {
+    if (!canSave) return;
+    onSavePreset(presetName.trim());
+    setSelectedPreset(presetName.trim());
+    setPresetName('');
+  };
+
+  const handleDelete = () => {
+    onDeletePreset(selectedPreset);
+    setSelectedPreset('');
+  };
+
+  const handleShare = () => {
+    setShareUrl(onShare());
+  };
+
+  const handleRecord = () => {
+    setRecording(true);
+    onExportClip(clipSeconds, exportScale).finally(() => setRecording(false));
+  };
+
+  // Hand a chosen file's text to `load`, which says whether it was the right kind
+  const handleSessionFile = (file, load, error) => {
+    if (!file) return;
+    file.text().then((text) => setSessionError(load(text) ? '' : error));
+  };
+
+  const isBuiltIn = builtInPresetNames.includes(selectedPreset);
+
+  return (
+    <>
+      {/* Always-visible toggles */}
+      <div
+        className="fluid-toolbar"
+        style={{ position: 'fixed', bottom: '20px', right: '20px', zIndex: 900, display: 'flex', gap: '6px' }}
+      >
+        {onTogglePause && (
+          <button
+            type="button"
+            onClick={onTogglePause}
+            aria-pressed={paused}
+            aria-keyshortcuts={shortcutKeys('pause')}
+            style={toolbarButtonStyle}
+          >
+            Pause animation
+          </button>
+        )}
+        {onToggleCursor && (
+          <button
+            type="button"
+            onClick={onToggleCursor}
+            aria-pressed={nativeCursor}
+            aria-keyshortcuts={shortcutKeys('cursor')}
+            style={toolbarButtonStyle}
+          >
+            Native cursor
+          </button>
+        )}
+        <button
+          ref={toggleRef}
+          type="button"
+          onClick={onToggle}
+          aria-expanded={open}
+          aria-controls={elementId('controls')}
+          aria-keyshortcuts={shortcutKeys('controls')}
+          style={toolbarButtonStyle}
+        >
+          {open ? 'Hide Controls' : 'Show Controls'}
+        </button>
+      </div>
+
+      {/* Control panel */}
+      {open && (
+        <section
+          id={elementId('controls')}
+          className="fluid-controls"
+          aria-labelledby={elementId('controls-title')}
+          onKeyDown={handlePanelKeyDown}
+          style={{
+            position: 'fixed',
+            bottom: '20px',
+            left: '20px',
+            zIndex: 900,
+            padding: '15px',
+            background: 'rgba(13, 17, 23, 0.8)',
+            borderRadius: '8px',
+            border: '1px solid rgba(59, 130, 246, 0.5)',
+            color: 'white',
+            width: '300px',
+            maxHeight: 'calc(100vh - 40px)',
+            overflowY: 'auto',
+            fontFamily: 'Arial, sans-serif',
+          }}
+        >
+          <h3
+            id={elementId('controls-title')}
+            ref={titleRef}
+            tabIndex={-1}
+            style={{ margin: '0 0 15px 0', fontSize: '16px', color: '#5FF4E8', outline: 'none' }}
+          >
+            Fluid Effect Settings
+          </h3>
+
+          {onToggleReducedMotion && (
+            <label style={checkboxLabelStyle}>
+              <input type="checkbox" checked={reducedMotion} onChange={onToggleReducedMotion} />
+              Reduce motion
+            </label>
+          )}
+          {onToggleCursor && (
+            <label style={checkboxLabelStyle}>
+              <input type="checkbox" checked={nativeCursor} onChange={onToggleCursor} />
+              Use the native cursor
+            </label>
+          )}
+
+          {CONFIG_FIELDS.filter((field) => isFieldActive(field, config)).map((field) => {
+            if (field.palette) {
+              return (
+                <div key={field.key} role="group" aria-labelledby={elementId(`${field.key}-label`)} style={{ marginBottom: '10px' }}>
+                  <div id={elementId(`${field.key}-label`)} style={{ marginBottom: '5px', fontSize: '14px' }}>
+                    {field.label}
+                  </div>
+                  <PaletteEditor value={config[field.key]} onChange={(value) => onChange(field.key, value)} />
+                </div>
+              );
+            }
+
+            if (field.color) {
+              return (
+                <div key={field.key} style={{ marginBottom: '10px', display: 'flex', alignItems: 'center', gap: '8px' }}>
+                  <label htmlFor={elementId(field.key)} style={{ fontSize: '14px' }}>
+                    {field.label}
+                  </label>
+                  <input
+                    id={elementId(field.key)}
+                    type="color"
+                    value={config[field.key]}
+                    onChange={(e) => onChange(field.key, e.target.value)}
+                  />
+                </div>
+              );
+            }
+
+            return field.options ? (
+              <div key={field.key} style={{ marginBottom: '10px' }}>
+                <label htmlFor={elementId(field.key)} style={{ display: 'block', marginBottom: '5px', fontSize: '14px' }}>
+                  {field.label}
+                </label>
+                <select
+                  id={elementId(field.key)}
+                  value={config[field.key]}
+                  onChange={(e) => onChange(field.key, e.target.value)}
+                  aria-describedby={fieldHints[field.key] ? elementId(`${field.key}-hint`) : undefined}
+                  style={{ ...textInputStyle, width: '100%' }}
+                >
+                  {field.options.map((option) => (
+                    <option key={option} value={option}>{option}</option>
+                  ))}
+                </select>
+                {fieldHints[field.key] && (
+                  <div id={elementId(`${field.key}-hint`)} style={{ marginTop: '4px', fontSize: '12px', opacity: 0.7 }}>
+                    {fieldHints[field.key]}
+                  </div>
+                )}
+              </div>
+            ) : (
+              <div key={field.key} style={{ marginBottom: '10px' }}>
+                <label htmlFor={elementId(field.key)} style={{ display: 'block', marginBottom: '5px', fontSize: '14px' }}>
+                  {field.label}: {config[field.key].toFixed(field.digits)}
+                </label>
+                <input
+                  id={elementId(field.key)}
+                  type="range"
+                  min={field.min}
+                  max={field.max}
+                  step={field.step}
+                  value={config[field.key]}
+                  onChange={(e) => onChange(field.key, Number(e.target.value))}
+                  style={{ width: '100%' }}
+                />
+              </div>
+            );
+          })}
+
+          {onAudioFile && (
+            <>
+              <h4 style={sectionTitleStyle}>Audio</h4>
+
+              {/* A local file drives the audio mappings above, no network needed */}
+              <div style={{ display: 'flex', gap: '6px', alignItems: 'center' }}>
+                <FileButton accept="audio/*,video/*" onFile={(file) => file && onAudioFile(file)}>
+                  Play file…
+                </FileButton>
+                <span style={{ flex: 1, minWidth: 0, fontSize: '12px', opacity: 0.7, overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>
+                  {audioFileName || 'No file'}
+                </span>
+                {audioFileName && (
+                  <button type="button" onClick={() => onAudioFile(null)} style={smallButtonStyle}>
+                    Stop
+                  </button>
+                )}
+              </div>
+            </>
+          )}
+
+          {onExportImage && (
+            <>
+              <h4 style={sectionTitleStyle}>Export</h4>
+
+              <div style={{ display: 'flex', gap: '6px', alignItems: 'center', marginBottom: '8px' }}>
+                <label htmlFor={elementId('export-scale')} style={{ fontSize: '12px' }}>Resolution</label>
+                <select
+                  id={elementId('export-scale')}
+                  value={exportScale}
+                  onChange={(e) => setExportScale(Number(e.target.value))}
+                  style={textInputStyle}
+                >
+                  {EXPORT_SCALES.map((scale) => (
+                    <option key={scale} value={scale}>{scale}× viewport</option>
+                  ))}
+                </select>
+                <button type="button" onClick={() => onExportImage(exportScale)} style={smallButtonStyle}>
+                  Save PNG
+                </button>
+              </div>
+
+              {onExportClip && (
+                <div style={{ display: 'flex', gap: '6px', alignItems: 'center' }}>
+                  <label htmlFor={elementId('clip-seconds')} style={{ fontSize: '12px' }}>Clip length (s)</label>
+                  <input
+                    id={elementId('clip-seconds')}
+                    type="number"
+                    min={1}
+                    max={MAX_CLIP_SECONDS}
+                    value={clipSeconds}
+                    onChange={(e) => setClipSeconds(Math.min(MAX_CLIP_SECONDS, Math.max(1, Number(e.target.value) || 1)))}
+                    style={textInputStyle}
+                  />
+                  <button type="button" onClick={handleRecord} disabled={recording} style={smallButtonStyle}>
+                    {recording ? 'Recording…' : 'Record WebM'}
+                  </button>
+                </div>
+              )}
+            </>
+          )}
+
+          {onSaveState && (
+            <>
+              <h4 style={sectionTitleStyle}>Session</h4>
+
+              {/* Saved states and recordings are JSON files */}
+              <div style={{ display: 'flex', gap: '6px', alignItems: 'center', marginBottom: '8px' }}>
+                <button type="button" onClick={onSaveState} style={smallButtonStyle}>
+                  Save state
+                </button>
+                <FileButton
+                  accept="application/json,.json"
+                  onFile={(file) => handleSessionFile(file, onLoadState, 'Not a saved fluid state')}
+                >
+                  Load state…
+                </FileButton>
+              </div>
+
+              <div style={{ display: 'flex', gap: '6px', alignItems: 'center' }}>
+                {session === 'recording' ? (
+                  <button type="button" onClick={onStopRecording} style={smallButtonStyle}>
+                    Stop and save
+                  </button>
+                ) : (
+                  <button type="button" onClick={onStartRecording} disabled={session !== null} style={smallButtonStyle}>
+                    Record input
+                  </button>
+                )}
+                {session === 'replaying' ? (
+                  <button type="button" onClick={onStopReplay} style={smallButtonStyle}>
+                    Stop replay
+                  </button>
+                ) : (
+                  <FileButton
+                    accept="application/json,.json"
+                    onFile={(file) => handleSessionFile(file, onReplay, 'Not a fluid recording')}
+                  >
+                    Replay…
+                  </FileButton>
+                )}
+              </div>
+
+              {sessionError && (
+                <div role="alert" style={{ marginTop: '4px', fontSize: '12px', opacity: 0.7 }}>{sessionError}</div>
+              )}
+            </>
+          )}
+
+          {onToggleDiagnostics && (
+            <>
+              <h4 style={sectionTitleStyle}>Diagnostics</h4>
+
+              {/* Timing the solver phases costs some speed, so it only runs while shown */}
+              <label style={checkboxLabelStyle}>
+                <input type="checkbox" checked={showDiagnostics} onChange={onToggleDiagnostics} />
+                Measure performance
+              </label>
+              {showDiagnostics && <PerformanceStats stats={stats} vitals={vitals} />}
+            </>
+          )}
+
+          <h4 style={sectionTitleStyle}>Presets</h4>
+
+          <div style={{ display: 'flex', gap: '6px', marginBottom: '8px' }}>
+            <select value={selectedPreset} onChange={handleSelectPreset} aria-label="Preset" style={textInputStyle}>
+              <option value="">Choose a preset…</option>
+              {Object.keys(presets).map((name) => (
+                <option key={name} value={name}>{name}</option>
+              ))}
+            </select>
+            <button
+              type="button"
+              onClick={handleDelete}
+              disabled={!selectedPreset || isBuiltIn}
+              style={smallButtonStyle}
+            >
+              Delete
+            </button>
+          </div>
+
+          <div style={{ display: 'flex', gap: '6px', marginBottom: '8px' }}>
+            <input
+              type="text"
+              placeholder="Preset name"
+              aria-label="Preset name"
+              value={presetName}
+              onChange={(e) => setPresetName(e.target.value)}
+              onKeyDown={(e) => { if (e.key === 'Enter') handleSave(); }}
+              style={textInputStyle}
+            />
+            <button type="button" onClick={handleSave} disabled={!canSave} style={smallButtonStyle}>
+              Save
+            </button>
+          </div>
+
+          <div style={{ display: 'flex', gap: '6px' }}>
+            <button type="button" onClick={onReset} style={smallButtonStyle}>
+              Reset to defaults
+            </button>
+            <button type="button" onClick={handleShare} style={smallButtonStyle}>
+              Share link
+            </button>
+          </div>
+
+          {shareUrl && (
+            <input
+              type="text"
+              readOnly
+              aria-label="Share link"
+              value={shareUrl}
+              onFocus={(e) => e.target.select()}
+              style={{ ...textInputStyle, width: '100%', marginTop: '8px' }}
+            />
+          )}
+
+          <h4 style={sectionTitleStyle}>Keyboard shortcuts</h4>
+          <ul style={{ margin: 0, padding: 0, listStyle: 'none', fontSize: '12px', lineHeight: 1.6 }}>
+            {SHORTCUTS.map(({ action, keys, description }) => (
+              <li key={action}>
+                <kbd style={{ fontFamily: 'monospace', color: '#5FF4E8' }}>{keys}</kbd> {description}
+              </li>
+            ))}
+            <li>
+              <kbd style={{ fontFamily: 'monospace', color: '#5FF4E8' }}>Escape</kbd> Close this panel
+            </li>
+          </ul>
+        </section>
+      )}
+    </>
+  );
+};
+
+export default FluidControls;
@@ -0,0 +1,97 @@
+import React, { useState } from 'react';
+import { render, screen } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import FluidControls from './FluidControls';
+import { DEFAULT_CONFIG } from '../fluid/config';
+import { BUILT_IN_PRESETS } from '../fluid/presets';
+
+// The panel with its open state owned by the test, like FluidCursor does
+const Panel = (props) => {
+  const [open, setOpen] = useState(false);
+  return (
+    <FluidControls
+      open={open}
+      onToggle={() => setOpen((prev) => !prev)}
+      config={DEFAULT_CONFIG}
+      onChange={() => {}}
+      presets={BUILT_IN_PRESETS}
+      builtInPresetNames={Object.keys(BUILT_IN_PRESETS)}
+      onApplyPreset={() => {}}
+      onSavePreset={() => {}}
+      onDeletePreset={() => {}}
+      onReset={() => {}}
+      onShare={() => ''}
+      {...props}
+    />
+  );
+};
+
+const openPanel = () => userEvent.click(screen.getByRole('button', { name: 'Show Controls' }));
+
+test('the toggle says whether the panel is open', () => {
+  render(<Panel />);
+  const toggle = screen.getByRole('button', { name: 'Show Controls' });
+  expect(toggle).toHaveAttribute('aria-expanded', 'false');
+  expect(toggle).toHaveAttribute('aria-keyshortcuts', 'Alt+Shift+C');
+
+  userEvent.click(toggle);
+  expect(toggle).toHaveAttribute('aria-expanded', 'true');
+  expect(screen.getByRole('region', { name: 'Fluid Effect Settings' })).toBeInTheDocument();
+});
+
+test('every control is labelled', () => {
+  render(<Panel />);
+  openPanel();
+
+  expect(screen.getByLabelText(/Fluid Density/)).toHaveAttribute('type', 'range');
+  expect(screen.getByLabelText(/Color Intensity/)).toHaveAttribute('type', 'range');
+  expect(screen.getByLabelText(/Dye Mode/).tagName).toBe('SELECT');
+  screen.getAllByRole('slider').forEach((slider) => expect(slider).toHaveAccessibleName());
+  screen.getAllByRole('combobox').forEach((select) => expect(select).toHaveAccessibleName());
+  screen.getAllByRole('textbox').forEach((input) => expect(input).toHaveAccessibleName());
+});
+
+test('opening the panel moves focus into it', () => {
+  render(<Panel />);
+  openPanel();
+  expect(screen.getByRole('heading', { name: 'Fluid Effect Settings' })).toHaveFocus();
+});
+
+test('Escape closes the panel and gives focus back to the toggle', () => {
+  render(<Panel />);
+  openPanel();
+  userEvent.tab();
+  userEvent.keyboard('{Escape}');
+
+  expect(screen.queryByRole('region', { name: 'Fluid Effect Settings' })).not.toBeInTheDocument();
+  expect(screen.getByRole('button', { name: 'Show Controls' })).toHaveFocus();
+});
+
+test('the toolbar toggles report their state', () => {
+  const onTogglePause = jest.fn();
+  const onToggleCursor = jest.fn();
+  render(<Panel paused nativeCursor={false} onTogglePause={onTogglePause} onToggleCursor={onToggleCursor} />);
+
+  const pauseButton = screen.getByRole('button', { name: 'Pause animation' });
+  const cursorButton = screen.getByRole('button', { name: 'Native cursor' });
+  expect(pauseButton).toHaveAttribute('aria-pressed', 'true');
+  expect(cursorButton).toHaveAttribute('aria-pressed', 'false');
+
+  userEvent.click(pauseButton);
+  userEvent.click(cursorButton);
+  expect(onTogglePause).toHaveBeenCalledTimes(1);
+  expect(onToggleCursor).toHaveBeenCalledTimes(1);
+});
+
+test('the accessibility options are checkboxes in the panel', () => {
+  const onToggleReducedMotion = jest.fn();
+  render(<Panel reducedMotion onToggleReducedMotion={onToggleReducedMotion} onToggleCursor={() => {}} />);
+  openPanel();
+
+  const reduceMotion = screen.getByRole('checkbox', { name: 'Reduce motion' });
+  expect(reduceMotion).toBeChecked();
+  expect(screen.getByRole('checkbox', { name: 'Use the native cursor' })).not.toBeChecked();
+
+  userEvent.click(reduceMotion);
+  expect(onToggleReducedMotion).toHaveBeenCalledTimes(1);
+});
@@ -1,471 +1,965 @@
-import React, { useEffect, useRef, useState } from 'react';
+import React, { useCallback, useEffect, useImperativeHandle, useMemo, useRef, useState } from 'react';
+import createFluidRunner from '../fluid/createFluidRunner';
+import createObstacleWatcher from '../fluid/createObstacleWatcher';
+import createScrollWatcher from '../fluid/createScrollWatcher';
+import createTextWatcher, { TEXT_ATTRIBUTE } from '../fluid/createTextWatcher';
+import createAudioAnalyser from '../fluid/createAudioAnalyser';
+import createClipRecorder, { canRecordClips } from '../fluid/createClipRecorder';
+import createMetricsReporter from '../fluid/createMetricsReporter';
+import createCursorEngine from '../fluid/createCursorEngine';
+import createTiltSource from '../fluid/createTiltSource';
+import createSharedFluid from '../fluid/createSharedFluid';
+import createGhostCursors from '../fluid/createGhostCursors';
+import { DEFAULT_CONFIG, sanitizeConfig, pickConfig } from '../fluid/config';
+import { stringifyFluid, parseFluid, isSavedState } from '../fluid/fluidState';
+import { isRecording } from '../fluid/inputRecording';
+import {
+  BUILT_IN_PRESETS,
+  loadSavedPresets,
+  savePreset,
+  deletePreset,
+  readConfigFromUrl,
+  buildShareUrl,
+  loadAccessibility,
+  saveAccessibility,
+} from '../fluid/presets';
+import {
+  windowArea,
+  isNearArea,
+  toLocalPointer,
+  toLocalRects,
+  toLocalLayers,
+} from '../fluid/localArea';
+import { getVitals, subscribeVitals } from '../webVitals';
+import FluidControls from './FluidControls';
+import { shortcutAction } from './shortcuts';
 
-const FluidCursor = () => {
-  const canvasRef = useRef(null);
+const RESIZE_DEBOUNCE_MS = 150;
+const DEFAULT_CLIP_SECONDS = 5;
+const DEFAULT_INPUT_MARGIN = 24; // How far outside its element a contained effect follows pointers
+
+const REDUCED_MOTION_QUERY = '(prefers-reduced-motion: reduce)';
+
+// Hides the native cursor everywhere while the cursor dot stands in for it
+const HIDE_CURSOR_CSS = `
+  html, body, a, button, input, select, textarea {
+    cursor: none !important;
+  }
+`;
+
+// Vertical swipes and pinches stay with the browser, so the page scrolls and
+// zooms; other touch gestures reach the fluid as pointer events
+const TOUCH_ACTION = 'pan-y pinch-zoom';
+const WINDOW_TOUCH_CSS = `
+  html, body {
+    touch-action: ${TOUCH_ACTION};
+  }
+`;
+
+const CANVAS_STYLE = {
+  display: 'block',
+  width: '100%',
+  height: '100%',
+};
+
+// Rendering in a worker needs a canvas that can hand its control to an OffscreenCanvas
+const canRenderInWorker = () => (
+  typeof Worker !== 'undefined' &&
+  typeof OffscreenCanvas !== 'undefined' &&
+  typeof HTMLCanvasElement !== 'undefined' &&
+  typeof HTMLCanvasElement.prototype.transferControlToOffscreen === 'function'
+);
+
+// Save a Blob through a temporary download link
+const downloadBlob = (blob, filename) => {
+  if (!blob) return;
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+};
+
+const downloadJson = (json, filename) => {
+  if (json) downloadBlob(new Blob([json], { type: 'application/json' }), filename);
+};
+
+// Parsed saved state or recording JSON, or null if `text` isn't one
+const readFluidJson = (text, isValid) => {
+  try {
+    const value = parseFluid(text);
+    return isValid(value) ? value : null;
+  } catch (e) {
+    return null;
+  }
+};
+
+// Whether the system asks for reduced motion, following changes to the setting
+const useSystemReducedMotion = () => {
+  const [reduced, setReduced] = useState(() => (
+    typeof window !== 'undefined' && Boolean(window.matchMedia) && window.matchMedia(REDUCED_MOTION_QUERY).matches
+  ));
+
+  useEffect(() => {
+    if (!window.matchMedia) return undefined;
+    const query = window.matchMedia(REDUCED_MOTION_QUERY);
+    const handleChange = () => setReduced(query.matches);
+    handleChange();
+    if (!query.addEventListener) {
+      // Safari before 14
+      query.addListener(handleChange);
+      return () => query.removeListener(handleChange);
+    }
+    query.addEventListener('change', handleChange);
+    return () => query.removeEventListener('change', handleChange);
+  }, []);
+
+  return reduced;
+};
+
+// Start from a look shared through the URL, if there is one
+const getInitialConfig = (defaultConfig) => (
+  (typeof window !== 'undefined' && readConfigFromUrl(window.location)) || sanitizeConfig(defaultConfig)
+);
+
+// Full-page fluid effect with a custom cursor and a settings panel - or, with
+// scope="parent", an effect that fills its parent element.
+//
+// Every config field (see DEFAULT_CONFIG) can be passed as a prop, e.g.
+// <FluidCursor colorIntensity={1.5} />. Such props are controlled: the panel reports
+// changes through onConfigChange(config) but the prop wins until the parent updates
+// it. defaultConfig sets uncontrolled starting values instead. Both go through
+// sanitizeConfig (config.js): numbers are clamped to their slider's range and
+// values a field can't take are dropped, so an out-of-range prop ends up as the
+// nearest value the panel offers.
+//
+// Other props:
+//   scope        - 'window' (default) or 'parent'. A parent-scoped effect fills its
+//                  parent element, which must be positioned (e.g. position:
+//                  relative), follows its size and only takes pointers inside it
+//                  or within inputMargin pixels (default 24) of it - and pointers
+//                  pressed there until they lift. Obstacles, text and the
+//                  data-fluid-* page attributes are looked up and set within the
+//                  parent, so several effects can share a page. It leaves the
+//                  cursor alone.
+//   controls     - whether to show the control panel and its toolbar and take the
+//                  keyboard shortcuts (default: only for the window scope)
+//   backend      - 'auto' | 'webgl2' | 'webgl' | 'canvas2d'
+//   cellSize     - fixed cell size in CSS pixels (default: follow the quality level)
+//   obstacleRefs - refs of elements the fluid flows around, in addition to the
+//                  elements marked with data-fluid-obstacle
+//   textRefs     - refs of elements whose text the fluid uses (config.textEffect),
+//                  in addition to the elements marked with data-fluid-text
+//   text         - a string for the text effect, centred on the effect in textStyle.
+//                  It is rendered as a transparent element, so it stays readable
+//                  by screen readers.
+//   audioSource  - an <audio>/<video> element or a MediaStream for the audio-reactive
+//                  mode (mapped by the audio* config fields). The panel can also
+//                  play a local file.
+//   randomSeed   - seed for the effect's randomness (default: a new one per load),
+//                  so the same seed and input always play out the same way
+//   onFrame      - called after every frame with { time, interval, workMs }
+//   onBackendFallback - called with the error when the GPU can't build the
+//                  fluid's shaders and it runs on the CPU instead
+//   reportMetrics - called with aggregated performance stats and Web Vitals every
+//                  30 seconds and when the page is hidden (see
+//                  createMetricsReporter.js, whose sendToEndpoint posts them to a URL)
+//   cursorSvg    - SVG markup or an image URL for the 'custom' cursorShape
+//   transport    - shares the fluid with other tabs or visitors: the pointers here
+//                  are sent through it, and the others' stir this fluid and show
+//                  as ghost dots (see createSharedFluid.js, and
+//                  createBroadcastTransport.js or createWebSocketTransport.js).
+//                  The transport stays the caller's to close.
+//   reducedMotion - true or false forces the reduced motion mode: a slow, calm
+//                  fluid without bursts, scroll impulses or idle emitters. By
+//                  default it follows the visitor's choice in the panel, or else
+//                  prefers-reduced-motion.
+//
+// The cursor grows over links and buttons and is pulled toward them (cursorMagnet).
+// Mark other elements with data-cursor for the same, and give the attribute a value
+// to show it as a label, e.g. <div data-cursor="Drag">.
+//
+// With tiltStrength above 0, tilting a phone or tablet pulls the dye downhill
+// (see createTiltSource.js), on top of the gravity and wind fields.
+//
+// Visitors can bring back the native cursor from the panel or its toolbar; that and
+// their reduced motion choice are remembered. The panel closes on Escape, and the
+// Alt+Shift shortcuts in shortcuts.js work anywhere on the page - for a
+// parent-scoped effect, while the pointer is over its parent or focus is in it.
+//
+// The ref handle triggers effects from elsewhere in the app. Coordinates are
+// viewport CSS pixels, whatever the scope:
+//   splat(x, y, dx, dy, amount), burst(x, y), reset(), pause(), resume(),
+//   snapshot(type, { scale, background }) - a Promise of the current frame as an
+//     image Blob (PNG by default)
+//   recordClip({ seconds, scale, background }) - a Promise of a WebM clip of the
+//     next `seconds` (default 5), or null where clips can't be recorded
+//   saveState() - a Promise of the solver state and config as JSON
+//   loadState(json) - restores a saved state and its config; false if `json`
+//     isn't one
+//   startRecording(), stopRecording() - records every input; stopRecording gives
+//     a Promise of the recording as JSON (null if nothing was recording)
+//   replay(json), stopReplay() - plays a recording back step for step, ignoring
+//     live input until it ends; replay is false if `json` isn't a recording
+// Exports are painted on the fluid's CSS background unless `background` names
+// another colour; `scale` renders them at that many times the viewport resolution.
+const FluidCursor = ({
+  ref,
+  scope = 'window',
+  inputMargin = DEFAULT_INPUT_MARGIN,
+  controls = scope === 'window',
+  backend = 'auto',
+  cellSize = null,
+  defaultConfig,
+  obstacleRefs,
+  textRefs,
+  text,
+  textStyle,
+  audioSource,
+  randomSeed,
+  cursorSvg,
+  transport,
+  onFrame,
+  onBackendFallback,
+  reportMetrics,
+  reducedMotion: reducedMotionProp,
+  onConfigChange,
+  ...configProps
+}) => {
+  const containerRef = useRef(null);
   const cursorRef = useRef(null);
-  const [position, setPosition] = useState({ x: 0, y: 0 });
+  const cursorEngineRef = useRef(null);
+  const ghostLayerRef = useRef(null);
+  const sharedRef = useRef(null); // createSharedFluid session while there is a transport
+  const contained = scope === 'parent';
   
-  // Config parameters with defaults - Enhanced for better visibility
-  const [config, setConfig] = useState({
-    fluidDensity: 150, // Amount of dye added on mouse move (50-200)
-    fluidViscosity: 0.0002, // Viscosity of the fluid (0.0001-0.01)
-    fluidDiffusion: 0.0003, // How fast the fluid spreads (0.0001-0.01)
-    colorIntensity: 2.2, // Multiplier for color brightness (0.5-3)
-    decayRate: 0.992, // How slowly the fluid fades (0.95-0.999)
-    showControls: false // Toggle for showing control panel
-  });
+  const [configState, setConfigState] = useState(() => getInitialConfig(defaultConfig));
+  const [showControls, setShowControls] = useState(false);
+  const [savedPresets, setSavedPresets] = useState(loadSavedPresets);
+
+  // Controlled props override the internal state. Keyed by value so a parent
+  // re-rendering with the same props doesn't count as a change.
+  const controlledKey = JSON.stringify(sanitizeConfig(pickConfig(configProps), {}));
+  const config = useMemo(
+    () => ({ ...configState, ...JSON.parse(controlledKey) }),
+    [configState, controlledKey]
+  );
+
+  // The runner gets the latest config and callbacks through these refs, so slider
+  // changes reach the running simulation without restarting it
+  const configRef = useRef(config);
+  const runnerRef = useRef(null);
+  const cellSizeRef = useRef(cellSize);
+  const inputMarginRef = useRef(inputMargin);
+  const obstacleRefsRef = useRef(obstacleRefs);
+  const textRefsRef = useRef(textRefs);
+  const tiltRef = useRef(null); // Latest device tilt while tiltStrength is on
+  const onFrameRef = useRef(onFrame);
+  const onBackendFallbackRef = useRef(onBackendFallback);
+  inputMarginRef.current = inputMargin;
+  obstacleRefsRef.current = obstacleRefs;
+  textRefsRef.current = textRefs;
+  onFrameRef.current = onFrame;
+  onBackendFallbackRef.current = onBackendFallback;
+  const [qualityLevel, setQualityLevel] = useState(null);
+
+  // Viewport rectangle the effect covers, and the element its page attributes go on
+  const measureArea = useCallback(() => (
+    contained && containerRef.current ? containerRef.current.getBoundingClientRect() : windowArea()
+  ), [contained]);
+  const getScopeElement = useCallback(() => (
+    contained ? containerRef.current.parentElement : document.documentElement
+  ), [contained]);
+
+  // Diagnostics: the panel's stats are profiled only while they are on screen, and
+  // the reporter (with reportMetrics) gets every stats summary
+  const [showDiagnostics, setShowDiagnostics] = useState(false);
+  const [stats, setStats] = useState(null);
+  const [vitals, setVitals] = useState(getVitals);
+  const profiling = showControls && showDiagnostics;
+  const profilingRef = useRef(profiling);
+  const reporterRef = useRef(null);
+  const reportMetricsRef = useRef(reportMetrics);
+  reportMetricsRef.current = reportMetrics;
+
+  // Accessibility choices made in the panel, remembered across visits. A reduced
+  // motion prop wins over the visitor's choice, which wins over the system setting.
+  const [accessibility, setAccessibility] = useState(loadAccessibility);
+  const systemReducedMotion = useSystemReducedMotion();
+  let reducedMotion = systemReducedMotion;
+  if (typeof reducedMotionProp === 'boolean') reducedMotion = reducedMotionProp;
+  else if (accessibility.reducedMotion !== null) reducedMotion = accessibility.reducedMotion;
+  const { nativeCursor } = accessibility;
+  const reducedMotionRef = useRef(reducedMotion);
+
+  const updateAccessibility = (changes) => {
+    const next = { ...accessibility, ...changes };
+    saveAccessibility(next);
+    setAccessibility(next);
+  };
+
+  // The clip being recorded, which gets every captured frame
+  const clipRef = useRef(null);
+
+  const getBackground = useCallback(() => (
+    containerRef.current ? window.getComputedStyle(containerRef.current).backgroundColor : null
+  ), []);
+
+  const snapshot = useCallback((type, { scale = null, background = getBackground() } = {}) => (
+    runnerRef.current ? runnerRef.current.snapshot(type, { scale, background }) : Promise.resolve(null)
+  ), [getBackground]);
+
+  const recordClip = useCallback(({
+    seconds = DEFAULT_CLIP_SECONDS,
+    scale = null,
+    background = getBackground(),
+  } = {}) => {
+    if (!runnerRef.current || clipRef.current || !canRecordClips()) return Promise.resolve(null);
+
+    const area = measureArea();
+    const clip = createClipRecorder({
+      width: Math.round(area.width * (scale || 1)),
+      height: Math.round(area.height * (scale || 1)),
+    });
+    clipRef.current = clip;
+    runnerRef.current.startCapture({ scale, background });
+
+    return new Promise((resolve) => setTimeout(resolve, seconds * 1000)).then(() => {
+      if (runnerRef.current) runnerRef.current.stopCapture();
+      clipRef.current = null;
+      return clip.stop();
+    });
+  }, [getBackground, measureArea]);
+
+  // 'recording' or 'replaying' while a session runs
+  const [session, setSession] = useState(null);
+
+  const saveState = useCallback(() => (
+    runnerRef.current
+      ? runnerRef.current.saveState().then((saved) => saved && stringifyFluid(saved))
+      : Promise.resolve(null)
+  ), []);
+
+  const startRecording = useCallback(() => {
+    if (!runnerRef.current) return;
+    runnerRef.current.startRecording();
+    setSession('recording');
+  }, []);
+
+  const stopRecording = useCallback(() => {
+    if (!runnerRef.current) return Promise.resolve(null);
+    setSession(null);
+    return runnerRef.current.stopRecording().then((recording) => recording && stringifyFluid(recording));
+  }, []);
+
+  const replay = useCallback((json) => {
+    const recording = readFluidJson(json, isRecording);
+    if (!recording || !runnerRef.current) return false;
+    runnerRef.current.replay(recording);
+    setSession('replaying');
+    return true;
+  }, []);
+
+  const stopReplay = useCallback(() => {
+    if (runnerRef.current) runnerRef.current.stopReplay();
+    setSession(null);
+  }, []);
+
+  // Why the simulation is paused ('hidden', 'offscreen', 'api', 'user'); survives
+  // runner swaps
+  const pauseReasonsRef = useRef(new Set());
+
+  const pause = useCallback((reason) => {
+    pauseReasonsRef.current.add(reason);
+    if (runnerRef.current) runnerRef.current.pause(reason);
+  }, []);
+
+  const resume = useCallback((reason) => {
+    pauseReasonsRef.current.delete(reason);
+    if (runnerRef.current) runnerRef.current.resume(reason);
+  }, []);
+
+  useImperativeHandle(ref, () => ({
+    splat(x, y, dx = 0, dy = 0, amount) {
+      const area = measureArea();
+      if (runnerRef.current) runnerRef.current.splat(x - area.left, y - area.top, dx, dy, amount);
+    },
+    burst(x, y) {
+      const area = measureArea();
+      if (runnerRef.current) runnerRef.current.burst(x - area.left, y - area.top);
+    },
+    reset() {
+      if (runnerRef.current) runnerRef.current.reset();
+    },
+    pause() {
+      pause('api');
+    },
+    resume() {
+      resume('api');
+    },
+    snapshot,
+    recordClip,
+    saveState,
+    loadState(json) {
+      return loadStateRef.current(json);
+    },
+    startRecording,
+    stopRecording,
+    replay,
+    stopReplay,
+  }), [measureArea, pause, resume, snapshot, recordClip, saveState, startRecording, stopRecording, replay, stopReplay]);
+
+  useEffect(() => {
+    cellSizeRef.current = cellSize;
+    if (runnerRef.current) {
+      runnerRef.current.setCellSize(cellSize);
+    }
+  }, [cellSize]);
+
+  useEffect(() => {
+    configRef.current = config;
+    if (runnerRef.current) {
+      runnerRef.current.setConfig(config);
+    }
+  }, [config]);
+
+  useEffect(() => {
+    profilingRef.current = profiling;
+    if (runnerRef.current) runnerRef.current.setProfiling(profiling);
+    if (!profiling) setStats(null);
+  }, [profiling]);
+
+  useEffect(() => {
+    reducedMotionRef.current = reducedMotion;
+    if (runnerRef.current) runnerRef.current.setReducedMotion(reducedMotion);
+
+    // Page animations can follow along through the attribute
+    const root = getScopeElement();
+    if (reducedMotion) root.setAttribute('data-fluid-motion', 'reduced');
+    else root.removeAttribute('data-fluid-motion');
+    return () => root.removeAttribute('data-fluid-motion');
+  }, [reducedMotion, getScopeElement]);
+
+  useEffect(() => subscribeVitals((metric) => {
+    setVitals(getVitals());
+    if (reporterRef.current) reporterRef.current.addVital(metric);
+  }), []);
+
+  // Metrics go out while there is somewhere to send them, and before the page goes
+  const reporting = Boolean(reportMetrics);
+  useEffect(() => {
+    if (!reporting) return undefined;
+    const reporter = createMetricsReporter({
+      send: (metrics) => reportMetricsRef.current && reportMetricsRef.current(metrics),
+      vitals: getVitals(),
+    });
+    reporterRef.current = reporter;
+    const handleVisibilityChange = () => {
+      if (document.visibilityState === 'hidden') reporter.flush();
+    };
+    document.addEventListener('visibilitychange', handleVisibilityChange);
+    return () => {
+      document.removeEventListener('visibilitychange', handleVisibilityChange);
+      reporterRef.current = null;
+      reporter.destroy();
+    };
+  }, [reporting]);
+
+  // The cursor is drawn outside of React, so following the pointer never re-renders
+  useEffect(() => {
+    if (!cursorRef.current) return undefined;
+    const engine = createCursorEngine(cursorRef.current);
+    cursorEngineRef.current = engine;
+    return () => {
+      cursorEngineRef.current = null;
+      engine.destroy();
+    };
+  }, [contained]);
+
+  const { cursorShape, cursorSize, cursorEasing, cursorTrail, cursorMagnet } = config;
+  useEffect(() => {
+    if (!cursorEngineRef.current) return;
+    cursorEngineRef.current.configure({
+      shape: cursorShape,
+      size: cursorSize,
+      easing: cursorEasing,
+      trail: cursorTrail,
+      magnet: cursorMagnet,
+      svg: cursorSvg || null,
+      reducedMotion,
+    });
+  }, [cursorShape, cursorSize, cursorEasing, cursorTrail, cursorMagnet, cursorSvg, reducedMotion, contained]);
+
+  // Text used by the fluid stops being an obstacle while the text effect is on,
+  // and the page styles follow the effect (reveal hides the DOM text)
+  const obstacleWatcherRef = useRef(null);
+  const { textEffect } = config;
+  useEffect(() => {
+    const root = getScopeElement();
+    root.setAttribute('data-fluid-text-effect', textEffect);
+    if (obstacleWatcherRef.current) obstacleWatcherRef.current.refresh();
+    return () => root.removeAttribute('data-fluid-text-effect');
+  }, [textEffect, getScopeElement]);
+
+  // A contained effect takes touch gestures over its element only, and leaves
+  // scrolling and zooming to the page there too
+  useEffect(() => {
+    if (!contained) return undefined;
+    const parent = containerRef.current.parentElement;
+    const previous = parent.style.touchAction;
+    parent.style.touchAction = TOUCH_ACTION;
+    return () => {
+      parent.style.touchAction = previous;
+    };
+  }, [contained]);
   
   useEffect(() => {
-    const canvas = canvasRef.current;
-    const cursor = cursorRef.current;
+    const container = containerRef.current;
     
-    if (!canvas || !cursor) return;
+    if (!container) return;
     
-    // Set up canvas
-    const ctx = canvas.getContext('2d');
+    let canvas = null;
+    let runner = null;
+    let destroyed = false;
+    let burstTimer = null;
+    let obstacles = [];
+    let textLayers = [];
+    const pauseReasons = pauseReasonsRef.current;
     
-    // Set canvas size
-    const resizeCanvas = () => {
-      canvas.width = window.innerWidth;
-      canvas.height = window.innerHeight;
+    // The runner works in the area's own pixels; an element that isn't laid out
+    // yet still gets a grid
+    const runnerSize = () => {
+      const area = measureArea();
+      return { width: Math.max(1, Math.round(area.width)), height: Math.max(1, Math.round(area.height)) };
     };
     
-    resizeCanvas();
-    
-    // Create fluid simulation using Navier-Stokes equations
-    const fluidSimulation = createFluidSimulation(canvas.width, canvas.height);
-    
-    // Mouse state
-    const mouse = {
-      x: window.innerWidth / 2,
-      y: window.innerHeight / 2,
-      lastX: window.innerWidth / 2,
-      lastY: window.innerHeight / 2,
-      down: false
+    // A canvas handed to a worker can't be drawn on again, so every runner gets a
+    // fresh one (this also lets a remount or backend change pick another context type)
+    const mountCanvas = () => {
+      if (canvas) container.removeChild(canvas);
+      canvas = document.createElement('canvas');
+      Object.assign(canvas.style, CANVAS_STYLE);
+      container.appendChild(canvas);
+      return canvas;
     };
     
-    // Animation loop
-    const animate = () => {
-      if (!ctx) return;
-      
-      // Update mouse velocities in fluid simulation
-      const mouseVelX = (mouse.x - mouse.lastX) * 10;
-      const mouseVelY = (mouse.y - mouse.lastY) * 10;
-      
-      // Always add some fluid, even with minimal movement
-      const cx = Math.floor(mouse.x / fluidSimulation.cellSize);
-      const cy = Math.floor(mouse.y / fluidSimulation.cellSize);
-      
-      // Add velocity based on mouse movement
-      fluidSimulation.addVelocity(cx, cy, mouseVelX, mouseVelY);
-      
-      // Add dye even with minimal movement
-      const baseDensity = Math.abs(mouseVelX) > 0.1 || Math.abs(mouseVelY) > 0.1 ? 
-                         config.fluidDensity : 
-                         config.fluidDensity * 0.4; // Add less fluid when not moving much
-      
-      // Add dye at cursor position
-      fluidSimulation.addDensity(cx, cy, baseDensity);
-      
-      // Add dye to neighboring cells for a wider effect
-      const spread = 2; // Increase spread radius
-      for (let i = -spread; i <= spread; i++) {
-        for (let j = -spread; j <= spread; j++) {
-          if (i === 0 && j === 0) continue; // Skip center (already added)
-          
-          // Calculate distance-based falloff
-          const dist = Math.sqrt(i*i + j*j);
-          const falloff = 1 - (dist / (spread + 1));
-          
-          if (falloff > 0) {
-            fluidSimulation.addDensity(
-              cx + i, 
-              cy + j, 
-              baseDensity * falloff * 0.6
-            );
-          }
-        }
-      }
-      
-      // Step fluid simulation
-      fluidSimulation.step();
-      
-      // Draw fluid simulation
-      fluidSimulation.draw(ctx);
-      
-      // Save mouse position
-      mouse.lastX = mouse.x;
-      mouse.lastY = mouse.y;
-      
-      requestAnimationFrame(animate);
-    };
+    const hasFinePointer = !window.matchMedia || window.matchMedia('(any-pointer: fine)').matches;
+    const runnerOptions = () => ({
+      backend,
+      ...runnerSize(),
+      config: configRef.current,
+      cellSize: cellSizeRef.current,
+      randomSeed,
+      hasFinePointer,
+      onQualityChange: setQualityLevel,
+      onFrame: (frame) => {
+        if (onFrameRef.current) onFrameRef.current(frame);
+      },
+      onBackendFallback: (error) => {
+        if (onBackendFallbackRef.current) onBackendFallbackRef.current(error);
+      },
+      onCapture: (frame) => {
+        if (clipRef.current) clipRef.current.addFrame(frame);
+        else if (frame.close) frame.close();
+      },
+      onReplayEnd: () => setSession(null),
+      onSplat: (splat) => {
+        if (sharedRef.current) sharedRef.current.publish(splat);
+      },
+      onStats: (summary) => {
+        if (profilingRef.current) setStats(summary);
+        if (reporterRef.current) reporterRef.current.addStats(summary);
+      },
+    });
     
-    // Mouse move handler
-    const handleMouseMove = (e) => {
-      // Update mouse position
-      mouse.x = e.clientX;
-      mouse.y = e.clientY;
+    const startRunner = (next) => {
+      runner = next;
+      runnerRef.current = next;
+      if (!next) return;
+      if (next.level) setQualityLevel(next.level);
+      next.setObstacles(obstacles);
+      next.setText(textLayers);
+      next.setProfiling(profilingRef.current);
+      next.setReducedMotion(reducedMotionRef.current);
+      next.setTilt(tiltRef.current);
       
-      // Update cursor dot position
-      setPosition({ x: e.clientX, y: e.clientY });
+      // Start animation, unless the page is hidden or scrolled away
+      pauseReasons.forEach((reason) => next.pause(reason));
+      next.start();
+      
+      // Set initial cursor position and create initial fluid pattern
+      clearTimeout(burstTimer);
+      burstTimer = setTimeout(() => {
+        if (cursorEngineRef.current) cursorEngineRef.current.move(window.innerWidth / 2, window.innerHeight / 2);
+        next.seed();
+      }, 100);
     };
     
-    // Mouse down handler
-    const handleMouseDown = () => {
-      mouse.down = true;
+    // The current in-thread loop
+    const startInThread = () => {
+      if (destroyed) return;
+      if (runner) runner.destroy();
+      startRunner(createFluidRunner(mountCanvas(), runnerOptions()));
     };
     
-    // Mouse up handler
-    const handleMouseUp = () => {
-      mouse.down = false;
-    };
+    // Prefer a worker, so stepping and drawing never compete with React, scrolling
+    // and input. The worker module is loaded lazily and only where it can be used.
+    if (canRenderInWorker()) {
+      import('../fluid/createWorkerRunner')
+        .then(({ default: createWorkerRunner }) => {
+          if (destroyed) return;
+          startRunner(createWorkerRunner(mountCanvas(), { ...runnerOptions(), onFallback: startInThread }));
+        })
+        .catch(startInThread);
+    } else {
+      startInThread();
+    }
     
-    // Set initial cursor position and create initial fluid pattern
-    setTimeout(() => {
-      const centerX = window.innerWidth / 2;
-      const centerY = window.innerHeight / 2;
-      setPosition({ x: centerX, y: centerY });
-      mouse.x = centerX;
-      mouse.y = centerY;
-      
-      // Create a burst of fluid at the center
-      const cx = Math.floor(centerX / fluidSimulation.cellSize);
-      const cy = Math.floor(centerY / fluidSimulation.cellSize);
-      
-      // Add initial density in center
-      fluidSimulation.addDensity(cx, cy, 300);
-      
-      // Add a pattern of fluid around the center
-      const radius = 10;
-      for (let i = 0; i < radius; i++) {
-        const angle = (i / radius) * Math.PI * 2;
-        const offsetX = Math.floor(Math.cos(angle) * (radius/2));
-        const offsetY = Math.floor(Math.sin(angle) * (radius/2));
-        
-        // Add density with falloff based on distance
-        const falloff = 1 - (i / radius);
-        fluidSimulation.addDensity(cx + offsetX, cy + offsetY, 200 * falloff);
-        
-        // Add outward velocity
-        fluidSimulation.addVelocity(
-          cx + offsetX, 
-          cy + offsetY, 
-          Math.cos(angle) * 50, 
-          Math.sin(angle) * 50
-        );
-      }
-      
-      // Add some random fluid spots around the page
-      const gridSize = Math.floor(Math.min(canvas.width, canvas.height) / fluidSimulation.cellSize);
-      for (let i = 0; i < 8; i++) {
-        const randX = Math.floor(Math.random() * (gridSize-20)) + 10;
-        const randY = Math.floor(Math.random() * (gridSize-20)) + 10;
-        fluidSimulation.addDensity(randX, randY, 150);
-      }
-    }, 100);
+    // Page elements the fluid flows around, kept in sync with the layout. A
+    // contained effect only looks inside its parent and works in its own pixels.
+    const watchRoot = contained ? container.parentElement : document;
+    const toLocal = (items, convert) => (contained ? convert(items, measureArea()) : items);
+    const obstacleWatcher = createObstacleWatcher((rects) => {
+      obstacles = toLocal(rects, toLocalRects);
+      if (runner) runner.setObstacles(obstacles);
+    }, {
+      root: watchRoot,
+      getElements: () => (obstacleRefsRef.current || []).map((ref) => ref && ref.current),
+      filter: (element) => configRef.current.textEffect === 'off' || !element.hasAttribute(TEXT_ATTRIBUTE),
+    });
+    obstacleWatcherRef.current = obstacleWatcher;
     
-    // Start animation
-    animate();
+    // Text the fluid emits from or reveals, rasterized from the page layout
+    const textWatcher = createTextWatcher((layers) => {
+      textLayers = toLocal(layers, toLocalLayers);
+      if (runner) runner.setText(textLayers);
+    }, {
+      root: watchRoot,
+      getElements: () => (textRefsRef.current || []).map((ref) => ref && ref.current),
+    });
     
-    // Add event listeners
-    window.addEventListener('mousemove', handleMouseMove);
-    window.addEventListener('mousedown', handleMouseDown);
-    window.addEventListener('mouseup', handleMouseUp);
-    window.addEventListener('resize', resizeCanvas);
+    // Page scrolling and wheel gestures push the fluid
+    const scrollWatcher = createScrollWatcher((dx, dy) => {
+      if (runner) runner.scroll(dx, dy);
+    });
     
-    // Clean up
-    return () => {
-      window.removeEventListener('mousemove', handleMouseMove);
-      window.removeEventListener('mousedown', handleMouseDown);
-      window.removeEventListener('mouseup', handleMouseUp);
-      window.removeEventListener('resize', resizeCanvas);
+    // Don't simulate in background tabs
+    const handleVisibilityChange = () => {
+      if (document.hidden) pause('hidden');
+      else resume('hidden');
     };
-  }, []);
-  
-  // Fluid simulation implementation
-  function createFluidSimulation(width, height) {
-    const CELL_SIZE = 10; // Size of each cell in the grid
-    const N = Math.ceil(Math.max(width, height) / CELL_SIZE); // Grid size
-    const ITER = 16; // Number of iterations for solving constraints
-    
-    // Create arrays for the simulation
-    const density = new Array(N * N).fill(0);
-    const densityPrev = new Array(N * N).fill(0);
-    const vx = new Array(N * N).fill(0);
-    const vy = new Array(N * N).fill(0);
-    const vxPrev = new Array(N * N).fill(0);
-    const vyPrev = new Array(N * N).fill(0);
-    
-    // Helper function to get array index from 2D coordinates
-    function IX(x, y) {
-      // Ensure x and y are within bounds
-      x = Math.min(Math.max(1, x), N-2);
-      y = Math.min(Math.max(1, y), N-2);
-      return x + y * N;
-    }
-    
-    // Diffuse scalar values (density or velocity component)
-    function diffuse(b, x, x0, diff, dt) {
-      const a = dt * diff * (N - 2) * (N - 2);
-      
-      for (let k = 0; k < ITER; k++) {
-        for (let j = 1; j < N - 1; j++) {
-          for (let i = 1; i < N - 1; i++) {
-            x[IX(i, j)] = (x0[IX(i, j)] + a * (
-              x[IX(i+1, j)] + x[IX(i-1, j)] +
-              x[IX(i, j+1)] + x[IX(i, j-1)]
-            )) / (1 + 4 * a);
-          }
-        }
-        setBoundary(b, x);
-      }
-    }
+    handleVisibilityChange();
     
-    // Project velocities to ensure mass conservation
-    function project(vx, vy, p, div) {
-      for (let j = 1; j < N - 1; j++) {
-        for (let i = 1; i < N - 1; i++) {
-          div[IX(i, j)] = -0.5 * (
-            vx[IX(i+1, j)] - vx[IX(i-1, j)] +
-            vy[IX(i, j+1)] - vy[IX(i, j-1)]
-          ) / N;
-          p[IX(i, j)] = 0;
-        }
-      }
-      setBoundary(0, div);
-      setBoundary(0, p);
-      
-      for (let k = 0; k < ITER; k++) {
-        for (let j = 1; j < N - 1; j++) {
-          for (let i = 1; i < N - 1; i++) {
-            p[IX(i, j)] = (div[IX(i, j)] + p[IX(i+1, j)] + p[IX(i-1, j)] + p[IX(i, j+1)] + p[IX(i, j-1)]) / 4;
-          }
-        }
-        setBoundary(0, p);
-      }
-      
-      for (let j = 1; j < N - 1; j++) {
-        for (let i = 1; i < N - 1; i++) {
-          vx[IX(i, j)] -= 0.5 * (p[IX(i+1, j)] - p[IX(i-1, j)]) * N;
-          vy[IX(i, j)] -= 0.5 * (p[IX(i, j+1)] - p[IX(i, j-1)]) * N;
-        }
-      }
-      setBoundary(1, vx);
-      setBoundary(2, vy);
+    // ...or while the canvas is scrolled out of view
+    let visibilityObserver = null;
+    if (typeof IntersectionObserver !== 'undefined') {
+      visibilityObserver = new IntersectionObserver(([entry]) => {
+        if (entry.isIntersecting) resume('offscreen');
+        else pause('offscreen');
+      });
+      visibilityObserver.observe(container);
     }
     
-    // Advect density or velocity through the velocity field
-    function advect(b, d, d0, vx, vy, dt) {
-      let i0, i1, j0, j1;
-      let s0, s1, t0, t1;
-      const dtx = dt * (N - 2);
-      const dty = dt * (N - 2);
-      
-      for (let j = 1; j < N - 1; j++) {
-        for (let i = 1; i < N - 1; i++) {
-          const x = i - dtx * vx[IX(i, j)];
-          const y = j - dty * vy[IX(i, j)];
-          
-          if (x < 0.5) i0 = 0; else i0 = Math.floor(x);
-          if (y < 0.5) j0 = 0; else j0 = Math.floor(y);
-          
-          i1 = i0 + 1;
-          j1 = j0 + 1;
-          
-          s1 = x - i0;
-          s0 = 1 - s1;
-          t1 = y - j0;
-          t0 = 1 - t1;
-          
-          d[IX(i, j)] =
-            s0 * (t0 * d0[IX(i0, j0)] + t1 * d0[IX(i0, j1)]) +
-            s1 * (t0 * d0[IX(i1, j0)] + t1 * d0[IX(i1, j1)]);
-        }
-      }
-      setBoundary(b, d);
-    }
+    // Rebuild the grid once a resize settles. Until then CSS stretches the old
+    // canvas, and the fluid is resampled into the new grid instead of restarting.
+    let resizeTimer = null;
+    const handleResize = () => {
+      clearTimeout(resizeTimer);
+      resizeTimer = setTimeout(() => {
+        const { width, height } = runnerSize();
+        if (runner) runner.resize(width, height);
+      }, RESIZE_DEBOUNCE_MS);
+    };
     
-    // Handle boundaries (walls or continuity)
-    function setBoundary(b, x) {
-      // Handle walls at edges
-      for (let i = 1; i < N - 1; i++) {
-        x[IX(i, 0)] = b === 2 ? -x[IX(i, 1)] : x[IX(i, 1)];
-        x[IX(i, N-1)] = b === 2 ? -x[IX(i, N-2)] : x[IX(i, N-2)];
-      }
-      
-      for (let j = 1; j < N - 1; j++) {
-        x[IX(0, j)] = b === 1 ? -x[IX(1, j)] : x[IX(1, j)];
-        x[IX(N-1, j)] = b === 1 ? -x[IX(N-2, j)] : x[IX(N-2, j)];
-      }
-      
-      // Handle corners
-      x[IX(0, 0)] = 0.5 * (x[IX(1, 0)] + x[IX(0, 1)]);
-      x[IX(0, N-1)] = 0.5 * (x[IX(1, N-1)] + x[IX(0, N-2)]);
-      x[IX(N-1, 0)] = 0.5 * (x[IX(N-2, 0)] + x[IX(N-1, 1)]);
-      x[IX(N-1, N-1)] = 0.5 * (x[IX(N-2, N-1)] + x[IX(N-1, N-2)]);
+    // A contained effect follows its element's size instead of the window's
+    let resizeObserver = null;
+    if (contained && typeof ResizeObserver !== 'undefined') {
+      resizeObserver = new ResizeObserver(handleResize);
+      resizeObserver.observe(container);
     }
     
-    // Velocities step function
-    function velocityStep(vx, vy, vxPrev, vyPrev, dt) {
-      // Diffusion with configurable viscosity
-      diffuse(1, vxPrev, vx, config.fluidViscosity, dt);
-      diffuse(2, vyPrev, vy, config.fluidViscosity, dt);
-      
-      // Project to enforce mass conservation
-      project(vxPrev, vyPrev, vx, vy);
-      
-      // Advection
-      advect(1, vx, vxPrev, vxPrev, vyPrev, dt);
-      advect(2, vy, vyPrev, vxPrev, vyPrev, dt);
-      
-      // Project again
-      project(vx, vy, vxPrev, vyPrev);
-    }
+    // Pointers a contained effect takes: those near its element, and those pressed
+    // there until they lift. Null for the others.
+    const pressedInside = new Set();
+    const toRunnerPointer = (e) => {
+      if (!contained) return e;
+      const area = measureArea();
+      const key = `${e.pointerType}-${e.pointerId}`;
+      if (!pressedInside.has(key) && !isNearArea(area, e.clientX, e.clientY, inputMarginRef.current)) return null;
+      return toLocalPointer(e, area);
+    };
     
-    // Density step function
-    function densityStep(density, densityPrev, vx, vy, dt) {
-      // Add source (already done in addDensity)
-      
-      // Diffusion with configurable diffusion rate
-      diffuse(0, densityPrev, density, config.fluidDiffusion, dt);
-      
-      // Advection
-      advect(0, density, densityPrev, vx, vy, dt);
-      
-      // Decay with configurable decay rate
-      for (let i = 0; i < N * N; i++) {
-        density[i] *= config.decayRate; // Configurable decay for longer/shorter trails
-      }
-    }
+    // Every pointer is forwarded to the runner, which keeps one fluid stream per
+    // pointer. The cursor follows mouse and pen pointers - touch has no cursor.
+    const moveCursor = (e) => {
+      const engine = cursorEngineRef.current;
+      if (!engine || e.pointerType === 'touch') return null;
+      engine.move(e.clientX, e.clientY, e.target);
+      return engine;
+    };
+    const handlePointerDown = (e) => {
+      const pointer = toRunnerPointer(e);
+      if (pointer) pressedInside.add(`${e.pointerType}-${e.pointerId}`);
+      if (runner && pointer) runner.handlePointerDown(pointer);
+      const engine = moveCursor(e);
+      if (engine) engine.press(true);
+    };
+    const handlePointerUp = (e) => {
+      const pointer = toRunnerPointer(e);
+      pressedInside.delete(`${e.pointerType}-${e.pointerId}`);
+      if (runner && pointer) runner.handlePointerUp(pointer);
+      const engine = moveCursor(e);
+      if (engine) engine.press(false);
+    };
+    const handlePointerMove = (e) => {
+      const pointer = toRunnerPointer(e);
+      if (runner && pointer) runner.handlePointerMove(pointer);
+      moveCursor(e);
+    };
     
-    // KAI fluid colors - Extra bright version with configurable intensity
-    const getColorStops = () => [
-      { pos: 0, color: [59, 130, 246, 0.1 * config.colorIntensity] },  // Blue with slight opacity
-      { pos: 0.3, color: [59, 130, 246, 0.6 * config.colorIntensity] }, // Blue
-      { pos: 0.6, color: [95, 244, 232, 0.9 * config.colorIntensity] }, // Teal
-      { pos: 0.8, color: [147, 250, 255, 1.0 * config.colorIntensity] }, // Light Teal
-      { pos: 1, color: [255, 255, 255, 1.2 * config.colorIntensity] }   // White (can go over 1.0 for extra brightness)
-    ];
+    // Add event listeners
+    window.addEventListener('pointerdown', handlePointerDown);
+    window.addEventListener('pointermove', handlePointerMove);
+    window.addEventListener('pointerup', handlePointerUp);
+    window.addEventListener('pointercancel', handlePointerUp);
+    window.addEventListener('resize', handleResize);
+    document.addEventListener('visibilitychange', handleVisibilityChange);
     
-    // Return the fluid simulation object
-    return {
-      cellSize: CELL_SIZE,
-      
-      // Add density at a point
-      addDensity(x, y, amount) {
-        if (x < 1 || x > N-2 || y < 1 || y > N-2) return;
-        density[IX(x, y)] += amount;
-      },
-      
-      // Add velocity at a point
-      addVelocity(x, y, amountX, amountY) {
-        if (x < 1 || x > N-2 || y < 1 || y > N-2) return;
-        vx[IX(x, y)] += amountX;
-        vy[IX(x, y)] += amountY;
+    // Clean up - under StrictMode this runs between the two mounts, so nothing
+    // from the first mount may keep running
+    return () => {
+      destroyed = true;
+      clearTimeout(burstTimer);
+      clearTimeout(resizeTimer);
+      window.removeEventListener('pointerdown', handlePointerDown);
+      window.removeEventListener('pointermove', handlePointerMove);
+      window.removeEventListener('pointerup', handlePointerUp);
+      window.removeEventListener('pointercancel', handlePointerUp);
+      window.removeEventListener('resize', handleResize);
+      document.removeEventListener('visibilitychange', handleVisibilityChange);
+      if (visibilityObserver) visibilityObserver.disconnect();
+      if (resizeObserver) resizeObserver.disconnect();
+      obstacleWatcher.disconnect();
+      obstacleWatcherRef.current = null;
+      textWatcher.disconnect();
+      scrollWatcher.disconnect();
+      if (runner) runner.destroy();
+      if (canvas) container.removeChild(canvas);
+      runnerRef.current = null;
+      pauseReasons.delete('hidden');
+      pauseReasons.delete('offscreen');
+    };
+  }, [backend, randomSeed, contained, measureArea, pause, resume]);
+  
+  // Device tilt pulls the dye while tiltStrength is on (iOS asks for permission on
+  // the first click)
+  const tiltOn = config.tiltStrength > 0;
+  useEffect(() => {
+    if (!tiltOn || typeof window.DeviceOrientationEvent === 'undefined') return undefined;
+    const source = createTiltSource((tilt) => {
+      tiltRef.current = tilt;
+      if (runnerRef.current) runnerRef.current.setTilt(tilt);
+    });
+    return () => {
+      source.disconnect();
+      tiltRef.current = null;
+      if (runnerRef.current) runnerRef.current.setTilt(null);
+    };
+  }, [tiltOn]);
+
+  // Shared fluid: strokes from here go out through the transport, and the other
+  // peers' stir the runner and show as ghost dots
+  useEffect(() => {
+    if (!transport) return undefined;
+    const ghosts = createGhostCursors(ghostLayerRef.current);
+    const shared = createSharedFluid(transport, {
+      onSplat: (splat) => {
+        if (runnerRef.current) runnerRef.current.addRemoteSplat(splat);
       },
-      
-      // Step the simulation
-      step() {
-        const dt = 0.16; // Time step
-        velocityStep(vx, vy, vxPrev, vyPrev, dt);
-        densityStep(density, densityPrev, vx, vy, dt);
+      onCursor: (key, { x, y, color }) => {
+        const area = measureArea();
+        ghosts.move(key, x * area.width, y * area.height, color);
       },
-      
-      // Draw the fluid
-      draw(ctx) {
-        // Clear canvas with transparent color so the background shows through
-        ctx.clearRect(0, 0, width, height);
-        ctx.fillStyle = 'rgba(13, 17, 23, 0)'; // Transparent
-        ctx.fillRect(0, 0, width, height);
-        
-        // Create color gradient between cells
-        const imageData = ctx.getImageData(0, 0, width, height);
-        const data = imageData.data;
-        
-        // Draw density field
-        for (let x = 0; x < N; x++) {
-          for (let y = 0; y < N; y++) {
-            const d = density[IX(x, y)];
-            
-            if (d > 0.005) { // Lower threshold to draw more of the fluid
-              // Normalize density value to 0-1 range for color mapping with boosted visibility
-              const normalizedDensity = Math.min(d / 80, 1); // Reduce divisor to make colors appear at lower densities
-              
-              // Find color from gradient based on density
-              let color = [0, 0, 0, 0];
-              
-              // Get current color stops with intensity applied
-              const colorStops = getColorStops();
-              
-              // Interpolate between color stops
-              for (let i = 0; i < colorStops.length - 1; i++) {
-                const stop1 = colorStops[i];
-                const stop2 = colorStops[i + 1];
-                
-                if (normalizedDensity >= stop1.pos && normalizedDensity <= stop2.pos) {
-                  const t = (normalizedDensity - stop1.pos) / (stop2.pos - stop1.pos);
-                  
-                  // Apply color with brightness boost for better visibility
-                  color[0] = Math.floor(stop1.color[0] * (1 - t) + stop2.color[0] * t); // R
-                  color[1] = Math.floor(stop1.color[1] * (1 - t) + stop2.color[1] * t); // G
-                  color[2] = Math.floor(stop1.color[2] * (1 - t) + stop2.color[2] * t); // B
-                  color[3] = Math.min(1, stop1.color[3] * (1 - t) + stop2.color[3] * t); // A (capped at 1)
-                  break;
-                }
-              }
-              
-              // Fill cell area with calculated color
-              const startX = x * CELL_SIZE;
-              const startY = y * CELL_SIZE;
-              
-              // Apply color to each pixel in the cell
-              for (let i = 0; i < CELL_SIZE; i++) {
-                for (let j = 0; j < CELL_SIZE; j++) {
-                  const pixelX = startX + i;
-                  const pixelY = startY + j;
-                  
-                  if (pixelX >= 0 && pixelX < width && pixelY >= 0 && pixelY < height) {
-                    const idx = (pixelY * width + pixelX) * 4;
-                    
-                    // Blend colors using alpha compositing
-                    const alpha = color[3];
-                    const existingAlpha = data[idx + 3] / 255;
-                    const outAlpha = alpha + existingAlpha * (1 - alpha);
-                    
-                    if (outAlpha > 0) {
-                      data[idx] = (color[0] * alpha + data[idx] * existingAlpha * (1 - alpha)) / outAlpha;
-                      data[idx + 1] = (color[1] * alpha + data[idx + 1] * existingAlpha * (1 - alpha)) / outAlpha;
-                      data[idx + 2] = (color[2] * alpha + data[idx + 2] * existingAlpha * (1 - alpha)) / outAlpha;
-                      data[idx + 3] = outAlpha * 255;
-                    }
-                  }
-                }
-              }
-            }
-          }
-        }
-        
-        ctx.putImageData(imageData, 0, 0);
-      }
+      onCursorLeave: ghosts.remove,
+    });
+    sharedRef.current = shared;
+    return () => {
+      sharedRef.current = null;
+      shared.close();
+      ghosts.destroy();
     };
-  }
-  
-  // Toggle control panel visibility
-  const toggleControls = () => {
-    setConfig(prev => ({ ...prev, showControls: !prev.showControls }));
+  }, [transport, measureArea]);
+
+  // Audio-reactive mode: the source passed in, or a local file played from the panel
+  const [fileAudio, setFileAudio] = useState(null);
+  const activeAudio = audioSource || (fileAudio && fileAudio.element);
+
+  useEffect(() => {
+    if (!fileAudio) return undefined;
+    return () => {
+      fileAudio.element.pause();
+      URL.revokeObjectURL(fileAudio.element.src);
+    };
+  }, [fileAudio]);
+
+  const playAudioFile = (file) => {
+    if (!file) {
+      setFileAudio(null);
+      return;
+    }
+    const element = new Audio(URL.createObjectURL(file));
+    element.loop = true;
+    element.play().catch(() => {});
+    setFileAudio({ name: file.name, element });
   };
-  
+
+  // Band levels go to the runner once a frame while there is audio
+  useEffect(() => {
+    if (!activeAudio || !(window.AudioContext || window.webkitAudioContext)) return undefined;
+
+    let analyser = null;
+    try {
+      analyser = createAudioAnalyser(activeAudio);
+    } catch (e) {
+      // e.g. a cross-origin element without CORS: it plays on, unanalysed
+      return undefined;
+    }
+
+    let frame = null;
+    const sample = () => {
+      if (runnerRef.current) runnerRef.current.setAudio(analyser.levels());
+      frame = window.requestAnimationFrame(sample);
+    };
+    sample();
+
+    return () => {
+      window.cancelAnimationFrame(frame);
+      analyser.destroy();
+      if (runnerRef.current) runnerRef.current.setAudio(null);
+    };
+  }, [activeAudio]);
+
+  // Export actions from the panel save straight to a file
+  const exportImage = (scale) => snapshot('image/png', { scale }).then((blob) => downloadBlob(blob, 'fluid.png'));
+  const exportClip = (seconds, scale) => recordClip({ seconds, scale }).then((blob) => downloadBlob(blob, 'fluid.webm'));
+
+  // Every config change from the panel goes through here
+  const commitConfig = (next) => {
+    setConfigState(next);
+    if (onConfigChange) onConfigChange(next);
+  };
+
+  // A saved state brings its config along
+  const loadState = (json) => {
+    const saved = readFluidJson(json, isSavedState);
+    if (!saved || !runnerRef.current) return false;
+    commitConfig(sanitizeConfig(saved.config));
+    runnerRef.current.loadState(saved);
+    return true;
+  };
+  const loadStateRef = useRef(loadState);
+  loadStateRef.current = loadState;
+
+  // Session actions from the panel go through files
+  const saveStateFile = () => saveState().then((json) => downloadJson(json, 'fluid-state.json'));
+  const stopRecordingFile = () => stopRecording().then((json) => downloadJson(json, 'fluid-recording.json'));
+
+  // Paused from the toolbar or its shortcut
+  const [userPaused, setUserPaused] = useState(false);
+  const togglePause = () => {
+    if (userPaused) resume('user');
+    else pause('user');
+    setUserPaused(!userPaused);
+  };
+
+  const toggleReducedMotion = () => updateAccessibility({ reducedMotion: !reducedMotion });
+  const toggleNativeCursor = () => updateAccessibility({ nativeCursor: !nativeCursor });
+
+  // The latest shortcut handlers come through a ref so the listener stays put
+  const shortcutHandlersRef = useRef(null);
+  shortcutHandlersRef.current = {
+    controls: () => setShowControls((prev) => !prev),
+    pause: togglePause,
+    motion: toggleReducedMotion,
+    cursor: toggleNativeCursor,
+    reset: () => runnerRef.current && runnerRef.current.reset(),
+  };
+
+  // Shortcuts work anywhere on the page, except that a contained effect only takes
+  // them while the pointer is over its element or focus is inside it. It listens in
+  // the capture phase, so it gets them before a window-scoped effect, and the
+  // first effect to take a shortcut marks it handled for the others.
+  useEffect(() => {
+    if (!controls) return undefined;
+    const scopeElement = contained ? containerRef.current.parentElement : null;
+    let hovered = false;
+    const handleEnter = () => { hovered = true; };
+    const handleLeave = () => { hovered = false; };
+    const handleKeyDown = (e) => {
+      const action = shortcutAction(e);
+      if (!action || e.defaultPrevented) return;
+      if (scopeElement && !hovered && !scopeElement.contains(document.activeElement)) return;
+      e.preventDefault();
+      shortcutHandlersRef.current[action]();
+    };
+    if (scopeElement) {
+      scopeElement.addEventListener('pointerenter', handleEnter);
+      scopeElement.addEventListener('pointerleave', handleLeave);
+    }
+    window.addEventListener('keydown', handleKeyDown, contained);
+    return () => {
+      window.removeEventListener('keydown', handleKeyDown, contained);
+      if (scopeElement) {
+        scopeElement.removeEventListener('pointerenter', handleEnter);
+        scopeElement.removeEventListener('pointerleave', handleLeave);
+      }
+    };
+  }, [controls, contained]);
+
   // Update config with a new value
   const updateConfig = (key, value) => {
-    setConfig(prev => ({ ...prev, [key]: value }));
+    commitConfig({ ...config, [key]: value });
   };
-  
+
+  // Built-in presets first; a saved preset can't shadow a built-in name
+  const presets = Object.keys(savedPresets).reduce(
+    (all, name) => (all[name] ? all : { ...all, [name]: savedPresets[name] }),
+    BUILT_IN_PRESETS
+  );
+
+  const applyPreset = (name) => {
+    if (presets[name]) commitConfig({ ...presets[name] });
+  };
+
+  const handleSavePreset = (name) => {
+    setSavedPresets(savePreset(name, config));
+  };
+
+  const handleDeletePreset = (name) => {
+    setSavedPresets(deletePreset(name));
+  };
+
+  const resetConfig = () => {
+    commitConfig(DEFAULT_CONFIG);
+  };
+
+  // Build a link that reproduces the current look and try to copy it
+  const shareConfig = () => {
+    const url = buildShareUrl(window.location.href, config);
+    if (navigator.clipboard) {
+      navigator.clipboard.writeText(url).catch(() => {});
+    }
+    return url;
+  };
+
   return (
     <>
-      <canvas
-        ref={canvasRef}
+      {/* The fluid canvas is created inside this container by the effect */}
+      <div
+        ref={containerRef}
         style={{
-          position: 'fixed',
+          position: contained ? 'absolute' : 'fixed',
           top: 0,
           left: 0,
           width: '100%',
@@ -476,142 +970,118 @@ const FluidCursor = () => {
         }}
       />
       
-      <div
-        ref={cursorRef}
-        style={{
-          position: 'fixed',
-          width: '12px',
-          height: '12px',
-          borderRadius: '50%',
-          backgroundColor: 'white',
-          boxShadow: '0 0 10px rgba(59, 130, 246, 0.8), 0 0 20px rgba(95, 244, 232, 0.5)',
-          pointerEvents: 'none',
-          zIndex: 100, // High z-index to stay above content but not above controls
-          left: `${position.x}px`,
-          top: `${position.y}px`,
-          transform: 'translate(-50%, -50%)',
-          mixBlendMode: 'difference',
-        }}
-      />
-      
-      {/* Toggle button for controls */}
-      <button
-        onClick={toggleControls}
-        style={{
-          position: 'fixed',
-          bottom: '20px',
-          right: '20px',
-          zIndex: 900,
-          padding: '8px 12px',
-          background: 'rgba(13, 17, 23, 0.7)',
-          color: '#fff',
-          border: '1px solid rgba(59, 130, 246, 0.5)',
-          borderRadius: '4px',
-          fontSize: '12px',
-          cursor: 'pointer',
-        }}
-      >
-        {config.showControls ? 'Hide Controls' : 'Show Controls'}
-      </button>
-      
-      {/* Control panel */}
-      {config.showControls && (
+      {/* Text for the text effect, drawn by the fluid rather than the page */}
+      {text && (
         <div
+          data-fluid-text
           style={{
-            position: 'fixed',
-            bottom: '20px',
-            left: '20px',
-            zIndex: 900,
-            padding: '15px',
-            background: 'rgba(13, 17, 23, 0.8)',
-            borderRadius: '8px',
-            border: '1px solid rgba(59, 130, 246, 0.5)',
-            color: 'white',
-            width: '300px',
+            position: contained ? 'absolute' : 'fixed',
+            top: '50%',
+            left: '50%',
+            transform: 'translate(-50%, -50%)',
+            zIndex: 2,
+            color: 'transparent',
+            pointerEvents: 'none',
+            textAlign: 'center',
             fontFamily: 'Arial, sans-serif',
+            fontWeight: 'bold',
+            fontSize: '12vmin',
+            ...textStyle,
           }}
         >
-          <h3 style={{ margin: '0 0 15px 0', fontSize: '16px', color: '#5FF4E8' }}>Fluid Effect Settings</h3>
-          
-          <div style={{ marginBottom: '10px' }}>
-            <label style={{ display: 'block', marginBottom: '5px', fontSize: '14px' }}>
-              Fluid Density: {config.fluidDensity}
-            </label>
-            <input
-              type="range"
-              min="50"
-              max="200"
-              value={config.fluidDensity}
-              onChange={(e) => updateConfig('fluidDensity', Number(e.target.value))}
-              style={{ width: '100%' }}
-            />
-          </div>
-          
-          <div style={{ marginBottom: '10px' }}>
-            <label style={{ display: 'block', marginBottom: '5px', fontSize: '14px' }}>
-              Color Intensity: {config.colorIntensity.toFixed(1)}
-            </label>
-            <input
-              type="range"
-              min="0.5"
-              max="3"
-              step="0.1"
-              value={config.colorIntensity}
-              onChange={(e) => updateConfig('colorIntensity', Number(e.target.value))}
-              style={{ width: '100%' }}
-            />
-          </div>
-          
-          <div style={{ marginBottom: '10px' }}>
-            <label style={{ display: 'block', marginBottom: '5px', fontSize: '14px' }}>
-              Decay Rate: {config.decayRate.toFixed(3)}
-            </label>
-            <input
-              type="range"
-              min="0.95"
-              max="0.999"
-              step="0.001"
-              value={config.decayRate}
-              onChange={(e) => updateConfig('decayRate', Number(e.target.value))}
-              style={{ width: '100%' }}
-            />
-          </div>
-          
-          <div style={{ marginBottom: '10px' }}>
-            <label style={{ display: 'block', marginBottom: '5px', fontSize: '14px' }}>
-              Fluid Viscosity: {config.fluidViscosity.toFixed(4)}
-            </label>
-            <input
-              type="range"
-              min="0.0001"
-              max="0.01"
-              step="0.0001"
-              value={config.fluidViscosity}
-              onChange={(e) => updateConfig('fluidViscosity', Number(e.target.value))}
-              style={{ width: '100%' }}
-            />
-          </div>
-          
-          <div style={{ marginBottom: '10px' }}>
-            <label style={{ display: 'block', marginBottom: '5px', fontSize: '14px' }}>
-              Fluid Diffusion: {config.fluidDiffusion.toFixed(4)}
-            </label>
-            <input
-              type="range"
-              min="0.0001"
-              max="0.01"
-              step="0.0001"
-              value={config.fluidDiffusion}
-              onChange={(e) => updateConfig('fluidDiffusion', Number(e.target.value))}
-              style={{ width: '100%' }}
-            />
-          </div>
+          {text}
         </div>
       )}
       
+      {/* Other tabs' and visitors' pointers, drawn by createGhostCursors */}
+      {transport && (
+        <div
+          ref={ghostLayerRef}
+          aria-hidden="true"
+          style={{
+            position: contained ? 'absolute' : 'fixed',
+            top: 0,
+            left: 0,
+            width: '100%',
+            height: '100%',
+            overflow: 'hidden',
+            zIndex: 2,
+            pointerEvents: 'none',
+          }}
+        />
+      )}
+      
+      {/* The cursor is drawn inside this element by the cursor engine */}
+      {!contained && (
+        <div
+          ref={cursorRef}
+          className="fluid-cursor"
+          data-testid="fluid-cursor"
+          aria-hidden="true"
+          style={{
+            position: 'fixed',
+            top: 0,
+            left: 0,
+            pointerEvents: 'none',
+            zIndex: 100, // High z-index to stay above content but not above controls
+            display: nativeCursor ? 'none' : undefined,
+          }}
+        />
+      )}
+      
+      {controls && (
+        <FluidControls
+          open={showControls}
+          onToggle={() => setShowControls(prev => !prev)}
+          config={config}
+          onChange={updateConfig}
+          presets={presets}
+          builtInPresetNames={Object.keys(BUILT_IN_PRESETS)}
+          onApplyPreset={applyPreset}
+          onSavePreset={handleSavePreset}
+          onDeletePreset={handleDeletePreset}
+          onReset={resetConfig}
+          onShare={shareConfig}
+          audioFileName={fileAudio && fileAudio.name}
+          onAudioFile={playAudioFile}
+          onExportImage={exportImage}
+          onExportClip={canRecordClips() ? exportClip : null}
+          session={session}
+          onSaveState={saveStateFile}
+          onLoadState={loadState}
+          onStartRecording={startRecording}
+          onStopRecording={stopRecordingFile}
+          onReplay={replay}
+          onStopReplay={stopReplay}
+          showDiagnostics={showDiagnostics}
+          onToggleDiagnostics={() => setShowDiagnostics((prev) => !prev)}
+          stats={stats}
+          vitals={vitals}
+          fieldHints={{ quality: qualityLevel && `Active level: ${qualityLevel}` }}
+          paused={userPaused}
+          onTogglePause={togglePause}
+          reducedMotion={reducedMotion}
+          onToggleReducedMotion={toggleReducedMotion}
+          nativeCursor={nativeCursor}
+          onToggleCursor={contained ? null : toggleNativeCursor}
+        />
+      )}
+      
+      {!contained && <style>{WINDOW_TOUCH_CSS}</style>}
+      {!contained && !nativeCursor && <style>{HIDE_CURSOR_CSS}</style>}
+      
       <style>{`
-        html, body, a, button, input, select, textarea {
-          cursor: none !important;
+        /* In reveal mode the fluid shows the text, which stays in the page for
+           screen readers and search engines */
+        [data-fluid-text-effect="reveal"] [data-fluid-text] {
+          opacity: 0;
+        }
+        
+        /* No custom cursor on touch screens, where there is nothing to follow */
+        @media (pointer: coarse) {
+          .fluid-cursor {
+            display: none;
+          }
         }
         
         /* Make slider thumbs visible with custom styling */
@@ -644,6 +1114,13 @@ const FluidCursor = () => {
         button {
           cursor: pointer !important;
         }
+        
+        /* Keyboard focus stays visible on the panel and its toolbar */
+        .fluid-controls :focus-visible,
+        .fluid-toolbar button:focus-visible {
+          outline: 2px solid #5FF4E8;
+          outline-offset: 2px;
+        }
       `}</style>
     </>
   );
@@ -0,0 +1,312 @@
+import React from 'react';
+import { render, screen, fireEvent } from '@testing-library/react';
+import FluidCursor from './FluidCursor';
+import createFluidRunner from '../fluid/createFluidRunner';
+import { ACCESSIBILITY_KEY } from '../fluid/presets';
+
+jest.mock('../fluid/createFluidRunner', () => jest.fn());
+
+const RUNNER_METHODS = [
+  'start', 'pause', 'resume', 'destroy', 'seed', 'reset', 'resize', 'scroll', 'splat', 'burst',
+  'setConfig', 'setCellSize', 'setObstacles', 'setText', 'setAudio', 'setProfiling', 'setReducedMotion',
+  'setTilt', 'addRemoteSplat',
+  'handlePointerDown', 'handlePointerMove', 'handlePointerUp',
+];
+
+let runner;
+
+// matchMedia answering `reduce` for prefers-reduced-motion, and fine pointers
+const mockMatchMedia = (reduce) => {
+  window.matchMedia = jest.fn((query) => ({
+    matches: query.includes('reduced-motion') ? reduce : true,
+    addEventListener: jest.fn(),
+    removeEventListener: jest.fn(),
+  }));
+};
+
+// Every rule of the page's style sheets
+const styleRules = () => Array.from(document.styleSheets).flatMap((sheet) => Array.from(sheet.cssRules));
+
+const pressShortcut = (code) => {
+  fireEvent.keyDown(window, { code, altKey: true, shiftKey: true });
+};
+
+beforeEach(() => {
+  window.localStorage.clear();
+  runner = {};
+  RUNNER_METHODS.forEach((method) => { runner[method] = jest.fn(); });
+  createFluidRunner.mockReset();
+  createFluidRunner.mockReturnValue(runner);
+  mockMatchMedia(false);
+});
+
+afterEach(() => {
+  delete window.matchMedia;
+});
+
+test('follows prefers-reduced-motion', () => {
+  mockMatchMedia(true);
+  render(<FluidCursor />);
+
+  expect(runner.setReducedMotion).toHaveBeenLastCalledWith(true);
+  expect(document.documentElement).toHaveAttribute('data-fluid-motion', 'reduced');
+});
+
+test('the reducedMotion prop wins over the system setting', () => {
+  mockMatchMedia(true);
+  render(<FluidCursor reducedMotion={false} />);
+
+  expect(runner.setReducedMotion).toHaveBeenLastCalledWith(false);
+  expect(document.documentElement).not.toHaveAttribute('data-fluid-motion');
+});
+
+test('the visitor can turn reduced motion on, and it is remembered', () => {
+  const { unmount } = render(<FluidCursor />);
+  expect(runner.setReducedMotion).toHaveBeenLastCalledWith(false);
+
+  pressShortcut('KeyM');
+  expect(runner.setReducedMotion).toHaveBeenLastCalledWith(true);
+  expect(JSON.parse(window.localStorage.getItem(ACCESSIBILITY_KEY)).reducedMotion).toBe(true);
+
+  unmount();
+  render(<FluidCursor />);
+  expect(runner.setReducedMotion).toHaveBeenLastCalledWith(true);
+});
+
+test('the native cursor toggle stops hiding the cursor', () => {
+  render(<FluidCursor />);
+  expect(document.body).toHaveStyle({ cursor: 'none' });
+
+  fireEvent.click(screen.getByRole('button', { name: 'Native cursor' }));
+  expect(document.body).not.toHaveStyle({ cursor: 'none' });
+  expect(screen.getByTestId('fluid-cursor')).toHaveStyle({ display: 'none' });
+  expect(screen.getByRole('button', { name: 'Native cursor' })).toHaveAttribute('aria-pressed', 'true');
+});
+
+test('touch gestures still scroll and zoom the page', () => {
+  render(<FluidCursor />);
+  // jsdom computes no touch-action, so read it from the page's style rules
+  const touchActions = styleRules()
+    .map((rule) => rule.style && rule.style.getPropertyValue('touch-action'))
+    .filter(Boolean);
+  expect(touchActions).toEqual(['pan-y pinch-zoom']);
+
+  // A contained effect sets it on its parent
+  const parent = document.createElement('div');
+  document.body.appendChild(parent);
+  render(<FluidCursor scope="parent" />, { container: parent });
+  expect(parent.style.touchAction).toBe('pan-y pinch-zoom');
+});
+
+test('keyboard focus inside the panel stays visible', () => {
+  render(<FluidCursor />);
+  pressShortcut('KeyC');
+  const panel = screen.getByRole('region', { name: 'Fluid Effect Settings' });
+
+  // Selectors of the focus rule, without the :focus-visible part
+  const focusScopes = styleRules()
+    .filter((rule) => rule.selectorText && rule.selectorText.includes(':focus-visible'))
+    .flatMap((rule) => rule.selectorText.split(','))
+    .map((selector) => selector.trim())
+    .filter((selector) => selector.endsWith(' :focus-visible'))
+    .map((selector) => selector.replace(/ :focus-visible$/, ''));
+  expect(focusScopes.some((selector) => panel.matches(selector))).toBe(true);
+});
+
+test('keyboard shortcuts open the panel, pause and clear the fluid', () => {
+  render(<FluidCursor />);
+
+  pressShortcut('KeyC');
+  expect(screen.getByRole('region', { name: 'Fluid Effect Settings' })).toBeInTheDocument();
+
+  pressShortcut('KeyP');
+  expect(runner.pause).toHaveBeenCalledWith('user');
+  expect(screen.getByRole('button', { name: 'Pause animation' })).toHaveAttribute('aria-pressed', 'true');
+  pressShortcut('KeyP');
+  expect(runner.resume).toHaveBeenCalledWith('user');
+
+  pressShortcut('KeyR');
+  expect(runner.reset).toHaveBeenCalled();
+});
+
+test('shortcuts need both Alt and Shift', () => {
+  render(<FluidCursor />);
+  fireEvent.keyDown(window, { code: 'KeyC', altKey: true });
+  expect(screen.queryByRole('region', { name: 'Fluid Effect Settings' })).not.toBeInTheDocument();
+});
+
+const intensitySlider = () => screen.getByRole('slider', { name: /^Color Intensity/ });
+
+test('a config prop wins over the panel, which reports its changes', () => {
+  const onConfigChange = jest.fn();
+  const { rerender } = render(<FluidCursor colorIntensity={1.5} onConfigChange={onConfigChange} />);
+  pressShortcut('KeyC');
+  expect(intensitySlider()).toHaveValue('1.5');
+
+  fireEvent.change(intensitySlider(), { target: { value: '2' } });
+  expect(onConfigChange).toHaveBeenLastCalledWith(expect.objectContaining({ colorIntensity: 2 }));
+  expect(intensitySlider()).toHaveValue('1.5');
+  expect(runner.setConfig).not.toHaveBeenCalledWith(expect.objectContaining({ colorIntensity: 2 }));
+
+  rerender(<FluidCursor colorIntensity={2} onConfigChange={onConfigChange} />);
+  expect(intensitySlider()).toHaveValue('2');
+  expect(runner.setConfig).toHaveBeenLastCalledWith(expect.objectContaining({ colorIntensity: 2 }));
+});
+
+test('defaultConfig seeds the panel, which then takes over', () => {
+  const onConfigChange = jest.fn();
+  render(<FluidCursor defaultConfig={{ colorIntensity: 2.5 }} onConfigChange={onConfigChange} />);
+  expect(createFluidRunner).toHaveBeenCalledWith(expect.anything(), expect.objectContaining({
+    config: expect.objectContaining({ colorIntensity: 2.5 }),
+  }));
+  pressShortcut('KeyC');
+  expect(intensitySlider()).toHaveValue('2.5');
+
+  fireEvent.change(intensitySlider(), { target: { value: '1' } });
+  expect(intensitySlider()).toHaveValue('1');
+  expect(onConfigChange).toHaveBeenLastCalledWith(expect.objectContaining({ colorIntensity: 1 }));
+});
+
+test('config props are clamped to the slider ranges', () => {
+  render(<FluidCursor colorIntensity={10} />);
+  pressShortcut('KeyC');
+
+  expect(intensitySlider()).toHaveValue('3');
+  expect(createFluidRunner).toHaveBeenCalledWith(expect.anything(), expect.objectContaining({
+    config: expect.objectContaining({ colorIntensity: 3 }),
+  }));
+});
+
+test('reports a GPU fallback through onBackendFallback', () => {
+  const onBackendFallback = jest.fn();
+  render(<FluidCursor onBackendFallback={onBackendFallback} />);
+  const error = new Error('shader compile failed');
+
+  createFluidRunner.mock.calls[0][1].onBackendFallback(error);
+  expect(onBackendFallback).toHaveBeenCalledWith(error);
+});
+
+test('a transport shares the strokes both ways', () => {
+  const listeners = [];
+  const transport = {
+    send: jest.fn(),
+    subscribe: (listener) => {
+      listeners.push(listener);
+      return () => listeners.splice(listeners.indexOf(listener), 1);
+    },
+  };
+  const { unmount } = render(<FluidCursor transport={transport} />);
+
+  const { onSplat } = createFluidRunner.mock.calls[0][1];
+  onSplat({ pointer: 'mouse', x: 0.5, y: 0.5, dx: 4, dy: 0, color: [1, 0, 0], amount: 150 });
+  expect(transport.send).toHaveBeenCalledWith(expect.objectContaining({ type: 'splat', x: 0.5, dx: 4 }));
+
+  const remote = {
+    type: 'splat', from: 'peer', pointer: 'mouse', x: 0.25, y: 0.5, dx: 0, dy: 0, color: [0, 0, 1], amount: 100,
+  };
+  listeners.forEach((listener) => listener(remote));
+  expect(runner.addRemoteSplat).toHaveBeenCalledWith(expect.objectContaining({ from: 'peer', x: 0.25 }));
+
+  unmount();
+  expect(transport.send).toHaveBeenLastCalledWith(expect.objectContaining({ type: 'leave' }));
+  expect(listeners).toHaveLength(0);
+});
+
+// jsdom has no PointerEvent, so pointers are mouse events with the pointer fields
+const firePointer = (type, { pointerType, pointerId, ...init }) => {
+  fireEvent(window, Object.assign(new MouseEvent(type, init), { pointerType, pointerId }));
+};
+
+describe('scope="parent"', () => {
+  const mountContained = (props = {}) => {
+    const parent = document.createElement('div');
+    document.body.appendChild(parent);
+    jest.spyOn(Element.prototype, 'getBoundingClientRect')
+      .mockReturnValue({ left: 100, top: 50, right: 300, bottom: 150, width: 200, height: 100 });
+    const view = render(<FluidCursor scope="parent" inputMargin={10} {...props} />, { container: parent });
+    return { parent, ...view };
+  };
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('sizes the simulation to the parent and leaves the cursor and page alone', () => {
+    const { parent } = mountContained();
+
+    expect(createFluidRunner).toHaveBeenCalledWith(expect.anything(), expect.objectContaining({ width: 200, height: 100 }));
+    expect(document.body).not.toHaveStyle({ cursor: 'none' });
+    expect(screen.queryByRole('button', { name: 'Show Controls' })).not.toBeInTheDocument();
+    expect(parent).toHaveAttribute('data-fluid-text-effect', 'off');
+    expect(document.documentElement).not.toHaveAttribute('data-fluid-text-effect');
+  });
+
+  test('takes pointers near the parent, in its own pixels', () => {
+    mountContained();
+    const move = (clientX, clientY) => firePointer('pointermove', { pointerType: 'mouse', pointerId: 1, clientX, clientY });
+
+    move(150, 60);
+    move(305, 155); // Within the margin
+    move(400, 60);
+    expect(runner.handlePointerMove.mock.calls.map(([pointer]) => [pointer.clientX, pointer.clientY]))
+      .toEqual([[50, 10], [205, 105]]);
+  });
+
+  test('a new input margin applies without restarting the simulation', () => {
+    const { rerender } = mountContained();
+    rerender(<FluidCursor scope="parent" inputMargin={40} />);
+
+    firePointer('pointermove', { pointerType: 'mouse', pointerId: 1, clientX: 330, clientY: 60 });
+    expect(createFluidRunner).toHaveBeenCalledTimes(1);
+    expect(runner.destroy).not.toHaveBeenCalled();
+    expect(runner.handlePointerMove).toHaveBeenCalledTimes(1);
+  });
+
+  test('effects with controls keep their panels and shortcuts apart', () => {
+    const runners = [];
+    createFluidRunner.mockImplementation(() => {
+      const next = {};
+      RUNNER_METHODS.forEach((method) => { next[method] = jest.fn(); });
+      runners.push(next);
+      return next;
+    });
+    render(<FluidCursor />);
+    const { parent: first } = mountContained({ controls: true });
+    mountContained({ controls: true });
+
+    const toggles = screen.getAllByRole('button', { name: 'Show Controls' });
+    const panelIds = toggles.map((toggle) => toggle.getAttribute('aria-controls'));
+    expect(new Set(panelIds).size).toBe(3);
+
+    // The hovered effect takes the shortcut, not the page-wide one or the other
+    fireEvent.pointerEnter(first);
+    pressShortcut('KeyR');
+    expect(runners.map((each) => each.reset.mock.calls.length)).toEqual([0, 1, 0]);
+
+    fireEvent.pointerLeave(first);
+    pressShortcut('KeyR');
+    expect(runners.map((each) => each.reset.mock.calls.length)).toEqual([1, 1, 0]);
+  });
+
+  test('follows a pointer pressed inside until it lifts', () => {
+    mountContained();
+    const pointer = { pointerType: 'touch', pointerId: 3 };
+
+    firePointer('pointerdown', { ...pointer, clientX: 150, clientY: 60 });
+    firePointer('pointermove', { ...pointer, clientX: 500, clientY: 60 });
+    firePointer('pointerup', { ...pointer, clientX: 500, clientY: 60 });
+    firePointer('pointermove', { ...pointer, clientX: 600, clientY: 60 });
+
+    expect(runner.handlePointerDown).toHaveBeenCalledTimes(1);
+    expect(runner.handlePointerMove).toHaveBeenCalledTimes(1);
+    expect(runner.handlePointerMove.mock.calls[0][0].clientX).toBe(400);
+    expect(runner.handlePointerUp).toHaveBeenCalledTimes(1);
+  });
+
+  test('the ref handle takes viewport coordinates', () => {
+    const ref = React.createRef();
+    mountContained({ ref });
+    ref.current.splat(150, 60, 1, 2);
+    expect(runner.splat).toHaveBeenCalledWith(50, 10, 1, 2, undefined);
+  });
+});
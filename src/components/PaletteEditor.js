@@ -0,0 +1,135 @@
+import React from 'react';
+import {
+  BUILT_IN_PALETTES,
+  DEFAULT_PALETTE,
+  MIN_STOPS,
+  MAX_STOPS,
+  MAX_ALPHA,
+  parsePalette,
+  formatPalette,
+  findPaletteName,
+  samplePalette,
+  hexToRgb,
+  rgbToHex,
+} from '../fluid/palettes';
+import { smallButtonStyle, textInputStyle } from './controlStyles';
+
+// CSS gradient that previews a palette (alpha capped at 1, before colorIntensity)
+const toCssGradient = (stops) => {
+  const sorted = [...stops].sort((a, b) => a.pos - b.pos);
+  const parts = sorted.map(({ pos, color, alpha }) => {
+    const [r, g, b] = hexToRgb(color);
+    return `rgba(${r}, ${g}, ${b}, ${Math.min(alpha, 1)}) ${Math.round(pos * 100)}%`;
+  });
+  return `linear-gradient(to right, ${parts.join(', ')})`;
+};
+
+// A new stop in the middle of the widest gap, coloured like the gradient there
+const createStop = (stops) => {
+  const positions = [...stops.map((stop) => stop.pos), 0, 1].sort((a, b) => a - b);
+  let pos = 0.5;
+  let widest = -1;
+  for (let i = 0; i < positions.length - 1; i++) {
+    if (positions[i + 1] - positions[i] > widest) {
+      widest = positions[i + 1] - positions[i];
+      pos = (positions[i] + positions[i + 1]) / 2;
+    }
+  }
+
+  const { color, alpha } = samplePalette(stops, pos);
+  return { pos, color: rgbToHex(color), alpha };
+};
+
+// Theme picker plus a gradient-stop editor for a palette string. Stops keep the
+// order they were added in, so moving one doesn't reshuffle the rows.
+const PaletteEditor = ({ value, onChange }) => {
+  const stops = parsePalette(value) || parsePalette(DEFAULT_PALETTE);
+  const paletteName = findPaletteName(value);
+
+  const update = (next) => onChange(formatPalette(next));
+
+  const updateStop = (index, changes) => {
+    update(stops.map((stop, i) => (i === index ? { ...stop, ...changes } : stop)));
+  };
+
+  const removeStop = (index) => {
+    update(stops.filter((stop, i) => i !== index));
+  };
+
+  const handleSelectTheme = (e) => {
+    if (BUILT_IN_PALETTES[e.target.value]) update(BUILT_IN_PALETTES[e.target.value]);
+  };
+
+  return (
+    <div>
+      <select value={paletteName || ''} onChange={handleSelectTheme} aria-label="Palette theme" style={{ ...textInputStyle, width: '100%' }}>
+        {!paletteName && <option value="">Custom</option>}
+        {Object.keys(BUILT_IN_PALETTES).map((name) => (
+          <option key={name} value={name}>{name}</option>
+        ))}
+      </select>
+
+      <div
+        style={{
+          height: '14px',
+          margin: '8px 0',
+          borderRadius: '3px',
+          border: '1px solid rgba(59, 130, 246, 0.5)',
+          background: toCssGradient(stops),
+        }}
+      />
+
+      {stops.map((stop, index) => (
+        <div key={index} style={{ display: 'flex', gap: '6px', alignItems: 'center', marginBottom: '6px' }}>
+          <input
+            type="color"
+            aria-label={`Stop ${index + 1} color`}
+            value={stop.color}
+            onChange={(e) => updateStop(index, { color: e.target.value })}
+            style={{ width: '28px', height: '22px', padding: 0, border: 'none', background: 'none' }}
+          />
+          <input
+            type="range"
+            aria-label={`Stop ${index + 1} position`}
+            min={0}
+            max={1}
+            step={0.01}
+            value={stop.pos}
+            onChange={(e) => updateStop(index, { pos: Number(e.target.value) })}
+            style={{ flex: 1, minWidth: 0 }}
+          />
+          <input
+            type="number"
+            aria-label={`Stop ${index + 1} opacity`}
+            min={0}
+            max={MAX_ALPHA}
+            step={0.05}
+            value={stop.alpha}
+            onChange={(e) => updateStop(index, { alpha: Number(e.target.value) || 0 })}
+            style={{ ...textInputStyle, flex: 'none', width: '52px' }}
+          />
+          <button
+            type="button"
+            aria-label={`Remove stop ${index + 1}`}
+            onClick={() => removeStop(index)}
+            disabled={stops.length <= MIN_STOPS}
+            style={smallButtonStyle}
+          >
+            ×
+          </button>
+        </div>
+      ))}
+
+      <button
+        type="button"
+        onClick={() => update([...stops, createStop(stops)])}
+        disabled={stops.length >= MAX_STOPS}
+        style={smallButtonStyle}
+      >
+        Add stop
+      </button>
+    </div>
+  );
+};
+
+export default PaletteEditor;
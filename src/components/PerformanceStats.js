@@ -0,0 +1,49 @@
+import React from 'react';
+
+// Web Vitals in the order they happen; CLS is a score, the rest are durations
+const VITALS = ['TTFB', 'FCP', 'LCP', 'FID', 'CLS'];
+const SOLVER_PHASES = ['diffuse', 'project', 'advect'];
+
+const formatMs = (ms) => (ms === undefined ? '–' : `${ms.toFixed(2)} ms`);
+
+const formatVital = (name, value) => {
+  if (value === undefined) return '–';
+  return name === 'CLS' ? value.toFixed(3) : `${Math.round(value)} ms`;
+};
+
+const Row = ({ label, value, indent = false }) => (
+  <div style={{ display: 'flex', justifyContent: 'space-between', paddingLeft: indent ? '10px' : 0 }}>
+    <span style={{ opacity: 0.7 }}>{label}</span>
+    <span style={{ fontFamily: 'monospace' }}>{value}</span>
+  </div>
+);
+
+// Diagnostics for the control panel: the runner's latest stats summary (see
+// createPerfStats.js) and the page's Web Vitals
+const PerformanceStats = ({ stats, vitals = {} }) => (
+  <div style={{ fontSize: '12px', lineHeight: 1.6 }}>
+    {stats ? (
+      <>
+        <Row label="FPS" value={stats.fps.toFixed(1)} />
+        <Row label="Frame work" value={formatMs(stats.workMs)} />
+        <Row label="Solver step" value={formatMs(stats.timings.step)} />
+        {SOLVER_PHASES.map((phase) => (
+          <Row key={phase} label={phase} value={formatMs(stats.timings[phase])} indent />
+        ))}
+        <Row label="Draw" value={formatMs(stats.timings.draw)} />
+        <Row label="Grid" value={`${stats.cols} × ${stats.rows}`} />
+        <Row label="Quality level" value={stats.level} />
+        <Row label="Backend" value={stats.backend} />
+      </>
+    ) : (
+      <div style={{ opacity: 0.7 }}>Measuring…</div>
+    )}
+    <div style={{ marginTop: '6px' }}>
+      {VITALS.map((name) => (
+        <Row key={name} label={name} value={formatVital(name, vitals[name])} />
+      ))}
+    </div>
+  </div>
+);
+
+export default PerformanceStats;
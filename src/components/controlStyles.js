@@ -0,0 +1,23 @@
+// Shared inline styles for the fluid control panel
+
+export const sectionTitleStyle = { margin: '15px 0 8px 0', fontSize: '13px', color: '#5FF4E8' };
+
+export const smallButtonStyle = {
+  padding: '4px 8px',
+  background: 'rgba(59, 130, 246, 0.2)',
+  color: '#fff',
+  border: '1px solid rgba(59, 130, 246, 0.5)',
+  borderRadius: '4px',
+  fontSize: '12px',
+};
+
+export const textInputStyle = {
+  flex: 1,
+  minWidth: 0,
+  padding: '4px 6px',
+  background: 'rgba(13, 17, 23, 0.9)',
+  color: '#fff',
+  border: '1px solid rgba(59, 130, 246, 0.5)',
+  borderRadius: '4px',
+  fontSize: '12px',
+};
@@ -0,0 +1,20 @@
+// Keyboard shortcuts for the fluid effect. They all take Alt+Shift so they stay
+// out of the way of typing and screen reader keys, and match on the physical key
+// (event.code) because Alt changes the character some layouts produce.
+export const SHORTCUTS = [
+  { action: 'controls', code: 'KeyC', keys: 'Alt+Shift+C', description: 'Show or hide the controls' },
+  { action: 'pause', code: 'KeyP', keys: 'Alt+Shift+P', description: 'Pause or resume the animation' },
+  { action: 'motion', code: 'KeyM', keys: 'Alt+Shift+M', description: 'Reduce motion' },
+  { action: 'cursor', code: 'KeyN', keys: 'Alt+Shift+N', description: 'Use the native cursor' },
+  { action: 'reset', code: 'KeyR', keys: 'Alt+Shift+R', description: 'Clear the fluid' },
+];
+
+// The action a keydown event triggers, or null
+export const shortcutAction = (e) => {
+  if (!e.altKey || !e.shiftKey || e.ctrlKey || e.metaKey) return null;
+  const shortcut = SHORTCUTS.find(({ code }) => code === e.code);
+  return shortcut ? shortcut.action : null;
+};
+
+// Key combination for an action, e.g. for aria-keyshortcuts
+export const shortcutKeys = (action) => SHORTCUTS.find((shortcut) => shortcut.action === action).keys;
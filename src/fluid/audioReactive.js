@@ -0,0 +1,90 @@
+import { shiftPalette } from './palettes';
+
+// Audio-reactive mode: frequency band levels from an AnalyserNode (see
+// createAudioAnalyser.js) drive parts of the effect. Which band drives what is part
+// of the config, so it can be tuned in the panel and shared like everything else:
+//   audioEmitBand      - scales the dye and velocity that pointers and emitters add
+//   audioPaletteBand   - turns the palette's hues, up to PALETTE_SHIFT degrees
+//   audioIntensityBand - boosts colorIntensity
+//   audioBeatBand      - beats in this band fire bursts
+// Each can be 'off'; audioGain scales all of them.
+
+// Bands in Hz
+export const AUDIO_BANDS = {
+  bass: [20, 250],
+  mid: [250, 2000],
+  treble: [2000, 8000],
+};
+
+export const AUDIO_BAND_OPTIONS = ['off', ...Object.keys(AUDIO_BANDS)];
+
+const PALETTE_SHIFT = 120; // Hue turn in degrees at full level and gain 1
+const PALETTE_STEP = 5; // Shifts snap to this many degrees, so the colour lookup isn't rebuilt every frame
+
+// Average level (0-1) of each band in byte frequency data covering 0 Hz up to half
+// the sample rate, e.g. from AnalyserNode.getByteFrequencyData
+export const bandLevels = (frequencyData, sampleRate, bands = AUDIO_BANDS) => {
+  const binHz = sampleRate / 2 / frequencyData.length;
+  return Object.keys(bands).reduce((levels, name) => {
+    const [low, high] = bands[name];
+    const first = Math.min(frequencyData.length - 1, Math.floor(low / binHz));
+    const last = Math.min(frequencyData.length - 1, Math.max(first, Math.ceil(high / binHz) - 1));
+    let sum = 0;
+    for (let i = first; i <= last; i++) sum += frequencyData[i];
+    return { ...levels, [name]: sum / (last - first + 1) / 255 };
+  }, {});
+};
+
+// Beat detection on one level: a beat is the level jumping `threshold` times above
+// its recent average (and over `floor`), at most once every cooldownMs.
+// Returns detect(level, time) -> whether this sample is a beat.
+export const createBeatDetector = ({ threshold = 1.3, floor = 0.3, smoothing = 0.9, cooldownMs = 250 } = {}) => {
+  let average = 0;
+  let lastBeat = -Infinity;
+
+  return (level, time) => {
+    const beat = level > floor && level > average * threshold && time - lastBeat >= cooldownMs;
+    average = average * smoothing + level * (1 - smoothing);
+    if (beat) lastBeat = time;
+    return beat;
+  };
+};
+
+const bandLevel = (levels, band, gain) => (band !== 'off' && levels[band] ? levels[band] * gain : 0);
+
+// Applies band levels to configs as the config's audio mappings say.
+// apply(config, levels) returns the config for this frame; beat(config, levels,
+// time) says whether the beat band has a beat. Shifted palettes are cached.
+const createAudioMapping = () => {
+  const detectBeat = createBeatDetector();
+  let shifted = { palette: null, degrees: 0, value: null };
+
+  const shiftedPalette = (palette, degrees) => {
+    if (shifted.palette !== palette || shifted.degrees !== degrees) {
+      shifted = { palette, degrees, value: shiftPalette(palette, degrees) };
+    }
+    return shifted.value;
+  };
+
+  return {
+    apply(config, levels) {
+      const emit = 1 + bandLevel(levels, config.audioEmitBand, config.audioGain);
+      const intensity = 1 + bandLevel(levels, config.audioIntensityBand, config.audioGain);
+      const shift = bandLevel(levels, config.audioPaletteBand, config.audioGain) * PALETTE_SHIFT;
+      return {
+        ...config,
+        fluidDensity: config.fluidDensity * emit,
+        hoverStrength: config.hoverStrength * emit,
+        colorIntensity: config.colorIntensity * intensity,
+        palette: shiftedPalette(config.palette, Math.round(shift / PALETTE_STEP) * PALETTE_STEP),
+      };
+    },
+
+    beat(config, levels, time) {
+      if (config.audioBeatBand === 'off') return false;
+      return detectBeat(bandLevel(levels, config.audioBeatBand, config.audioGain), time);
+    },
+  };
+};
+
+export default createAudioMapping;
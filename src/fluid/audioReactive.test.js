@@ -0,0 +1,53 @@
+import createAudioMapping, { bandLevels, createBeatDetector } from './audioReactive';
+import { DEFAULT_CONFIG } from './config';
+
+describe('bandLevels', () => {
+  test('averages the bins of each band', () => {
+    // 8 bins of 1000 Hz each at 16 kHz
+    const data = new Uint8Array([255, 255, 51, 51, 0, 0, 0, 0]);
+    const levels = bandLevels(data, 16000, { low: [0, 2000], high: [2000, 4000], top: [6000, 8000] });
+
+    expect(levels.low).toBe(1);
+    expect(levels.high).toBeCloseTo(0.2);
+    expect(levels.top).toBe(0);
+  });
+});
+
+describe('createBeatDetector', () => {
+  test('fires on jumps over the recent average, with a cooldown', () => {
+    const detect = createBeatDetector({ threshold: 1.5, floor: 0.3, cooldownMs: 200 });
+    const beats = [0.2, 0.2, 0.9, 0.9, 0.2, 0.9, 0.9]
+      .map((level, i) => detect(level, i * 100));
+
+    expect(beats).toEqual([false, false, true, false, false, true, false]);
+  });
+});
+
+describe('createAudioMapping', () => {
+  test('scales emission and intensity and turns the palette by the mapped bands', () => {
+    const mapping = createAudioMapping();
+    const config = { ...DEFAULT_CONFIG, audioGain: 1 };
+    const levels = { bass: 0.5, mid: 1, treble: 0 };
+
+    const mapped = mapping.apply(config, levels);
+    expect(mapped.fluidDensity).toBe(config.fluidDensity * 1.5);
+    expect(mapped.hoverStrength).toBe(config.hoverStrength * 1.5);
+    expect(mapped.colorIntensity).toBe(config.colorIntensity);
+    expect(mapped.palette).not.toBe(config.palette);
+    // Cached while the shift stays the same
+    expect(mapping.apply(config, levels).palette).toBe(mapped.palette);
+
+    const off = mapping.apply({ ...config, audioEmitBand: 'off', audioPaletteBand: 'off' }, levels);
+    expect(off.fluidDensity).toBe(config.fluidDensity);
+    expect(off.palette).toBe(config.palette);
+  });
+
+  test('only detects beats in the beat band', () => {
+    const mapping = createAudioMapping();
+    const config = { ...DEFAULT_CONFIG, audioBeatBand: 'treble' };
+
+    expect(mapping.beat(config, { bass: 1, treble: 0 }, 0)).toBe(false);
+    expect(mapping.beat(config, { bass: 1, treble: 1 }, 100)).toBe(true);
+    expect(mapping.beat({ ...config, audioBeatBand: 'off' }, { treble: 1 }, 1000)).toBe(false);
+  });
+});
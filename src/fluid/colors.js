@@ -0,0 +1,65 @@
+import { parsePalette, samplePalette, DEFAULT_PALETTE } from './palettes';
+
+// Colour mapping shared by the Canvas2D and WebGL renderers, so both backends
+// paint the same density with the same colour.
+
+export const DENSITY_THRESHOLD = 0.005; // Lower threshold to draw more of the fluid
+export const DENSITY_SCALE = 80; // Density that maps to the top of the gradient
+
+export const LOOKUP_SIZE = 256;
+export const RGB_ALPHA = 0.5; // Opacity of full-scale rgb dye before colorIntensity
+
+// Opacity of rgb dye at normalized density n. The square root keeps thin dye
+// visible, since rgb mode has no palette alphas to shape the ramp.
+export const dyeAlpha = (n, colorIntensity) => Math.min(1, Math.sqrt(n) * colorIntensity * RGB_ALPHA);
+
+// Colour of mixed rgb dye from its per-channel amounts: the hue of the mix at full
+// brightness (the amount of dye shows through the alpha instead). 0-255.
+export const mixDyeColor = (r, g, b) => {
+  const max = Math.max(r, g, b);
+  return max > 0 ? [(r / max) * 255, (g / max) * 255, (b / max) * 255] : [255, 255, 255];
+};
+
+// In reveal mode the dye is faint away from the text and stronger over it
+export const REVEAL_BACKGROUND = 0.15; // Share of the dye's opacity kept outside the text
+export const REVEAL_BOOST = 1.5; // Opacity multiplier over fully covered text
+
+// Opacity of dye with opacity `alpha` over text coverage (0-1) in reveal mode
+export const revealAlpha = (alpha, coverage) => Math.min(
+  1,
+  alpha * (REVEAL_BACKGROUND + (REVEAL_BOOST - REVEAL_BACKGROUND) * coverage)
+);
+
+// Compile a palette into a lookup table of LOOKUP_SIZE RGBA entries (0-255).
+// Entry i is the colour for normalized density i / (LOOKUP_SIZE - 1), with
+// colorIntensity applied to the alpha and the result capped at 1.
+export const buildColorLookup = (stops, colorIntensity) => {
+  const lookup = new Uint8ClampedArray(LOOKUP_SIZE * 4);
+
+  for (let i = 0; i < LOOKUP_SIZE; i++) {
+    const { color, alpha } = samplePalette(stops, i / (LOOKUP_SIZE - 1));
+    lookup[i * 4] = Math.floor(color[0]);
+    lookup[i * 4 + 1] = Math.floor(color[1]);
+    lookup[i * 4 + 2] = Math.floor(color[2]);
+    lookup[i * 4 + 3] = Math.round(Math.min(1, alpha * colorIntensity) * 255);
+  }
+
+  return lookup;
+};
+
+// Memoized lookup for a renderer: returns the same table until the palette string
+// or colorIntensity changes, so callers can compare by identity to see a rebuild
+export const createColorLookup = () => {
+  let palette = null;
+  let colorIntensity = null;
+  let lookup = null;
+
+  return (nextPalette = DEFAULT_PALETTE, nextIntensity = 1) => {
+    if (lookup && nextPalette === palette && nextIntensity === colorIntensity) return lookup;
+
+    palette = nextPalette;
+    colorIntensity = nextIntensity;
+    lookup = buildColorLookup(parsePalette(palette) || parsePalette(DEFAULT_PALETTE), colorIntensity);
+    return lookup;
+  };
+};
@@ -0,0 +1,54 @@
+import {
+  buildColorLookup, createColorLookup, dyeAlpha, mixDyeColor, revealAlpha, LOOKUP_SIZE, REVEAL_BACKGROUND,
+} from './colors';
+import { BUILT_IN_PALETTES, DEFAULT_PALETTE, formatPalette } from './palettes';
+
+describe('buildColorLookup', () => {
+  test('has one RGBA entry per level with colorIntensity applied to alpha', () => {
+    const lookup = buildColorLookup(BUILT_IN_PALETTES.KAI, 2);
+
+    expect(lookup).toHaveLength(LOOKUP_SIZE * 4);
+    // Lowest density: KAI blue at 0.1 * 2 opacity
+    expect(Array.from(lookup.slice(0, 4))).toEqual([59, 130, 246, 51]);
+    // Densest: white, alpha capped at 1
+    expect(Array.from(lookup.slice(-4))).toEqual([255, 255, 255, 255]);
+  });
+});
+
+describe('createColorLookup', () => {
+  test('only rebuilds when the palette or intensity changes', () => {
+    const getLookup = createColorLookup();
+    const first = getLookup(DEFAULT_PALETTE, 2);
+
+    expect(getLookup(DEFAULT_PALETTE, 2)).toBe(first);
+    expect(getLookup(DEFAULT_PALETTE, 1)).not.toBe(first);
+    expect(getLookup(formatPalette(BUILT_IN_PALETTES.Fire), 1)).not.toBe(first);
+  });
+
+  test('falls back to the default palette for an invalid string', () => {
+    const getLookup = createColorLookup();
+    expect(getLookup('nonsense', 1)).toEqual(buildColorLookup(BUILT_IN_PALETTES.KAI, 1));
+  });
+});
+
+describe('rgb dye', () => {
+  test('mixes channels to the hue of the mix at full brightness', () => {
+    expect(mixDyeColor(40, 0, 40)).toEqual([255, 0, 255]);
+    expect(mixDyeColor(10, 5, 0)).toEqual([255, 127.5, 0]);
+    expect(mixDyeColor(0, 0, 0)).toEqual([255, 255, 255]);
+  });
+
+  test('alpha grows with density and colorIntensity, capped at 1', () => {
+    expect(dyeAlpha(0.25, 1)).toBeCloseTo(0.25);
+    expect(dyeAlpha(0.25, 2)).toBeGreaterThan(dyeAlpha(0.25, 1));
+    expect(dyeAlpha(1, 3)).toBe(1);
+  });
+});
+
+describe('revealAlpha', () => {
+  test('keeps a faint share of the dye away from the text and boosts it over the text', () => {
+    expect(revealAlpha(0.5, 0)).toBeCloseTo(0.5 * REVEAL_BACKGROUND);
+    expect(revealAlpha(0.5, 1)).toBeGreaterThan(0.5);
+    expect(revealAlpha(1, 1)).toBe(1);
+  });
+});
@@ -0,0 +1,186 @@
+import { INTERACTION_MODES, SCROLL_DIRECTIONS } from './interactions';
+import { QUALITY_MODES } from './createQualityGovernor';
+import { DEFAULT_PALETTE, parsePalette, formatPalette } from './palettes';
+import { DYE_MODES, DYE_SOURCES } from './dyeColors';
+import { ADVECTION_METHODS, PRESSURE_SOLVERS } from './solver';
+import { IDLE_SCRIPT_NAMES } from './createAttractMode';
+import { TEXT_EFFECTS } from './textMask';
+import { AUDIO_BAND_OPTIONS } from './audioReactive';
+import { CURSOR_SHAPES } from './createCursorEngine';
+
+// Tunable parameters of the fluid effect and the ranges the control panel exposes.
+
+export const TIMESTEP_MODES = ['frame', 'fixed'];
+
+// Solver force per unit of the gravity, wind, buoyancy and turbulence sliders
+const FORCE_SCALE = 0.01;
+
+// Config parameters with defaults - Enhanced for better visibility
+export const DEFAULT_CONFIG = {
+  fluidDensity: 150, // Amount of dye added on mouse move (50-200)
+  fluidViscosity: 0.0002, // Viscosity of the fluid (0.0001-0.01)
+  fluidDiffusion: 0.0003, // How fast the fluid spreads (0.0001-0.01)
+  colorIntensity: 2.2, // Multiplier for color brightness (0.5-3)
+  dyeMode: 'gradient', // One dye coloured by the palette, or rgb dye that carries its own colours
+  palette: DEFAULT_PALETTE, // Gradient stops as a palette string (see palettes.js)
+  dyeSource: 'cycle', // Colour of each rgb emission: fixed, cycle, speed or direction
+  dyeColor: '#5ff4e8', // Colour used by the fixed source
+  decayRate: 0.992, // How slowly the fluid fades (0.95-0.999)
+  timestep: 'frame', // One simulation step per displayed frame, or fixed at 60 steps a second
+  vorticity: 0, // Vorticity confinement strength, 0 = off (0-5)
+  advection: 'semi-lagrangian', // Advection scheme: semi-lagrangian or maccormack
+  pressureSolver: 'standard', // Pressure solve: standard or red-black
+  pressureIterations: 40, // Most red-black pressure passes per projection (10-100)
+  gravity: 0, // Pull on the dye, down or along the device tilt (0-10)
+  windX: 0, // Constant push on the dye to the right, negative = left (-10-10)
+  windY: 0, // Constant push on the dye downward, negative = up (-10-10)
+  buoyancy: 0, // Lift on the dye so dense dye rises like smoke (0-10)
+  turbulence: 0, // Slowly drifting swirls stirring the whole fluid (0-5)
+  tiltStrength: 0, // How strongly tilting the device pulls the dye, 0 = ignore tilt (0-10)
+  interactionMode: 'hover', // What pressing does: hover, splat, drag or vortex
+  hoverStrength: 10, // Velocity per pixel of pointer movement (1-30)
+  hoverRadius: 2, // Radius of the dye trail in cells (0-8)
+  splatStrength: 50, // Outward velocity of a click burst (10-150)
+  splatRadius: 5, // Radius of a click burst in cells (2-15)
+  dragStrength: 30, // Jet velocity per pixel dragged (5-80)
+  dragRadius: 3, // Jet width in cells (1-10)
+  vortexStrength: 20, // Swirl velocity while held (5-80)
+  vortexRadius: 6, // Swirl radius in cells (2-15)
+  scrollGain: 1, // Velocity per pixel scrolled, 0 = scrolling doesn't move the fluid (0-5)
+  scrollDirection: 'content', // Scrolling pushes the fluid along with the content or the scroll
+  idleTimeout: 10, // Seconds without pointer input before the idle emitters start, 0 = never (0-60)
+  idleScript: 'orbit', // Idle choreography: orbit, lissajous or rain
+  textEffect: 'off', // What marked text does: nothing, emit dye, or show where the fluid is (reveal)
+  textEmitRate: 1, // Dye per covered cell per frame in emit mode (0.1-5)
+  audioEmitBand: 'bass', // Audio band that scales the emitted dye and velocity (see audioReactive.js)
+  audioPaletteBand: 'mid', // Audio band that turns the palette's hues
+  audioIntensityBand: 'treble', // Audio band that boosts colorIntensity
+  audioBeatBand: 'bass', // Audio band whose beats fire bursts
+  audioGain: 1, // How strongly the audio drives the effect (0-3)
+  cursorShape: 'dot', // Cursor look: dot, ring, crosshair or custom (FluidCursor's cursorSvg)
+  cursorSize: 12, // Cursor dot diameter in CSS pixels; the other shapes are twice as wide (4-40)
+  cursorEasing: 1, // Share of the way to the pointer the cursor moves per frame, 1 = no lag (0.05-1)
+  cursorTrail: 0, // Number of dots trailing the cursor (0-20)
+  cursorMagnet: 0.3, // Pull toward the centre of hovered links and buttons (0-1)
+  quality: 'auto', // Grid, solver and canvas resolution: auto, low, medium or high
+};
+
+// Control definitions, in the order they appear in the control panel.
+// Numeric fields are sliders and `digits` is how many decimals the label shows;
+// fields with `options` are dropdowns, `color` fields are colour pickers and
+// `palette` fields get the gradient editor.
+// Fields with `when` only apply (and only show) while the config has those values,
+// e.g. the splat controls while interactionMode is 'splat'.
+export const CONFIG_FIELDS = [
+  { key: 'fluidDensity', label: 'Fluid Density', min: 50, max: 200, step: 1, digits: 0 },
+  { key: 'colorIntensity', label: 'Color Intensity', min: 0.5, max: 3, step: 0.1, digits: 1 },
+  { key: 'dyeMode', label: 'Dye Mode', options: DYE_MODES },
+  { key: 'palette', label: 'Palette', palette: true, when: { dyeMode: 'gradient' } },
+  { key: 'dyeSource', label: 'Dye Color Source', options: DYE_SOURCES, when: { dyeMode: 'rgb' } },
+  { key: 'dyeColor', label: 'Dye Color', color: true, when: { dyeMode: 'rgb', dyeSource: 'fixed' } },
+  { key: 'decayRate', label: 'Decay Rate', min: 0.95, max: 0.999, step: 0.001, digits: 3 },
+  { key: 'timestep', label: 'Timestep', options: TIMESTEP_MODES },
+  { key: 'fluidViscosity', label: 'Fluid Viscosity', min: 0.0001, max: 0.01, step: 0.0001, digits: 4 },
+  { key: 'fluidDiffusion', label: 'Fluid Diffusion', min: 0.0001, max: 0.01, step: 0.0001, digits: 4 },
+  { key: 'vorticity', label: 'Vorticity', min: 0, max: 5, step: 0.1, digits: 1 },
+  { key: 'advection', label: 'Advection', options: ADVECTION_METHODS },
+  { key: 'pressureSolver', label: 'Pressure Solver', options: PRESSURE_SOLVERS },
+  { key: 'pressureIterations', label: 'Pressure Iterations', min: 10, max: 100, step: 1, digits: 0, when: { pressureSolver: 'red-black' } },
+  { key: 'gravity', label: 'Gravity', min: 0, max: 10, step: 0.1, digits: 1 },
+  { key: 'windX', label: 'Wind X', min: -10, max: 10, step: 0.1, digits: 1 },
+  { key: 'windY', label: 'Wind Y', min: -10, max: 10, step: 0.1, digits: 1 },
+  { key: 'buoyancy', label: 'Buoyancy', min: 0, max: 10, step: 0.1, digits: 1 },
+  { key: 'turbulence', label: 'Turbulence', min: 0, max: 5, step: 0.1, digits: 1 },
+  { key: 'tiltStrength', label: 'Tilt Strength', min: 0, max: 10, step: 0.1, digits: 1 },
+  { key: 'interactionMode', label: 'Interaction Mode', options: INTERACTION_MODES },
+  { key: 'hoverStrength', label: 'Trail Strength', min: 1, max: 30, step: 1, digits: 0 },
+  { key: 'hoverRadius', label: 'Trail Radius', min: 0, max: 8, step: 1, digits: 0 },
+  { key: 'splatStrength', label: 'Splat Strength', min: 10, max: 150, step: 1, digits: 0, when: { interactionMode: 'splat' } },
+  { key: 'splatRadius', label: 'Splat Radius', min: 2, max: 15, step: 1, digits: 0, when: { interactionMode: 'splat' } },
+  { key: 'dragStrength', label: 'Drag Strength', min: 5, max: 80, step: 1, digits: 0, when: { interactionMode: 'drag' } },
+  { key: 'dragRadius', label: 'Drag Radius', min: 1, max: 10, step: 1, digits: 0, when: { interactionMode: 'drag' } },
+  { key: 'vortexStrength', label: 'Vortex Strength', min: 5, max: 80, step: 1, digits: 0, when: { interactionMode: 'vortex' } },
+  { key: 'vortexRadius', label: 'Vortex Radius', min: 2, max: 15, step: 1, digits: 0, when: { interactionMode: 'vortex' } },
+  { key: 'scrollGain', label: 'Scroll Gain', min: 0, max: 5, step: 0.1, digits: 1 },
+  { key: 'scrollDirection', label: 'Scroll Direction', options: SCROLL_DIRECTIONS },
+  { key: 'idleTimeout', label: 'Idle Timeout (s)', min: 0, max: 60, step: 1, digits: 0 },
+  { key: 'idleScript', label: 'Idle Script', options: IDLE_SCRIPT_NAMES },
+  { key: 'textEffect', label: 'Text Effect', options: TEXT_EFFECTS },
+  { key: 'textEmitRate', label: 'Text Emit Rate', min: 0.1, max: 5, step: 0.1, digits: 1, when: { textEffect: 'emit' } },
+  { key: 'audioEmitBand', label: 'Audio Emission Band', options: AUDIO_BAND_OPTIONS },
+  { key: 'audioPaletteBand', label: 'Audio Palette Band', options: AUDIO_BAND_OPTIONS },
+  { key: 'audioIntensityBand', label: 'Audio Intensity Band', options: AUDIO_BAND_OPTIONS },
+  { key: 'audioBeatBand', label: 'Audio Beat Band', options: AUDIO_BAND_OPTIONS },
+  { key: 'audioGain', label: 'Audio Gain', min: 0, max: 3, step: 0.1, digits: 1 },
+  { key: 'cursorShape', label: 'Cursor Shape', options: CURSOR_SHAPES },
+  { key: 'cursorSize', label: 'Cursor Size', min: 4, max: 40, step: 1, digits: 0 },
+  { key: 'cursorEasing', label: 'Cursor Easing', min: 0.05, max: 1, step: 0.05, digits: 2 },
+  { key: 'cursorTrail', label: 'Cursor Trail', min: 0, max: 20, step: 1, digits: 0 },
+  { key: 'cursorMagnet', label: 'Cursor Magnet', min: 0, max: 1, step: 0.05, digits: 2 },
+  { key: 'quality', label: 'Quality', options: QUALITY_MODES },
+];
+
+const FIELDS_BY_KEY = CONFIG_FIELDS.reduce((byKey, field) => ({ ...byKey, [field.key]: field }), {});
+
+// Keep only known keys, clamp numbers to their slider range, options to their list,
+// colours to #rrggbb and palettes to valid stops.
+// Anything missing or unusable falls back to `base`.
+export const sanitizeConfig = (values, base = DEFAULT_CONFIG) => {
+  const config = { ...base };
+  if (!values || typeof values !== 'object') return config;
+
+  Object.keys(values).forEach((key) => {
+    const field = FIELDS_BY_KEY[key];
+    if (!field) return;
+
+    if (field.palette) {
+      const stops = parsePalette(values[key]);
+      if (stops) config[key] = formatPalette(stops);
+      return;
+    }
+
+    if (field.color) {
+      if (/^#[0-9a-f]{6}$/i.test(values[key])) config[key] = values[key].toLowerCase();
+      return;
+    }
+
+    if (field.options) {
+      if (field.options.includes(values[key])) config[key] = values[key];
+      return;
+    }
+
+    const value = Number(values[key]);
+    if (values[key] === '' || values[key] === null || !Number.isFinite(value)) return;
+    config[key] = Math.min(field.max, Math.max(field.min, value));
+  });
+
+  return config;
+};
+
+// Just the config keys of an object (e.g. component props), skipping undefined ones
+export const pickConfig = (values) => Object.keys(DEFAULT_CONFIG).reduce(
+  (picked, key) => (values[key] === undefined ? picked : { ...picked, [key]: values[key] }),
+  {}
+);
+
+// Whether a control applies to the current config
+export const isFieldActive = (field, config) => !field.when || Object.keys(field.when).every(
+  (key) => config[key] === field.when[key]
+);
+
+// Map the panel config onto the engine's parameter names. `tilt` is the device's
+// [x, y] tilt (see createTiltSource.js), null when there is none.
+export const toSimulationParams = (config, tilt = null) => ({
+  viscosity: config.fluidViscosity,
+  diffusion: config.fluidDiffusion,
+  decayRate: config.decayRate,
+  dyeMode: config.dyeMode,
+  vorticity: config.vorticity,
+  advection: config.advection,
+  pressureSolver: config.pressureSolver,
+  pressureIterations: config.pressureIterations,
+  forceX: (config.windX + (tilt ? config.tiltStrength * tilt[0] : 0)) * FORCE_SCALE,
+  forceY: (config.gravity + config.windY + (tilt ? config.tiltStrength * tilt[1] : 0)) * FORCE_SCALE,
+  buoyancy: config.buoyancy * FORCE_SCALE,
+  turbulence: config.turbulence * FORCE_SCALE,
+});
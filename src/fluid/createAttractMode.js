@@ -0,0 +1,165 @@
+import createRandom from './random';
+
+// Idle "attract mode": when nobody has touched the page for a while, autonomous
+// emitters keep the fluid moving, and they hand control back on the next input.
+//
+// Choreographies are plain data - a script is a list of emitter definitions:
+//   orbit     - circles `center` once every `period` seconds. With center
+//               'obstacles' it goes round the obstacles (e.g. the headline) instead,
+//               `radius` clear of their edges.
+//   lissajous - traces a Lissajous figure of `size` (fractions of the viewport)
+//               with the given x/y `frequencies`, once every `period` seconds
+//   random    - `rate` splats a second at random places, from an RNG seeded with
+//               `seed` so the same script always plays out the same way
+// `center` is [x, y] in fractions of the viewport or 'obstacles'; `radius` is a
+// fraction of the viewport's shorter side and `phase` a fraction of a turn.
+export const IDLE_SCRIPTS = {
+  orbit: [
+    { type: 'orbit', center: 'obstacles', radius: 0.12, period: 8, phase: 0 },
+    { type: 'orbit', center: 'obstacles', radius: 0.12, period: 8, phase: 0.5 },
+  ],
+  lissajous: [
+    { type: 'lissajous', center: [0.5, 0.5], size: [0.38, 0.3], frequencies: [3, 2], period: 16 },
+  ],
+  rain: [
+    { type: 'random', rate: 1.5, seed: 2024, strength: 15 },
+  ],
+};
+
+export const IDLE_SCRIPT_NAMES = Object.keys(IDLE_SCRIPTS);
+
+const FADE_MS = 1000; // How long the emitters take to fade in, and out again on input
+
+// Centre point for an emitter plus the half-size of whatever it goes round
+const resolveCenter = (center, { width, height, obstacles = [] }) => {
+  if (center === 'obstacles' && obstacles.length > 0) {
+    const left = Math.min(...obstacles.map((rect) => rect.left));
+    const top = Math.min(...obstacles.map((rect) => rect.top));
+    const right = Math.max(...obstacles.map((rect) => rect.right));
+    const bottom = Math.max(...obstacles.map((rect) => rect.bottom));
+    return { x: (left + right) / 2, y: (top + bottom) / 2, halfWidth: (right - left) / 2, halfHeight: (bottom - top) / 2 };
+  }
+
+  const [fx, fy] = Array.isArray(center) ? center : [0.5, 0.5];
+  return { x: fx * width, y: fy * height, halfWidth: 0, halfHeight: 0 };
+};
+
+// Emitters by type. `position(t, area)` moves a virtual pointer (t in seconds since
+// the script started); `splats(t, area)` returns the splats due by then.
+const EMITTER_TYPES = {
+  orbit: ({ center = [0.5, 0.5], radius = 0.2, period = 6, phase = 0, direction = 1 }) => ({
+    position(t, area) {
+      const c = resolveCenter(center, area);
+      const r = radius * Math.min(area.width, area.height);
+      const angle = 2 * Math.PI * (direction * (t / period) + phase);
+      return [c.x + Math.cos(angle) * (c.halfWidth + r), c.y + Math.sin(angle) * (c.halfHeight + r)];
+    },
+  }),
+
+  lissajous: ({ center = [0.5, 0.5], size = [0.35, 0.25], frequencies = [3, 2], period = 12, phase = 0 }) => ({
+    position(t, area) {
+      const c = resolveCenter(center, area);
+      const angle = 2 * Math.PI * (t / period + phase);
+      return [
+        c.x + Math.cos(frequencies[0] * angle) * size[0] * area.width,
+        c.y + Math.sin(frequencies[1] * angle) * size[1] * area.height,
+      ];
+    },
+  }),
+
+  random: ({ rate = 1, seed = 1, strength = 15 }) => {
+    const random = createRandom(seed);
+    let due = 0;
+    return {
+      splats(t, area) {
+        const splats = [];
+        while (t >= due) {
+          splats.push({
+            x: random() * area.width,
+            y: random() * area.height,
+            dx: (random() - 0.5) * 2 * strength,
+            dy: (random() - 0.5) * 2 * strength,
+          });
+          due += (0.5 + random()) / rate;
+        }
+        return splats;
+      },
+    };
+  },
+};
+
+const NOTHING = { weight: 0, pointers: [], splats: [] };
+
+// Tracks pointer input and runs the idle script once there has been none for
+// config.idleTimeout seconds (0 = never). Call input() on every pointer event and
+// update() once a frame; update() returns the emitters' virtual pointers (shaped
+// like createPointerTracker's), the splats due this frame in CSS pixels, and
+// `weight`, which ramps from 0 (user in control) to 1 (emitters fully on) and back.
+const createAttractMode = ({ scripts = IDLE_SCRIPTS, fadeMs = FADE_MS } = {}) => {
+  let lastInput = null;
+  let inputPending = false;
+  let fade = 0; // ms into the fade, 0 to fadeMs
+  let emitters = null;
+  let scriptName = null;
+  let startedAt = 0;
+
+  const start = (name, time) => {
+    scriptName = name;
+    startedAt = time;
+    const script = scripts[name] || scripts[Object.keys(scripts)[0]] || [];
+    emitters = script
+      .filter((definition) => EMITTER_TYPES[definition.type])
+      .map((definition) => ({ ...EMITTER_TYPES[definition.type](definition), pointer: null }));
+  };
+
+  // Move an emitter's virtual pointer, starting it in place on its first frame
+  const movePointer = (emitter, index, [x, y]) => {
+    if (!emitter.pointer) {
+      emitter.pointer = { id: `idle-${index}`, type: 'idle', x, y, lastX: x, lastY: y, down: false, pressStarted: false };
+    }
+    const { pointer } = emitter;
+    pointer.lastX = pointer.x;
+    pointer.lastY = pointer.y;
+    pointer.x = x;
+    pointer.y = y;
+    return pointer;
+  };
+
+  return {
+    get active() { return emitters !== null; },
+    get weight() { return fade / fadeMs; },
+
+    // The user did something - hand control back
+    input() {
+      inputPending = true;
+    },
+
+    // time and interval in ms as given by the frame loop; area is
+    // { width, height, obstacles } in CSS pixels
+    update(time, interval, { idleTimeout, idleScript }, area) {
+      if (inputPending || lastInput === null) lastInput = time;
+      inputPending = false;
+
+      const idle = idleTimeout > 0 && time - lastInput >= idleTimeout * 1000;
+      fade = Math.min(fadeMs, Math.max(0, fade + (idle ? interval : -interval)));
+
+      if (idle && (!emitters || scriptName !== idleScript)) start(idleScript, time);
+      if (!emitters) return NOTHING;
+      if (!idle && fade === 0) {
+        emitters = null;
+        return NOTHING;
+      }
+
+      const t = (time - startedAt) / 1000;
+      const pointers = [];
+      const splats = [];
+      emitters.forEach((emitter, index) => {
+        if (emitter.position) pointers.push(movePointer(emitter, index, emitter.position(t, area)));
+        if (emitter.splats) splats.push(...emitter.splats(t, area));
+      });
+      return { weight: fade / fadeMs, pointers, splats };
+    },
+  };
+};
+
+export default createAttractMode;
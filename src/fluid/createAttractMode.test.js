@@ -0,0 +1,86 @@
+import createAttractMode, { IDLE_SCRIPTS } from './createAttractMode';
+
+const area = { width: 800, height: 600, obstacles: [] };
+const config = (overrides = {}) => ({ idleTimeout: 2, idleScript: 'orbit', ...overrides });
+
+// Run frames every `step` ms from `from` up to and including `to`
+const runFrames = (attract, from, to, step = 100, overrides) => {
+  let result;
+  for (let time = from; time <= to; time += step) {
+    result = attract.update(time, time === 0 ? 0 : step, config(overrides), area);
+  }
+  return result;
+};
+
+describe('createAttractMode', () => {
+  test('starts after the idle timeout and fades in', () => {
+    const attract = createAttractMode();
+
+    expect(runFrames(attract, 0, 1900).pointers).toHaveLength(0);
+    expect(attract.active).toBe(false);
+
+    const started = runFrames(attract, 2000, 2500);
+    expect(attract.active).toBe(true);
+    expect(started.pointers).toHaveLength(IDLE_SCRIPTS.orbit.length);
+    expect(started.weight).toBeCloseTo(0.6);
+
+    expect(runFrames(attract, 2600, 4000).weight).toBe(1);
+  });
+
+  test('hands back to the user smoothly on input', () => {
+    const attract = createAttractMode();
+    runFrames(attract, 0, 5000);
+
+    attract.input();
+    const fading = runFrames(attract, 5100, 5500);
+    expect(fading.weight).toBeGreaterThan(0);
+    expect(fading.weight).toBeLessThan(1);
+    expect(fading.pointers.length).toBeGreaterThan(0);
+
+    expect(runFrames(attract, 5600, 6200).pointers).toHaveLength(0);
+    expect(attract.active).toBe(false);
+  });
+
+  test('never starts with an idle timeout of 0', () => {
+    const attract = createAttractMode();
+    runFrames(attract, 0, 20000, 500, { idleTimeout: 0 });
+    expect(attract.active).toBe(false);
+  });
+
+  test('orbits go round the obstacles, clear of their edges', () => {
+    const headline = { left: 200, top: 250, right: 600, bottom: 350 };
+    const attract = createAttractMode();
+
+    const frameArea = { ...area, obstacles: [headline] };
+    const positions = [];
+
+    for (let time = 0; time < 10000; time += 100) {
+      positions.push(...attract.update(time, time === 0 ? 0 : 100, config(), frameArea).pointers.map(({ x, y }) => [x, y]));
+    }
+    expect(positions.length).toBeGreaterThan(100);
+    positions.forEach(([x, y]) => {
+      const inside = x > headline.left && x < headline.right && y > headline.top && y < headline.bottom;
+      expect(inside).toBe(false);
+    });
+  });
+
+  test('scripts are data and seeded splats replay identically', () => {
+    const scripts = { burst: [{ type: 'random', rate: 4, seed: 99 }, { type: 'unknown' }] };
+    const play = () => {
+      const attract = createAttractMode({ scripts });
+      const splats = [];
+      for (let time = 0; time <= 3000; time += 100) {
+        splats.push(...attract.update(time, 100, config({ idleTimeout: 1, idleScript: 'burst' }), area).splats);
+      }
+      return splats;
+    };
+
+    const first = play();
+    expect(first.length).toBeGreaterThan(4);
+    expect(play()).toEqual(first);
+    first.forEach(({ x, y }) => {
+      expect(x).toBeLessThan(area.width);
+      expect(y).toBeLessThan(area.height);
+    });
+  });
+});
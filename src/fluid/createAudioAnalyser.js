@@ -0,0 +1,71 @@
+import { bandLevels } from './audioReactive';
+
+const createAudioContext = () => new (window.AudioContext || window.webkitAudioContext)();
+
+// Elements all play through one long-lived context (by createContext), since
+// they keep playing after their analyser goes and browsers cap running contexts.
+// An element can only be routed into Web Audio once in its lifetime, so its
+// source node is kept for the next analyser (e.g. a remount).
+const elementContexts = new WeakMap();
+const elementSources = new WeakMap();
+
+const sharedContext = (createContext) => {
+  if (!elementContexts.has(createContext)) elementContexts.set(createContext, createContext());
+  return elementContexts.get(createContext);
+};
+
+const isStream = (source) => typeof MediaStream !== 'undefined' && source instanceof MediaStream;
+
+// Runs an <audio>/<video> element or a MediaStream through an AnalyserNode.
+// levels() returns the current level (0-1) of every band in AUDIO_BANDS.
+// Elements keep playing through the speakers; streams (e.g. a microphone) are only
+// analysed, so they don't feed back.
+const createAudioAnalyser = (source, {
+  fftSize = 1024,
+  smoothing = 0.8,
+  createContext = createAudioContext,
+} = {}) => {
+  const stream = isStream(source);
+  const context = stream ? createContext() : sharedContext(createContext);
+  let node = stream ? null : elementSources.get(source);
+  if (!node) {
+    node = stream ? context.createMediaStreamSource(source) : context.createMediaElementSource(source);
+    if (!stream) elementSources.set(source, node);
+  }
+
+  const analyser = context.createAnalyser();
+  analyser.fftSize = fftSize;
+  analyser.smoothingTimeConstant = smoothing;
+  node.disconnect();
+  node.connect(analyser);
+  if (!stream) analyser.connect(context.destination);
+  const data = new Uint8Array(analyser.frequencyBinCount);
+
+  // Contexts start suspended until the page has been interacted with
+  const resume = () => {
+    if (context.state === 'suspended') context.resume().catch(() => {});
+  };
+  resume();
+  if (!stream) source.addEventListener('play', resume);
+
+  return {
+    levels() {
+      analyser.getByteFrequencyData(data);
+      return bandLevels(data, context.sampleRate);
+    },
+
+    // An element goes on playing straight to the speakers
+    destroy() {
+      analyser.disconnect();
+      node.disconnect();
+      if (stream) {
+        context.close().catch(() => {});
+        return;
+      }
+      source.removeEventListener('play', resume);
+      node.connect(context.destination);
+    },
+  };
+};
+
+export default createAudioAnalyser;
@@ -0,0 +1,76 @@
+import createAudioAnalyser from './createAudioAnalyser';
+
+// Web Audio graph fake that records connections
+const fakeNode = (name, graph) => {
+  const node = {
+    name,
+    connect: jest.fn((target) => graph.push([name, target.name])),
+    disconnect: jest.fn(),
+  };
+  return node;
+};
+
+const fakeContext = () => {
+  const graph = [];
+  const context = {
+    graph,
+    state: 'suspended',
+    sampleRate: 16000,
+    destination: { name: 'speakers' },
+    resume: jest.fn(() => Promise.resolve()),
+    close: jest.fn(() => Promise.resolve()),
+    createMediaElementSource: jest.fn(() => fakeNode('element', graph)),
+    createMediaStreamSource: jest.fn(() => fakeNode('stream', graph)),
+    createAnalyser: () => ({
+      ...fakeNode('analyser', graph),
+      frequencyBinCount: 8,
+      getByteFrequencyData: (data) => data.fill(255),
+    }),
+  };
+  return context;
+};
+
+describe('createAudioAnalyser', () => {
+  test('analyses an element, keeps it audible and reuses its source node', () => {
+    const element = document.createElement('audio');
+    const context = fakeContext();
+    const createContext = jest.fn(() => context);
+
+    const analyser = createAudioAnalyser(element, { createContext });
+    expect(context.graph).toEqual([['element', 'analyser'], ['analyser', 'speakers']]);
+    expect(context.resume).toHaveBeenCalled();
+    expect(analyser.levels()).toEqual({ bass: 1, mid: 1, treble: 1 });
+
+    analyser.destroy();
+    expect(context.graph.slice(-1)).toEqual([['element', 'speakers']]);
+
+    // An element can only be routed into Web Audio once
+    createAudioAnalyser(element, { createContext }).destroy();
+    expect(createContext).toHaveBeenCalledTimes(1);
+    expect(context.createMediaElementSource).toHaveBeenCalledTimes(1);
+  });
+
+  test('elements share one context', () => {
+    const context = fakeContext();
+    const createContext = jest.fn(() => context);
+
+    createAudioAnalyser(document.createElement('audio'), { createContext }).destroy();
+    createAudioAnalyser(document.createElement('audio'), { createContext }).destroy();
+
+    expect(createContext).toHaveBeenCalledTimes(1);
+    expect(context.createMediaElementSource).toHaveBeenCalledTimes(2);
+    expect(context.close).not.toHaveBeenCalled();
+  });
+
+  test('only analyses streams and closes their context', () => {
+    global.MediaStream = function MediaStream() {};
+    const context = fakeContext();
+
+    const analyser = createAudioAnalyser(new MediaStream(), { createContext: () => context });
+    expect(context.graph).toEqual([['stream', 'analyser']]);
+
+    analyser.destroy();
+    expect(context.close).toHaveBeenCalled();
+    delete global.MediaStream;
+  });
+});
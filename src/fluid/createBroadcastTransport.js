@@ -0,0 +1,29 @@
+// Transport for createSharedFluid.js between tabs and windows of the same origin
+// on one machine, over a BroadcastChannel named `name`. BroadcastChannelImpl is
+// injectable for tests.
+const createBroadcastTransport = (name = 'fluid-cursor', {
+  BroadcastChannelImpl = typeof BroadcastChannel === 'undefined' ? null : BroadcastChannel,
+} = {}) => {
+  if (!BroadcastChannelImpl) return null;
+  const channel = new BroadcastChannelImpl(name);
+  const listeners = new Set();
+  channel.onmessage = ({ data }) => listeners.forEach((listener) => listener(data));
+
+  return {
+    send(message) {
+      channel.postMessage(message);
+    },
+
+    subscribe(listener) {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+
+    close() {
+      listeners.clear();
+      channel.close();
+    },
+  };
+};
+
+export default createBroadcastTransport;
@@ -0,0 +1,26 @@
+import { BroadcastChannel } from 'worker_threads';
+import createBroadcastTransport from './createBroadcastTransport';
+
+describe('createBroadcastTransport', () => {
+  test('delivers messages to the other transports on the channel', () => {
+    const options = { BroadcastChannelImpl: BroadcastChannel };
+    const a = createBroadcastTransport('fluid-test', options);
+    const b = createBroadcastTransport('fluid-test', options);
+    const other = createBroadcastTransport('other-test', options);
+    const onOther = jest.fn();
+    other.subscribe(onOther);
+
+    return new Promise((resolve) => {
+      b.subscribe(resolve);
+      a.send({ type: 'splat', x: 0.5 });
+    }).then((message) => {
+      expect(message).toEqual({ type: 'splat', x: 0.5 });
+      expect(onOther).not.toHaveBeenCalled();
+      [a, b, other].forEach((transport) => transport.close());
+    });
+  });
+
+  test('is null without BroadcastChannel', () => {
+    expect(createBroadcastTransport('fluid-test', { BroadcastChannelImpl: null })).toBeNull();
+  });
+});
@@ -0,0 +1,11 @@
+// A canvas to draw on off screen: an OffscreenCanvas where there is one (workers
+// have no document), else a detached <canvas>
+const createCanvas = (width, height) => {
+  if (typeof OffscreenCanvas !== 'undefined') return new OffscreenCanvas(width, height);
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  return canvas;
+};
+
+export default createCanvas;
@@ -0,0 +1,94 @@
+import {
+  createColorLookup, dyeAlpha, mixDyeColor, revealAlpha, DENSITY_THRESHOLD, DENSITY_SCALE, LOOKUP_SIZE,
+} from './colors';
+import { sampleTextMask } from './textMask';
+
+// Canvas2D renderer for a fluid simulation's density field.
+// Paints every grid cell as a block of colour from the palette's lookup table, or
+// in rgb dye mode with the colour the dye mixed to.
+// The canvas may have a lower resolution than the area the simulation covers
+// (see the quality governor), so cells are scaled to canvas pixels.
+// With a text mask (reveal mode, see textMask.js) the opacity follows the text
+// pixel by pixel.
+const createCanvasRenderer = (ctx) => {
+  const getLookup = createColorLookup();
+
+  return {
+    // Draw the fluid
+    draw(simulation, { colorIntensity, palette }, textMask = null) {
+      const { width, height } = ctx.canvas;
+      const { cols, rows, cellSize, density, dye } = simulation;
+      const cellWidth = cellSize * (width / simulation.width);
+      const cellHeight = cellSize * (height / simulation.height);
+      const toCssX = simulation.width / width;
+      const toCssY = simulation.height / height;
+
+      // Clear canvas with transparent color so the background shows through
+      ctx.clearRect(0, 0, width, height);
+
+      const imageData = ctx.getImageData(0, 0, width, height);
+      const data = imageData.data;
+      const lookup = getLookup(palette, colorIntensity);
+
+      // Draw density field
+      for (let x = 0; x < cols; x++) {
+        for (let y = 0; y < rows; y++) {
+          const d = density[x + y * cols];
+
+          if (d > DENSITY_THRESHOLD) { // Lower threshold to draw more of the fluid
+            // Normalize density value to 0-1 range for color mapping with boosted visibility
+            const normalizedDensity = Math.min(d / DENSITY_SCALE, 1); // Reduce divisor to make colors appear at lower densities
+
+            // Look up the palette colour for this density, or mix the rgb dye
+            let red;
+            let green;
+            let blue;
+            let cellAlpha;
+            if (dye) {
+              const cell = x + y * cols;
+              [red, green, blue] = mixDyeColor(dye[0][cell], dye[1][cell], dye[2][cell]);
+              cellAlpha = dyeAlpha(normalizedDensity, colorIntensity);
+            } else {
+              const k = Math.round(normalizedDensity * (LOOKUP_SIZE - 1)) * 4;
+              red = lookup[k];
+              green = lookup[k + 1];
+              blue = lookup[k + 2];
+              cellAlpha = lookup[k + 3] / 255;
+            }
+
+            // Fill cell area with calculated color
+            const startX = Math.floor(x * cellWidth);
+            const startY = Math.floor(y * cellHeight);
+            const endX = Math.min(width, Math.floor((x + 1) * cellWidth));
+            const endY = Math.min(height, Math.floor((y + 1) * cellHeight));
+
+            // Apply color to each pixel in the cell
+            for (let pixelX = startX; pixelX < endX; pixelX++) {
+              for (let pixelY = startY; pixelY < endY; pixelY++) {
+                const idx = (pixelY * width + pixelX) * 4;
+                const alpha = textMask
+                  ? revealAlpha(cellAlpha, sampleTextMask(textMask, pixelX * toCssX, pixelY * toCssY))
+                  : cellAlpha;
+
+                // Blend colors using alpha compositing
+                const existingAlpha = data[idx + 3] / 255;
+                const outAlpha = alpha + existingAlpha * (1 - alpha);
+
+                if (outAlpha > 0) {
+                  data[idx] = (red * alpha + data[idx] * existingAlpha * (1 - alpha)) / outAlpha;
+                  data[idx + 1] = (green * alpha + data[idx + 1] * existingAlpha * (1 - alpha)) / outAlpha;
+                  data[idx + 2] = (blue * alpha + data[idx + 2] * existingAlpha * (1 - alpha)) / outAlpha;
+                  data[idx + 3] = outAlpha * 255;
+                }
+              }
+            }
+          }
+        }
+      }
+
+      ctx.putImageData(imageData, 0, 0);
+    }
+  };
+};
+
+export default createCanvasRenderer;
@@ -0,0 +1,58 @@
+// Records frames into a WebM clip: every frame handed to addFrame is drawn onto a
+// canvas whose captureStream feeds a MediaRecorder. Frames can be canvases or
+// ImageBitmaps (as they arrive from the worker), so recording works wherever the
+// fluid runs. stop() resolves with the clip as a Blob.
+
+const MIME_TYPES = ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm'];
+const BITS_PER_PIXEL = 0.2; // Video bitrate per pixel per frame - sharp enough for fine dye
+
+// Whether this browser can record canvas clips at all
+export const canRecordClips = () => (
+  typeof MediaRecorder !== 'undefined' &&
+  typeof HTMLCanvasElement !== 'undefined' &&
+  typeof HTMLCanvasElement.prototype.captureStream === 'function'
+);
+
+const pickMimeType = () => (
+  MIME_TYPES.find((type) => !MediaRecorder.isTypeSupported || MediaRecorder.isTypeSupported(type))
+);
+
+const createClipRecorder = ({ width, height, frameRate = 60 }) => {
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  const ctx = canvas.getContext('2d');
+
+  const stream = canvas.captureStream(frameRate);
+  const mimeType = pickMimeType();
+  const recorder = new MediaRecorder(stream, {
+    mimeType,
+    videoBitsPerSecond: Math.round(width * height * frameRate * BITS_PER_PIXEL),
+  });
+
+  const chunks = [];
+  recorder.ondataavailable = (e) => {
+    if (e.data && e.data.size > 0) chunks.push(e.data);
+  };
+  const finished = new Promise((resolve) => {
+    recorder.onstop = () => {
+      stream.getTracks().forEach((track) => track.stop());
+      resolve(new Blob(chunks, { type: recorder.mimeType || mimeType }));
+    };
+  });
+  recorder.start();
+
+  return {
+    addFrame(frame) {
+      if (recorder.state === 'recording') ctx.drawImage(frame, 0, 0, width, height);
+      if (frame.close) frame.close();
+    },
+
+    stop() {
+      if (recorder.state !== 'inactive') recorder.stop();
+      return finished;
+    },
+  };
+};
+
+export default createClipRecorder;
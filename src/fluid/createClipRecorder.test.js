@@ -0,0 +1,64 @@
+import createClipRecorder, { canRecordClips } from './createClipRecorder';
+
+// MediaRecorder fake that produces one chunk when stopped
+class FakeMediaRecorder {
+  static isTypeSupported(type) {
+    return type === 'video/webm;codecs=vp8';
+  }
+
+  constructor(stream, options) {
+    this.stream = stream;
+    this.options = options;
+    this.state = 'inactive';
+    this.mimeType = options.mimeType;
+  }
+
+  start() {
+    this.state = 'recording';
+  }
+
+  stop() {
+    this.state = 'inactive';
+    this.ondataavailable({ data: new Blob(['clip']) });
+    this.onstop();
+  }
+}
+
+describe('createClipRecorder', () => {
+  let drawn;
+  let track;
+
+  beforeEach(() => {
+    drawn = [];
+    track = { stop: jest.fn() };
+    global.MediaRecorder = FakeMediaRecorder;
+    HTMLCanvasElement.prototype.captureStream = jest.fn(() => ({ getTracks: () => [track] }));
+    jest.spyOn(HTMLCanvasElement.prototype, 'getContext').mockImplementation(() => ({
+      drawImage: (frame, x, y, width, height) => drawn.push([frame.name, width, height]),
+    }));
+  });
+
+  afterEach(() => {
+    delete global.MediaRecorder;
+    delete HTMLCanvasElement.prototype.captureStream;
+    jest.restoreAllMocks();
+  });
+
+  test('records the frames it is given into a WebM Blob', () => {
+    expect(canRecordClips()).toBe(true);
+
+    const recorder = createClipRecorder({ width: 320, height: 180 });
+    const bitmap = { name: 'bitmap', close: jest.fn() };
+    recorder.addFrame({ name: 'canvas' });
+    recorder.addFrame(bitmap);
+
+    expect(drawn).toEqual([['canvas', 320, 180], ['bitmap', 320, 180]]);
+    expect(bitmap.close).toHaveBeenCalled();
+
+    return recorder.stop().then((blob) => {
+      expect(blob.type).toBe('video/webm;codecs=vp8');
+      expect(blob.size).toBe(4);
+      expect(track.stop).toHaveBeenCalled();
+    });
+  });
+});
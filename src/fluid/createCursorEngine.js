@@ -0,0 +1,239 @@
+import createFrameLoop from './createFrameLoop';
+
+export const CURSOR_SHAPES = ['dot', 'ring', 'crosshair', 'custom'];
+
+// What the cursor reacts to when it is over it. data-cursor="View" also shows
+// "View" next to the cursor.
+export const HOVER_SELECTOR = 'a[href], button, [role="button"], [data-cursor]';
+
+const HOVER_SCALE = 2; // Size over links, buttons and data-cursor elements
+const PRESS_SCALE = 0.7; // Size while pressed
+const SCALE_EASING = 0.3; // Share of the way to the target size per 60 Hz frame
+const TRAIL_EASING = 0.45; // Most a trail dot catches up on the one before it per frame
+const FRAME_MS = 1000 / 60;
+const SETTLED = 0.05; // Closer than this (px, or scale) counts as there
+
+const GLOW = '0 0 10px rgba(59, 130, 246, 0.8), 0 0 20px rgba(95, 244, 232, 0.5)';
+const LINE = 'linear-gradient(white, white) no-repeat center';
+
+// A custom shape is SVG markup or the URL of an image
+const imageUrl = (svg) => (
+  svg.trim().startsWith('<') ? `url("data:image/svg+xml,${encodeURIComponent(svg)}")` : `url("${svg}")`
+);
+
+// Styles of the cursor's head for each shape, `size` CSS pixels across
+const SHAPE_STYLES = {
+  dot: (size) => ({
+    width: `${size}px`,
+    height: `${size}px`,
+    borderRadius: '50%',
+    border: 'none',
+    background: 'white',
+    boxShadow: GLOW,
+  }),
+  ring: (size) => ({
+    width: `${size * 2}px`,
+    height: `${size * 2}px`,
+    borderRadius: '50%',
+    border: '2px solid white',
+    background: 'none',
+    boxShadow: GLOW,
+  }),
+  crosshair: (size) => ({
+    width: `${size * 2}px`,
+    height: `${size * 2}px`,
+    borderRadius: '0',
+    border: 'none',
+    background: `${LINE} / 2px 100%, ${LINE} / 100% 2px`,
+    boxShadow: 'none',
+  }),
+  custom: (size, svg) => ({
+    width: `${size * 2}px`,
+    height: `${size * 2}px`,
+    borderRadius: '0',
+    border: 'none',
+    background: 'none',
+    backgroundImage: imageUrl(svg),
+    backgroundRepeat: 'no-repeat',
+    backgroundPosition: 'center',
+    backgroundSize: 'contain',
+    boxShadow: 'none',
+  }),
+};
+
+// An absolutely placed element in `root`, before `next` if given
+const createPart = (root, style, next = null) => {
+  const element = document.createElement('div');
+  Object.assign(element.style, { position: 'absolute', left: '0', top: '0', willChange: 'transform' }, style);
+  root.insertBefore(element, next);
+  return element;
+};
+
+// Share of the remaining distance covered in `interval` ms, for an easing given
+// per 60 Hz frame - so the follow feels the same at any frame rate
+const easeFactor = (easing, interval) => 1 - (1 - easing) ** ((interval || FRAME_MS) / FRAME_MS);
+
+// The custom cursor, drawn into `root` (a fixed, pointer-events: none element) and
+// moved with transforms outside of React. Options (see configure):
+//   shape   - 'dot', 'ring', 'crosshair' or 'custom' (the `svg` image; a dot without one)
+//   size    - dot diameter in CSS pixels; the other shapes are twice as wide
+//   easing  - share of the way to the pointer the cursor moves per 60 Hz frame,
+//             1 = stuck to the pointer
+//   trail   - number of trailing dots, each following the one before it
+//   magnet  - how far the cursor is pulled toward the centre of what it hovers (0-1)
+//   svg     - SVG markup or an image URL for the custom shape
+//   reducedMotion - no easing, trail or magnet
+// Over links, buttons and data-cursor elements (HOVER_SELECTOR) the cursor grows,
+// is pulled toward their centre and shows their data-cursor label; it shrinks
+// while pressed.
+const createCursorEngine = (root, frameOptions) => {
+  const options = { shape: 'dot', size: 12, easing: 1, trail: 0, magnet: 0, svg: null, reducedMotion: false };
+  const head = createPart(root, { transform: 'translate(-100px, -100px)', mixBlendMode: 'difference' });
+  const label = createPart(root, {
+    display: 'none',
+    padding: '2px 6px',
+    borderRadius: '4px',
+    background: 'rgba(13, 17, 23, 0.8)',
+    color: 'white',
+    font: '12px Arial, sans-serif',
+    whiteSpace: 'nowrap',
+  });
+
+  let trail = []; // { element, x, y }
+  let pointer = null; // Latest pointer position
+  let position = null; // Where the head is drawn
+  let scale = 1;
+  let pressed = false;
+  let hovered = null; // Element under the pointer that the cursor reacts to
+
+  const following = () => !options.reducedMotion;
+
+  // Where the head is headed: the pointer, pulled toward the hovered element
+  const targetPoint = () => {
+    const magnet = following() ? options.magnet : 0;
+    if (!hovered || magnet === 0) return pointer;
+    const rect = hovered.getBoundingClientRect();
+    const cx = rect.left + rect.width / 2;
+    const cy = rect.top + rect.height / 2;
+    return { x: pointer.x + (cx - pointer.x) * magnet, y: pointer.y + (cy - pointer.y) * magnet };
+  };
+
+  const targetScale = () => {
+    let target = hovered ? HOVER_SCALE : 1;
+    if (pressed) target *= PRESS_SCALE;
+    return target;
+  };
+
+  const place = (element, x, y, elementScale = 1) => {
+    element.style.transform = `translate3d(${x}px, ${y}px, 0) translate(-50%, -50%) scale(${elementScale})`;
+  };
+
+  const draw = () => {
+    place(head, position.x, position.y, scale);
+    trail.forEach((dot) => place(dot.element, dot.x, dot.y));
+    if (label.style.display !== 'none') {
+      label.style.transform = `translate3d(${position.x + options.size * scale}px, ${position.y + options.size * scale}px, 0)`;
+    }
+  };
+
+  // Move everything one frame closer to where it is headed; true once it is there
+  const update = (interval) => {
+    if (hovered && !hovered.isConnected) hovered = null;
+    const target = targetPoint();
+    const follow = following() ? easeFactor(options.easing, interval) : 1;
+    const lag = easeFactor(Math.min(options.easing, TRAIL_EASING), interval);
+    const grow = following() ? easeFactor(SCALE_EASING, interval) : 1;
+
+    let settled = true;
+    const approach = (point, to, factor) => {
+      point.x += (to.x - point.x) * factor;
+      point.y += (to.y - point.y) * factor;
+      if (Math.abs(to.x - point.x) < SETTLED && Math.abs(to.y - point.y) < SETTLED) {
+        point.x = to.x;
+        point.y = to.y;
+      } else {
+        settled = false;
+      }
+    };
+
+    approach(position, target, follow);
+    trail.forEach((dot, index) => approach(dot, index === 0 ? position : trail[index - 1], lag));
+
+    scale += (targetScale() - scale) * grow;
+    if (Math.abs(targetScale() - scale) < SETTLED / 10) scale = targetScale();
+    else settled = false;
+
+    draw();
+    return settled;
+  };
+
+  const loop = createFrameLoop((time, interval) => {
+    if (update(interval)) loop.stop();
+  }, frameOptions);
+
+  const wake = () => {
+    if (position) loop.start();
+  };
+
+  // Trail dots fade and shrink toward the end, and are drawn under the head
+  const buildTrail = () => {
+    trail.forEach((dot) => root.removeChild(dot.element));
+    const count = following() ? options.trail : 0;
+    const start = position || { x: -100, y: -100 };
+    trail = Array.from({ length: count }, (unused, index) => {
+      const dotSize = Math.max(2, options.size * 0.6 * (1 - index / (count + 1)));
+      const element = createPart(root, {
+        width: `${dotSize}px`,
+        height: `${dotSize}px`,
+        borderRadius: '50%',
+        background: 'white',
+        opacity: `${0.6 * (1 - index / count)}`,
+        mixBlendMode: 'difference',
+      }, head);
+      return { element, x: start.x, y: start.y };
+    });
+  };
+
+  const setHovered = (element) => {
+    if (element === hovered) return;
+    hovered = element;
+    const text = element && element.getAttribute('data-cursor');
+    label.textContent = text || '';
+    label.style.display = text ? 'block' : 'none';
+  };
+
+  return {
+    configure(next) {
+      Object.assign(options, next);
+      const shape = options.shape === 'custom' && !options.svg ? 'dot' : options.shape;
+      Object.assign(head.style, (SHAPE_STYLES[shape] || SHAPE_STYLES.dot)(options.size, options.svg));
+      buildTrail();
+      wake();
+    },
+
+    // Pointer position in viewport CSS pixels and the element it is over
+    move(x, y, target = null) {
+      pointer = { x, y };
+      if (!position) {
+        // Start out at the pointer rather than flying in
+        position = { x, y };
+        trail.forEach((dot) => Object.assign(dot, { x, y }));
+      }
+      setHovered(target && target.closest ? target.closest(HOVER_SELECTOR) : null);
+      wake();
+    },
+
+    press(down) {
+      pressed = down;
+      wake();
+    },
+
+    destroy() {
+      loop.stop();
+      [head, label, ...trail.map((dot) => dot.element)].forEach((element) => root.removeChild(element));
+      trail = [];
+    },
+  };
+};
+
+export default createCursorEngine;
@@ -0,0 +1,142 @@
+import createCursorEngine from './createCursorEngine';
+
+// Manual frames - flush() runs the pending one
+const fakeFrames = () => {
+  let pending = null;
+  return {
+    requestFrame: (callback) => { pending = callback; return 1; },
+    cancelFrame: () => { pending = null; },
+    get pending() { return pending !== null; },
+    flush: (time = 0) => {
+      const callback = pending;
+      pending = null;
+      if (callback) callback(time);
+    },
+  };
+};
+
+// Position and scale an element was last drawn at
+const transformOf = (element) => {
+  const match = element.style.transform
+    .match(/translate3d\(([-\d.]+)px, ([-\d.]+)px, 0\) translate\(-50%, -50%\) scale\(([\d.]+)\)/);
+  return { x: Number(match[1]), y: Number(match[2]), scale: Number(match[3]) };
+};
+
+// The head comes after the trail, with the label last
+const headTransform = (root) => transformOf(root.lastChild.previousSibling);
+
+const label = (root) => root.lastChild;
+
+// A button 100x40 at (200, 100)
+const addButton = (text = 'Go', attributes = {}) => {
+  const button = document.createElement('button');
+  button.textContent = text;
+  Object.keys(attributes).forEach((name) => button.setAttribute(name, attributes[name]));
+  button.getBoundingClientRect = () => ({ left: 200, top: 100, width: 100, height: 40 });
+  document.body.appendChild(button);
+  return button;
+};
+
+describe('createCursorEngine', () => {
+  let root;
+
+  beforeEach(() => {
+    root = document.createElement('div');
+    document.body.appendChild(root);
+  });
+
+  afterEach(() => {
+    document.body.innerHTML = '';
+  });
+
+  test('sticks to the pointer by default and stops drawing once it is there', () => {
+    const frames = fakeFrames();
+    const engine = createCursorEngine(root, frames);
+    engine.move(50, 60);
+    frames.flush(0);
+
+    expect(headTransform(root)).toEqual({ x: 50, y: 60, scale: 1 });
+    expect(frames.pending).toBe(false);
+    engine.destroy();
+    expect(root.childNodes).toHaveLength(0);
+  });
+
+  test('eases toward the pointer and trails dots behind it', () => {
+    const frames = fakeFrames();
+    const engine = createCursorEngine(root, frames);
+    engine.configure({ easing: 0.5, trail: 3 });
+    expect(root.childNodes).toHaveLength(5); // Trail, head and label
+
+    engine.move(0, 0);
+    frames.flush(0);
+    engine.move(100, 0);
+    frames.flush(16);
+    expect(headTransform(root).x).toBeCloseTo(50, 0);
+    expect(transformOf(root.firstChild).x).toBeCloseTo(22.5);
+
+    for (let time = 32; frames.pending; time += 16) frames.flush(time);
+    expect(headTransform(root).x).toBe(100);
+    expect(transformOf(root.firstChild).x).toBe(100);
+  });
+
+  test('grows over buttons, is pulled toward them and shrinks while pressed', () => {
+    const frames = fakeFrames();
+    const engine = createCursorEngine(root, frames);
+    engine.configure({ magnet: 0.5 });
+    const button = addButton();
+
+    // Pointer at (210, 110), button centre at (250, 120)
+    engine.move(210, 110, button);
+    for (let time = 0; frames.pending; time += 16) frames.flush(time);
+    expect(headTransform(root)).toEqual({ x: 230, y: 115, scale: 2 });
+
+    engine.press(true);
+    for (let time = 1000; frames.pending; time += 16) frames.flush(time);
+    expect(headTransform(root).scale).toBeCloseTo(1.4);
+
+    engine.press(false);
+    engine.move(10, 10, document.body);
+    for (let time = 2000; frames.pending; time += 16) frames.flush(time);
+    expect(headTransform(root)).toEqual({ x: 10, y: 10, scale: 1 });
+  });
+
+  test('shows the data-cursor label', () => {
+    const frames = fakeFrames();
+    const engine = createCursorEngine(root, frames);
+    const button = addButton('Open', { 'data-cursor': 'View' });
+
+    engine.move(210, 110, button);
+    expect(label(root).textContent).toBe('View');
+    expect(label(root).style.display).toBe('block');
+
+    engine.move(10, 10, document.body);
+    expect(label(root).style.display).toBe('none');
+  });
+
+  test('reduced motion drops the easing, trail and magnet', () => {
+    const frames = fakeFrames();
+    const engine = createCursorEngine(root, frames);
+    engine.configure({ easing: 0.2, trail: 5, magnet: 1, reducedMotion: true });
+    expect(root.childNodes).toHaveLength(2);
+
+    engine.move(210, 110, addButton());
+    frames.flush(0);
+    expect(headTransform(root)).toEqual({ x: 210, y: 110, scale: 2 });
+  });
+
+  test('draws the shapes, with a custom SVG as an image', () => {
+    const engine = createCursorEngine(root, fakeFrames());
+    const head = () => root.lastChild.previousSibling;
+
+    engine.configure({ shape: 'ring', size: 10 });
+    expect(head().style.width).toBe('20px');
+    expect(head().style.borderRadius).toBe('50%');
+
+    engine.configure({ shape: 'custom', svg: '<svg xmlns="http://www.w3.org/2000/svg"></svg>' });
+    expect(head().style.backgroundImage).toContain('data:image/svg+xml,%3Csvg');
+
+    // No image - a dot
+    engine.configure({ shape: 'custom', svg: null });
+    expect(head().style.width).toBe('10px');
+  });
+});
@@ -0,0 +1,97 @@
+// Keeps track of the page elements marked with `attribute` plus whatever
+// getElements() returns (e.g. refs passed to FluidCursor), and describes them again
+// whenever the layout may have changed - elements added, removed, edited, resized
+// or moved by a scroll or viewport resize. Measuring happens at most once per frame.
+//
+// describe(element) turns an element into a record, or null to leave it out;
+// filter(element) can drop elements before that. onChange(records) runs whenever
+// same(previous, next) says the records changed.
+const createElementWatcher = (onChange, {
+  attribute,
+  describe,
+  same,
+  root = document,
+  getElements = () => [],
+  filter = () => true,
+  requestFrame = (callback) => window.requestAnimationFrame(callback),
+  cancelFrame = (handle) => window.cancelAnimationFrame(handle),
+}) => {
+  let frame = null;
+  let last = null;
+  const observed = new Set();
+
+  const resizeObserver = typeof ResizeObserver !== 'undefined'
+    ? new ResizeObserver(() => schedule())
+    : null;
+
+  const collect = () => {
+    const elements = new Set(root.querySelectorAll(`[${attribute}]`));
+    getElements().forEach((element) => {
+      if (element) elements.add(element);
+    });
+    return elements;
+  };
+
+  const measure = () => {
+    frame = null;
+    const elements = collect();
+    const records = [];
+
+    elements.forEach((element) => {
+      if (resizeObserver && !observed.has(element)) {
+        resizeObserver.observe(element);
+        observed.add(element);
+      }
+      const record = filter(element) ? describe(element) : null;
+      if (record) records.push(record);
+    });
+
+    // Stop watching elements that are gone
+    observed.forEach((element) => {
+      if (!elements.has(element)) {
+        resizeObserver.unobserve(element);
+        observed.delete(element);
+      }
+    });
+
+    if (!last || !same(last, records)) {
+      last = records;
+      onChange(records);
+    }
+  };
+
+  const schedule = () => {
+    if (frame === null) frame = requestFrame(measure);
+  };
+
+  // Elements added, removed or edited, and content shifting them around
+  const mutationObserver = typeof MutationObserver !== 'undefined' ? new MutationObserver(schedule) : null;
+  const body = root.body || root;
+  if (mutationObserver) {
+    mutationObserver.observe(body, {
+      childList: true, subtree: true, characterData: true, attributes: true, attributeFilter: [attribute],
+    });
+  }
+  if (resizeObserver) resizeObserver.observe(body);
+
+  window.addEventListener('scroll', schedule, { capture: true, passive: true });
+  window.addEventListener('resize', schedule);
+  schedule();
+
+  return {
+    // Measure again on the next frame (e.g. after an animation moved an element)
+    refresh: schedule,
+
+    disconnect() {
+      if (frame !== null) cancelFrame(frame);
+      frame = null;
+      if (mutationObserver) mutationObserver.disconnect();
+      if (resizeObserver) resizeObserver.disconnect();
+      observed.clear();
+      window.removeEventListener('scroll', schedule, { capture: true });
+      window.removeEventListener('resize', schedule);
+    },
+  };
+};
+
+export default createElementWatcher;
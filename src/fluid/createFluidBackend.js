@@ -0,0 +1,86 @@
+import createFluidSimulation from './createFluidSimulation';
+import createCanvasRenderer from './createCanvasRenderer';
+import createPhaseTimer from './createPhaseTimer';
+import createWebGLFluid, { getWebGLContext, detectWebGLVersion } from './webgl/createWebGLFluid';
+
+export const BACKENDS = ['auto', 'webgl2', 'webgl', 'canvas2d'];
+
+// CPU solver + Canvas2D renderer behind the same interface as the WebGL backend
+const createCanvas2DFluid = (ctx, options) => {
+  const timer = createPhaseTimer();
+  const simulation = createFluidSimulation({ ...options, timer });
+  const renderer = createCanvasRenderer(ctx);
+  let textMask = null;
+
+  return {
+    type: 'canvas2d',
+    simulation,
+    get width() { return simulation.width; },
+    get height() { return simulation.height; },
+    get cellSize() { return simulation.cellSize; },
+    get iterations() { return simulation.iterations; },
+    get cols() { return simulation.cols; },
+    get rows() { return simulation.rows; },
+    addDensity: simulation.addDensity,
+    setDyeColor: simulation.setDyeColor,
+    addVelocity: simulation.addVelocity,
+    configure: simulation.configure,
+    step(dt) {
+      timer.measure('step', () => simulation.step(dt));
+    },
+    reset: simulation.reset,
+    resize: simulation.resize,
+    setObstacles: simulation.setObstacles,
+    getState: simulation.getState,
+    setState: simulation.setState,
+    setTextMask(mask) {
+      textMask = mask;
+    },
+    draw(config) {
+      timer.measure('draw', () => renderer.draw(simulation, config, textMask));
+    },
+    setProfiling: timer.setEnabled,
+    takeTimings: timer.take,
+    destroy() {},
+  };
+};
+
+const tryWebGL = (canvas, options, preferWebGL2, onFallback) => {
+  const version = detectWebGLVersion(canvas, { preferWebGL2, onError: onFallback });
+  const context = version ? getWebGLContext(canvas, version) : null;
+  if (!context) return null;
+
+  try {
+    return createWebGLFluid(context, options);
+  } catch (e) {
+    // The shaders built on the scratch canvas, so this is a driver giving up
+    // between the two. The canvas is a WebGL canvas now and has no 2D fallback.
+    onFallback(e);
+    return null;
+  }
+};
+
+// Create the fastest fluid backend the canvas supports:
+// WebGL2, then WebGL1, then the CPU solver drawing through Canvas2D.
+// `backend` forces a specific one ('auto' | 'webgl2' | 'webgl' | 'canvas2d');
+// a forced GPU backend still falls back to Canvas2D when unavailable.
+// With setProfiling(true), takeTimings() returns the ms spent stepping, drawing
+// and in each solver phase since it was last called (see createPhaseTimer.js).
+// Shaders that fail to build during detection leave the canvas to Canvas2D, and
+// the failure goes to onFallback(error).
+// Returns null if the canvas can't provide any context.
+const createFluidBackend = (canvas, { backend = 'auto', onFallback = () => {}, ...options }) => {
+  let fluid = null;
+
+  if (backend === 'auto' || backend === 'webgl2') {
+    fluid = tryWebGL(canvas, options, true, onFallback);
+  } else if (backend === 'webgl') {
+    fluid = tryWebGL(canvas, options, false, onFallback);
+  }
+  if (fluid) return fluid;
+
+  const ctx = canvas.getContext('2d');
+  return ctx ? createCanvas2DFluid(ctx, options) : null;
+};
+
+export default createFluidBackend;
@@ -0,0 +1,117 @@
+import createFluidBackend from './createFluidBackend';
+import createFakeWebGL from './webgl/fakeWebGL';
+
+// Canvas whose contexts come from `contexts`, keyed by type. Records what was asked for.
+const fakeCanvas = (contexts = {}) => {
+  const canvas = {
+    width: 100,
+    height: 80,
+    requested: [],
+    getContext: jest.fn((type) => {
+      canvas.requested.push(type);
+      return contexts[type] || null;
+    }),
+  };
+  return canvas;
+};
+
+const fake2DContext = (canvas) => ({ canvas, clearRect: jest.fn(), getImageData: jest.fn(), putImageData: jest.fn() });
+
+const options = { width: 100, height: 80 };
+
+describe('createFluidBackend', () => {
+  let createElement;
+
+  beforeEach(() => {
+    createElement = jest.spyOn(document, 'createElement');
+  });
+
+  afterEach(() => {
+    createElement.mockRestore();
+  });
+
+  test('falls back to the CPU solver when WebGL is unavailable', () => {
+    createElement.mockImplementation(() => fakeCanvas());
+    const canvas = fakeCanvas();
+    canvas.ownerDocument = document;
+    canvas.getContext.mockImplementation((type) => (type === '2d' ? fake2DContext(canvas) : null));
+
+    const fluid = createFluidBackend(canvas, options);
+
+    expect(fluid.type).toBe('canvas2d');
+    expect(fluid.cellSize).toBe(10);
+    expect(fluid.cols).toBe(10);
+    expect(fluid.rows).toBe(8);
+    // The WebGL probes ran on scratch canvases, never on the real one
+    expect(canvas.getContext).toHaveBeenCalledTimes(1);
+    expect(canvas.getContext).toHaveBeenCalledWith('2d');
+  });
+
+  test('treats WebGL2 without float render targets as unavailable', () => {
+    const scratch = fakeCanvas({ webgl2: { getExtension: () => null } });
+    createElement.mockImplementation(() => scratch);
+    const canvas = fakeCanvas();
+    canvas.ownerDocument = document;
+    canvas.getContext.mockImplementation((type) => (type === '2d' ? fake2DContext(canvas) : null));
+
+    expect(createFluidBackend(canvas, options).type).toBe('canvas2d');
+    expect(scratch.requested).toEqual(expect.arrayContaining(['webgl2', 'webgl']));
+  });
+
+  test('skips WebGL entirely when canvas2d is forced', () => {
+    const canvas = fakeCanvas();
+    canvas.ownerDocument = document;
+    canvas.getContext.mockImplementation(() => fake2DContext(canvas));
+
+    const fluid = createFluidBackend(canvas, { ...options, backend: 'canvas2d' });
+
+    expect(fluid.type).toBe('canvas2d');
+    expect(createElement).not.toHaveBeenCalled();
+  });
+
+  test('returns null when the canvas has no context at all', () => {
+    createElement.mockImplementation(() => fakeCanvas());
+    const canvas = fakeCanvas();
+    canvas.ownerDocument = document;
+
+    expect(createFluidBackend(canvas, options)).toBeNull();
+  });
+
+  test('uses WebGL2 when the GPU can render into float textures', () => {
+    createElement.mockImplementation(() => fakeCanvas({ webgl2: createFakeWebGL() }));
+    const canvas = fakeCanvas({ webgl2: createFakeWebGL() });
+    canvas.ownerDocument = document;
+
+    const fluid = createFluidBackend(canvas, options);
+    expect(fluid.type).toBe('webgl2');
+    expect(canvas.requested).toEqual(['webgl2']);
+  });
+
+  test('reports shaders that fail to build and falls back to Canvas2D', () => {
+    createElement.mockImplementation(() => fakeCanvas({ webgl2: createFakeWebGL({ failCompile: true }) }));
+    const canvas = fakeCanvas();
+    canvas.ownerDocument = document;
+    canvas.getContext.mockImplementation((type) => (type === '2d' ? fake2DContext(canvas) : createFakeWebGL()));
+    const onFallback = jest.fn();
+
+    expect(createFluidBackend(canvas, { ...options, onFallback }).type).toBe('canvas2d');
+    expect(onFallback).toHaveBeenCalledWith(expect.objectContaining({
+      message: expect.stringMatching(/shader compile failed/),
+    }));
+    // The shaders were tried on a scratch canvas, so the real one is still free
+    expect(canvas.getContext).toHaveBeenCalledTimes(1);
+    expect(canvas.getContext).toHaveBeenCalledWith('2d');
+  });
+
+  test('the Canvas2D backend exposes the simulation API', () => {
+    const canvas = fakeCanvas();
+    canvas.getContext.mockImplementation(() => fake2DContext(canvas));
+    const fluid = createFluidBackend(canvas, { ...options, backend: 'canvas2d' });
+
+    fluid.addDensity(3, 3, 10);
+    fluid.configure({ decayRate: 0.5 });
+    fluid.step();
+
+    expect(fluid.simulation.density.reduce((a, b) => a + b, 0)).toBeCloseTo(5, 3);
+  });
+});
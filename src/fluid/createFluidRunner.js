@@ -0,0 +1,713 @@
+import createFluidBackend from './createFluidBackend';
+import createPointerTracker, { toPointerData } from './createPointerTracker';
+import createQualityGovernor from './createQualityGovernor';
+import createFrameLoop from './createFrameLoop';
+import createAttractMode from './createAttractMode';
+import createPerfStats from './createPerfStats';
+import defaultCreateCanvas from './createCanvas';
+import { applyPointer, radialBurst, addSplat, fieldImpulse } from './interactions';
+import { toSimulationParams } from './config';
+import { DEFAULT_TIME_STEP } from './createFluidSimulation';
+import { pickDyeColor, hueToRgb } from './dyeColors';
+import { composeTextMask, textCells } from './textMask';
+import createAudioMapping from './audioReactive';
+import createRandom, { randomSeed as pickSeed } from './random';
+import { STATE_VERSION } from './fluidState';
+import { createInputRecorder, createReplayPlayer } from './inputRecording';
+
+const FIXED_STEP_MS = 1000 / 60; // Step length in the fixed timestep mode
+const MAX_STEPS_PER_FRAME = 4; // Fixed steps a slow frame may catch up on
+const REDUCED_MOTION_SPEED = 0.2; // Simulation speed with reduced motion
+
+// Everything that runs the fluid once it has a canvas: backend, quality governor,
+// pointer streams and the frame loop. It only touches the canvas it is given, so the
+// same code runs on the main thread or in a worker with an OffscreenCanvas
+// (see fluid.worker.js).
+//
+// width/height are the viewport in CSS pixels; the canvas resolution follows the
+// active quality level, and so does the cell size unless cellSize fixes it.
+// Without pointer input for config.idleTimeout seconds the idle emitters take over
+// (see createAttractMode.js).
+// Text layers from setText (see createTextWatcher.js) emit dye or mask the drawing
+// as config.textEffect says, and audio band levels from setAudio drive the effect
+// as the config's audio mappings say (see audioReactive.js).
+// onBackendFallback(error) hears when the GPU can't build the shaders and the
+// fluid runs on the CPU instead (see createFluidBackend.js).
+// onFrame({ time, interval, workMs }) runs after every frame, and onStats once a
+// second with { fps, workMs, timings, cols, rows, level, backend } (see
+// createPerfStats.js); the solver timings are only there while setProfiling(true).
+// While capturing (startCapture), onCapture(canvas) gets every frame composited on
+// its background; createCanvas(width, height) makes the canvas for that.
+//
+// Runs are reproducible: randomness comes from an RNG seeded with randomSeed, and
+// with config.timestep 'fixed' the simulation steps 60 times a second whatever
+// the display's frame rate. Every input goes through one place, so sessions can be
+// recorded and replayed step for step (see inputRecording.js); onReplayEnd() runs
+// when a replay finishes. The grid holds still while recording or replaying.
+//
+// With setReducedMotion(true) the fluid drifts at a fraction of its speed and only
+// moves where someone stirs it: no idle emitters, beat bursts or scroll pushes.
+//
+// For a fluid shared with other tabs or visitors (see createSharedFluid.js),
+// onSplat(splat) gets every step's strokes from the pointers here, and
+// addRemoteSplat applies theirs. Splats are { pointer, x, y, dx, dy, color, amount }:
+// the position as a share (0-1) of the simulated area, velocity in CSS pixels per
+// frame, the rgb dye colour (0-1) and the amount of dye.
+// Returns null if the canvas can't provide any context.
+const createFluidRunner = (canvas, {
+  backend = 'auto',
+  width,
+  height,
+  config,
+  cellSize = null,
+  hasFinePointer = true,
+  onQualityChange = () => {},
+  onFrame = () => {},
+  onStats = null,
+  onCapture = () => {},
+  onReplayEnd = () => {},
+  onSplat = null,
+  onBackendFallback = () => {},
+  randomSeed = pickSeed(),
+  createCanvas = defaultCreateCanvas,
+  requestFrame,
+  cancelFrame,
+}) => {
+  let currentConfig = config;
+  let viewportWidth = width;
+  let viewportHeight = height;
+  let fixedCellSize = cellSize;
+  let obstacleRects = [];
+  let scrollX = 0; // Scrolling since the last frame, in CSS pixels
+  let scrollY = 0;
+  let textLayers = [];
+  let textMask = null; // The layers composed for the viewport, while the text effect is on
+  let textSources = null; // Covered cells for emit mode, for the current grid
+  let audioLevels = null; // Latest band levels while audio is playing
+  let audio = createAudioMapping();
+  let random = createRandom(randomSeed);
+  let frame = 0; // Simulation steps so far
+  let now = 0; // Clock of the latest step in ms
+  let accumulated = 0; // Time the fixed timestep hasn't stepped through yet
+  let session = null; // { recorder } or { player } while recording or replaying
+  let reducedMotion = false;
+  let tilt = null; // Device tilt [x, y] (see createTiltSource.js), null without one
+  // Latest from outside, kept through replays
+  const live = { config, obstacles: [], text: [], reducedMotion: false, tilt: null };
+
+  // Quality governor - scales the grid, solver iterations and canvas resolution
+  // to keep frames within budget (or holds a fixed level)
+  const governor = createQualityGovernor({
+    mode: config.quality,
+    onChange: (level, settings) => {
+      applyQuality(settings);
+      onQualityChange(level);
+    },
+  });
+  let { renderScale } = governor.settings;
+  let exportScale = null; // Resolution exports ask for, overriding the quality level
+  let capturing = null; // Options of the running capture
+
+  // Set canvas size - the canvas may render below CSS resolution, or above it
+  // while exporting
+  const resizeCanvas = () => {
+    const scale = exportScale || renderScale;
+    canvas.width = Math.max(1, Math.round(viewportWidth * scale));
+    canvas.height = Math.max(1, Math.round(viewportHeight * scale));
+  };
+
+  resizeCanvas();
+
+  // Create fluid simulation using Navier-Stokes equations, on the GPU when possible.
+  // It works in CSS pixels whatever the canvas resolution.
+  const fluid = createFluidBackend(canvas, {
+    backend,
+    onFallback: onBackendFallback,
+    width: viewportWidth,
+    height: viewportHeight,
+    cellSize: fixedCellSize || governor.settings.cellSize,
+    iterations: governor.settings.iterations,
+    ...toSimulationParams(config),
+  });
+  if (!fluid) return null;
+
+  const applyQuality = (settings) => {
+    renderScale = settings.renderScale;
+    resizeCanvas();
+    if (session) return; // The grid catches up when the session ends
+    fluid.configure({ iterations: settings.iterations });
+    fluid.resize(viewportWidth, viewportHeight, fixedCellSize || settings.cellSize);
+  };
+
+  // The canvas is transparent (the page provides the background), so exports are
+  // composited on their background colour first. Must run in the same task as the
+  // draw, while WebGL's drawing buffer is still intact.
+  let exportCanvas = null;
+  const composite = (background) => {
+    if (!background) return canvas;
+    if (!exportCanvas) exportCanvas = createCanvas(canvas.width, canvas.height);
+    exportCanvas.width = canvas.width;
+    exportCanvas.height = canvas.height;
+    const ctx = exportCanvas.getContext('2d');
+    ctx.fillStyle = background;
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+    ctx.drawImage(canvas, 0, 0);
+    return exportCanvas;
+  };
+
+  // Render at `scale` times the viewport (default: the current resolution) with
+  // the rest of the effect unchanged
+  const setExportScale = (scale) => {
+    exportScale = scale || null;
+    resizeCanvas();
+  };
+
+  // Render the current state right away and encode it. Encoding copies the pixels
+  // straight away, so the canvas can go back to its usual size afterwards.
+  const capture = (type, { scale = null, background = null } = {}) => {
+    const previousScale = exportScale;
+    if (scale) setExportScale(scale);
+    fluid.draw(currentConfig);
+    const source = composite(background);
+    const blob = source.convertToBlob
+      ? source.convertToBlob({ type })
+      : new Promise((resolve) => source.toBlob(resolve, type));
+    if (scale) {
+      setExportScale(previousScale);
+      fluid.draw(currentConfig);
+    }
+    return blob;
+  };
+
+  // CSS pixels to grid cells
+  const toCell = (x, y) => [Math.floor(x / fluid.cellSize), Math.floor(y / fluid.cellSize)];
+
+  // Every active mouse, pen or touch pointer - starts with the mouse at the centre
+  // on devices that have one
+  let pointers = createPointerTracker({
+    hover: hasFinePointer ? { x: viewportWidth / 2, y: viewportHeight / 2 } : null,
+  });
+
+  // Colour the next emissions (used by rgb dye mode) as coming from something
+  // moving by (moveX, moveY) pixels
+  const colorEmissions = (moveX = 0, moveY = 0, time = now) => {
+    fluid.setDyeColor(pickDyeColor(currentConfig, { time, moveX, moveY }));
+  };
+
+  // A pointer that stops keeps the colour it had while moving when the colour
+  // follows its direction
+  const colorPointer = (pointer, time) => {
+    const moveX = pointer.x - pointer.lastX;
+    const moveY = pointer.y - pointer.lastY;
+    if (currentConfig.dyeSource !== 'direction' || moveX !== 0 || moveY !== 0 || !pointer.dyeColor) {
+      pointer.dyeColor = pickDyeColor(currentConfig, { time, moveX, moveY });
+    }
+    fluid.setDyeColor(pointer.dyeColor);
+  };
+
+  // Compose the text for the simulated area and hand it to whatever uses it
+  const updateText = () => {
+    const effect = currentConfig.textEffect;
+    textMask = effect !== 'off' && textLayers.length > 0
+      ? composeTextMask(textLayers, fluid.width, fluid.height)
+      : null;
+    textSources = null;
+    fluid.setTextMask(effect === 'reveal' ? textMask : null);
+  };
+
+  // Emit mode: every covered cell bleeds dye in proportion to its coverage. The
+  // cells are worked out again whenever the grid changes (e.g. quality levels).
+  const emitText = (time) => {
+    const key = `${fluid.cols}x${fluid.rows}@${fluid.cellSize}`;
+    if (!textSources || textSources.key !== key) {
+      textSources = { key, cells: textCells(textMask, fluid.cols, fluid.rows, fluid.cellSize) };
+    }
+    colorEmissions(0, 0, time);
+    textSources.cells.forEach(({ x, y, coverage }) => {
+      fluid.addDensity(x, y, coverage * currentConfig.textEmitRate);
+    });
+  };
+
+  // Idle emitters, and the config scaled down while they hand over to or from
+  // the user
+  let attract = createAttractMode();
+  const scaleEmission = (config, weight) => (weight === 1 ? config : {
+    ...config,
+    fluidDensity: config.fluidDensity * weight,
+    hoverStrength: config.hoverStrength * weight,
+  });
+
+  const runIdleEmitters = (time, { weight, pointers: emitters, splats }, config) => {
+    const idleConfig = scaleEmission(config, weight);
+    emitters.forEach((pointer) => {
+      colorPointer(pointer, time);
+      applyPointer(fluid, pointer, idleConfig);
+    });
+    splats.forEach(({ x, y, dx, dy }) => {
+      const [cx, cy] = toCell(x, y);
+      colorEmissions(dx, dy, time);
+      addSplat(fluid, cx, cy, { velX: dx, velY: dy, amount: idleConfig.fluidDensity, radius: config.splatRadius });
+    });
+  };
+
+  // Radial burst at a point, like a click in splat mode
+  const burstAt = (x, y, config = currentConfig) => {
+    const [cx, cy] = toCell(x, y);
+    colorEmissions();
+    radialBurst(fluid, cx, cy, {
+      radius: config.splatRadius,
+      strength: config.splatStrength,
+      amount: config.fluidDensity * 4 / 3,
+    });
+  };
+
+  // Initial pattern: a burst at the centre plus some random spots around the page
+  // (in random colours unless the dye colour is fixed)
+  const seedPattern = () => {
+    const centerX = fluid.width / 2;
+    const centerY = fluid.height / 2;
+    if (hasFinePointer) pointers.moveHover(centerX, centerY);
+
+    const [cx, cy] = toCell(centerX, centerY);
+    colorEmissions();
+    if (!reducedMotion) radialBurst(fluid, cx, cy);
+
+    const { cols, rows } = fluid;
+    for (let i = 0; i < 8; i++) {
+      if (currentConfig.dyeSource !== 'fixed') fluid.setDyeColor(hueToRgb(random() * 360));
+      const randX = Math.floor(random() * (cols-20)) + 10;
+      const randY = Math.floor(random() * (rows-20)) + 10;
+      fluid.addDensity(randX, randY, 150);
+    }
+  };
+
+  const applyConfig = (next) => {
+    const textChanged = next.textEffect !== currentConfig.textEffect;
+    currentConfig = next;
+    fluid.configure(toSimulationParams(next, tilt));
+    governor.setMode(next.quality);
+    if (textChanged) updateText();
+  };
+
+  const applyObstacles = (rects) => {
+    obstacleRects = rects || [];
+    fluid.setObstacles(obstacleRects);
+  };
+
+  const applyText = (layers) => {
+    textLayers = layers || [];
+    updateText();
+  };
+
+  // Everything that reaches the simulation from outside, by name. Inputs go
+  // through input(), which records them while recording and ignores them while
+  // a replay plays its own.
+  const replaying = () => Boolean(session && session.player);
+
+  // A pointer's stroke this step, for onSplat - nothing while it holds still
+  const publishPointer = (pointer, config) => {
+    const moveX = pointer.x - pointer.lastX;
+    const moveY = pointer.y - pointer.lastY;
+    if (moveX === 0 && moveY === 0) return;
+    onSplat({
+      pointer: pointer.id,
+      x: pointer.x / fluid.width,
+      y: pointer.y / fluid.height,
+      dx: moveX * config.hoverStrength,
+      dy: moveY * config.hoverStrength,
+      color: pointer.dyeColor,
+      amount: config.fluidDensity,
+    });
+  };
+
+  const INPUTS = {
+    pointerdown: (e) => {
+      attract.input();
+      pointers.handlePointerDown(e);
+    },
+    pointermove: (e) => {
+      attract.input();
+      pointers.handlePointerMove(e);
+    },
+    pointerup: (e) => {
+      attract.input();
+      pointers.handlePointerUp(e);
+    },
+    scroll: (dx, dy) => {
+      attract.input();
+      scrollX += dx;
+      scrollY += dy;
+    },
+    splat: (x, y, dx = 0, dy = 0, amount = currentConfig.fluidDensity) => {
+      const [cx, cy] = toCell(x, y);
+      colorEmissions(dx, dy);
+      addSplat(fluid, cx, cy, { velX: dx, velY: dy, amount, radius: currentConfig.splatRadius });
+    },
+    burst: (x = fluid.width / 2, y = fluid.height / 2) => burstAt(x, y),
+    seed: seedPattern,
+    reset: () => fluid.reset(),
+    audio: (levels) => {
+      audioLevels = levels;
+    },
+    motion: (reduced) => {
+      reducedMotion = reduced;
+    },
+    tilt: (next) => {
+      tilt = next;
+      fluid.configure(toSimulationParams(currentConfig, tilt));
+    },
+    config: applyConfig,
+    obstacles: applyObstacles,
+    text: applyText,
+    area: (areaWidth, areaHeight) => {
+      fluid.resize(areaWidth, areaHeight);
+      updateText();
+    },
+    state: (state) => fluid.setState(state),
+    // A stroke from another tab or visitor (see onSplat), with our trail radius
+    remote: (splat) => {
+      const [cx, cy] = toCell(splat.x * fluid.width, splat.y * fluid.height);
+      fluid.setDyeColor(splat.color);
+      addSplat(fluid, cx, cy, { velX: splat.dx, velY: splat.dy, amount: splat.amount, radius: currentConfig.hoverRadius });
+    },
+  };
+
+  const input = (type, ...args) => {
+    if (session && session.player) return;
+    if (session) session.recorder.record(frame, type, args);
+    INPUTS[type](...args);
+  };
+
+  // Fresh pointer, idle and audio state, so a recording and its replay start alike
+  const resetInputs = (hover, levels) => {
+    pointers = createPointerTracker({ hover });
+    attract = createAttractMode();
+    audio = createAudioMapping();
+    audioLevels = levels;
+    scrollX = 0;
+    scrollY = 0;
+  };
+
+  // Back to the live grid and inputs after recording or replaying
+  const endSession = () => {
+    const { player } = session;
+    session = null;
+    if (player) {
+      tilt = live.tilt;
+      applyConfig(live.config);
+      applyObstacles(live.obstacles);
+      textLayers = live.text;
+      reducedMotion = live.reducedMotion;
+    }
+    fluid.configure({ iterations: governor.settings.iterations });
+    fluid.resize(viewportWidth, viewportHeight, fixedCellSize || governor.settings.cellSize);
+    updateText();
+    if (player) onReplayEnd();
+  };
+
+  // The config of the current step, with the audio applied
+  const frameConfig = () => (audioLevels ? audio.apply(currentConfig, audioLevels) : currentConfig);
+
+  // One simulation step at `time`, `interval` ms after the previous one - or at
+  // the recorded clock while replaying
+  const runStep = (stepTime, stepInterval) => {
+    let time = stepTime;
+    let interval = stepInterval;
+    if (session && session.player) {
+      session.player.take(frame).forEach(({ type, args }) => INPUTS[type](...args));
+      [time, interval] = session.player.clock(frame);
+    } else if (session) {
+      session.recorder.tick(time, interval);
+    }
+    now = time;
+
+    const config = frameConfig();
+    const beat = audioLevels && audio.beat(currentConfig, audioLevels, time);
+    if (beat && !reducedMotion) burstAt(random() * fluid.width, random() * fluid.height, config);
+
+    const idleConfig = reducedMotion ? { ...currentConfig, idleTimeout: 0 } : currentConfig;
+    const idle = attract.update(time, interval, idleConfig, {
+      width: fluid.width,
+      height: fluid.height,
+      obstacles: obstacleRects,
+    });
+
+    // Each pointer is its own stream of velocity and dye, fading out while idle
+    const pointerConfig = scaleEmission(config, 1 - idle.weight);
+    pointers.forEach((pointer) => {
+      colorPointer(pointer, time);
+      applyPointer(fluid, pointer, pointerConfig);
+      if (onSplat && !replaying()) publishPointer(pointer, pointerConfig);
+    });
+    if (idle.weight > 0) runIdleEmitters(time, idle, config);
+    if (textMask && currentConfig.textEffect === 'emit') emitText(time);
+
+    // Scrolling pushes the whole field
+    if ((scrollX !== 0 || scrollY !== 0) && currentConfig.scrollGain > 0 && !reducedMotion) {
+      const gain = currentConfig.scrollGain * (currentConfig.scrollDirection === 'content' ? -1 : 1);
+      fieldImpulse(fluid, scrollX * gain, scrollY * gain, { random });
+    }
+    scrollX = 0;
+    scrollY = 0;
+
+    // Step fluid simulation
+    fluid.step(reducedMotion ? DEFAULT_TIME_STEP * REDUCED_MOTION_SPEED : DEFAULT_TIME_STEP);
+
+    // Save pointer positions
+    pointers.endFrame();
+
+    frame += 1;
+    if (session && session.player && frame >= session.player.frames) endSession();
+  };
+
+  // Once-a-second summaries for onStats
+  const stats = onStats && createPerfStats({
+    onSummary: (summary) => onStats({
+      ...summary,
+      cols: fluid.cols,
+      rows: fluid.rows,
+      level: governor.level,
+      backend: fluid.type,
+    }),
+  });
+
+  // Animation loop: one step per frame, or as many fixed steps as the time since
+  // the last frame covers
+  const animate = (time, interval) => {
+    const start = performance.now();
+
+    if (currentConfig.timestep === 'fixed') {
+      accumulated += interval;
+      let steps = Math.floor(accumulated / FIXED_STEP_MS);
+      accumulated -= steps * FIXED_STEP_MS;
+      if (steps > MAX_STEPS_PER_FRAME) {
+        steps = MAX_STEPS_PER_FRAME;
+        accumulated = 0;
+      }
+      for (let i = 0; i < steps; i++) runStep(now + FIXED_STEP_MS, FIXED_STEP_MS);
+    } else {
+      runStep(time, interval);
+    }
+
+    // Draw fluid simulation
+    fluid.draw(frameConfig());
+    if (capturing) onCapture(composite(capturing.background));
+
+    const workMs = performance.now() - start;
+    governor.record(workMs, interval);
+    onFrame({ time, interval, workMs });
+    if (stats) stats.record(time, workMs, fluid.takeTimings());
+  };
+  const loop = createFrameLoop(animate, { requestFrame, cancelFrame });
+
+  return {
+    type: fluid.type,
+    get level() { return governor.level; },
+
+    setConfig(next) {
+      live.config = next;
+      input('config', next);
+    },
+
+    // New viewport size in CSS pixels; the fluid is resampled into the new grid
+    // (after a replay, which keeps its recorded area)
+    resize(nextWidth, nextHeight) {
+      viewportWidth = nextWidth;
+      viewportHeight = nextHeight;
+      resizeCanvas();
+      input('area', viewportWidth, viewportHeight);
+    },
+
+    // Fix the cell size in CSS pixels, or pass null to follow the quality level
+    setCellSize(size) {
+      fixedCellSize = size || null;
+      if (!session) fluid.resize(viewportWidth, viewportHeight, fixedCellSize || governor.settings.cellSize);
+    },
+
+    // Solid rectangles in CSS pixels for the fluid to flow around
+    setObstacles(rects) {
+      live.obstacles = rects || [];
+      input('obstacles', live.obstacles);
+    },
+
+    // Rasterized text layers in viewport CSS pixels (see textMask.js)
+    setText(layers) {
+      live.text = layers || [];
+      input('text', live.text);
+    },
+
+    // Band levels (0-1, keyed by band name) from the audio analyser, or null once
+    // the audio stops
+    setAudio(levels) {
+      input('audio', levels);
+    },
+
+    // For prefers-reduced-motion: a slow, calm rendition (see above)
+    setReducedMotion(reduced) {
+      live.reducedMotion = Boolean(reduced);
+      input('motion', live.reducedMotion);
+    },
+
+    // Device tilt as [x, y] from createTiltSource, or null to ignore it. The
+    // config's tiltStrength turns it into a pull on the dye.
+    setTilt(next) {
+      live.tilt = next ? [next[0], next[1]] : null;
+      input('tilt', live.tilt);
+    },
+
+    // Pointer data is anything with pointerType, pointerId, clientX and clientY.
+    // Any pointer input ends the idle mode.
+    handlePointerDown(e) {
+      input('pointerdown', toPointerData(e));
+    },
+    handlePointerMove(e) {
+      input('pointermove', toPointerData(e));
+    },
+    handlePointerUp(e) {
+      input('pointerup', toPointerData(e));
+    },
+
+    // The page scrolled (or a wheel pushed past its end) by dx, dy CSS pixels,
+    // positive for down and right
+    scroll(dx, dy) {
+      input('scroll', dx, dy);
+    },
+
+    // A splat from onSplat of another runner (e.g. in another tab)
+    addRemoteSplat(splat) {
+      input('remote', splat);
+    },
+
+    // Dye and velocity (per frame, in CSS pixels) at a point
+    splat(x, y, dx, dy, amount) {
+      input('splat', x, y, dx, dy, amount);
+    },
+
+    // Radial burst at a point, like a click in splat mode (default: the centre)
+    burst(x, y) {
+      input('burst', x, y);
+    },
+
+    // Initial pattern: a burst at the centre plus some random spots around the page
+    seed() {
+      input('seed');
+    },
+
+    reset() {
+      input('reset');
+    },
+
+    // Solver state and config, e.g. to keep a designed moment (see fluidState.js)
+    saveState() {
+      return Promise.resolve({ version: STATE_VERSION, config: currentConfig, state: fluid.getState() });
+    },
+
+    // Restore the solver state from saveState. The config is the caller's to apply.
+    loadState(saved) {
+      input('state', saved.state);
+    },
+
+    // Record every input from now on, starting from the current state with a fresh
+    // RNG seed. Ends a running replay.
+    startRecording() {
+      if (session) endSession();
+      const seed = Math.floor(random() * 4294967296);
+      const mouse = pointers.pointers.get('mouse');
+      const hover = mouse ? { x: mouse.x, y: mouse.y } : null;
+      random = createRandom(seed);
+      resetInputs(hover, audioLevels);
+      frame = 0;
+      // Reloading the state clears the solver's scratch fields, as the replay will
+      const state = fluid.getState();
+      fluid.setState(state);
+      session = {
+        recorder: createInputRecorder({
+          seed,
+          width: fluid.width,
+          height: fluid.height,
+          cellSize: fluid.cellSize,
+          iterations: fluid.iterations,
+          config: currentConfig,
+          obstacles: obstacleRects,
+          text: textLayers,
+          hover,
+          audio: audioLevels,
+          reducedMotion,
+          tilt,
+          time: now,
+          state,
+        }),
+      };
+    },
+
+    // Promise of the recording so far (null when not recording)
+    stopRecording() {
+      if (!session || !session.recorder) return Promise.resolve(null);
+      const recording = session.recorder.finish();
+      endSession();
+      return Promise.resolve(recording);
+    },
+
+    // Play a recording from its starting point, step for step. Live input is
+    // ignored until it ends (or stopReplay); the latest live config, layout and
+    // viewport come back afterwards.
+    replay(recording) {
+      if (session) endSession();
+      // The session starts first so nothing below resizes the grid to the viewport
+      session = { player: createReplayPlayer(recording) };
+      random = createRandom(recording.seed);
+      resetInputs(recording.hover, recording.audio);
+      fluid.resize(recording.width, recording.height, recording.cellSize);
+      fluid.configure({ iterations: recording.iterations });
+      tilt = recording.tilt || null;
+      applyConfig(recording.config);
+      applyObstacles(recording.obstacles);
+      applyText(recording.text);
+      fluid.setState(recording.state);
+      reducedMotion = Boolean(recording.reducedMotion);
+      now = recording.time;
+      frame = 0;
+      accumulated = 0;
+      if (session.player.frames === 0) endSession();
+    },
+
+    stopReplay() {
+      if (session && session.player) endSession();
+    },
+
+    // Time the solver phases, stepping and drawing for onStats. On the GPU this
+    // waits for every phase to finish, so leave it off unless someone is looking.
+    setProfiling(enabled) {
+      fluid.setProfiling(enabled);
+    },
+
+    // Current frame as an image Blob (PNG by default). Options: scale renders at
+    // that many times the viewport resolution, background fills the transparent
+    // pixels with a CSS colour.
+    snapshot(type = 'image/png', options) {
+      return capture(type, options);
+    },
+
+    // Hand every frame to onCapture until stopCapture, e.g. for recording a clip.
+    // Takes the options of snapshot.
+    startCapture({ scale = null, background = null } = {}) {
+      capturing = { background };
+      setExportScale(scale);
+    },
+    stopCapture() {
+      capturing = null;
+      setExportScale(null);
+    },
+
+    start: loop.start,
+    pause: loop.pause,
+    resume: loop.resume,
+
+    destroy() {
+      loop.stop();
+      fluid.destroy();
+    },
+  };
+};
+
+export default createFluidRunner;
@@ -0,0 +1,417 @@
+import createFluidRunner from './createFluidRunner';
+import { DEFAULT_CONFIG } from './config';
+import createFakeWebGL from './webgl/fakeWebGL';
+
+const fake2DCanvas = () => {
+  const canvas = { width: 0, height: 0 };
+  const ctx = {
+    canvas,
+    clearRect: jest.fn(),
+    getImageData: jest.fn(() => ({ data: new Uint8ClampedArray(canvas.width * canvas.height * 4) })),
+    putImageData: jest.fn(),
+  };
+  canvas.getContext = jest.fn((type) => (type === '2d' ? ctx : null));
+  canvas.toBlob = jest.fn((callback, type) => callback({ type }));
+  return { canvas, ctx };
+};
+
+// Manual frames - flush() runs the pending one
+const fakeFrames = () => {
+  let pending = null;
+  return {
+    requestFrame: (callback) => { pending = callback; return 1; },
+    cancelFrame: () => { pending = null; },
+    flush: (time = 0) => {
+      const callback = pending;
+      pending = null;
+      if (callback) callback(time);
+    },
+  };
+};
+
+const options = (overrides = {}) => ({
+  backend: 'canvas2d',
+  width: 200,
+  height: 100,
+  config: DEFAULT_CONFIG,
+  ...overrides,
+});
+
+describe('createFluidRunner', () => {
+  test('returns null when the canvas has no context', () => {
+    const canvas = { getContext: () => null };
+    expect(createFluidRunner(canvas, options())).toBeNull();
+  });
+
+  test('runs on the CPU when the GPU can\'t build the shaders, and says so', () => {
+    const scratch = { getContext: () => createFakeWebGL({ failCompile: true }) };
+    const createElement = jest.spyOn(document, 'createElement').mockImplementation(() => scratch);
+    const { canvas } = fake2DCanvas();
+    canvas.ownerDocument = document;
+    const onBackendFallback = jest.fn();
+
+    const runner = createFluidRunner(canvas, options({ backend: 'auto', onBackendFallback }));
+    createElement.mockRestore();
+
+    expect(runner.type).toBe('canvas2d');
+    expect(onBackendFallback).toHaveBeenCalledWith(expect.any(Error));
+  });
+
+  test('sizes the canvas from the viewport and the quality level', () => {
+    const { canvas } = fake2DCanvas();
+    const onQualityChange = jest.fn();
+    const runner = createFluidRunner(canvas, options({ onQualityChange }));
+
+    expect(runner.level).toBe('medium');
+    expect([canvas.width, canvas.height]).toEqual([200, 100]);
+
+    runner.setConfig({ ...DEFAULT_CONFIG, quality: 'low' });
+    expect(onQualityChange).toHaveBeenCalledWith('low');
+    expect([canvas.width, canvas.height]).toEqual([100, 50]);
+
+    runner.resize(400, 300);
+    expect([canvas.width, canvas.height]).toEqual([200, 150]);
+  });
+
+  test('steps and draws once per frame until paused', () => {
+    const { canvas, ctx } = fake2DCanvas();
+    const frames = fakeFrames();
+    const runner = createFluidRunner(canvas, options(frames));
+
+    runner.start();
+    runner.handlePointerDown({ pointerType: 'touch', pointerId: 1, clientX: 50, clientY: 50 });
+    frames.flush(0);
+    frames.flush(16);
+    expect(ctx.putImageData).toHaveBeenCalledTimes(2);
+
+    runner.pause('hidden');
+    frames.flush(32);
+    expect(ctx.putImageData).toHaveBeenCalledTimes(2);
+
+    runner.destroy();
+  });
+
+  test('reports every frame', () => {
+    const { canvas } = fake2DCanvas();
+    const frames = fakeFrames();
+    const onFrame = jest.fn();
+    const runner = createFluidRunner(canvas, options({ ...frames, onFrame }));
+
+    runner.start();
+    frames.flush(0);
+    frames.flush(20);
+
+    expect(onFrame).toHaveBeenLastCalledWith({ time: 20, interval: 20, workMs: expect.any(Number) });
+  });
+
+  test('snapshot draws the current state, including splats, and encodes it', () => {
+    const { canvas, ctx } = fake2DCanvas();
+    const runner = createFluidRunner(canvas, options({ cellSize: 20 }));
+
+    runner.splat(100, 50, 0, 0, 500);
+
+    return runner.snapshot().then((blob) => {
+      expect(blob).toEqual({ type: 'image/png' });
+      const { data } = ctx.putImageData.mock.calls[0][0];
+      // Alpha of the pixel under the splat
+      expect(data[(50 * canvas.width + 100) * 4 + 3]).toBeGreaterThan(0);
+    });
+  });
+
+  test('idle emitters stir the fluid once nobody has touched it for a while', () => {
+    const { canvas } = fake2DCanvas();
+    const frames = fakeFrames();
+    const runner = createFluidRunner(canvas, options({
+      ...frames,
+      hasFinePointer: false,
+      config: { ...DEFAULT_CONFIG, idleTimeout: 1, idleScript: 'lissajous' },
+    }));
+    runner.start();
+
+    const total = () => canvas.getContext('2d').putImageData.mock.calls.slice(-1)[0][0].data
+      .reduce((sum, value) => sum + value, 0);
+
+    for (let time = 0; time <= 900; time += 100) frames.flush(time);
+    expect(total()).toBe(0);
+
+    for (let time = 1000; time <= 2000; time += 100) frames.flush(time);
+    expect(total()).toBeGreaterThan(0);
+    runner.destroy();
+  });
+
+  test('reduced motion keeps idle emitters and beat bursts off', () => {
+    const { canvas, ctx } = fake2DCanvas();
+    const frames = fakeFrames();
+    const runner = createFluidRunner(canvas, options({
+      ...frames,
+      hasFinePointer: false,
+      config: { ...DEFAULT_CONFIG, idleTimeout: 1, idleScript: 'lissajous' },
+    }));
+    const total = () => ctx.putImageData.mock.calls.slice(-1)[0][0].data.reduce((sum, value) => sum + value, 0);
+    runner.setReducedMotion(true);
+    runner.start();
+
+    runner.setAudio({ bass: 1, mid: 0, treble: 0 });
+    for (let time = 0; time <= 2000; time += 100) frames.flush(time);
+    expect(total()).toBe(0);
+
+    // Stirring still works
+    runner.splat(100, 50, 0, 0, 500);
+    frames.flush(2100);
+    expect(total()).toBeGreaterThan(0);
+    runner.destroy();
+  });
+
+  test('device tilt pulls the dye downhill while tiltStrength is on', () => {
+    // Dye-weighted mean x in CSS pixels after a splat at (100, 50) and 30 frames
+    const run = (config, tilt) => {
+      const frames = fakeFrames();
+      const runner = createFluidRunner(fake2DCanvas().canvas, options({
+        ...frames,
+        config: { ...DEFAULT_CONFIG, idleTimeout: 0, ...config },
+      }));
+      runner.setTilt(tilt);
+      runner.splat(100, 50, 0, 0, 500);
+      runner.start();
+      for (let i = 0; i < 30; i++) frames.flush(i * 16);
+      return runner.saveState().then(({ state }) => {
+        runner.destroy();
+        let weighted = 0;
+        let total = 0;
+        state.density.forEach((value, idx) => {
+          weighted += value * (idx % state.cols);
+          total += value;
+        });
+        return (weighted / total) * (200 / state.cols);
+      });
+    };
+
+    return Promise.all([
+      run({ tiltStrength: 10 }, [1, 0]),
+      run({ tiltStrength: 0 }, [1, 0]),
+      run({ tiltStrength: 10 }, null),
+    ]).then(([tilted, off, flat]) => {
+      expect(tilted).toBeGreaterThan(off + 2);
+      expect(off).toBeCloseTo(flat);
+    });
+  });
+
+  test('publishes pointer strokes and applies remote ones', () => {
+    const frames = fakeFrames();
+    const onSplat = jest.fn();
+    const config = { ...DEFAULT_CONFIG, idleTimeout: 0, dyeMode: 'rgb', dyeSource: 'fixed', dyeColor: '#ff0000' };
+    const runner = createFluidRunner(fake2DCanvas().canvas, options({ ...frames, config, onSplat }));
+    runner.start();
+    runner.handlePointerMove({ pointerType: 'mouse', pointerId: 1, clientX: 50, clientY: 50 });
+    frames.flush(0);
+    runner.handlePointerMove({ pointerType: 'mouse', pointerId: 1, clientX: 60, clientY: 50 });
+    frames.flush(16);
+    frames.flush(32); // Holding still
+
+    expect(onSplat).toHaveBeenCalledTimes(2);
+    expect(onSplat).toHaveBeenLastCalledWith({
+      pointer: 'mouse',
+      x: 0.3,
+      y: 0.5,
+      dx: 10 * config.hoverStrength,
+      dy: 0,
+      color: [1, 0, 0],
+      amount: config.fluidDensity,
+    });
+
+    // A remote stroke lands in our own area, in its own colour
+    const before = onSplat.mock.calls.length;
+    runner.addRemoteSplat({ pointer: 'mouse', x: 0.75, y: 0.5, dx: 0, dy: 0, color: [0, 0, 1], amount: 500 });
+    frames.flush(48);
+    expect(onSplat).toHaveBeenCalledTimes(before);
+    return runner.saveState().then(({ state }) => {
+      const cols = state.cols;
+      const idx = Math.floor(state.rows / 2) * cols + Math.floor(cols * 0.75);
+      expect(state.density[idx]).toBeGreaterThan(0);
+      expect(state.dye[2][idx]).toBeGreaterThan(state.dye[0][idx]);
+      runner.destroy();
+    });
+  });
+
+  test('text emits dye in emit mode and masks the drawing in reveal mode', () => {
+    const { canvas, ctx } = fake2DCanvas();
+    const frames = fakeFrames();
+    const config = { ...DEFAULT_CONFIG, idleTimeout: 0, textEffect: 'emit', textEmitRate: 5 };
+    const runner = createFluidRunner(canvas, options({ ...frames, cellSize: 10, hasFinePointer: false, config }));
+    const alphaAt = (x, y) => ctx.putImageData.mock.calls.slice(-1)[0][0].data[(y * canvas.width + x) * 4 + 3];
+
+    // Text covering x 100-150, y 40-60
+    runner.setText([{ left: 100, top: 40, columns: 13, rows: 5, data: new Uint8Array(65).fill(255) }]);
+    runner.start();
+    frames.flush(0);
+    frames.flush(16);
+    expect(alphaAt(125, 50)).toBeGreaterThan(0);
+    expect(alphaAt(20, 50)).toBe(0);
+
+    runner.setConfig({ ...config, textEffect: 'reveal' });
+    runner.reset();
+    runner.splat(125, 50, 0, 0, 500);
+    runner.splat(60, 50, 0, 0, 500);
+    frames.flush(32);
+    expect(alphaAt(125, 50)).toBeGreaterThan(alphaAt(60, 50) * 2);
+
+    runner.destroy();
+  });
+
+  test('beats in the audio fire bursts', () => {
+    const { canvas, ctx } = fake2DCanvas();
+    const frames = fakeFrames();
+    const config = { ...DEFAULT_CONFIG, idleTimeout: 0 };
+    const runner = createFluidRunner(canvas, options({ ...frames, hasFinePointer: false, config }));
+    const total = () => ctx.putImageData.mock.calls.slice(-1)[0][0].data.reduce((sum, value) => sum + value, 0);
+    runner.start();
+
+    runner.setAudio({ bass: 0, mid: 0, treble: 0 });
+    frames.flush(0);
+    expect(total()).toBe(0);
+
+    runner.setAudio({ bass: 1, mid: 0, treble: 0 });
+    frames.flush(16);
+    expect(total()).toBeGreaterThan(0);
+
+    runner.destroy();
+  });
+
+  test('exports are painted on their background and can render above the viewport resolution', () => {
+    const { canvas } = fake2DCanvas();
+    const painted = [];
+    const createCanvas = () => {
+      const exportCanvas = { width: 0, height: 0 };
+      const ctx = {
+        fillRect: (x, y, w, h) => painted.push(['fill', ctx.fillStyle, w, h]),
+        drawImage: (source) => painted.push(['frame', source.width, source.height]),
+      };
+      exportCanvas.getContext = () => ctx;
+      exportCanvas.toBlob = (callback, type) => callback({ type, width: exportCanvas.width });
+      return exportCanvas;
+    };
+    const frames = fakeFrames();
+    const onCapture = jest.fn();
+    const runner = createFluidRunner(canvas, options({ ...frames, createCanvas, onCapture }));
+
+    return runner.snapshot('image/png', { scale: 2, background: '#0d1117' }).then((blob) => {
+      expect(blob).toEqual({ type: 'image/png', width: 400 });
+      expect(painted).toEqual([['fill', '#0d1117', 400, 200], ['frame', 400, 200]]);
+      // Back to the quality level's resolution
+      expect([canvas.width, canvas.height]).toEqual([200, 100]);
+
+      runner.startCapture({ scale: 1.5, background: 'black' });
+      runner.start();
+      frames.flush(0);
+      frames.flush(16);
+      expect(onCapture).toHaveBeenCalledTimes(2);
+      expect(onCapture.mock.calls[0][0].width).toBe(300);
+
+      runner.stopCapture();
+      frames.flush(32);
+      expect(onCapture).toHaveBeenCalledTimes(2);
+      expect(canvas.width).toBe(200);
+      runner.destroy();
+    });
+  });
+
+  test('a recorded session replays to exactly the same fluid', () => {
+    const frames = fakeFrames();
+    const config = { ...DEFAULT_CONFIG, idleTimeout: 0, dyeMode: 'rgb', dyeSource: 'cycle' };
+    const recorder = createFluidRunner(fake2DCanvas().canvas, options({ ...frames, config, randomSeed: 1 }));
+    recorder.start();
+    frames.flush(0);
+    recorder.seed();
+
+    recorder.startRecording();
+    recorder.handlePointerDown({ pointerType: 'mouse', pointerId: 1, clientX: 40, clientY: 40 });
+    frames.flush(16);
+    recorder.handlePointerMove({ pointerType: 'mouse', pointerId: 1, clientX: 90, clientY: 60 });
+    recorder.setAudio({ bass: 1, mid: 0, treble: 0 });
+    frames.flush(40);
+    recorder.scroll(0, 30);
+    recorder.splat(150, 30, 5, 0);
+    recorder.seed();
+    frames.flush(50);
+    frames.flush(70);
+
+    return Promise.all([recorder.saveState(), recorder.stopRecording()]).then(([expected, recording]) => {
+      expect(recording.times).toEqual([16, 40, 50, 70]);
+
+      // Another seed, state and frame clock, all replaced by the replay
+      const replayFrames = fakeFrames();
+      const onReplayEnd = jest.fn();
+      const player = createFluidRunner(fake2DCanvas().canvas, options({
+        ...replayFrames, config, randomSeed: 2, onReplayEnd,
+      }));
+      player.seed();
+      player.replay(recording);
+      player.start();
+      // Live input is ignored while replaying
+      player.splat(10, 10, 0, 0, 500);
+      [0, 5, 10, 15].forEach((time) => replayFrames.flush(time));
+      expect(onReplayEnd).toHaveBeenCalledTimes(1);
+
+      return player.saveState().then(({ state }) => {
+        expect(state.density).toEqual(expected.state.density);
+        expect(state.velocityX).toEqual(expected.state.velocityX);
+        expect(state.dye).toEqual(expected.state.dye);
+        expect(state.density.some((value) => value > 0)).toBe(true);
+      });
+    });
+  });
+
+  test('the fixed timestep steps 60 times a second whatever the frame rate', () => {
+    const frames = fakeFrames();
+    const { canvas, ctx } = fake2DCanvas();
+    const config = { ...DEFAULT_CONFIG, idleTimeout: 0, timestep: 'fixed' };
+    const runner = createFluidRunner(canvas, options({ ...frames, config }));
+    runner.startRecording();
+    runner.start();
+
+    // 30 fps: two steps a frame, each drawn once
+    for (let i = 0; i <= 30; i++) frames.flush((i * 1000) / 30);
+    expect(ctx.putImageData).toHaveBeenCalledTimes(31);
+
+    return runner.stopRecording().then(({ times, intervals }) => {
+      expect(times.length).toBeGreaterThanOrEqual(59);
+      expect(times.length).toBeLessThanOrEqual(60);
+      expect(new Set(intervals)).toEqual(new Set([1000 / 60]));
+    });
+  });
+
+  test('saveState and loadState bring the fluid back', () => {
+    const runner = createFluidRunner(fake2DCanvas().canvas, options());
+    runner.splat(100, 50, 0, 0, 500);
+
+    return runner.saveState().then((saved) => {
+      expect(saved.config).toBe(DEFAULT_CONFIG);
+      runner.reset();
+      runner.loadState(saved);
+      return runner.saveState().then(({ state }) => expect(state.density).toEqual(saved.state.density));
+    });
+  });
+
+  test('reports stats once a second, with the solver phases while profiling', () => {
+    const frames = fakeFrames();
+    const onStats = jest.fn();
+    const runner = createFluidRunner(fake2DCanvas().canvas, options({ ...frames, onStats }));
+    runner.start();
+
+    [0, 500, 1000].forEach((time) => frames.flush(time));
+    expect(onStats).toHaveBeenCalledWith({
+      fps: 2,
+      workMs: expect.any(Number),
+      timings: {},
+      cols: 20,
+      rows: 10,
+      level: 'medium',
+      backend: 'canvas2d',
+    });
+
+    runner.setProfiling(true);
+    [1500, 2000].forEach((time) => frames.flush(time));
+    expect(Object.keys(onStats.mock.calls[1][0].timings).sort()).toEqual(['advect', 'diffuse', 'draw', 'project', 'step']);
+    runner.destroy();
+  });
+});
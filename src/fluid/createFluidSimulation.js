@@ -0,0 +1,262 @@
+import { createGrid, IX, applyForces, velocityStep, densityStep } from './solver';
+import resampleField from './resample';
+import { rasterizeObstacles } from './obstacles';
+import { resampleState } from './fluidState';
+
+export const DEFAULT_CELL_SIZE = 10; // Size of each cell in CSS pixels
+export const DEFAULT_ITERATIONS = 16; // Relaxation passes per diffuse/project
+export const DEFAULT_TIME_STEP = 0.16;
+
+// Headless Navier-Stokes fluid simulation. Knows nothing about canvases or the DOM,
+// so it can run in tests, workers or any renderer.
+//
+//   const sim = createFluidSimulation({ width: 800, height: 600 });
+//   sim.addDensity(10, 10, 150);     // grid coordinates, not pixels
+//   sim.addVelocity(10, 10, 5, 0);
+//   sim.step();
+//   sim.density[sim.index(10, 10)];
+//   sim.configure({ viscosity: 0.001 }); // takes effect on the next step
+//   sim.resize(1024, 768);               // rebuilds the grid, keeping the fluid
+//   sim.setObstacles([{ left: 100, top: 80, right: 300, bottom: 140 }]); // pixels
+//   sim.setState(sim.getState());        // copies of the fields, see fluidState.js
+//
+// In 'rgb' dye mode every bit of dye also carries a colour: sim.dye holds red,
+// green and blue fields of amount * colour component, advected and diffused like
+// the density, so dye of different colours mixes where it meets.
+//   sim.configure({ dyeMode: 'rgb' });
+//   sim.setDyeColor([1, 0, 0]);     // colour of the dye added from now on (0-1)
+//   sim.addDensity(10, 10, 150);
+//
+// Options:
+//   width, height - area covered by the simulation in pixels
+//   cellSize      - pixels per grid cell
+//   iterations    - relaxation passes for diffusion and pressure projection
+//   viscosity     - velocity diffusion rate
+//   diffusion     - dye diffusion rate
+//   decayRate     - multiplier applied to the dye every step (1 = no fading)
+//   dyeMode       - 'gradient' (density only) or 'rgb' (density plus colour fields)
+//   vorticity, advection, pressureSolver, pressureIterations
+//                 - optional solver features, see solver.js
+//   forceX, forceY, buoyancy, turbulence
+//                 - external forces applied every step, see solver.js
+//   timer         - optional phase timer for profiling (see createPhaseTimer.js)
+const createFluidSimulation = ({
+  width: initialWidth,
+  height: initialHeight,
+  cellSize: initialCellSize = DEFAULT_CELL_SIZE,
+  iterations: initialIterations = DEFAULT_ITERATIONS,
+  ...params
+} = {}) => {
+  if (!(initialWidth > 0) || !(initialHeight > 0)) {
+    throw new Error('createFluidSimulation: width and height must be positive numbers');
+  }
+
+  let width = initialWidth;
+  let height = initialHeight;
+  let cellSize = initialCellSize;
+  let iterations = initialIterations;
+  let obstacleRects = [];
+
+  let grid;
+  let density;
+  let densityPrev;
+  let vx;
+  let vy;
+  let vxPrev;
+  let vyPrev;
+  let dye = null; // [red, green, blue] in rgb dye mode
+  let dyePrev = null;
+  let dyeColor = [1, 1, 1];
+  let time = 0; // Simulation clock, sum of the step lengths
+
+  // Build the grid for an area, resampling the current fields into it if there are any
+  const build = (areaWidth, areaHeight, size) => {
+    const previous = grid;
+    const cols = Math.max(4, Math.ceil(areaWidth / size));
+    const rows = Math.max(4, Math.ceil(areaHeight / size));
+    const cells = cols * rows;
+
+    if (previous) {
+      density = resampleField(density, previous.cols, previous.rows, cols, rows);
+      vx = resampleField(vx, previous.cols, previous.rows, cols, rows);
+      vy = resampleField(vy, previous.cols, previous.rows, cols, rows);
+      if (dye) dye = dye.map((channel) => resampleField(channel, previous.cols, previous.rows, cols, rows));
+    } else {
+      density = new Float32Array(cells);
+      vx = new Float32Array(cells);
+      vy = new Float32Array(cells);
+    }
+    densityPrev = new Float32Array(cells);
+    if (dye) dyePrev = dye.map(() => new Float32Array(cells));
+    vxPrev = new Float32Array(cells);
+    vyPrev = new Float32Array(cells);
+    grid = createGrid(cols, rows, rasterizeObstacles(obstacleRects, cols, rows, size));
+  };
+
+  build(width, height, cellSize);
+
+  // Solver parameters, changeable while the simulation runs
+  let { viscosity = 0.0002, diffusion = 0.0003, decayRate = 0.992 } = params;
+  const solverOptions = {
+    vorticity: 0,
+    advection: 'semi-lagrangian',
+    pressureSolver: 'standard',
+    pressureIterations: 40,
+    forceX: 0,
+    forceY: 0,
+    buoyancy: 0,
+    turbulence: 0,
+  };
+  const setSolverOptions = (next) => Object.keys(solverOptions).forEach((key) => {
+    if (next[key] !== undefined) solverOptions[key] = next[key];
+  });
+  setSolverOptions(params);
+  const { timer } = params;
+
+  // Colour fields only exist in rgb mode. Dye that is already there takes the
+  // current dye colour when they are created.
+  const setDyeMode = (mode) => {
+    if (mode === 'rgb' && !dye) {
+      dye = dyeColor.map((component) => density.map((d) => d * component));
+      dyePrev = dye.map(() => new Float32Array(density.length));
+    } else if (mode !== 'rgb') {
+      dye = null;
+      dyePrev = null;
+    }
+  };
+  setDyeMode(params.dyeMode);
+
+  const inside = (x, y) => x >= 1 && x <= grid.cols - 2 && y >= 1 && y <= grid.rows - 2;
+
+  return {
+    get width() { return width; },
+    get height() { return height; },
+    get cellSize() { return cellSize; },
+    get iterations() { return iterations; },
+    get cols() { return grid.cols; },
+    get rows() { return grid.rows; },
+
+    // Read access to the simulation fields (row-major, cols * rows). A resize
+    // replaces the arrays, so don't hold on to them across one.
+    get density() { return density; },
+    get velocityX() { return vx; },
+    get velocityY() { return vy; },
+    get dye() { return dye; },
+
+    // Array index for grid coordinates, clamped to the interior cells
+    index(x, y) {
+      return IX(grid, Math.min(Math.max(1, x), grid.cols - 2), Math.min(Math.max(1, y), grid.rows - 2));
+    },
+
+    // Add density at a grid cell (ignored outside the interior)
+    addDensity(x, y, amount) {
+      if (!inside(x, y)) return;
+      const idx = IX(grid, x, y);
+      density[idx] += amount;
+      if (dye) dye.forEach((channel, c) => { channel[idx] += amount * dyeColor[c]; });
+    },
+
+    // Colour of the dye added from now on, [r, g, b] from 0 to 1 (rgb mode only)
+    setDyeColor(color) {
+      dyeColor = color;
+    },
+
+    // Add velocity at a grid cell (ignored outside the interior)
+    addVelocity(x, y, amountX, amountY) {
+      if (!inside(x, y)) return;
+      const idx = IX(grid, x, y);
+      vx[idx] += amountX;
+      vy[idx] += amountY;
+    },
+
+    // Update viscosity, diffusion, decayRate, iterations, dyeMode and/or the solver
+    // features without touching the fields
+    configure(next) {
+      if (next.viscosity !== undefined) viscosity = next.viscosity;
+      if (next.diffusion !== undefined) diffusion = next.diffusion;
+      if (next.decayRate !== undefined) decayRate = next.decayRate;
+      if (next.iterations !== undefined) iterations = next.iterations;
+      if (next.dyeMode !== undefined) setDyeMode(next.dyeMode);
+      setSolverOptions(next);
+    },
+
+    // Advance the simulation by dt
+    step(dt = DEFAULT_TIME_STEP) {
+      const options = timer ? { ...solverOptions, timer } : solverOptions;
+      applyForces(grid, vx, vy, density, solverOptions, time, dt);
+      time += dt;
+      velocityStep(grid, vx, vy, vxPrev, vyPrev, viscosity, dt, iterations, options);
+      densityStep(grid, density, densityPrev, vx, vy, diffusion, decayRate, dt, iterations, options);
+      if (dye) {
+        dye.forEach((channel, c) => (
+          densityStep(grid, channel, dyePrev[c], vx, vy, diffusion, decayRate, dt, iterations, options)
+        ));
+      }
+    },
+
+    // Cover a new area (and optionally a new cell size). The current dye and
+    // velocity are resampled into the new grid so the effect carries on.
+    resize(nextWidth, nextHeight, nextCellSize = cellSize) {
+      if (!(nextWidth > 0) || !(nextHeight > 0)) return;
+      width = nextWidth;
+      height = nextHeight;
+      cellSize = nextCellSize;
+      build(width, height, cellSize);
+    },
+
+    // Solid rectangles in pixels that the fluid flows around (replaces the previous
+    // set). They follow the grid through resizes.
+    setObstacles(rects) {
+      obstacleRects = rects || [];
+      grid = createGrid(grid.cols, grid.rows, rasterizeObstacles(obstacleRects, grid.cols, grid.rows, cellSize));
+    },
+
+    // Copies of the dye and velocity fields
+    getState() {
+      return {
+        cols: grid.cols,
+        rows: grid.rows,
+        density: density.slice(),
+        velocityX: vx.slice(),
+        velocityY: vy.slice(),
+        dye: dye ? dye.map((channel) => channel.slice()) : null,
+        time,
+      };
+    },
+
+    // Replace the dye and velocity with a saved state, resampled onto this grid.
+    // In rgb mode, a state without colours gets the current dye colour. The
+    // solver's scratch fields start empty, so a state steps the same way wherever
+    // it is loaded.
+    setState(state) {
+      const next = resampleState(state, grid.cols, grid.rows);
+      density.set(next.density);
+      vx.set(next.velocityX);
+      vy.set(next.velocityY);
+      densityPrev.fill(0);
+      vxPrev.fill(0);
+      vyPrev.fill(0);
+      if (dyePrev) dyePrev.forEach((field) => field.fill(0));
+      if (Number.isFinite(next.time)) time = next.time;
+      if (dye) {
+        dye.forEach((channel, c) => {
+          if (next.dye) channel.set(next.dye[c]);
+          else channel.set(next.density.map((d) => d * dyeColor[c]));
+        });
+      }
+    },
+
+    // Clear all dye and motion
+    reset() {
+      density.fill(0);
+      densityPrev.fill(0);
+      vx.fill(0);
+      vy.fill(0);
+      vxPrev.fill(0);
+      vyPrev.fill(0);
+      if (dye) [...dye, ...dyePrev].forEach((field) => field.fill(0));
+    },
+  };
+};
+
+export default createFluidSimulation;
@@ -0,0 +1,355 @@
+import createFluidSimulation from './createFluidSimulation';
+import {
+  createGrid, IX, setBoundary, project, densityStep, advect, advectMacCormack, solvePressureRedBlack, velocityStep,
+  applyForces,
+} from './solver';
+
+const sum = (field) => field.reduce((total, value) => total + value, 0);
+
+// Root-mean-square divergence over the interior cells
+const divergence = (grid, vx, vy) => {
+  const N = grid.cols;
+  let total = 0;
+  for (let j = 1; j < N - 1; j++) {
+    for (let i = 1; i < N - 1; i++) {
+      const idx = IX(grid, i, j);
+      const div = vx[idx + 1] - vx[idx - 1] + vy[idx + N] - vy[idx - N];
+      total += div * div;
+    }
+  }
+  return Math.sqrt(total / ((N - 2) * (N - 2)));
+};
+
+describe('createFluidSimulation', () => {
+  test('builds a grid from width, height and cellSize', () => {
+    const sim = createFluidSimulation({ width: 200, height: 100, cellSize: 10, iterations: 4 });
+
+    expect(sim.cols).toBe(20);
+    expect(sim.rows).toBe(10);
+    expect(sim.cellSize).toBe(10);
+    expect(sim.iterations).toBe(4);
+    expect(sim.density).toBeInstanceOf(Float32Array);
+    expect(sim.velocityX).toBeInstanceOf(Float32Array);
+    expect(sim.velocityY).toHaveLength(20 * 10);
+  });
+
+  test('rejects missing dimensions', () => {
+    expect(() => createFluidSimulation({ width: 0, height: 100 })).toThrow(/width and height/);
+  });
+
+  test('addDensity and addVelocity write interior cells and ignore the border', () => {
+    const sim = createFluidSimulation({ width: 100, height: 100 });
+
+    sim.addDensity(5, 5, 42);
+    sim.addVelocity(5, 5, 1, -2);
+    sim.addDensity(0, 5, 10);
+    sim.addVelocity(sim.cols - 1, 5, 3, 3);
+
+    expect(sim.density[sim.index(5, 5)]).toBe(42);
+    expect(sim.velocityX[sim.index(5, 5)]).toBe(1);
+    expect(sim.velocityY[sim.index(5, 5)]).toBe(-2);
+    expect(sum(sim.density)).toBe(42);
+    expect(sum(sim.velocityX)).toBe(1);
+  });
+
+  test('step moves dye along the velocity field and reset clears it', () => {
+    const sim = createFluidSimulation({ width: 200, height: 200, decayRate: 1 });
+    sim.addDensity(10, 10, 100);
+    for (let i = 0; i < 3; i++) sim.addVelocity(10, 10, 20, 0);
+
+    sim.step();
+
+    expect(sim.density[sim.index(11, 10)]).toBeGreaterThan(sim.density[sim.index(9, 10)]);
+
+    sim.reset();
+    expect(sum(sim.density)).toBe(0);
+    expect(sum(sim.velocityX)).toBe(0);
+  });
+
+  test('rgb dye carries each emission\'s colour and mixes where they meet', () => {
+    const sim = createFluidSimulation({ width: 200, height: 200, decayRate: 1, dyeMode: 'rgb' });
+    sim.setDyeColor([1, 0, 0]);
+    sim.addDensity(8, 10, 100);
+    sim.setDyeColor([0, 0, 1]);
+    sim.addDensity(12, 10, 100);
+
+    const [red, green, blue] = sim.dye;
+    expect(red[sim.index(8, 10)]).toBe(100);
+    expect(blue[sim.index(8, 10)]).toBe(0);
+
+    sim.addVelocity(8, 10, 20, 0);
+    sim.addVelocity(12, 10, -20, 0);
+    for (let i = 0; i < 5; i++) sim.step();
+
+    const between = sim.index(10, 10);
+    expect(red[between]).toBeGreaterThan(0);
+    expect(blue[between]).toBeGreaterThan(0);
+    expect(green[between]).toBe(0);
+    expect(sum(red) + sum(green) + sum(blue)).toBeCloseTo(sum(sim.density), 0);
+  });
+
+  test('switching dye modes creates and drops the colour fields', () => {
+    const sim = createFluidSimulation({ width: 100, height: 100 });
+    sim.addDensity(5, 5, 50);
+    expect(sim.dye).toBeNull();
+
+    sim.setDyeColor([0, 1, 0]);
+    sim.configure({ dyeMode: 'rgb' });
+    expect(sim.dye[1][sim.index(5, 5)]).toBe(50);
+    expect(sim.dye[0][sim.index(5, 5)]).toBe(0);
+
+    sim.resize(200, 100);
+    expect(sim.dye[1]).toHaveLength(sim.cols * sim.rows);
+
+    sim.configure({ dyeMode: 'gradient' });
+    expect(sim.dye).toBeNull();
+  });
+
+  test('resize rebuilds a rectangular grid and keeps the fluid', () => {
+    const sim = createFluidSimulation({ width: 400, height: 300, decayRate: 1 });
+    sim.addDensity(20, 15, 100);
+    const before = sum(sim.density);
+
+    sim.resize(300, 400);
+
+    expect(sim.cols).toBe(30);
+    expect(sim.rows).toBe(40);
+    expect(sim.density).toHaveLength(30 * 40);
+    // Same relative position, and roughly the same amount of dye per area
+    expect(sim.density[sim.index(15, 20)]).toBeGreaterThan(0);
+    expect(sum(sim.density)).toBeGreaterThan(before * 0.5);
+
+    sim.resize(300, 400, 20);
+    expect(sim.cols).toBe(15);
+    expect(sim.cellSize).toBe(20);
+  });
+
+  test('getState and setState copy the fluid, onto another grid if need be', () => {
+    const sim = createFluidSimulation({ width: 100, height: 100 });
+    sim.addDensity(5, 5, 50);
+    sim.addVelocity(5, 5, 2, -1);
+    const state = sim.getState();
+    expect(state).toMatchObject({ cols: 10, rows: 10, dye: null });
+
+    sim.reset();
+    expect(state.density[sim.index(5, 5)]).toBe(50);
+    sim.setState(state);
+    expect(sim.density[sim.index(5, 5)]).toBe(50);
+    expect(sim.velocityX[sim.index(5, 5)]).toBe(2);
+
+    // Gradient state in rgb mode takes the dye colour
+    const other = createFluidSimulation({ width: 200, height: 200, dyeMode: 'rgb' });
+    other.setDyeColor([1, 0, 0]);
+    other.setState(state);
+    expect(other.density[other.index(10, 10)]).toBeGreaterThan(0);
+    expect(other.dye[0][other.index(10, 10)]).toBe(other.density[other.index(10, 10)]);
+    expect(other.dye[1][other.index(10, 10)]).toBe(0);
+  });
+
+  test('gravity sinks the dye, buoyancy lifts it and the clock is part of the state', () => {
+    // Dye-weighted mean row
+    const centreRow = (sim) => {
+      let weighted = 0;
+      sim.density.forEach((value, idx) => { weighted += value * Math.floor(idx / sim.cols); });
+      return weighted / sum(sim.density);
+    };
+    const run = (params) => {
+      const sim = createFluidSimulation({ width: 300, height: 300, ...params });
+      for (let j = 13; j <= 17; j++) {
+        for (let i = 13; i <= 17; i++) sim.addDensity(i, j, 200);
+      }
+      for (let k = 0; k < 30; k++) sim.step();
+      return sim;
+    };
+
+    const still = run({});
+    expect(centreRow(run({ forceY: 0.1 }))).toBeGreaterThan(centreRow(still) + 1);
+    expect(centreRow(run({ buoyancy: 0.1 }))).toBeLessThan(centreRow(still) - 1);
+
+    const state = still.getState();
+    expect(state.time).toBeCloseTo(30 * 0.16);
+    const other = createFluidSimulation({ width: 300, height: 300 });
+    other.setState(state);
+    expect(other.getState().time).toBe(state.time);
+  });
+
+  test('runs without a DOM', () => {
+    expect(() => {
+      const sim = createFluidSimulation({ width: 50, height: 50 });
+      sim.addDensity(2, 2, 1);
+      sim.step(0.1);
+    }).not.toThrow();
+  });
+});
+
+// Smooth outward flow from the centre of an N x N grid - a pure source
+const sourceFlow = (grid, N) => {
+  const vx = new Float32Array(N * N);
+  const vy = new Float32Array(N * N);
+  for (let j = 1; j < N - 1; j++) {
+    for (let i = 1; i < N - 1; i++) {
+      const falloff = Math.exp(-((i - N / 2) ** 2 + (j - N / 2) ** 2) / 20);
+      vx[IX(grid, i, j)] = (i - N / 2) * falloff;
+      vy[IX(grid, i, j)] = (j - N / 2) * falloff;
+    }
+  }
+  return [vx, vy];
+};
+
+// Counter-clockwise swirl around the centre of an N x N grid
+const swirlFlow = (grid, N) => {
+  const vx = new Float32Array(N * N);
+  const vy = new Float32Array(N * N);
+  for (let j = 1; j < N - 1; j++) {
+    for (let i = 1; i < N - 1; i++) {
+      const falloff = Math.exp(-((i - N / 2) ** 2 + (j - N / 2) ** 2) / 30) * 0.05;
+      vx[IX(grid, i, j)] = -(j - N / 2) * falloff;
+      vy[IX(grid, i, j)] = (i - N / 2) * falloff;
+    }
+  }
+  return [vx, vy];
+};
+
+const energy = (vx, vy) => vx.reduce((total, value, i) => total + value * value + vy[i] * vy[i], 0);
+
+describe('solver', () => {
+  test('project removes most of the divergence from the velocity field', () => {
+    const N = 24;
+    const grid = createGrid(N, N);
+    const [vx, vy] = sourceFlow(grid, N);
+    const before = divergence(grid, vx, vy);
+
+    project(grid, vx, vy, new Float32Array(N * N), new Float32Array(N * N), 60);
+
+    expect(divergence(grid, vx, vy)).toBeLessThan(before * 0.25);
+  });
+
+  test('setBoundary reflects the normal velocity component at the walls', () => {
+    const grid = createGrid(10, 6);
+    const vx = new Float32Array(10 * 6).fill(3);
+    const vy = new Float32Array(10 * 6).fill(5);
+
+    setBoundary(grid, 1, vx);
+    setBoundary(grid, 2, vy);
+
+    // Horizontal velocity flips at the left/right walls, copies at top/bottom
+    expect(vx[IX(grid, 0, 3)]).toBe(-3);
+    expect(vx[IX(grid, 9, 3)]).toBe(-3);
+    expect(vx[IX(grid, 3, 0)]).toBe(3);
+    // Vertical velocity flips at the top/bottom walls, copies at left/right
+    expect(vy[IX(grid, 3, 0)]).toBe(-5);
+    expect(vy[IX(grid, 3, 5)]).toBe(-5);
+    expect(vy[IX(grid, 0, 3)]).toBe(5);
+  });
+
+  test('setBoundary copies scalar fields into the border', () => {
+    const grid = createGrid(6, 6);
+    const x = new Float32Array(6 * 6);
+    x[IX(grid, 1, 2)] = 7;
+
+    setBoundary(grid, 0, x);
+
+    expect(x[IX(grid, 0, 2)]).toBe(7);
+  });
+
+  test('densityStep fades total dye by decayRate in still fluid', () => {
+    const N = 16;
+    const grid = createGrid(N, N);
+    const density = new Float32Array(N * N);
+    const densityPrev = new Float32Array(N * N);
+    const still = new Float32Array(N * N);
+    density[IX(grid, 8, 8)] = 100;
+
+    densityStep(grid, density, densityPrev, still, still, 0, 0.9, 0.16, 8);
+    expect(sum(density)).toBeCloseTo(90, 3);
+
+    densityStep(grid, density, densityPrev, still, still, 0, 0.9, 0.16, 8);
+    expect(sum(density)).toBeCloseTo(81, 3);
+  });
+
+  test('the red-black pressure solve converges before its cap', () => {
+    const N = 24;
+    const grid = createGrid(N, N);
+    const [vx, vy] = sourceFlow(grid, N);
+    const before = divergence(grid, vx, vy);
+
+    project(grid, vx, vy, new Float32Array(N * N), new Float32Array(N * N), 4, {
+      pressureSolver: 'red-black',
+      pressureIterations: 200,
+    });
+    expect(divergence(grid, vx, vy)).toBeLessThan(before * 0.25);
+
+    const [vx2, vy2] = sourceFlow(grid, N);
+    const div = new Float32Array(N * N);
+    for (let j = 1; j < N - 1; j++) {
+      for (let i = 1; i < N - 1; i++) {
+        const idx = IX(grid, i, j);
+        div[idx] = -0.5 * (vx2[idx + 1] - vx2[idx - 1] + vy2[idx + N] - vy2[idx - N]) / N;
+      }
+    }
+    const passes = solvePressureRedBlack(grid, new Float32Array(N * N), div, 1000);
+    expect(passes).toBeGreaterThan(1);
+    expect(passes).toBeLessThan(1000);
+  });
+
+  test('MacCormack advection keeps a moving blob sharper without overshooting', () => {
+    const N = 32;
+    const grid = createGrid(N, N);
+    const vx = new Float32Array(N * N).fill(0.002);
+    const vy = new Float32Array(N * N);
+    const blob = () => {
+      const d = new Float32Array(N * N);
+      for (let j = 12; j < 20; j++) for (let i = 6; i < 10; i++) d[IX(grid, i, j)] = 100;
+      return d;
+    };
+
+    const run = (advectField) => {
+      let d = blob();
+      let next = new Float32Array(N * N);
+      for (let k = 0; k < 20; k++) {
+        advectField(grid, 0, next, d, vx, vy, 0.16);
+        [d, next] = [next, d];
+      }
+      return d;
+    };
+    const simple = run(advect);
+    const sharp = run(advectMacCormack);
+
+    expect(Math.max(...sharp)).toBeGreaterThan(Math.max(...simple));
+    expect(Math.max(...sharp)).toBeLessThanOrEqual(100);
+    expect(Math.min(...sharp)).toBeGreaterThanOrEqual(0);
+  });
+
+  test('vorticity confinement keeps a swirl turning for longer', () => {
+    const N = 32;
+    const run = (options) => {
+      const grid = createGrid(N, N);
+      const [vx, vy] = swirlFlow(grid, N);
+      const vxPrev = new Float32Array(N * N);
+      const vyPrev = new Float32Array(N * N);
+      for (let k = 0; k < 10; k++) velocityStep(grid, vx, vy, vxPrev, vyPrev, 0.0002, 0.16, 8, options);
+      return energy(vx, vy);
+    };
+
+    expect(run({ vorticity: 2 })).toBeGreaterThan(run({}));
+  });
+
+  test('turbulence stirs still, clear fluid without compressing it', () => {
+    const N = 32;
+    const grid = createGrid(N, N);
+    const vx = new Float32Array(N * N);
+    const vy = new Float32Array(N * N);
+    const density = new Float32Array(N * N);
+
+    applyForces(grid, vx, vy, density, { forceY: 1 }, 0, 0.16); // No dye for gravity to pull
+    expect(energy(vx, vy)).toBe(0);
+
+    applyForces(grid, vx, vy, density, { turbulence: 1 }, 2, 0.16);
+    const stirred = energy(vx, vy);
+    expect(stirred).toBeGreaterThan(0);
+
+    // Nearly divergence-free already, so projecting keeps most of it
+    project(grid, vx, vy, new Float32Array(N * N), new Float32Array(N * N), 20);
+    expect(energy(vx, vy)).toBeGreaterThan(stirred * 0.8);
+  });
+});
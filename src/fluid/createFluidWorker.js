@@ -0,0 +1,5 @@
+// Starts fluid.worker.js. It lives on its own so that bundlers can resolve the
+// worker through import.meta.url, and tests can swap it for a fake.
+const createFluidWorker = () => new Worker(new URL('./fluid.worker.js', import.meta.url));
+
+export default createFluidWorker;
@@ -0,0 +1,62 @@
+// requestAnimationFrame loop that can be paused for several independent reasons
+// (hidden tab, offscreen canvas, ...) and stopped for good on teardown.
+//
+// onFrame(time, interval) gets the rAF timestamp and the time since the previous
+// frame, or 0 for the first frame after starting or resuming.
+const createFrameLoop = (onFrame, {
+  requestFrame = (callback) => window.requestAnimationFrame(callback),
+  cancelFrame = (handle) => window.cancelAnimationFrame(handle),
+} = {}) => {
+  const pauseReasons = new Set();
+  let handle = null;
+  let started = false;
+  let lastTime = null;
+
+  const tick = (time) => {
+    handle = null;
+    const interval = lastTime === null ? 0 : time - lastTime;
+    lastTime = time;
+    onFrame(time, interval);
+    schedule();
+  };
+
+  const schedule = () => {
+    if (handle === null && started && pauseReasons.size === 0) {
+      handle = requestFrame(tick);
+    }
+  };
+
+  const cancel = () => {
+    if (handle !== null) cancelFrame(handle);
+    handle = null;
+    lastTime = null;
+  };
+
+  return {
+    get running() { return handle !== null; },
+    get paused() { return pauseReasons.size > 0; },
+
+    start() {
+      started = true;
+      schedule();
+    },
+
+    // Stop for good - nothing is scheduled afterwards until start() is called again
+    stop() {
+      started = false;
+      cancel();
+    },
+
+    pause(reason) {
+      pauseReasons.add(reason);
+      cancel();
+    },
+
+    resume(reason) {
+      pauseReasons.delete(reason);
+      schedule();
+    },
+  };
+};
+
+export default createFrameLoop;
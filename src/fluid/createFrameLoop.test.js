@@ -0,0 +1,66 @@
+import createFrameLoop from './createFrameLoop';
+
+// Manual requestAnimationFrame - flush() runs the pending frame
+const createFakeFrames = () => {
+  let pending = null;
+  let nextHandle = 1;
+  return {
+    requestFrame: (callback) => {
+      pending = callback;
+      return nextHandle++;
+    },
+    cancelFrame: () => { pending = null; },
+    flush: (time) => {
+      const callback = pending;
+      pending = null;
+      if (callback) callback(time);
+    },
+    get pending() { return pending !== null; },
+  };
+};
+
+describe('createFrameLoop', () => {
+  test('runs frames with the interval since the previous one', () => {
+    const frames = createFakeFrames();
+    const onFrame = jest.fn();
+    const loop = createFrameLoop(onFrame, frames);
+
+    loop.start();
+    frames.flush(100);
+    frames.flush(116);
+
+    expect(onFrame).toHaveBeenNthCalledWith(1, 100, 0);
+    expect(onFrame).toHaveBeenNthCalledWith(2, 116, 16);
+  });
+
+  test('stays paused until every reason is cleared', () => {
+    const frames = createFakeFrames();
+    const onFrame = jest.fn();
+    const loop = createFrameLoop(onFrame, frames);
+
+    loop.start();
+    loop.pause('hidden');
+    loop.pause('offscreen');
+    expect(frames.pending).toBe(false);
+
+    loop.resume('hidden');
+    expect(loop.paused).toBe(true);
+    expect(frames.pending).toBe(false);
+
+    loop.resume('offscreen');
+    frames.flush(500);
+    expect(onFrame).toHaveBeenCalledWith(500, 0);
+  });
+
+  test('stop cancels the pending frame and resume does not restart it', () => {
+    const frames = createFakeFrames();
+    const loop = createFrameLoop(jest.fn(), frames);
+
+    loop.start();
+    loop.stop();
+    loop.resume('hidden');
+
+    expect(loop.running).toBe(false);
+    expect(frames.pending).toBe(false);
+  });
+});
@@ -0,0 +1,99 @@
+import createFrameLoop from './createFrameLoop';
+
+const GHOST_SIZE = 10; // Dot diameter in CSS pixels
+const MAX_SPAN = 250; // Longest time a ghost takes to reach a new position
+const TIMEOUT_MS = 5000; // A ghost without updates for this long goes away
+
+// rgb dye colour (0-1) as CSS
+const cssColor = (color) => `rgb(${color.map((c) => Math.round(c * 255)).join(', ')})`;
+
+// Dots for the pointers of other tabs or visitors (see createSharedFluid.js),
+// drawn into `root` (an absolutely placed, pointer-events: none element) in its
+// own CSS pixels. Their positions arrive a few times a second, so each dot glides
+// from where it was drawn to the latest position over the time between updates.
+// `now` is the clock of the frame times (performance.now in browsers).
+const createGhostCursors = (root, {
+  now = () => performance.now(),
+  ...frameOptions
+} = {}) => {
+  const ghosts = new Map(); // key -> { element, from, to, start, span, last, timer, drawn }
+
+  const positionAt = (ghost, time) => {
+    const t = Math.min(1, Math.max(0, (time - ghost.start) / ghost.span));
+    return {
+      x: ghost.from.x + (ghost.to.x - ghost.from.x) * t,
+      y: ghost.from.y + (ghost.to.y - ghost.from.y) * t,
+      done: t === 1,
+    };
+  };
+
+  const place = (ghost, x, y) => {
+    ghost.drawn = { x, y };
+    ghost.element.style.transform = `translate3d(${x}px, ${y}px, 0) translate(-50%, -50%)`;
+  };
+
+  const loop = createFrameLoop((time) => {
+    let moving = false;
+    ghosts.forEach((ghost) => {
+      const { x, y, done } = positionAt(ghost, time);
+      place(ghost, x, y);
+      if (!done) moving = true;
+    });
+    if (!moving) loop.stop();
+  }, frameOptions);
+
+  const remove = (key) => {
+    const ghost = ghosts.get(key);
+    if (!ghost) return;
+    clearTimeout(ghost.timer);
+    root.removeChild(ghost.element);
+    ghosts.delete(key);
+  };
+
+  return {
+    get size() { return ghosts.size; },
+
+    // Latest position of a remote pointer, with its rgb dye colour (0-1)
+    move(key, x, y, color) {
+      const time = now();
+      let ghost = ghosts.get(key);
+      if (!ghost) {
+        const element = document.createElement('div');
+        Object.assign(element.style, {
+          position: 'absolute',
+          left: '0',
+          top: '0',
+          width: `${GHOST_SIZE}px`,
+          height: `${GHOST_SIZE}px`,
+          borderRadius: '50%',
+          opacity: '0.6',
+          willChange: 'transform',
+        });
+        root.appendChild(element);
+        ghost = { element, from: { x, y }, to: { x, y }, start: time, span: 1, last: time, timer: null };
+        ghosts.set(key, ghost);
+        place(ghost, x, y);
+      } else {
+        // Glide on from where the dot is drawn, over the time since the last update
+        ghost.from = ghost.drawn;
+        ghost.to = { x, y };
+        ghost.span = Math.min(MAX_SPAN, Math.max(1, time - ghost.last));
+        ghost.start = time;
+      }
+      ghost.last = time;
+      if (color) ghost.element.style.background = cssColor(color);
+      clearTimeout(ghost.timer);
+      ghost.timer = setTimeout(() => remove(key), TIMEOUT_MS);
+      loop.start();
+    },
+
+    remove,
+
+    destroy() {
+      loop.stop();
+      Array.from(ghosts.keys()).forEach(remove);
+    },
+  };
+};
+
+export default createGhostCursors;
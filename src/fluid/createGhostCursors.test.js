@@ -0,0 +1,67 @@
+import createGhostCursors from './createGhostCursors';
+
+// Manual frames - flush() runs the pending one
+const fakeFrames = () => {
+  let pending = null;
+  return {
+    requestFrame: (callback) => { pending = callback; return 1; },
+    cancelFrame: () => { pending = null; },
+    get pending() { return pending !== null; },
+    flush: (time = 0) => {
+      const callback = pending;
+      pending = null;
+      if (callback) callback(time);
+    },
+  };
+};
+
+const positionOf = (element) => {
+  const match = element.style.transform.match(/translate3d\(([-\d.]+)px, ([-\d.]+)px, 0\)/);
+  return [Number(match[1]), Number(match[2])];
+};
+
+describe('createGhostCursors', () => {
+  let root;
+  let clock;
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    root = document.createElement('div');
+    document.body.appendChild(root);
+    clock = 0;
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    document.body.innerHTML = '';
+  });
+
+  test('glides each dot to its latest position over the time between updates', () => {
+    const frames = fakeFrames();
+    const ghosts = createGhostCursors(root, { ...frames, now: () => clock });
+
+    ghosts.move('b:mouse', 100, 100, [1, 0, 0]);
+    expect(positionOf(root.firstChild)).toEqual([100, 100]);
+    expect(root.firstChild.style.background).toBe('rgb(255, 0, 0)');
+
+    clock = 100;
+    ghosts.move('b:mouse', 200, 100);
+    frames.flush(150);
+    expect(positionOf(root.firstChild)).toEqual([150, 100]);
+    frames.flush(200);
+    expect(positionOf(root.firstChild)).toEqual([200, 100]);
+    expect(frames.pending).toBe(false);
+  });
+
+  test('removes dots on request and after a while without updates', () => {
+    const ghosts = createGhostCursors(root, { ...fakeFrames(), now: () => clock });
+    ghosts.move('b:mouse', 10, 10);
+    ghosts.move('c:mouse', 20, 20);
+    expect(root.childNodes).toHaveLength(2);
+
+    ghosts.remove('b:mouse');
+    expect(ghosts.size).toBe(1);
+    jest.advanceTimersByTime(5000);
+    expect(root.childNodes).toHaveLength(0);
+  });
+});
@@ -0,0 +1,85 @@
+// Aggregates what the diagnostics panel shows - the runner's once-a-second stats
+// (see createPerfStats.js) and Web Vitals - and hands it to `send` every intervalMs
+// and on flush() (e.g. when the page is hidden), but only when something new came
+// in. `send` gets:
+//   { samples, fps: { mean, min }, workMs, timings, cols, rows, level, backend, vitals }
+// with samples the number of stats summaries since the last send, fps, workMs and
+// timings averaged over them (timings over the profiled ones only), and the latest
+// grid, quality level, backend and Web Vitals values.
+const createMetricsReporter = ({ send, intervalMs = 30000, vitals: initialVitals = {} }) => {
+  const vitals = { ...initialVitals };
+  let samples = 0;
+  let fpsTotal = 0;
+  let fpsMin = Infinity;
+  let workTotal = 0;
+  let timingTotals = {};
+  let timingCounts = {};
+  let latest = null;
+  let changed = Object.keys(vitals).length > 0;
+
+  const flush = () => {
+    if (!changed) return;
+    const timings = {};
+    Object.keys(timingTotals).forEach((phase) => {
+      timings[phase] = timingTotals[phase] / timingCounts[phase];
+    });
+    send({
+      samples,
+      fps: samples > 0 ? { mean: fpsTotal / samples, min: fpsMin } : null,
+      workMs: samples > 0 ? workTotal / samples : null,
+      timings,
+      cols: latest && latest.cols,
+      rows: latest && latest.rows,
+      level: latest && latest.level,
+      backend: latest && latest.backend,
+      vitals: { ...vitals },
+    });
+
+    samples = 0;
+    fpsTotal = 0;
+    fpsMin = Infinity;
+    workTotal = 0;
+    timingTotals = {};
+    timingCounts = {};
+    changed = false;
+  };
+
+  const timer = setInterval(flush, intervalMs);
+
+  return {
+    addStats(stats) {
+      samples += 1;
+      fpsTotal += stats.fps;
+      fpsMin = Math.min(fpsMin, stats.fps);
+      workTotal += stats.workMs;
+      Object.keys(stats.timings).forEach((phase) => {
+        timingTotals[phase] = (timingTotals[phase] || 0) + stats.timings[phase];
+        timingCounts[phase] = (timingCounts[phase] || 0) + 1;
+      });
+      latest = stats;
+      changed = true;
+    },
+
+    addVital({ name, value }) {
+      vitals[name] = value;
+      changed = true;
+    },
+
+    flush,
+
+    // Sends whatever is left
+    destroy() {
+      clearInterval(timer);
+      flush();
+    },
+  };
+};
+
+// A `send` that posts the metrics as JSON to `url`, surviving page unloads
+export const sendToEndpoint = (url) => (metrics) => {
+  const body = JSON.stringify(metrics);
+  if (navigator.sendBeacon && navigator.sendBeacon(url, body)) return;
+  fetch(url, { method: 'POST', body, keepalive: true, headers: { 'Content-Type': 'application/json' } }).catch(() => {});
+};
+
+export default createMetricsReporter;
@@ -0,0 +1,56 @@
+import createMetricsReporter, { sendToEndpoint } from './createMetricsReporter';
+
+const stats = (fps, workMs, timings = {}) => ({
+  fps, workMs, timings, cols: 80, rows: 60, level: 'medium', backend: 'webgl2',
+});
+
+describe('createMetricsReporter', () => {
+  beforeEach(() => jest.useFakeTimers());
+  afterEach(() => jest.useRealTimers());
+
+  test('sends averaged stats and the latest vitals on every interval with news', () => {
+    const send = jest.fn();
+    const reporter = createMetricsReporter({ send, intervalMs: 1000, vitals: { TTFB: 120 } });
+
+    reporter.addStats(stats(60, 4, { diffuse: 1 }));
+    reporter.addStats(stats(30, 8));
+    reporter.addVital({ name: 'CLS', value: 0.02 });
+    jest.advanceTimersByTime(1000);
+
+    expect(send).toHaveBeenCalledWith({
+      samples: 2,
+      fps: { mean: 45, min: 30 },
+      workMs: 6,
+      timings: { diffuse: 1 },
+      cols: 80,
+      rows: 60,
+      level: 'medium',
+      backend: 'webgl2',
+      vitals: { TTFB: 120, CLS: 0.02 },
+    });
+
+    // Nothing new, nothing sent
+    jest.advanceTimersByTime(1000);
+    expect(send).toHaveBeenCalledTimes(1);
+
+    reporter.addVital({ name: 'LCP', value: 900 });
+    reporter.destroy();
+    expect(send).toHaveBeenCalledTimes(2);
+    expect(send.mock.calls[1][0]).toMatchObject({ samples: 0, fps: null, vitals: { LCP: 900 } });
+    jest.advanceTimersByTime(5000);
+    expect(send).toHaveBeenCalledTimes(2);
+  });
+
+  test('sendToEndpoint posts JSON with a beacon, or fetch when there is none', () => {
+    const sendBeacon = jest.fn(() => true);
+    Object.defineProperty(navigator, 'sendBeacon', { value: sendBeacon, configurable: true });
+    sendToEndpoint('/metrics')({ samples: 1 });
+    expect(sendBeacon).toHaveBeenCalledWith('/metrics', '{"samples":1}');
+
+    delete navigator.sendBeacon;
+    window.fetch = jest.fn(() => Promise.resolve());
+    sendToEndpoint('/metrics')({ samples: 2 });
+    expect(window.fetch).toHaveBeenCalledWith('/metrics', expect.objectContaining({ method: 'POST', body: '{"samples":2}' }));
+    delete window.fetch;
+  });
+});
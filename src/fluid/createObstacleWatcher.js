@@ -0,0 +1,29 @@
+import createElementWatcher from './createElementWatcher';
+import { sameObstacles } from './obstacles';
+
+export const OBSTACLE_ATTRIBUTE = 'data-fluid-obstacle';
+
+// Viewport rectangle of an element in whole CSS pixels, or null while it has no size
+const measureRect = (element) => {
+  const rect = element.getBoundingClientRect();
+  if (!(rect.width > 0 && rect.height > 0)) return null;
+  return {
+    left: Math.round(rect.left),
+    top: Math.round(rect.top),
+    right: Math.round(rect.right),
+    bottom: Math.round(rect.bottom),
+  };
+};
+
+// Keeps track of the page elements the fluid should flow around: everything marked
+// with data-fluid-obstacle plus whatever getElements() returns (e.g. refs passed to
+// FluidCursor). onChange(rects) gets their viewport rectangles in CSS pixels
+// whenever the layout changes. Takes the options of createElementWatcher.
+const createObstacleWatcher = (onChange, options = {}) => createElementWatcher(onChange, {
+  ...options,
+  attribute: OBSTACLE_ATTRIBUTE,
+  describe: measureRect,
+  same: sameObstacles,
+});
+
+export default createObstacleWatcher;
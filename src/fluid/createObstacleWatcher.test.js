@@ -0,0 +1,73 @@
+import createObstacleWatcher, { OBSTACLE_ATTRIBUTE } from './createObstacleWatcher';
+
+// Manual frames - flush() runs the pending measurement
+const fakeFrames = () => {
+  let pending = null;
+  return {
+    requestFrame: (callback) => { pending = callback; return 1; },
+    cancelFrame: () => { pending = null; },
+    flush: () => {
+      const callback = pending;
+      pending = null;
+      if (callback) callback();
+    },
+  };
+};
+
+const addElement = (rect, attributes = {}) => {
+  const element = document.createElement('div');
+  Object.keys(attributes).forEach((name) => element.setAttribute(name, attributes[name]));
+  element.getBoundingClientRect = () => ({
+    ...rect,
+    width: rect.right - rect.left,
+    height: rect.bottom - rect.top,
+  });
+  document.body.appendChild(element);
+  return element;
+};
+
+afterEach(() => {
+  document.body.innerHTML = '';
+});
+
+describe('createObstacleWatcher', () => {
+  test('reports marked elements and extra elements once per change', () => {
+    addElement({ left: 10, top: 20, right: 110, bottom: 60 }, { [OBSTACLE_ATTRIBUTE]: '' });
+    const extra = addElement({ left: 0, top: 0, right: 5.4, bottom: 5.6 });
+    addElement({ left: 0, top: 0, right: 50, bottom: 50 });
+    const frames = fakeFrames();
+    const onChange = jest.fn();
+
+    const watcher = createObstacleWatcher(onChange, { ...frames, getElements: () => [extra, null] });
+    frames.flush();
+
+    expect(onChange).toHaveBeenCalledWith([
+      { left: 10, top: 20, right: 110, bottom: 60 },
+      { left: 0, top: 0, right: 5, bottom: 6 },
+    ]);
+
+    // Same layout - no new report
+    watcher.refresh();
+    frames.flush();
+    expect(onChange).toHaveBeenCalledTimes(1);
+
+    watcher.disconnect();
+  });
+
+  test('skips hidden elements and measures again on scroll', () => {
+    const element = addElement({ left: 0, top: 0, right: 0, bottom: 0 }, { [OBSTACLE_ATTRIBUTE]: '' });
+    const frames = fakeFrames();
+    const onChange = jest.fn();
+
+    const watcher = createObstacleWatcher(onChange, frames);
+    frames.flush();
+    expect(onChange).toHaveBeenLastCalledWith([]);
+
+    element.getBoundingClientRect = () => ({ left: 0, top: 10, right: 20, bottom: 30, width: 20, height: 20 });
+    window.dispatchEvent(new Event('scroll'));
+    frames.flush();
+    expect(onChange).toHaveBeenLastCalledWith([{ left: 0, top: 10, right: 20, bottom: 30 }]);
+
+    watcher.disconnect();
+  });
+});
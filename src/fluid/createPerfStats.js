@@ -0,0 +1,42 @@
+// Rolls per-frame measurements up into one summary every `windowMs`:
+//   { fps, workMs, timings }
+// with workMs the average time a frame spent simulating and drawing, and timings
+// the average ms per frame of each backend phase that was profiled (see
+// createPhaseTimer.js) - empty while profiling is off.
+const createPerfStats = ({ windowMs = 1000, onSummary = () => {} } = {}) => {
+  let windowStart = null;
+  let frames = 0;
+  let workTotal = 0;
+  let totals = {};
+
+  return {
+    // time in ms as given by the frame loop
+    record(time, workMs, timings = {}) {
+      if (windowStart === null) {
+        windowStart = time;
+        return;
+      }
+      frames += 1;
+      workTotal += workMs;
+      Object.keys(timings).forEach((phase) => {
+        totals[phase] = (totals[phase] || 0) + timings[phase];
+      });
+
+      const elapsed = time - windowStart;
+      if (elapsed < windowMs) return;
+
+      const averages = {};
+      Object.keys(totals).forEach((phase) => {
+        averages[phase] = totals[phase] / frames;
+      });
+      onSummary({ fps: (frames * 1000) / elapsed, workMs: workTotal / frames, timings: averages });
+
+      windowStart = time;
+      frames = 0;
+      workTotal = 0;
+      totals = {};
+    },
+  };
+};
+
+export default createPerfStats;
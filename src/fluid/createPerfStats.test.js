@@ -0,0 +1,23 @@
+import createPerfStats from './createPerfStats';
+
+describe('createPerfStats', () => {
+  test('summarizes each window as frames per second and averages per frame', () => {
+    const onSummary = jest.fn();
+    const stats = createPerfStats({ windowMs: 1000, onSummary });
+
+    stats.record(0, 99, { step: 99 });
+    for (let frame = 1; frame <= 20; frame++) {
+      stats.record(frame * 50, 4, { step: 3, draw: 1 });
+    }
+
+    expect(onSummary).toHaveBeenCalledTimes(1);
+    const [summary] = onSummary.mock.calls[0];
+    expect(summary.fps).toBeCloseTo(20);
+    expect(summary.workMs).toBeCloseTo(4);
+    expect(summary.timings).toEqual({ step: 3, draw: 1 });
+
+    stats.record(1100, 2);
+    stats.record(2000, 2);
+    expect(onSummary.mock.calls[1][0]).toEqual({ fps: 2, workMs: 2, timings: {} });
+  });
+});
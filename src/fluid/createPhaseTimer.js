@@ -0,0 +1,60 @@
+// Adds up the time a backend spends in each phase of its work while profiling is
+// on, in ms. The solver marks its own phases with start() and lap(phase) - diffuse,
+// project and advect - and the backend wraps whole calls (step, draw) in
+// measure(phase, run). Everything is a no-op while profiling is off.
+//
+// GPU work only runs when the driver gets round to it, so a GPU backend passes a
+// `sync` that waits for it (gl.finish). That stalls the pipeline, which is why
+// profiling is off by default.
+const createPhaseTimer = ({ sync = () => {} } = {}) => {
+  let enabled = false;
+  let totals = {};
+  let mark = 0;
+
+  const add = (phase, ms) => {
+    totals[phase] = (totals[phase] || 0) + ms;
+  };
+
+  return {
+    get enabled() { return enabled; },
+
+    setEnabled(next) {
+      enabled = Boolean(next);
+      totals = {};
+    },
+
+    start() {
+      if (!enabled) return;
+      sync();
+      mark = performance.now();
+    },
+
+    // Time since start() or the previous lap goes to `phase`
+    lap(phase) {
+      if (!enabled) return;
+      sync();
+      const time = performance.now();
+      add(phase, time - mark);
+      mark = time;
+    },
+
+    measure(phase, run) {
+      if (!enabled) return run();
+      sync();
+      const start = performance.now();
+      const result = run();
+      sync();
+      add(phase, performance.now() - start);
+      return result;
+    },
+
+    // Totals per phase since the last take()
+    take() {
+      const taken = totals;
+      totals = {};
+      return taken;
+    },
+  };
+};
+
+export default createPhaseTimer;
@@ -0,0 +1,35 @@
+import createPhaseTimer from './createPhaseTimer';
+
+describe('createPhaseTimer', () => {
+  let now;
+  beforeEach(() => {
+    now = 0;
+    jest.spyOn(performance, 'now').mockImplementation(() => now);
+  });
+  afterEach(() => jest.restoreAllMocks());
+
+  test('adds up laps and measured calls per phase while enabled', () => {
+    const sync = jest.fn();
+    const timer = createPhaseTimer({ sync });
+
+    timer.start();
+    now = 5;
+    timer.lap('diffuse');
+    expect(timer.take()).toEqual({});
+    expect(sync).not.toHaveBeenCalled();
+
+    timer.setEnabled(true);
+    timer.start();
+    now = 7;
+    timer.lap('diffuse');
+    now = 10;
+    timer.lap('project');
+    now = 11;
+    timer.lap('diffuse');
+    expect(timer.measure('draw', () => { now = 15; return 'drawn'; })).toBe('drawn');
+    expect(sync).toHaveBeenCalledTimes(6);
+
+    expect(timer.take()).toEqual({ diffuse: 3, project: 3, draw: 4 });
+    expect(timer.take()).toEqual({});
+  });
+});
@@ -0,0 +1,89 @@
+// Tracks every active pointer from Pointer Events so each one can stir the fluid.
+//
+// Mouse and pen pointers hover: they stay tracked between presses and keep one
+// entry per pointer type. Touch contacts only exist while the finger is down and
+// are keyed by pointerId, so multi-finger gestures produce independent streams.
+//
+// Each pointer remembers where it was at the end of the previous frame
+// (lastX/lastY), which the animation loop turns into a velocity, and whether it
+// was pressed since then (pressStarted).
+
+// The fields of a pointer event the tracker uses, as plain data that can be posted
+// to a worker or saved in a recording
+export const toPointerData = (e) => ({
+  pointerType: e.pointerType,
+  pointerId: e.pointerId,
+  clientX: e.clientX,
+  clientY: e.clientY,
+});
+
+const pointerKey = (e) => (e.pointerType === 'touch' ? `touch-${e.pointerId}` : e.pointerType || 'mouse');
+
+const createPointerTracker = ({ hover = null } = {}) => {
+  const pointers = new Map();
+
+  const createPointer = (key, type, x, y) => {
+    const pointer = { id: key, type, x, y, lastX: x, lastY: y, down: false, pressStarted: false };
+    pointers.set(key, pointer);
+    return pointer;
+  };
+
+  // Start with a hovering mouse pointer, e.g. at the centre of the screen
+  if (hover) createPointer('mouse', 'mouse', hover.x, hover.y);
+
+  const track = (e) => {
+    const key = pointerKey(e);
+    return pointers.get(key) || createPointer(key, e.pointerType || 'mouse', e.clientX, e.clientY);
+  };
+
+  return {
+    pointers,
+
+    handlePointerDown(e) {
+      const pointer = track(e);
+      pointer.x = e.clientX;
+      pointer.y = e.clientY;
+      pointer.down = true;
+      pointer.pressStarted = true;
+    },
+
+    handlePointerMove(e) {
+      // A finger that was lifted doesn't come back until the next pointerdown
+      if (e.pointerType === 'touch' && !pointers.has(pointerKey(e))) return;
+      const pointer = track(e);
+      pointer.x = e.clientX;
+      pointer.y = e.clientY;
+    },
+
+    handlePointerUp(e) {
+      const key = pointerKey(e);
+      if (e.pointerType === 'touch') {
+        pointers.delete(key);
+      } else if (pointers.has(key)) {
+        pointers.get(key).down = false;
+      }
+    },
+
+    // Move the hovering mouse pointer without an event (e.g. the initial burst)
+    moveHover(x, y) {
+      const pointer = pointers.get('mouse') || createPointer('mouse', 'mouse', x, y);
+      pointer.x = x;
+      pointer.y = y;
+    },
+
+    forEach(callback) {
+      pointers.forEach(callback);
+    },
+
+    // Call once per frame after the pointers have been applied
+    endFrame() {
+      pointers.forEach((pointer) => {
+        pointer.lastX = pointer.x;
+        pointer.lastY = pointer.y;
+        pointer.pressStarted = false;
+      });
+    },
+  };
+};
+
+export default createPointerTracker;
@@ -0,0 +1,43 @@
+import createPointerTracker from './createPointerTracker';
+
+const event = (pointerType, pointerId, clientX, clientY) => ({ pointerType, pointerId, clientX, clientY });
+
+describe('createPointerTracker', () => {
+  test('keeps a hovering mouse pointer between presses', () => {
+    const tracker = createPointerTracker({ hover: { x: 50, y: 40 } });
+    expect(tracker.pointers.get('mouse')).toMatchObject({ x: 50, y: 40, down: false });
+
+    tracker.handlePointerDown(event('mouse', 1, 60, 40));
+    tracker.handlePointerUp(event('mouse', 1, 60, 40));
+
+    expect(tracker.pointers.size).toBe(1);
+    expect(tracker.pointers.get('mouse')).toMatchObject({ x: 60, y: 40, down: false });
+  });
+
+  test('tracks each touch independently while it is down', () => {
+    const tracker = createPointerTracker();
+
+    tracker.handlePointerDown(event('touch', 7, 10, 10));
+    tracker.handlePointerDown(event('touch', 8, 200, 200));
+    tracker.handlePointerMove(event('touch', 7, 15, 10));
+    tracker.handlePointerMove(event('touch', 8, 200, 180));
+
+    const [first, second] = Array.from(tracker.pointers.values());
+    expect(first).toMatchObject({ x: 15, y: 10, lastX: 10, lastY: 10, down: true });
+    expect(second).toMatchObject({ x: 200, y: 180, lastX: 200, lastY: 200, down: true });
+
+    tracker.handlePointerUp(event('touch', 7, 15, 10));
+    tracker.handlePointerMove(event('touch', 7, 30, 30));
+
+    expect(tracker.pointers.size).toBe(1);
+  });
+
+  test('endFrame remembers positions for the next velocity', () => {
+    const tracker = createPointerTracker({ hover: { x: 0, y: 0 } });
+    tracker.handlePointerMove(event('mouse', 1, 5, 6));
+
+    tracker.endFrame();
+
+    expect(tracker.pointers.get('mouse')).toMatchObject({ lastX: 5, lastY: 6 });
+  });
+});
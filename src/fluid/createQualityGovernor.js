@@ -0,0 +1,94 @@
+// Quality levels, lowest first. cellSize is in CSS pixels, renderScale is the
+// canvas resolution relative to its CSS size.
+export const QUALITY_LEVELS = {
+  low: { cellSize: 14, iterations: 10, renderScale: 0.5 },
+  medium: { cellSize: 10, iterations: 16, renderScale: 1 },
+  high: { cellSize: 8, iterations: 20, renderScale: 1 },
+};
+
+export const QUALITY_MODES = ['auto', 'low', 'medium', 'high'];
+
+const LADDER = Object.keys(QUALITY_LEVELS);
+
+// Frame-budget governor for the 'auto' quality mode.
+//
+// Feed it the time each frame spent simulating and drawing plus the time since the
+// previous frame. Every `sampleFrames` frames it compares the averages against the
+// budget: over budget (or dropping frames) steps one level down, clear headroom for
+// two windows in a row steps one level up. Long intervals only count as dropped
+// frames when our work fills much of them; otherwise the display or the browser
+// sets the pace (a 30 Hz screen, iOS Low Power Mode) and lower quality won't help.
+// `onChange(levelName, settings)` is called whenever the active level changes,
+// including when a fixed mode is picked.
+const createQualityGovernor = ({
+  mode: initialMode = 'auto',
+  budgetMs = 10,
+  targetFps = 60,
+  sampleFrames = 30,
+  onChange = () => {},
+} = {}) => {
+  const frameMs = 1000 / targetFps;
+  let mode = initialMode;
+  let level = mode === 'auto' ? 'medium' : mode;
+  let frames = 0;
+  let workTotal = 0;
+  let intervalTotal = 0;
+  let headroomWindows = 0;
+
+  const resetWindow = () => {
+    frames = 0;
+    workTotal = 0;
+    intervalTotal = 0;
+  };
+
+  const setLevel = (next) => {
+    if (next === level) return;
+    level = next;
+    resetWindow();
+    headroomWindows = 0;
+    onChange(level, QUALITY_LEVELS[level]);
+  };
+
+  return {
+    get mode() { return mode; },
+    get level() { return level; },
+    get settings() { return QUALITY_LEVELS[level]; },
+
+    // Switch between 'auto' and a fixed level
+    setMode(next) {
+      if (!QUALITY_MODES.includes(next) || next === mode) return;
+      mode = next;
+      resetWindow();
+      headroomWindows = 0;
+      if (mode !== 'auto') setLevel(mode);
+    },
+
+    // Record one frame. interval is optional (skip it after a pause).
+    record(workMs, intervalMs) {
+      if (mode !== 'auto') return;
+
+      frames += 1;
+      workTotal += workMs;
+      intervalTotal += intervalMs > 0 ? intervalMs : frameMs;
+      if (frames < sampleFrames) return;
+
+      const work = workTotal / frames;
+      const interval = intervalTotal / frames;
+      const index = LADDER.indexOf(level);
+      const paced = work < interval * 0.5;
+      resetWindow();
+
+      if (work > budgetMs || (interval > frameMs * 1.25 && !paced)) {
+        headroomWindows = 0;
+        if (index > 0) setLevel(LADDER[index - 1]);
+      } else if (work < budgetMs * 0.5 && (interval < frameMs * 1.1 || paced)) {
+        headroomWindows += 1;
+        if (headroomWindows >= 2 && index < LADDER.length - 1) setLevel(LADDER[index + 1]);
+      } else {
+        headroomWindows = 0;
+      }
+    },
+  };
+};
+
+export default createQualityGovernor;
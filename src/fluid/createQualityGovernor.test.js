@@ -0,0 +1,60 @@
+import createQualityGovernor, { QUALITY_LEVELS } from './createQualityGovernor';
+
+const feed = (governor, frames, workMs, intervalMs) => {
+  for (let i = 0; i < frames; i++) governor.record(workMs, intervalMs);
+};
+
+describe('createQualityGovernor', () => {
+  test('auto mode starts at medium and steps down when over budget', () => {
+    const onChange = jest.fn();
+    const governor = createQualityGovernor({ sampleFrames: 10, onChange });
+    expect(governor.level).toBe('medium');
+
+    feed(governor, 10, 25, 40);
+
+    expect(governor.level).toBe('low');
+    expect(onChange).toHaveBeenCalledWith('low', QUALITY_LEVELS.low);
+  });
+
+  test('steps up only after two windows of headroom', () => {
+    const governor = createQualityGovernor({ sampleFrames: 10 });
+
+    feed(governor, 10, 1, 16);
+    expect(governor.level).toBe('medium');
+
+    feed(governor, 10, 1, 16);
+    expect(governor.level).toBe('high');
+  });
+
+  test('a slower display with light work is not mistaken for dropped frames', () => {
+    const governor = createQualityGovernor({ sampleFrames: 10 });
+
+    feed(governor, 20, 1, 33);
+    expect(governor.level).toBe('high');
+    expect(governor.settings.renderScale).toBe(1);
+  });
+
+  test('long intervals step down when the work fills them', () => {
+    const governor = createQualityGovernor({ sampleFrames: 10, budgetMs: 20 });
+
+    feed(governor, 10, 18, 33);
+    expect(governor.level).toBe('low');
+  });
+
+  test('a fixed mode ignores frame timings', () => {
+    const onChange = jest.fn();
+    const governor = createQualityGovernor({ sampleFrames: 10, onChange });
+
+    governor.setMode('high');
+    expect(onChange).toHaveBeenCalledWith('high', QUALITY_LEVELS.high);
+
+    feed(governor, 50, 100, 100);
+    expect(governor.level).toBe('high');
+  });
+
+  test('ignores unknown modes', () => {
+    const governor = createQualityGovernor();
+    governor.setMode('ultra');
+    expect(governor.mode).toBe('auto');
+  });
+});
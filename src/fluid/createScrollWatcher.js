@@ -0,0 +1,54 @@
+const LINE_HEIGHT = 16; // Pixels per line for wheels that report in lines
+
+// A wheel event's deltas in CSS pixels, whatever unit the device reports in
+export const wheelDelta = (e, pageHeight) => {
+  let unit = 1;
+  if (e.deltaMode === 1) unit = LINE_HEIGHT;
+  else if (e.deltaMode === 2) unit = pageHeight;
+  return [e.deltaX * unit, e.deltaY * unit];
+};
+
+// Whether the page can still scroll by `delta` along one axis
+const canScroll = (delta, position, viewport, size) => (
+  (delta > 0 && position + viewport < size - 1) || (delta < 0 && position > 0)
+);
+
+// Turns page scrolling and wheel/trackpad gestures into deltas for the fluid.
+// onScroll(dx, dy) gets CSS pixels, positive for scrolling down or right. Scrolling
+// is measured from the scroll position; wheel gestures only count when the page
+// can't scroll that way any more (at the top or bottom, or a page that doesn't
+// scroll), so the same gesture is never counted twice.
+const createScrollWatcher = (onScroll, {
+  target = window,
+  root = document.documentElement,
+} = {}) => {
+  let lastX = target.scrollX;
+  let lastY = target.scrollY;
+
+  const handleScroll = () => {
+    const dx = target.scrollX - lastX;
+    const dy = target.scrollY - lastY;
+    lastX = target.scrollX;
+    lastY = target.scrollY;
+    if (dx !== 0 || dy !== 0) onScroll(dx, dy);
+  };
+
+  const handleWheel = (e) => {
+    const [deltaX, deltaY] = wheelDelta(e, target.innerHeight);
+    const dx = canScroll(deltaX, target.scrollX, target.innerWidth, root.scrollWidth) ? 0 : deltaX;
+    const dy = canScroll(deltaY, target.scrollY, target.innerHeight, root.scrollHeight) ? 0 : deltaY;
+    if (dx !== 0 || dy !== 0) onScroll(dx, dy);
+  };
+
+  target.addEventListener('scroll', handleScroll, { passive: true });
+  target.addEventListener('wheel', handleWheel, { passive: true });
+
+  return {
+    disconnect() {
+      target.removeEventListener('scroll', handleScroll, { passive: true });
+      target.removeEventListener('wheel', handleWheel, { passive: true });
+    },
+  };
+};
+
+export default createScrollWatcher;
@@ -0,0 +1,56 @@
+import createScrollWatcher, { wheelDelta } from './createScrollWatcher';
+
+// A window stand-in on a page 3000px tall, scrolled to `scrollY`
+const fakeWindow = (scrollY = 0) => {
+  const target = new EventTarget();
+  Object.assign(target, { scrollX: 0, scrollY, innerWidth: 1000, innerHeight: 800 });
+  return target;
+};
+const root = { scrollWidth: 1000, scrollHeight: 3000 };
+
+const wheel = (deltaY, deltaMode = 0) => Object.assign(new Event('wheel'), { deltaX: 0, deltaY, deltaMode });
+
+describe('createScrollWatcher', () => {
+  test('reports how far the page scrolled', () => {
+    const target = fakeWindow(100);
+    const onScroll = jest.fn();
+    createScrollWatcher(onScroll, { target, root });
+
+    target.scrollY = 160;
+    target.dispatchEvent(new Event('scroll'));
+    target.scrollY = 130;
+    target.dispatchEvent(new Event('scroll'));
+
+    expect(onScroll.mock.calls).toEqual([[0, 60], [0, -30]]);
+  });
+
+  test('counts wheel gestures only when the page can\'t scroll that way', () => {
+    const target = fakeWindow(0);
+    const onScroll = jest.fn();
+    createScrollWatcher(onScroll, { target, root });
+
+    target.dispatchEvent(wheel(50)); // Scrolls the page - counted by the scroll event
+    target.dispatchEvent(wheel(-40)); // Already at the top
+    target.scrollY = 2200; // At the bottom
+    target.dispatchEvent(new Event('scroll'));
+    target.dispatchEvent(wheel(3, 1));
+
+    expect(onScroll.mock.calls).toEqual([[0, -40], [0, 2200], [0, 48]]);
+  });
+
+  test('stops listening on disconnect', () => {
+    const target = fakeWindow(0);
+    const onScroll = jest.fn();
+    createScrollWatcher(onScroll, { target, root }).disconnect();
+
+    target.scrollY = 10;
+    target.dispatchEvent(new Event('scroll'));
+    target.dispatchEvent(wheel(-5));
+    expect(onScroll).not.toHaveBeenCalled();
+  });
+
+  test('wheelDelta converts lines and pages to pixels', () => {
+    expect(wheelDelta({ deltaX: 1, deltaY: 2, deltaMode: 1 }, 800)).toEqual([16, 32]);
+    expect(wheelDelta({ deltaX: 0, deltaY: 1, deltaMode: 2 }, 800)).toEqual([0, 800]);
+  });
+});
@@ -0,0 +1,139 @@
+// Shares the fluid between tabs or visitors: splats from the runner's onSplat go
+// out through a transport, and splats from the other peers come back for
+// addRemoteSplat (see createFluidRunner.js) and as ghost cursors.
+//
+// A transport is anything with
+//   send(message)        - deliver a plain object to the other peers (not back to us)
+//   subscribe(listener)  - listener(message) for every message from the others;
+//                          returns a function that unsubscribes
+// e.g. createBroadcastTransport.js between tabs, createWebSocketTransport.js
+// through a relay server. Peers ignore messages they don't understand.
+//
+// Messages are
+//   { type: 'splat', from, pointer, x, y, dx, dy, color, amount }
+//   { type: 'leave', from }
+// with `from` a random id per peer. Each pointer's strokes are merged and sent at
+// most once every `sendInterval` ms, so a fast pointer doesn't flood the transport.
+// On the receiving end each peer gets at most `maxPeerRate` splats a second, so
+// one misbehaving client can't flood everyone's solver either.
+
+const DEFAULT_SEND_INTERVAL = 50;
+const MAX_VELOCITY = 500; // Most velocity per frame a remote splat may bring
+const MAX_AMOUNT = 1000; // Most dye a remote splat may bring
+const DEFAULT_MAX_PEER_RATE = 100; // Splats a second taken from one peer (five pointers at full rate)
+const RATE_WINDOW_MS = 1000;
+
+const randomId = () => Math.random().toString(36).slice(2, 10);
+
+const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+
+const isNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+
+// A splat message from another peer, checked and clamped, or null if it isn't one
+export const readSplat = (message) => {
+  if (!message || message.type !== 'splat' || typeof message.from !== 'string') return null;
+  const { pointer, x, y, dx, dy, amount, color } = message;
+  if (typeof pointer !== 'string' && !isNumber(pointer)) return null;
+  if (![x, y, dx, dy, amount].every(isNumber)) return null;
+  const validColor = Array.isArray(color) && color.length === 3 && color.every(isNumber);
+  return {
+    from: message.from,
+    pointer: String(pointer),
+    x: clamp(x, 0, 1),
+    y: clamp(y, 0, 1),
+    dx: clamp(dx, -MAX_VELOCITY, MAX_VELOCITY),
+    dy: clamp(dy, -MAX_VELOCITY, MAX_VELOCITY),
+    color: validColor ? color.map((c) => clamp(c, 0, 1)) : [1, 1, 1],
+    amount: clamp(amount, 0, MAX_AMOUNT),
+  };
+};
+
+// onSplat(splat) gets every remote splat (for the runner), onCursor(key, splat)
+// the latest position of each remote pointer, keyed by peer and pointer, and
+// onCursorLeave(key) when a peer leaves. `now` is the clock for the rate limit.
+const createSharedFluid = (transport, {
+  onSplat = () => {},
+  onCursor = () => {},
+  onCursorLeave = () => {},
+  sendInterval = DEFAULT_SEND_INTERVAL,
+  maxPeerRate = DEFAULT_MAX_PEER_RATE,
+  id = randomId(),
+  now = () => Date.now(),
+} = {}) => {
+  const pending = new Map(); // Merged strokes not sent yet, by pointer
+  const cursors = new Map(); // Keys of the remote pointers, by peer
+  const rates = new Map(); // Splats taken in the current window, by peer: { start, count }
+  let timer = null;
+
+  // Whether another splat from the peer fits in its rate
+  const withinRate = (peer) => {
+    const time = now();
+    const rate = rates.get(peer);
+    if (!rate || time - rate.start >= RATE_WINDOW_MS) {
+      rates.set(peer, { start: time, count: 1 });
+      return true;
+    }
+    rate.count += 1;
+    return rate.count <= maxPeerRate;
+  };
+
+  // Send what is pending, then hold further strokes back for sendInterval
+  const flush = () => {
+    timer = null;
+    if (pending.size === 0) return;
+    pending.forEach((splat) => transport.send({ type: 'splat', from: id, ...splat }));
+    pending.clear();
+    timer = setTimeout(flush, sendInterval);
+  };
+
+  const leave = (peer) => {
+    rates.delete(peer);
+    if (!cursors.has(peer)) return;
+    cursors.get(peer).forEach((key) => onCursorLeave(key));
+    cursors.delete(peer);
+  };
+
+  const unsubscribe = transport.subscribe((message) => {
+    if (!message || message.from === id) return;
+    if (message.type === 'leave') {
+      leave(message.from);
+      return;
+    }
+    const splat = readSplat(message);
+    if (!splat || !withinRate(splat.from)) return;
+    const key = `${splat.from}:${splat.pointer}`;
+    if (!cursors.has(splat.from)) cursors.set(splat.from, new Set());
+    cursors.get(splat.from).add(key);
+    onSplat(splat);
+    onCursor(key, splat);
+  });
+
+  return {
+    id,
+
+    // A splat from the local runner's onSplat. Strokes of one pointer within a
+    // send interval add up; the latest position and colour win.
+    publish(splat) {
+      const previous = pending.get(splat.pointer);
+      pending.set(splat.pointer, previous ? {
+        ...splat,
+        dx: previous.dx + splat.dx,
+        dy: previous.dy + splat.dy,
+        amount: previous.amount + splat.amount,
+      } : { ...splat });
+      if (timer === null) flush();
+    },
+
+    // Tell the others we are gone and stop listening. The transport stays open.
+    close() {
+      clearTimeout(timer);
+      timer = null;
+      pending.clear();
+      unsubscribe();
+      transport.send({ type: 'leave', from: id });
+      Array.from(cursors.keys()).forEach(leave);
+    },
+  };
+};
+
+export default createSharedFluid;
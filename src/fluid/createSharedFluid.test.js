@@ -0,0 +1,107 @@
+import createSharedFluid, { readSplat } from './createSharedFluid';
+
+// Transports on one in-memory hub, each delivering to the others
+const createHub = () => {
+  const transports = [];
+  return () => {
+    const listeners = new Set();
+    const transport = {
+      sent: [],
+      send(message) {
+        transport.sent.push(message);
+        transports.filter((other) => other !== transport).forEach((other) => other.deliver(message));
+      },
+      subscribe(listener) {
+        listeners.add(listener);
+        return () => listeners.delete(listener);
+      },
+      deliver: (message) => listeners.forEach((listener) => listener(message)),
+    };
+    transports.push(transport);
+    return transport;
+  };
+};
+
+const stroke = (overrides) => ({
+  pointer: 'mouse', x: 0.5, y: 0.25, dx: 4, dy: 0, color: [1, 0, 0], amount: 150, ...overrides,
+});
+
+describe('createSharedFluid', () => {
+  beforeEach(() => jest.useFakeTimers());
+  afterEach(() => jest.useRealTimers());
+
+  test('sends strokes to the other peers, merged per send interval', () => {
+    const connect = createHub();
+    const transport = connect();
+    const onSplat = jest.fn();
+    const local = createSharedFluid(transport, { id: 'a', sendInterval: 50 });
+    createSharedFluid(connect(), { id: 'b', onSplat });
+
+    local.publish(stroke());
+    local.publish(stroke({ x: 0.6, dx: 2, amount: 100 }));
+    local.publish(stroke({ x: 0.7, dy: 1, amount: 50 }));
+    expect(onSplat).toHaveBeenCalledTimes(1);
+
+    jest.advanceTimersByTime(50);
+    expect(onSplat).toHaveBeenCalledTimes(2);
+    expect(onSplat).toHaveBeenLastCalledWith({
+      from: 'a', pointer: 'mouse', x: 0.7, y: 0.25, dx: 6, dy: 1, color: [1, 0, 0], amount: 150,
+    });
+
+    // Nothing pending - the next stroke goes out right away
+    jest.advanceTimersByTime(50);
+    local.publish(stroke({ pointer: 'touch-1' }));
+    expect(onSplat).toHaveBeenCalledTimes(3);
+    expect(transport.sent).toHaveLength(3);
+  });
+
+  test('reports ghost cursors until their peer leaves', () => {
+    const connect = createHub();
+    const onCursor = jest.fn();
+    const onCursorLeave = jest.fn();
+    const watcher = createSharedFluid(connect(), { id: 'a', onCursor, onCursorLeave });
+    const peer = createSharedFluid(connect(), { id: 'b' });
+
+    peer.publish(stroke());
+    peer.publish(stroke({ pointer: 'touch-2' }));
+    jest.advanceTimersByTime(50);
+    expect(onCursor.mock.calls.map(([key]) => key)).toEqual(['b:mouse', 'b:touch-2']);
+
+    peer.close();
+    expect(onCursorLeave.mock.calls).toEqual([['b:mouse'], ['b:touch-2']]);
+    watcher.close();
+  });
+
+  test('takes at most maxPeerRate splats a second from each peer', () => {
+    const transport = createHub()();
+    const onSplat = jest.fn();
+    let time = 0;
+    createSharedFluid(transport, { id: 'a', onSplat, maxPeerRate: 3, now: () => time });
+    const flood = (from, count) => {
+      for (let i = 0; i < count; i++) transport.deliver({ type: 'splat', from, ...stroke() });
+    };
+
+    flood('b', 10);
+    flood('c', 1);
+    expect(onSplat.mock.calls.map(([splat]) => splat.from)).toEqual(['b', 'b', 'b', 'c']);
+
+    time = 1000;
+    flood('b', 1);
+    expect(onSplat).toHaveBeenCalledTimes(5);
+  });
+
+  test('readSplat rejects malformed messages and clamps the rest', () => {
+    expect(readSplat(null)).toBeNull();
+    expect(readSplat({ type: 'splat', from: 'a', x: 'left', y: 0, dx: 0, dy: 0, amount: 1 })).toBeNull();
+    expect(readSplat({ type: 'other', from: 'a' })).toBeNull();
+    expect(readSplat({ type: 'splat', from: 'a', x: 0, y: 0, dx: 0, dy: 0, amount: 1 })).toBeNull();
+    expect(readSplat({ type: 'splat', from: 'a', pointer: {}, x: 0, y: 0, dx: 0, dy: 0, amount: 1 })).toBeNull();
+    expect(readSplat({ type: 'splat', from: 'a', pointer: 2, x: 0, y: 0, dx: 0, dy: 0, amount: 1 }).pointer).toBe('2');
+
+    expect(readSplat({
+      type: 'splat', from: 'a', pointer: 'mouse', x: 2, y: -1, dx: 1e9, dy: 0, amount: 1e9, color: 'red',
+    })).toEqual({
+      from: 'a', pointer: 'mouse', x: 1, y: 0, dx: 500, dy: 0, color: [1, 1, 1], amount: 1000,
+    });
+  });
+});
@@ -0,0 +1,130 @@
+import createElementWatcher from './createElementWatcher';
+import defaultCreateCanvas from './createCanvas';
+import { TEXT_MASK_SCALE } from './textMask';
+
+export const TEXT_ATTRIBUTE = 'data-fluid-text';
+
+// The element's font as a canvas font string (the computed `font` shorthand is
+// empty in some browsers)
+const elementFont = (style) => (
+  `${style.fontStyle} ${style.fontWeight} ${style.fontSize} ${style.fontFamily}`
+);
+
+const TRANSFORMS = {
+  uppercase: (text) => text.toUpperCase(),
+  lowercase: (text) => text.toLowerCase(),
+};
+
+// Every word of the element with its box relative to the element, so the raster
+// follows the browser's own line breaks and alignment
+const layoutWords = (element, origin) => {
+  const words = [];
+  const range = document.createRange();
+  const walker = document.createTreeWalker(element, NodeFilter.SHOW_TEXT);
+
+  for (let node = walker.nextNode(); node; node = walker.nextNode()) {
+    const pattern = /\S+/g;
+    let match = pattern.exec(node.data);
+    while (match) {
+      range.setStart(node, match.index);
+      range.setEnd(node, match.index + match[0].length);
+      const box = range.getBoundingClientRect();
+      if (box.width > 0 && box.height > 0) {
+        words.push({
+          text: match[0],
+          x: Math.round(box.left - origin.left),
+          y: Math.round(box.top - origin.top),
+          height: Math.round(box.height),
+        });
+      }
+      match = pattern.exec(node.data);
+    }
+  }
+  return words;
+};
+
+// Paint words in white on a transparent canvas and keep the coverage (alpha)
+const rasterize = (words, font, transform, width, height, scale, createCanvas) => {
+  const columns = Math.max(1, Math.ceil(width * scale));
+  const rows = Math.max(1, Math.ceil(height * scale));
+  const canvas = createCanvas(columns, rows);
+  const ctx = canvas.getContext('2d');
+  ctx.scale(scale, scale);
+  ctx.font = font;
+  ctx.fillStyle = '#fff';
+  ctx.textBaseline = 'middle';
+  words.forEach(({ text, x, y, height: lineHeight }) => ctx.fillText(transform(text), x, y + lineHeight / 2));
+
+  const pixels = ctx.getImageData(0, 0, columns, rows).data;
+  const data = new Uint8Array(columns * rows);
+  for (let i = 0; i < data.length; i++) data[i] = pixels[i * 4 + 3];
+  return { columns, rows, data };
+};
+
+const sameLayers = (a, b) => a.length === b.length && a.every((layer, i) => (
+  layer.left === b[i].left && layer.top === b[i].top && layer.data === b[i].data
+));
+
+// Keeps the text of the elements marked with data-fluid-text (plus whatever
+// getElements() returns) rasterized for the fluid, in the element's own font,
+// size and line layout. The elements themselves stay in the page, so the text is
+// still there for screen readers and search engines.
+//
+// onChange(layers) gets one layer per element (see textMask.js) whenever the text
+// moves or changes. A scroll only moves the layers: the raster is reused until the
+// font, text or layout inside the element changes. Takes the options of
+// createElementWatcher, plus scale (mask pixels per CSS pixel) and createCanvas.
+const createTextWatcher = (onChange, {
+  scale = TEXT_MASK_SCALE,
+  createCanvas = defaultCreateCanvas,
+  ...options
+} = {}) => {
+  const rasters = new WeakMap();
+
+  const describe = (element) => {
+    const rect = element.getBoundingClientRect();
+    if (!(rect.width > 0 && rect.height > 0)) return null;
+
+    const style = window.getComputedStyle(element);
+    const font = elementFont(style);
+    const words = layoutWords(element, rect);
+    const key = JSON.stringify([font, style.textTransform, Math.round(rect.width), Math.round(rect.height), words]);
+
+    let raster = rasters.get(element);
+    if (!raster || raster.key !== key) {
+      const transform = TRANSFORMS[style.textTransform] || ((text) => text);
+      raster = { key, ...rasterize(words, font, transform, rect.width, rect.height, scale, createCanvas) };
+      rasters.set(element, raster);
+    }
+
+    return {
+      left: Math.round(rect.left),
+      top: Math.round(rect.top),
+      columns: raster.columns,
+      rows: raster.rows,
+      data: raster.data,
+    };
+  };
+
+  const watcher = createElementWatcher(onChange, {
+    ...options,
+    attribute: TEXT_ATTRIBUTE,
+    describe,
+    same: sameLayers,
+  });
+
+  // Web fonts arriving change the glyphs, not necessarily the layout
+  const fonts = typeof document !== 'undefined' ? document.fonts : null;
+  if (fonts && fonts.addEventListener) fonts.addEventListener('loadingdone', watcher.refresh);
+
+  return {
+    refresh: watcher.refresh,
+
+    disconnect() {
+      if (fonts && fonts.removeEventListener) fonts.removeEventListener('loadingdone', watcher.refresh);
+      watcher.disconnect();
+    },
+  };
+};
+
+export default createTextWatcher;
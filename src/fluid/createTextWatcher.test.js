@@ -0,0 +1,120 @@
+import createTextWatcher, { TEXT_ATTRIBUTE } from './createTextWatcher';
+
+// Manual frames - flush() runs the pending measurement
+const fakeFrames = () => {
+  let pending = null;
+  return {
+    requestFrame: (callback) => { pending = callback; return 1; },
+    cancelFrame: () => { pending = null; },
+    flush: () => {
+      const callback = pending;
+      pending = null;
+      if (callback) callback();
+    },
+  };
+};
+
+// Canvases that record what is painted and report full coverage for the first pixel
+const fakeCanvases = () => {
+  const painted = [];
+  const createCanvas = (width, height) => ({
+    width,
+    height,
+    getContext: () => {
+      const ctx = {
+        scale: jest.fn(),
+        fillText: (text, x, y) => painted.push({ text, x, y, font: ctx.font }),
+        getImageData: () => {
+          const data = new Uint8ClampedArray(width * height * 4);
+          data[3] = 255;
+          return { data };
+        },
+      };
+      return ctx;
+    },
+  });
+  return { createCanvas, painted };
+};
+
+// Element at `origin` whose words are laid out 10px per character on 20px lines
+let origin;
+const addHeadline = (text) => {
+  const element = document.createElement('h1');
+  element.setAttribute(TEXT_ATTRIBUTE, '');
+  element.textContent = text;
+  element.style.fontSize = '20px';
+  element.style.fontFamily = 'Arial';
+  element.getBoundingClientRect = () => ({
+    left: origin.left, top: origin.top, right: origin.left + 200, bottom: origin.top + 20, width: 200, height: 20,
+  });
+  document.body.appendChild(element);
+  return element;
+};
+
+beforeEach(() => {
+  origin = { left: 100.4, top: 50 };
+  document.createRange = () => {
+    const range = { setStart: (node, offset) => { range.start = offset; }, setEnd: (node, offset) => { range.end = offset; } };
+    range.getBoundingClientRect = () => ({
+      left: origin.left + range.start * 10,
+      top: origin.top,
+      width: (range.end - range.start) * 10,
+      height: 20,
+    });
+    return range;
+  };
+});
+
+afterEach(() => {
+  document.body.innerHTML = '';
+  delete document.createRange;
+});
+
+describe('createTextWatcher', () => {
+  test('rasterizes every word where the page lays it out, in the element font', () => {
+    addHeadline('KAI is');
+    const frames = fakeFrames();
+    const { createCanvas, painted } = fakeCanvases();
+    const onChange = jest.fn();
+
+    const watcher = createTextWatcher(onChange, { ...frames, createCanvas, scale: 0.5 });
+    frames.flush();
+
+    expect(painted).toEqual([
+      { text: 'KAI', x: 0, y: 10, font: expect.stringContaining('20px Arial') },
+      { text: 'is', x: 40, y: 10, font: expect.stringContaining('20px Arial') },
+    ]);
+    const [layer] = onChange.mock.calls[0][0];
+    expect(layer).toMatchObject({ left: 100, top: 50, columns: 100, rows: 10 });
+    expect(layer.data[0]).toBe(255);
+    expect(layer.data[1]).toBe(0);
+
+    watcher.disconnect();
+  });
+
+  test('moves the layer on scroll and only rasterizes again when the text changes', () => {
+    const element = addHeadline('KAI');
+    const frames = fakeFrames();
+    const { createCanvas, painted } = fakeCanvases();
+    const onChange = jest.fn();
+
+    const watcher = createTextWatcher(onChange, { ...frames, createCanvas });
+    frames.flush();
+    const [first] = onChange.mock.calls[0][0];
+
+    origin = { left: 100, top: 10 };
+    window.dispatchEvent(new Event('scroll'));
+    frames.flush();
+    const [moved] = onChange.mock.calls[1][0];
+    expect(moved.top).toBe(10);
+    expect(moved.data).toBe(first.data);
+    expect(painted).toHaveLength(1);
+
+    element.textContent = 'AI';
+    watcher.refresh();
+    frames.flush();
+    expect(painted.map(({ text }) => text)).toEqual(['KAI', 'AI']);
+
+    watcher.disconnect();
+  });
+});
@@ -0,0 +1,70 @@
+const MIN_CHANGE = 0.01; // Smaller changes of either component aren't reported
+
+const toRadians = (degrees) => (degrees * Math.PI) / 180;
+
+// Angle the screen content is rotated by, in degrees (0 in the natural orientation)
+const screenAngle = () => {
+  if (typeof window === 'undefined') return 0;
+  if (window.screen && window.screen.orientation) return window.screen.orientation.angle || 0;
+  return window.orientation || 0;
+};
+
+// iOS only sends orientation events once the page has asked, from a user gesture
+const defaultPermission = () => {
+  const { DeviceOrientationEvent } = typeof window === 'undefined' ? {} : window;
+  return DeviceOrientationEvent && typeof DeviceOrientationEvent.requestPermission === 'function'
+    ? () => DeviceOrientationEvent.requestPermission()
+    : null;
+};
+
+// The pull of gravity along the screen as [x, y], each -1 to 1 and positive for
+// right and down, for a deviceorientation event (beta: front-back tilt, gamma:
+// left-right tilt, in degrees) on a screen rotated by `angle` degrees.
+// A device lying flat gives [0, 0].
+export const tiltFromOrientation = (beta, gamma, angle = 0) => {
+  const x = Math.sin(toRadians(gamma)) * Math.cos(toRadians(beta));
+  const y = Math.sin(toRadians(beta));
+  const a = toRadians(angle);
+  return [x * Math.cos(a) + y * Math.sin(a), y * Math.cos(a) - x * Math.sin(a)];
+};
+
+// Reports how the device is tilted. onTilt([x, y]) gets the tiltFromOrientation
+// vector whenever it changes noticeably. `target` receives the deviceorientation
+// events, `getAngle` gives the screen rotation and `requestPermission` (when the
+// browser needs one) is called on the first click - all injectable so tests can
+// send synthetic orientation events.
+const createTiltSource = (onTilt, {
+  target = window,
+  getAngle = screenAngle,
+  requestPermission = defaultPermission(),
+} = {}) => {
+  let last = null;
+
+  const handleOrientation = (e) => {
+    if (typeof e.beta !== 'number' || typeof e.gamma !== 'number') return; // No sensor
+    const tilt = tiltFromOrientation(e.beta, e.gamma, getAngle());
+    if (last && Math.abs(tilt[0] - last[0]) < MIN_CHANGE && Math.abs(tilt[1] - last[1]) < MIN_CHANGE) return;
+    last = tilt;
+    onTilt(tilt);
+  };
+
+  const handleClick = () => {
+    target.removeEventListener('click', handleClick);
+    // Asked right away, while the click still counts as a user gesture. Denied -
+    // the effect carries on without tilt.
+    const asked = requestPermission();
+    if (asked && asked.catch) asked.catch(() => {});
+  };
+
+  target.addEventListener('deviceorientation', handleOrientation);
+  if (requestPermission) target.addEventListener('click', handleClick);
+
+  return {
+    disconnect() {
+      target.removeEventListener('deviceorientation', handleOrientation);
+      target.removeEventListener('click', handleClick);
+    },
+  };
+};
+
+export default createTiltSource;
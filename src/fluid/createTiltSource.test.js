@@ -0,0 +1,62 @@
+import createTiltSource, { tiltFromOrientation } from './createTiltSource';
+
+const orientation = (beta, gamma) => Object.assign(new Event('deviceorientation'), { beta, gamma });
+
+const expectTilt = (tilt, x, y) => {
+  expect(tilt[0]).toBeCloseTo(x);
+  expect(tilt[1]).toBeCloseTo(y);
+};
+
+describe('tiltFromOrientation', () => {
+  test('pulls toward the lower edge of the screen', () => {
+    expectTilt(tiltFromOrientation(0, 0), 0, 0); // Flat
+    expectTilt(tiltFromOrientation(90, 0), 0, 1); // Upright
+    expectTilt(tiltFromOrientation(0, 30), 0.5, 0); // Right edge down
+    expectTilt(tiltFromOrientation(-30, 0), 0, -0.5); // Top edge down
+  });
+
+  test('follows the screen rotation', () => {
+    // Upright in landscape, turned counterclockwise: the device's bottom is on the right
+    expectTilt(tiltFromOrientation(90, 0, 90), 1, 0);
+    expectTilt(tiltFromOrientation(90, 0, 270), -1, 0);
+  });
+});
+
+describe('createTiltSource', () => {
+  test('reports noticeable changes of synthetic orientation events', () => {
+    const target = new EventTarget();
+    const onTilt = jest.fn();
+    createTiltSource(onTilt, { target, getAngle: () => 0, requestPermission: null });
+
+    target.dispatchEvent(orientation(30, 0));
+    target.dispatchEvent(orientation(30.1, 0)); // Too small a change
+    target.dispatchEvent(orientation(null, null)); // No sensor
+    target.dispatchEvent(orientation(0, -90));
+
+    expect(onTilt).toHaveBeenCalledTimes(2);
+    expectTilt(onTilt.mock.calls[0][0], 0, 0.5);
+    expectTilt(onTilt.mock.calls[1][0], -1, 0);
+  });
+
+  test('asks for permission on the first click', () => {
+    const target = new EventTarget();
+    const requestPermission = jest.fn(() => Promise.reject(new Error('denied')));
+    createTiltSource(jest.fn(), { target, requestPermission });
+
+    target.dispatchEvent(new Event('click'));
+    target.dispatchEvent(new Event('click'));
+    expect(requestPermission).toHaveBeenCalledTimes(1);
+  });
+
+  test('stops listening on disconnect', () => {
+    const target = new EventTarget();
+    const onTilt = jest.fn();
+    const requestPermission = jest.fn();
+    createTiltSource(onTilt, { target, getAngle: () => 0, requestPermission }).disconnect();
+
+    target.dispatchEvent(orientation(45, 10));
+    target.dispatchEvent(new Event('click'));
+    expect(onTilt).not.toHaveBeenCalled();
+    expect(requestPermission).not.toHaveBeenCalled();
+  });
+});
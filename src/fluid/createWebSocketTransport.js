@@ -0,0 +1,64 @@
+const OPEN = 1; // WebSocket readyState
+const DEFAULT_RECONNECT_MS = 2000;
+
+// Transport for createSharedFluid.js through a WebSocket relay that passes every
+// message on to the other clients (see server/relay.js). Messages are JSON text.
+// Messages sent while the socket isn't open are dropped - strokes are only worth
+// something live - and a dropped connection is retried every reconnectMs until
+// close(). WebSocketImpl is injectable, e.g. the ws package outside a browser.
+const createWebSocketTransport = (url, {
+  WebSocketImpl = typeof WebSocket === 'undefined' ? null : WebSocket,
+  reconnectMs = DEFAULT_RECONNECT_MS,
+} = {}) => {
+  if (!WebSocketImpl) return null;
+  const listeners = new Set();
+  let socket = null;
+  let retry = null;
+  let closed = false;
+
+  const connect = () => {
+    retry = null;
+    const next = new WebSocketImpl(url);
+    socket = next;
+    next.onmessage = ({ data }) => {
+      let message;
+      try {
+        message = JSON.parse(data);
+      } catch (e) {
+        return; // Not ours
+      }
+      listeners.forEach((listener) => listener(message));
+    };
+    next.onerror = () => {}; // A close event follows
+    next.onclose = () => {
+      if (socket !== next) return;
+      socket = null;
+      if (!closed) retry = setTimeout(connect, reconnectMs);
+    };
+  };
+
+  connect();
+
+  return {
+    get connected() { return Boolean(socket) && socket.readyState === OPEN; },
+
+    send(message) {
+      if (socket && socket.readyState === OPEN) socket.send(JSON.stringify(message));
+    },
+
+    subscribe(listener) {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+
+    close() {
+      closed = true;
+      clearTimeout(retry);
+      listeners.clear();
+      if (socket) socket.close();
+      socket = null;
+    },
+  };
+};
+
+export default createWebSocketTransport;
@@ -0,0 +1,93 @@
+/**
+ * @jest-environment node
+ */
+import WebSocket from 'ws';
+import createWebSocketTransport from './createWebSocketTransport';
+import createRelay from '../../server/relay';
+
+// Resolves once `check` passes, polling every few ms
+const until = (check) => new Promise((resolve) => {
+  const poll = () => (check() ? resolve() : setTimeout(poll, 5));
+  poll();
+});
+
+describe('createWebSocketTransport', () => {
+  let relay;
+  let url;
+
+  beforeEach(() => new Promise((resolve) => {
+    relay = createRelay({ port: 0 });
+    relay.on('listening', () => {
+      url = `ws://localhost:${relay.address().port}`;
+      resolve();
+    });
+  }));
+
+  afterEach(() => new Promise((resolve) => relay.close(resolve)));
+
+  test('passes messages through the relay to the other clients', () => {
+    const a = createWebSocketTransport(url, { WebSocketImpl: WebSocket });
+    const b = createWebSocketTransport(url, { WebSocketImpl: WebSocket });
+    const c = createWebSocketTransport(url, { WebSocketImpl: WebSocket });
+    const received = { a: [], b: [], c: [] };
+    a.subscribe((message) => received.a.push(message));
+    b.subscribe((message) => received.b.push(message));
+    c.subscribe((message) => received.c.push(message));
+
+    return until(() => a.connected && b.connected && c.connected)
+      .then(() => {
+        a.send({ type: 'splat', from: 'a', x: 0.25 });
+        return until(() => received.b.length > 0 && received.c.length > 0);
+      })
+      .then(() => {
+        expect(received.b).toEqual([{ type: 'splat', from: 'a', x: 0.25 }]);
+        expect(received.c).toEqual(received.b);
+        expect(received.a).toEqual([]);
+        [a, b, c].forEach((transport) => transport.close());
+      });
+  });
+
+  test('drops messages while disconnected and reconnects', () => {
+    const a = createWebSocketTransport(url, { WebSocketImpl: WebSocket, reconnectMs: 10 });
+    const b = createWebSocketTransport(url, { WebSocketImpl: WebSocket });
+    const received = [];
+    b.subscribe((message) => received.push(message));
+    a.send({ type: 'early' }); // Not connected yet
+
+    return until(() => a.connected && b.connected)
+      .then(() => {
+        // The relay drops a's connection
+        relay.clients.forEach((client) => client.terminate());
+        return until(() => !a.connected);
+      })
+      .then(() => until(() => a.connected && b.connected))
+      .then(() => {
+        a.send({ type: 'late' });
+        return until(() => received.length > 0);
+      })
+      .then(() => {
+        expect(received).toEqual([{ type: 'late' }]);
+        a.close();
+        b.close();
+      });
+  });
+
+  test('the relay passes text on and drops binary messages', () => {
+    const sender = new WebSocket(url);
+    const b = createWebSocketTransport(url, { WebSocketImpl: WebSocket });
+    const received = [];
+    b.subscribe((message) => received.push(message));
+
+    return until(() => sender.readyState === WebSocket.OPEN && b.connected)
+      .then(() => {
+        sender.send(Buffer.from('{"type":"binary"}'));
+        sender.send('{"type":"text"}');
+        return until(() => received.length > 0);
+      })
+      .then(() => {
+        expect(received).toEqual([{ type: 'text' }]);
+        sender.close();
+        b.close();
+      });
+  });
+});
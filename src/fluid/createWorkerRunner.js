@@ -0,0 +1,208 @@
+import createFluidWorker from './createFluidWorker';
+import { toPointerData } from './createPointerTracker';
+
+// Main-thread handle for a fluid runner living in fluid.worker.js. It has the same
+// interface as createFluidRunner, but every call becomes a message, so the main
+// thread only forwards input and config. Captured frames arrive as ImageBitmaps,
+// and calls that return something (snapshots, saved state, recordings) are
+// requests answered by the worker.
+//
+// The canvas is transferred to the worker and can't be drawn on here afterwards.
+// If the worker can't create any backend (or fails to load), onFallback is called
+// and the caller should continue in-thread on a fresh canvas.
+//
+// Only import this lazily: createFluidWorker.js uses import.meta.url.
+
+const createWorkerRunner = (canvas, {
+  onQualityChange = () => {},
+  onFrame = () => {},
+  onStats = () => {},
+  onCapture = () => {},
+  onReplayEnd = () => {},
+  onSplat = () => {},
+  onBackendFallback = () => {},
+  onFallback = () => {},
+  ...options
+}) => {
+  const offscreen = canvas.transferControlToOffscreen();
+  const worker = createFluidWorker();
+  const requests = new Map();
+  let nextRequestId = 1;
+  let failed = false;
+
+  // Pending requests resolve to null once the worker is gone
+  const settleRequests = () => {
+    requests.forEach((resolve) => resolve(null));
+    requests.clear();
+  };
+
+  const fail = () => {
+    if (failed) return;
+    failed = true;
+    worker.terminate();
+    settleRequests();
+    onFallback();
+  };
+
+  worker.onmessage = ({ data }) => {
+    switch (data.type) {
+      case 'ready':
+      case 'quality':
+        onQualityChange(data.level);
+        break;
+      case 'frame':
+        onFrame(data.frame);
+        break;
+      case 'stats':
+        onStats(data.stats);
+        break;
+      case 'capture':
+        onCapture(data.bitmap);
+        break;
+      case 'reply':
+        if (requests.has(data.id)) {
+          requests.get(data.id)(data.value);
+          requests.delete(data.id);
+        }
+        break;
+      case 'replayend':
+        onReplayEnd();
+        break;
+      case 'splat':
+        onSplat(data.splat);
+        break;
+      case 'backendfallback':
+        onBackendFallback(new Error(data.message));
+        break;
+      case 'unsupported':
+        fail();
+        break;
+      default:
+        break;
+    }
+  };
+  worker.onerror = (e) => {
+    e.preventDefault();
+    fail();
+  };
+
+  worker.postMessage({ type: 'init', canvas: offscreen, options }, [offscreen]);
+
+  const send = (message) => {
+    if (!failed) worker.postMessage(message);
+  };
+
+  // Send a message the worker replies to; resolves to its answer
+  const request = (message) => {
+    if (failed) return Promise.resolve(null);
+    const id = nextRequestId++;
+    return new Promise((resolve) => {
+      requests.set(id, resolve);
+      send({ ...message, id });
+    });
+  };
+
+  return {
+    type: 'worker',
+
+    setConfig(config) {
+      send({ type: 'config', config });
+    },
+    resize(width, height) {
+      send({ type: 'resize', width, height });
+    },
+    setCellSize(cellSize) {
+      send({ type: 'cellsize', cellSize });
+    },
+    setObstacles(rects) {
+      send({ type: 'obstacles', rects });
+    },
+    setText(layers) {
+      send({ type: 'text', layers });
+    },
+    setAudio(levels) {
+      send({ type: 'audio', levels });
+    },
+    setReducedMotion(reduced) {
+      send({ type: 'reducedmotion', reduced });
+    },
+    setTilt(tilt) {
+      send({ type: 'tilt', tilt });
+    },
+    addRemoteSplat(splat) {
+      send({ type: 'remotesplat', splat });
+    },
+    handlePointerDown(e) {
+      send({ type: 'pointerdown', pointer: toPointerData(e) });
+    },
+    handlePointerMove(e) {
+      send({ type: 'pointermove', pointer: toPointerData(e) });
+    },
+    handlePointerUp(e) {
+      send({ type: 'pointerup', pointer: toPointerData(e) });
+    },
+    scroll(dx, dy) {
+      send({ type: 'scroll', dx, dy });
+    },
+    splat(x, y, dx, dy, amount) {
+      send({ type: 'splat', x, y, dx, dy, amount });
+    },
+    burst(x, y) {
+      send({ type: 'burst', x, y });
+    },
+    seed() {
+      send({ type: 'seed' });
+    },
+    reset() {
+      send({ type: 'reset' });
+    },
+    snapshot(format, snapshotOptions) {
+      return request({ type: 'snapshot', format, options: snapshotOptions });
+    },
+    saveState() {
+      return request({ type: 'savestate' });
+    },
+    loadState(saved) {
+      send({ type: 'loadstate', saved });
+    },
+    startRecording() {
+      send({ type: 'startrecording' });
+    },
+    stopRecording() {
+      return request({ type: 'stoprecording' });
+    },
+    replay(recording) {
+      send({ type: 'replay', recording });
+    },
+    stopReplay() {
+      send({ type: 'stopreplay' });
+    },
+    setProfiling(enabled) {
+      send({ type: 'profiling', enabled });
+    },
+    startCapture(captureOptions) {
+      send({ type: 'startcapture', options: captureOptions });
+    },
+    stopCapture() {
+      send({ type: 'stopcapture' });
+    },
+    start() {
+      send({ type: 'start' });
+    },
+    pause(reason) {
+      send({ type: 'pause', reason });
+    },
+    resume(reason) {
+      send({ type: 'resume', reason });
+    },
+
+    // Terminating the worker releases its context and everything in it
+    destroy() {
+      failed = true;
+      worker.terminate();
+      settleRequests();
+    },
+  };
+};
+
+export default createWorkerRunner;
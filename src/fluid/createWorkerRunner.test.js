@@ -0,0 +1,173 @@
+/**
+ * @jest-environment node
+ */
+import createFluidRunner from './createFluidRunner';
+import createWorkerRunner from './createWorkerRunner';
+
+jest.mock('./createFluidRunner', () => jest.fn());
+jest.mock('./createFluidWorker', () => () => {
+  // Both ends of the protocol run here: the fake worker hands what it is posted
+  // to fluid.worker.js, and the worker scope posts back to its onmessage.
+  mockWorker = {
+    postMessage: (message) => global.onmessage({ data: message }),
+    terminate: jest.fn(),
+  };
+  return mockWorker;
+});
+
+let mockWorker = null; // The latest fake worker
+global.postMessage = (message) => mockWorker.onmessage({ data: message });
+require('./fluid.worker');
+
+const RUNNER_METHODS = [
+  'setConfig', 'resize', 'setCellSize', 'setObstacles', 'setText', 'setAudio', 'setReducedMotion',
+  'setTilt', 'addRemoteSplat', 'handlePointerDown', 'handlePointerMove', 'handlePointerUp', 'scroll',
+  'splat', 'burst', 'seed', 'reset', 'snapshot', 'saveState', 'loadState', 'startRecording',
+  'stopRecording', 'replay', 'stopReplay', 'setProfiling', 'startCapture', 'stopCapture', 'start',
+  'pause', 'resume',
+];
+
+const createFakeRunner = () => {
+  const runner = { type: 'canvas2d', level: 'medium' };
+  RUNNER_METHODS.forEach((name) => { runner[name] = jest.fn(); });
+  return runner;
+};
+
+const canvas = { transferControlToOffscreen: () => ({ offscreen: true }) };
+
+// The worker-side runner and the options it was created with
+let runner;
+const runnerOptions = () => createFluidRunner.mock.calls[createFluidRunner.mock.calls.length - 1][1];
+
+beforeEach(() => {
+  runner = createFakeRunner();
+  createFluidRunner.mockReset();
+  createFluidRunner.mockImplementation(() => runner);
+});
+
+describe('createWorkerRunner', () => {
+  test('starts the worker with the options and reports its quality level', () => {
+    const onQualityChange = jest.fn();
+    createWorkerRunner(canvas, { onQualityChange, backend: 'canvas2d' });
+
+    expect(createFluidRunner).toHaveBeenCalledWith({ offscreen: true }, expect.objectContaining({ backend: 'canvas2d' }));
+    expect(onQualityChange).toHaveBeenCalledWith('medium');
+
+    runnerOptions().onQualityChange('low');
+    expect(onQualityChange).toHaveBeenLastCalledWith('low');
+  });
+
+  test('forwards every command to the runner in the worker', () => {
+    const fluid = createWorkerRunner(canvas, {});
+    const pointer = { pointerType: 'touch', pointerId: 2, clientX: 3, clientY: 4 };
+    const calls = [
+      ['setConfig', { curl: 1 }],
+      ['resize', 300, 200],
+      ['setCellSize', 12],
+      ['setObstacles', [{ x: 1, y: 2, width: 3, height: 4 }]],
+      ['setText', [{ text: 'Hi' }]],
+      ['setAudio', { bass: 0.5 }],
+      ['setReducedMotion', true],
+      ['setTilt', [0, 1]],
+      ['addRemoteSplat', { x: 0.5 }],
+      ['handlePointerDown', pointer],
+      ['handlePointerMove', pointer],
+      ['handlePointerUp', pointer],
+      ['scroll', 0, 10],
+      ['splat', 1, 2, 3, 4, 5],
+      ['burst', 6, 7],
+      ['seed'],
+      ['reset'],
+      ['loadState', { cols: 2 }],
+      ['startRecording'],
+      ['replay', { events: [] }],
+      ['stopReplay'],
+      ['setProfiling', true],
+      ['startCapture', { fps: 30 }],
+      ['stopCapture'],
+      ['start'],
+      ['pause', 'hidden'],
+      ['resume', 'hidden'],
+    ];
+
+    calls.forEach(([name, ...args]) => {
+      fluid[name](...args);
+      expect(runner[name]).toHaveBeenCalledWith(...args);
+    });
+  });
+
+  test('pointer events cross as plain data', () => {
+    const fluid = createWorkerRunner(canvas, {});
+    fluid.handlePointerMove({ pointerType: 'mouse', pointerId: 1, clientX: 5, clientY: 6, target: {} });
+
+    expect(runner.handlePointerMove).toHaveBeenCalledWith({ pointerType: 'mouse', pointerId: 1, clientX: 5, clientY: 6 });
+  });
+
+  test('requests settle with the worker\'s replies', async () => {
+    runner.snapshot.mockResolvedValue('data:image/png;base64,');
+    runner.saveState.mockResolvedValue({ cols: 2 });
+    runner.stopRecording.mockRejectedValue(new Error('not recording'));
+    const fluid = createWorkerRunner(canvas, {});
+
+    await expect(fluid.snapshot('png', { scale: 2 })).resolves.toBe('data:image/png;base64,');
+    expect(runner.snapshot).toHaveBeenCalledWith('png', { scale: 2 });
+    await expect(fluid.saveState()).resolves.toEqual({ cols: 2 });
+    await expect(fluid.stopRecording()).resolves.toBeNull();
+  });
+
+  test('passes the worker\'s events to the callbacks', () => {
+    const callbacks = {
+      onFrame: jest.fn(),
+      onStats: jest.fn(),
+      onCapture: jest.fn(),
+      onReplayEnd: jest.fn(),
+      onSplat: jest.fn(),
+      onBackendFallback: jest.fn(),
+    };
+    createWorkerRunner(canvas, callbacks);
+    const options = runnerOptions();
+    const bitmap = { width: 4 };
+
+    options.onFrame({ time: 1 });
+    options.onStats({ fps: 60 });
+    options.onCapture({ transferToImageBitmap: () => bitmap });
+    options.onReplayEnd();
+    options.onSplat({ pointer: 'mouse' });
+    options.onBackendFallback(new Error('shader compile failed'));
+
+    expect(callbacks.onFrame).toHaveBeenCalledWith({ time: 1 });
+    expect(callbacks.onStats).toHaveBeenCalledWith({ fps: 60 });
+    expect(callbacks.onCapture).toHaveBeenCalledWith(bitmap);
+    expect(callbacks.onReplayEnd).toHaveBeenCalled();
+    expect(callbacks.onSplat).toHaveBeenCalledWith({ pointer: 'mouse' });
+    expect(callbacks.onBackendFallback).toHaveBeenCalledWith(new Error('shader compile failed'));
+  });
+
+  test('falls back when the worker has no backend', async () => {
+    createFluidRunner.mockImplementation(() => null);
+    const onFallback = jest.fn();
+    const fluid = createWorkerRunner(canvas, { onFallback });
+
+    expect(onFallback).toHaveBeenCalledTimes(1);
+    expect(mockWorker.terminate).toHaveBeenCalled();
+    await expect(fluid.saveState()).resolves.toBeNull();
+  });
+
+  test('falls back when the worker fails, settling pending requests', async () => {
+    runner.saveState.mockReturnValue(new Promise(() => {}));
+    const onFallback = jest.fn();
+    const fluid = createWorkerRunner(canvas, { onFallback });
+    const saved = fluid.saveState();
+
+    const preventDefault = jest.fn();
+    mockWorker.onerror({ preventDefault });
+    mockWorker.onerror({ preventDefault });
+
+    expect(preventDefault).toHaveBeenCalled();
+    expect(onFallback).toHaveBeenCalledTimes(1);
+    await expect(saved).resolves.toBeNull();
+
+    fluid.seed();
+    expect(runner.seed).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,36 @@
+import { hexToRgb } from './palettes';
+
+// Where the colour of each emission comes from in RGB dye mode. Colours are
+// [r, g, b] with components from 0 to 1.
+//   fixed     - always config.dyeColor
+//   cycle     - the hue turns slowly over time
+//   speed     - blue for slow movement through to red for fast
+//   direction - the hue follows the direction of movement
+export const DYE_MODES = ['gradient', 'rgb'];
+export const DYE_SOURCES = ['fixed', 'cycle', 'speed', 'direction'];
+
+const CYCLE_SECONDS = 8; // Time for the hue to go all the way round
+const FAST_MOVE = 40; // Pixels per frame that count as full speed
+
+// Fully saturated colour for a hue in degrees
+export const hueToRgb = (hue) => {
+  const h = (((hue % 360) + 360) % 360) / 60;
+  const x = 1 - Math.abs((h % 2) - 1);
+  const sectors = [[1, x, 0], [x, 1, 0], [0, 1, x], [0, x, 1], [x, 0, 1], [1, 0, x]];
+  return sectors[Math.floor(h) % 6];
+};
+
+// Colour for an emission at `time` (ms) by something moving (moveX, moveY) pixels
+// this frame
+export const pickDyeColor = (config, { time = 0, moveX = 0, moveY = 0 } = {}) => {
+  switch (config.dyeSource) {
+    case 'fixed':
+      return hexToRgb(config.dyeColor).map((c) => c / 255);
+    case 'speed':
+      return hueToRgb(240 * (1 - Math.min(1, Math.hypot(moveX, moveY) / FAST_MOVE)));
+    case 'direction':
+      return hueToRgb((Math.atan2(moveY, moveX) * 180) / Math.PI);
+    default:
+      return hueToRgb((time / 1000 / CYCLE_SECONDS) * 360);
+  }
+};
@@ -0,0 +1,38 @@
+import { pickDyeColor, hueToRgb } from './dyeColors';
+import { DEFAULT_CONFIG } from './config';
+
+const rgb = (dyeSource, extra = {}) => ({ ...DEFAULT_CONFIG, dyeMode: 'rgb', dyeSource, ...extra });
+
+describe('hueToRgb', () => {
+  test('maps hues onto saturated colours', () => {
+    expect(hueToRgb(0)).toEqual([1, 0, 0]);
+    expect(hueToRgb(120)).toEqual([0, 1, 0]);
+    expect(hueToRgb(240)).toEqual([0, 0, 1]);
+    expect(hueToRgb(-120)).toEqual([0, 0, 1]);
+    expect(hueToRgb(420)).toEqual([1, 1, 0]);
+  });
+});
+
+describe('pickDyeColor', () => {
+  test('fixed uses dyeColor', () => {
+    expect(pickDyeColor(rgb('fixed', { dyeColor: '#ff0033' }))).toEqual([1, 0, 0.2]);
+  });
+
+  test('cycle turns with time', () => {
+    const config = rgb('cycle');
+    expect(pickDyeColor(config, { time: 0 })).toEqual([1, 0, 0]);
+    expect(pickDyeColor(config, { time: 0 })).not.toEqual(pickDyeColor(config, { time: 2000 }));
+  });
+
+  test('speed goes from blue when still to red when fast', () => {
+    const config = rgb('speed');
+    expect(pickDyeColor(config)).toEqual([0, 0, 1]);
+    expect(pickDyeColor(config, { moveX: 100 })).toEqual([1, 0, 0]);
+  });
+
+  test('direction follows the movement', () => {
+    const config = rgb('direction');
+    expect(pickDyeColor(config, { moveX: 5 })).toEqual([1, 0, 0]);
+    expect(pickDyeColor(config, { moveX: -5 })).toEqual([0, 1, 1]);
+  });
+});
@@ -0,0 +1,154 @@
+import createFluidRunner from './createFluidRunner';
+
+// Dedicated worker that owns the fluid canvas (an OffscreenCanvas) and runs the
+// whole simulation and render loop off the main thread. The main thread talks to
+// it through createWorkerRunner.js.
+
+// The worker's global scope (self)
+const scope = globalThis;
+
+// Workers get requestAnimationFrame alongside OffscreenCanvas in most browsers
+const requestFrame = scope.requestAnimationFrame
+  ? (callback) => scope.requestAnimationFrame(callback)
+  : (callback) => setTimeout(() => callback(performance.now()), 1000 / 60);
+const cancelFrame = scope.cancelAnimationFrame
+  ? (handle) => scope.cancelAnimationFrame(handle)
+  : (handle) => clearTimeout(handle);
+
+let runner = null;
+
+// Answer a request from the main thread with whatever the promise resolves to
+// (null if it fails)
+const reply = (id, promise) => {
+  promise
+    .then((value) => scope.postMessage({ type: 'reply', id, value }))
+    .catch(() => scope.postMessage({ type: 'reply', id, value: null }));
+};
+
+const init = ({ canvas, options }) => {
+  runner = createFluidRunner(canvas, {
+    ...options,
+    requestFrame,
+    cancelFrame,
+    onQualityChange: (level) => scope.postMessage({ type: 'quality', level }),
+    onFrame: (frame) => scope.postMessage({ type: 'frame', frame }),
+    onStats: (stats) => scope.postMessage({ type: 'stats', stats }),
+    onReplayEnd: () => scope.postMessage({ type: 'replayend' }),
+    onSplat: (splat) => scope.postMessage({ type: 'splat', splat }),
+    onBackendFallback: (error) => scope.postMessage({ type: 'backendfallback', message: error.message }),
+    // Captured frames go to the main thread, which has the MediaRecorder
+    onCapture: (source) => {
+      const bitmap = source.transferToImageBitmap();
+      scope.postMessage({ type: 'capture', bitmap }, [bitmap]);
+    },
+  });
+
+  if (!runner) {
+    scope.postMessage({ type: 'unsupported' });
+    return;
+  }
+  scope.postMessage({ type: 'ready', backend: runner.type, level: runner.level });
+};
+
+scope.onmessage = ({ data }) => {
+  if (data.type === 'init') {
+    init(data);
+    return;
+  }
+  if (!runner) return;
+
+  switch (data.type) {
+    case 'config':
+      runner.setConfig(data.config);
+      break;
+    case 'resize':
+      runner.resize(data.width, data.height);
+      break;
+    case 'cellsize':
+      runner.setCellSize(data.cellSize);
+      break;
+    case 'obstacles':
+      runner.setObstacles(data.rects);
+      break;
+    case 'text':
+      runner.setText(data.layers);
+      break;
+    case 'audio':
+      runner.setAudio(data.levels);
+      break;
+    case 'reducedmotion':
+      runner.setReducedMotion(data.reduced);
+      break;
+    case 'tilt':
+      runner.setTilt(data.tilt);
+      break;
+    case 'remotesplat':
+      runner.addRemoteSplat(data.splat);
+      break;
+    case 'pointerdown':
+      runner.handlePointerDown(data.pointer);
+      break;
+    case 'pointermove':
+      runner.handlePointerMove(data.pointer);
+      break;
+    case 'pointerup':
+      runner.handlePointerUp(data.pointer);
+      break;
+    case 'scroll':
+      runner.scroll(data.dx, data.dy);
+      break;
+    case 'splat':
+      runner.splat(data.x, data.y, data.dx, data.dy, data.amount);
+      break;
+    case 'burst':
+      runner.burst(data.x, data.y);
+      break;
+    case 'seed':
+      runner.seed();
+      break;
+    case 'reset':
+      runner.reset();
+      break;
+    case 'snapshot':
+      reply(data.id, runner.snapshot(data.format, data.options));
+      break;
+    case 'savestate':
+      reply(data.id, runner.saveState());
+      break;
+    case 'loadstate':
+      runner.loadState(data.saved);
+      break;
+    case 'startrecording':
+      runner.startRecording();
+      break;
+    case 'stoprecording':
+      reply(data.id, runner.stopRecording());
+      break;
+    case 'replay':
+      runner.replay(data.recording);
+      break;
+    case 'stopreplay':
+      runner.stopReplay();
+      break;
+    case 'profiling':
+      runner.setProfiling(data.enabled);
+      break;
+    case 'startcapture':
+      runner.startCapture(data.options);
+      break;
+    case 'stopcapture':
+      runner.stopCapture();
+      break;
+    case 'start':
+      runner.start();
+      break;
+    case 'pause':
+      runner.pause(data.reason);
+      break;
+    case 'resume':
+      runner.resume(data.reason);
+      break;
+    default:
+      break;
+  }
+};
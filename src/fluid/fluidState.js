@@ -0,0 +1,71 @@
+import resampleField from './resample';
+
+// Saved solver state, the same for every backend:
+//   { cols, rows, density, velocityX, velocityY, dye, time }
+// with one Float32Array of cols * rows cells per field (row-major), dye either
+// null or the [red, green, blue] amounts of rgb dye (see createFluidSimulation.js)
+// and time the simulation clock that drives the turbulence (missing in older states).
+export const STATE_VERSION = 1;
+
+// The state stretched onto a grid of another size, like a resize
+export const resampleState = (state, cols, rows) => {
+  if (state.cols === cols && state.rows === rows) return state;
+  const resample = (field) => resampleField(field, state.cols, state.rows, cols, rows);
+  return {
+    cols,
+    rows,
+    density: resample(state.density),
+    velocityX: resample(state.velocityX),
+    velocityY: resample(state.velocityY),
+    dye: state.dye ? state.dye.map(resample) : null,
+    time: state.time,
+  };
+};
+
+// Whether a value looks like a saved state with fields of the right size
+export const isFluidState = (state) => {
+  if (!state || !(state.cols >= 4) || !(state.rows >= 4)) return false;
+  const cells = state.cols * state.rows;
+  const fields = [state.density, state.velocityX, state.velocityY, ...(state.dye || [])];
+  return fields.every((field) => field instanceof Float32Array && field.length === cells)
+    && (state.dye === null || (Array.isArray(state.dye) && state.dye.length === 3));
+};
+
+// Whether a value (e.g. parsed from a file) is a runner's saveState output this
+// version can load
+export const isSavedState = (value) => Boolean(value)
+  && value.version === STATE_VERSION
+  && isFluidState(value.state);
+
+// JSON with typed arrays stored as base64, so states and recordings stay compact
+const TYPED_ARRAYS = { $float32: Float32Array, $uint8: Uint8Array };
+
+const toBase64 = (bytes) => {
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+};
+
+const fromBase64 = (text) => {
+  const binary = atob(text);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+  return bytes;
+};
+
+export const stringifyFluid = (value) => JSON.stringify(value, (key, item) => {
+  const tag = Object.keys(TYPED_ARRAYS).find((name) => item instanceof TYPED_ARRAYS[name]);
+  return tag ? { [tag]: toBase64(new Uint8Array(item.buffer, item.byteOffset, item.byteLength)) } : item;
+});
+
+// Inverse of stringifyFluid. Throws on text that isn't JSON.
+export const parseFluid = (text) => JSON.parse(text, (key, item) => {
+  const tag = item && typeof item === 'object' && Object.keys(TYPED_ARRAYS).find(
+    (name) => typeof item[name] === 'string'
+  );
+  if (!tag) return item;
+  const bytes = fromBase64(item[tag]);
+  return new TYPED_ARRAYS[tag](bytes.buffer, 0, bytes.length / TYPED_ARRAYS[tag].BYTES_PER_ELEMENT);
+});
@@ -0,0 +1,50 @@
+import {
+  STATE_VERSION, resampleState, isFluidState, isSavedState, stringifyFluid, parseFluid,
+} from './fluidState';
+
+const field = (cells, fill = 0) => new Float32Array(cells).fill(fill);
+
+const makeState = (cols, rows, dye = null) => ({
+  cols,
+  rows,
+  density: field(cols * rows, 1),
+  velocityX: field(cols * rows, 0.5),
+  velocityY: field(cols * rows, -0.5),
+  dye,
+});
+
+describe('fluidState', () => {
+  test('resampleState stretches every field onto the new grid', () => {
+    const state = makeState(8, 4, [field(32, 1), field(32), field(32)]);
+    expect(resampleState(state, 8, 4)).toBe(state);
+
+    const resampled = resampleState(state, 16, 8);
+    expect(resampled.cols).toBe(16);
+    expect(resampled.density).toHaveLength(128);
+    expect(resampled.dye[0]).toHaveLength(128);
+    expect(resampled.velocityX[resampled.cols * 4 + 8]).toBeCloseTo(0.5);
+  });
+
+  test('isFluidState checks the field types and sizes', () => {
+    expect(isFluidState(makeState(8, 4))).toBe(true);
+    expect(isFluidState({ ...makeState(8, 4), density: field(31) })).toBe(false);
+    expect(isFluidState({ ...makeState(8, 4), velocityX: [0] })).toBe(false);
+    expect(isFluidState({ ...makeState(8, 4), dye: [field(32)] })).toBe(false);
+    expect(isFluidState(null)).toBe(false);
+
+    expect(isSavedState({ version: STATE_VERSION, config: {}, state: makeState(8, 4) })).toBe(true);
+    expect(isSavedState({ version: STATE_VERSION + 1, config: {}, state: makeState(8, 4) })).toBe(false);
+  });
+
+  test('stringifyFluid and parseFluid round-trip typed arrays exactly', () => {
+    const state = makeState(8, 4);
+    state.density[3] = Math.PI;
+    const saved = { version: STATE_VERSION, mask: new Uint8Array([0, 128, 255]), state };
+
+    const parsed = parseFluid(stringifyFluid(saved));
+    expect(parsed.state.density).toBeInstanceOf(Float32Array);
+    expect(parsed.state.density[3]).toBe(state.density[3]);
+    expect(parsed).toEqual(saved);
+    expect(() => parseFluid('not json')).toThrow();
+  });
+});
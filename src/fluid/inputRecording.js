@@ -0,0 +1,72 @@
+import { isFluidState } from './fluidState';
+
+// Input recording and replay for the fluid runner.
+//
+// A recording holds everything needed to play a session again step for step:
+//   - the starting point: RNG seed, simulation area and grid, config, obstacles,
+//     text, hovering pointer, audio levels, reduced motion, device tilt, clock and
+//     the full solver state
+//   - every input that reached the runner (pointer events, splats, bursts,
+//     scrolling, audio levels, tilt, config and layout changes) tagged with the
+//     simulation step ("frame") it was applied before
+//   - the clock of every step, so time-based effects (colour cycling, idle
+//     emitters) see the same times
+// Recordings are plain data; stringifyFluid (see fluidState.js) saves them as JSON.
+
+export const RECORDING_VERSION = 1;
+
+// Collects inputs and step clocks after `start` (the starting point above)
+export const createInputRecorder = (start) => {
+  const events = [];
+  const times = [];
+  const intervals = [];
+
+  return {
+    record(frame, type, args) {
+      events.push({ frame, type, args });
+    },
+
+    // Clock of the step about to run
+    tick(time, interval) {
+      times.push(time);
+      intervals.push(interval);
+    },
+
+    finish() {
+      return { version: RECORDING_VERSION, ...start, events: events.slice(), times: times.slice(), intervals: intervals.slice() };
+    },
+  };
+};
+
+// Whether a value (e.g. parsed from a file) is a recording this version can play
+export const isRecording = (value) => Boolean(value)
+  && value.version === RECORDING_VERSION
+  && Array.isArray(value.events)
+  && Array.isArray(value.times)
+  && Array.isArray(value.intervals)
+  && value.times.length === value.intervals.length
+  && isFluidState(value.state);
+
+// Steps through a recording: take(frame) returns the inputs due before that step
+// (in recorded order) and clock(frame) its [time, interval]
+export const createReplayPlayer = (recording) => {
+  let next = 0;
+  const { events, times, intervals } = recording;
+
+  return {
+    get frames() { return times.length; },
+
+    take(frame) {
+      const due = [];
+      while (next < events.length && events[next].frame <= frame) {
+        due.push(events[next]);
+        next += 1;
+      }
+      return due;
+    },
+
+    clock(frame) {
+      return [times[frame], intervals[frame]];
+    },
+  };
+};
@@ -0,0 +1,39 @@
+import { createInputRecorder, createReplayPlayer, isRecording } from './inputRecording';
+
+const state = {
+  cols: 4,
+  rows: 4,
+  density: new Float32Array(16),
+  velocityX: new Float32Array(16),
+  velocityY: new Float32Array(16),
+  dye: null,
+};
+
+describe('inputRecording', () => {
+  test('a recording replays its inputs before the steps they were recorded at', () => {
+    const recorder = createInputRecorder({ seed: 5, state });
+    recorder.record(0, 'splat', [10, 10]);
+    recorder.tick(100, 16);
+    recorder.record(1, 'burst', []);
+    recorder.record(1, 'reset', []);
+    recorder.tick(116, 16);
+    recorder.tick(132, 16);
+    const recording = recorder.finish();
+
+    expect(isRecording(recording)).toBe(true);
+    expect(recording.seed).toBe(5);
+
+    const player = createReplayPlayer(recording);
+    expect(player.frames).toBe(3);
+    expect(player.take(0).map(({ type }) => type)).toEqual(['splat']);
+    expect(player.take(1).map(({ type }) => type)).toEqual(['burst', 'reset']);
+    expect(player.take(2)).toEqual([]);
+    expect(player.clock(1)).toEqual([116, 16]);
+  });
+
+  test('isRecording rejects other JSON', () => {
+    expect(isRecording({ version: 1, events: [], times: [1], intervals: [], state })).toBe(false);
+    expect(isRecording({ version: 1, events: [], times: [], intervals: [] })).toBe(false);
+    expect(isRecording(null)).toBe(false);
+  });
+});
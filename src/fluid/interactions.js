@@ -0,0 +1,132 @@
+// How pointers push velocity and dye into a fluid backend.
+//
+// Every mode keeps the hover trail (dye plus the pointer's own motion). On top of
+// that the selected mode reacts to presses:
+//   hover  - nothing extra, today's default behaviour
+//   splat  - a press fires a radial burst
+//   drag   - dragging emits a stronger directional jet
+//   vortex - holding injects rotational velocity around the pointer
+export const INTERACTION_MODES = ['hover', 'splat', 'drag', 'vortex'];
+
+// Which way scrolling pushes the fluid: along with the content (up when scrolling
+// down) or along the scroll direction
+export const SCROLL_DIRECTIONS = ['content', 'scroll'];
+
+// Visit the cells within `radius` of (cx, cy) with a linear falloff
+// (1 at the centre, reaching 0 one cell past the radius)
+const forEachInDisk = (cx, cy, radius, callback) => {
+  const r = Math.ceil(radius);
+  for (let i = -r; i <= r; i++) {
+    for (let j = -r; j <= r; j++) {
+      const dist = Math.sqrt(i * i + j * j);
+      const falloff = 1 - dist / (radius + 1);
+      if (falloff > 0) callback(cx + i, cy + j, falloff, i, j, dist);
+    }
+  }
+};
+
+// Dye at a cell plus a softer ring around it for a wider effect
+export const addDyeDisk = (fluid, cx, cy, radius, amount) => {
+  forEachInDisk(cx, cy, radius, (x, y, falloff, i, j) => {
+    fluid.addDensity(x, y, i === 0 && j === 0 ? amount : amount * falloff * 0.6);
+  });
+};
+
+// Outward burst of dye and velocity, like the one the page opens with
+export const radialBurst = (fluid, cx, cy, { radius = 5, strength = 50, amount = 200 } = {}) => {
+  fluid.addDensity(cx, cy, amount * 1.5);
+
+  const points = Math.max(8, Math.round(radius * 2));
+  for (let i = 0; i < points; i++) {
+    const angle = (i / points) * Math.PI * 2;
+    const x = cx + Math.floor(Math.cos(angle) * radius);
+    const y = cy + Math.floor(Math.sin(angle) * radius);
+
+    // Add density with falloff based on the point
+    const falloff = 1 - (i / points);
+    fluid.addDensity(x, y, amount * falloff);
+
+    // Add outward velocity
+    fluid.addVelocity(x, y, Math.cos(angle) * strength, Math.sin(angle) * strength);
+  }
+};
+
+// Velocity along the drag direction across a disk
+const directionalJet = (fluid, cx, cy, velX, velY, radius) => {
+  forEachInDisk(cx, cy, radius, (x, y, falloff) => {
+    fluid.addVelocity(x, y, velX * falloff, velY * falloff);
+  });
+};
+
+// Dye plus a push in one direction, e.g. a programmatic splat
+export const addSplat = (fluid, cx, cy, { velX = 0, velY = 0, amount = 150, radius = 3 } = {}) => {
+  addDyeDisk(fluid, cx, cy, radius, amount);
+  if (velX !== 0 || velY !== 0) directionalJet(fluid, cx, cy, velX, velY, radius);
+};
+
+// A push across the whole field, e.g. from scrolling: small jets on a lattice
+// every `spacing` cells. A uniform push would just be projected away against the
+// walls; local jets move the fluid around them instead. The lattice shifts on every
+// call (by `random`, e.g. a seeded RNG) so no fixed pattern builds up.
+export const fieldImpulse = (fluid, velX, velY, { spacing = 6, radius = 2, random = Math.random } = {}) => {
+  const { cols, rows } = fluid;
+  const offsetX = Math.floor(random() * spacing);
+  const offsetY = Math.floor(random() * spacing);
+
+  for (let y = 1 + offsetY; y < rows - 1; y += spacing) {
+    for (let x = 1 + offsetX; x < cols - 1; x += spacing) {
+      directionalJet(fluid, x, y, velX, velY, radius);
+    }
+  }
+};
+
+// Counter-clockwise swirl around the centre cell
+const vortex = (fluid, cx, cy, strength, radius) => {
+  forEachInDisk(cx, cy, radius, (x, y, falloff, i, j, dist) => {
+    if (dist === 0) return;
+    fluid.addVelocity(x, y, (-j / dist) * strength * falloff, (i / dist) * strength * falloff);
+  });
+};
+
+// Inject one pointer's velocity and dye for this frame. Pointer positions are in
+// pixels; `pointer.pressStarted` marks the first frame of a press.
+export const applyPointer = (fluid, pointer, config) => {
+  const { cellSize } = fluid;
+  const moveX = pointer.x - pointer.lastX;
+  const moveY = pointer.y - pointer.lastY;
+  const cx = Math.floor(pointer.x / cellSize);
+  const cy = Math.floor(pointer.y / cellSize);
+
+  // Hover trail: velocity from the pointer's motion, dye even with minimal movement
+  const velX = moveX * config.hoverStrength;
+  const velY = moveY * config.hoverStrength;
+  fluid.addVelocity(cx, cy, velX, velY);
+
+  const baseDensity = Math.abs(velX) > 0.1 || Math.abs(velY) > 0.1 ?
+                      config.fluidDensity :
+                      config.fluidDensity * 0.4; // Add less fluid when not moving much
+  addDyeDisk(fluid, cx, cy, config.hoverRadius, baseDensity);
+
+  switch (config.interactionMode) {
+    case 'splat':
+      if (pointer.pressStarted) {
+        radialBurst(fluid, cx, cy, {
+          radius: config.splatRadius,
+          strength: config.splatStrength,
+          amount: config.fluidDensity * 4 / 3,
+        });
+      }
+      break;
+    case 'drag':
+      if (pointer.down && (moveX !== 0 || moveY !== 0)) {
+        directionalJet(fluid, cx, cy, moveX * config.dragStrength, moveY * config.dragStrength, config.dragRadius);
+        addDyeDisk(fluid, cx, cy, config.dragRadius, config.fluidDensity);
+      }
+      break;
+    case 'vortex':
+      if (pointer.down) vortex(fluid, cx, cy, config.vortexStrength, config.vortexRadius);
+      break;
+    default:
+      break;
+  }
+};
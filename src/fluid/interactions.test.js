@@ -0,0 +1,84 @@
+import { DEFAULT_CONFIG } from './config';
+import { applyPointer, radialBurst, addDyeDisk, fieldImpulse } from './interactions';
+
+// Records what a pointer injects instead of simulating it
+const recordingFluid = () => {
+  const fluid = { cellSize: 10, density: [], velocity: [] };
+  fluid.addDensity = (x, y, amount) => fluid.density.push({ x, y, amount });
+  fluid.addVelocity = (x, y, vx, vy) => fluid.velocity.push({ x, y, vx, vy });
+  return fluid;
+};
+
+const pointer = (overrides) => ({ x: 105, y: 105, lastX: 105, lastY: 105, down: false, pressStarted: false, ...overrides });
+
+describe('interactions', () => {
+  test('addDyeDisk covers the radius with a falloff', () => {
+    const fluid = recordingFluid();
+    addDyeDisk(fluid, 10, 10, 2, 100);
+
+    expect(fluid.density).toContainEqual({ x: 10, y: 10, amount: 100 });
+    expect(fluid.density).toContainEqual({ x: 12, y: 10, amount: expect.closeTo(100 * (1 / 3) * 0.6) });
+    expect(fluid.density.some(({ x }) => x === 13)).toBe(false);
+  });
+
+  test('radialBurst pushes velocity outwards', () => {
+    const fluid = recordingFluid();
+    radialBurst(fluid, 20, 20, { radius: 5, strength: 50 });
+
+    fluid.velocity.forEach(({ x, y, vx, vy }) => {
+      expect(vx * (x - 20) + vy * (y - 20)).toBeGreaterThanOrEqual(0);
+    });
+    expect(fluid.velocity).toHaveLength(10);
+  });
+
+  test('fieldImpulse pushes the whole field in one direction', () => {
+    const fluid = { ...recordingFluid(), cols: 40, rows: 30 };
+    fieldImpulse(fluid, 0, -8, { spacing: 6, radius: 2 });
+
+    expect(fluid.velocity.every(({ vx, vy }) => vx === 0 && vy <= 0)).toBe(true);
+    const xs = fluid.velocity.map(({ x }) => x);
+    const ys = fluid.velocity.map(({ y }) => y);
+    expect(Math.min(...xs)).toBeLessThan(9);
+    expect(Math.max(...xs)).toBeGreaterThan(30);
+    expect(Math.min(...ys)).toBeLessThan(9);
+    expect(Math.max(...ys)).toBeGreaterThan(20);
+  });
+
+  test('hover mode only leaves the trail, even when pressed', () => {
+    const fluid = recordingFluid();
+    applyPointer(fluid, pointer({ down: true, pressStarted: true }), DEFAULT_CONFIG);
+
+    expect(fluid.velocity).toEqual([{ x: 10, y: 10, vx: 0, vy: 0 }]);
+  });
+
+  test('splat mode bursts on the first frame of a press', () => {
+    const config = { ...DEFAULT_CONFIG, interactionMode: 'splat' };
+    const held = recordingFluid();
+    applyPointer(held, pointer({ down: true }), config);
+    const pressed = recordingFluid();
+    applyPointer(pressed, pointer({ down: true, pressStarted: true }), config);
+
+    expect(held.velocity).toHaveLength(1);
+    expect(pressed.velocity.length).toBeGreaterThan(1);
+  });
+
+  test('drag mode scales the jet with dragStrength while down', () => {
+    const config = { ...DEFAULT_CONFIG, interactionMode: 'drag', dragStrength: 40 };
+    const fluid = recordingFluid();
+    applyPointer(fluid, pointer({ x: 108, lastX: 105, down: true }), config);
+
+    const centre = fluid.velocity.filter(({ x, y }) => x === 10 && y === 10);
+    expect(centre.map(({ vx }) => vx)).toEqual([3 * config.hoverStrength, 3 * 40]);
+  });
+
+  test('vortex mode swirls around the pointer while held', () => {
+    const config = { ...DEFAULT_CONFIG, interactionMode: 'vortex' };
+    const fluid = recordingFluid();
+    applyPointer(fluid, pointer({ down: true }), config);
+
+    const right = fluid.velocity.find(({ x, y }) => x === 12 && y === 10);
+    const below = fluid.velocity.find(({ x, y }) => x === 10 && y === 12);
+    expect(right.vy).toBeGreaterThan(0);
+    expect(below.vx).toBeLessThan(0);
+  });
+});
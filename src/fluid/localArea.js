@@ -0,0 +1,39 @@
+import { toPointerData } from './createPointerTracker';
+
+// Helpers for an effect that fills an element instead of the window. The runner
+// works in the element's own CSS pixels, with (0, 0) at its top left corner, while
+// pointers, obstacles and text are measured in viewport pixels. `area` is the
+// element's viewport rectangle ({ left, top, width, height }, e.g. from
+// getBoundingClientRect).
+
+// The whole window as an area
+export const windowArea = () => ({ left: 0, top: 0, width: window.innerWidth, height: window.innerHeight });
+
+// Whether a viewport point is inside the area or within `margin` pixels of it
+export const isNearArea = (area, x, y, margin = 0) => (
+  x >= area.left - margin &&
+  x <= area.left + area.width + margin &&
+  y >= area.top - margin &&
+  y <= area.top + area.height + margin
+);
+
+// Pointer data for the runner, in the area's pixels
+export const toLocalPointer = (e, area) => {
+  const pointer = toPointerData(e);
+  return { ...pointer, clientX: pointer.clientX - area.left, clientY: pointer.clientY - area.top };
+};
+
+// Obstacle rectangles (see createObstacleWatcher.js) in the area's pixels
+export const toLocalRects = (rects, area) => rects.map((rect) => ({
+  left: rect.left - Math.round(area.left),
+  top: rect.top - Math.round(area.top),
+  right: rect.right - Math.round(area.left),
+  bottom: rect.bottom - Math.round(area.top),
+}));
+
+// Text layers (see textMask.js) in the area's pixels
+export const toLocalLayers = (layers, area) => layers.map((layer) => ({
+  ...layer,
+  left: layer.left - Math.round(area.left),
+  top: layer.top - Math.round(area.top),
+}));
@@ -0,0 +1,23 @@
+import { isNearArea, toLocalPointer, toLocalRects, toLocalLayers } from './localArea';
+
+const area = { left: 100, top: 50, width: 200, height: 100 };
+
+describe('localArea', () => {
+  test('isNearArea takes the margin around the area', () => {
+    expect(isNearArea(area, 150, 100)).toBe(true);
+    expect(isNearArea(area, 90, 100)).toBe(false);
+    expect(isNearArea(area, 90, 100, 20)).toBe(true);
+    expect(isNearArea(area, 150, 175, 20)).toBe(false);
+  });
+
+  test('maps pointers, obstacles and text into the area\'s pixels', () => {
+    expect(toLocalPointer({ pointerType: 'mouse', pointerId: 1, clientX: 130, clientY: 70, target: null }, area))
+      .toEqual({ pointerType: 'mouse', pointerId: 1, clientX: 30, clientY: 20 });
+    expect(toLocalRects([{ left: 120, top: 60, right: 180, bottom: 90 }], area))
+      .toEqual([{ left: 20, top: 10, right: 80, bottom: 40 }]);
+
+    const data = new Uint8Array(4);
+    expect(toLocalLayers([{ left: 110, top: 55, columns: 2, rows: 2, data }], area))
+      .toEqual([{ left: 10, top: 5, columns: 2, rows: 2, data }]);
+  });
+});
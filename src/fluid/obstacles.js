@@ -0,0 +1,40 @@
+// Solid regions inside the fluid, e.g. the page headline. Obstacles arrive as
+// rectangles in the simulation's CSS pixel space ({ left, top, right, bottom })
+// and are rasterized onto the grid: every interior cell a rectangle covers more
+// than halfway becomes solid.
+//
+// The result is { mask, cells }: mask has one byte per grid cell (1 = solid) and
+// cells lists the solid cell indices, so boundary passes only visit those.
+// Returns null when nothing is solid.
+export const rasterizeObstacles = (rects, cols, rows, cellSize) => {
+  if (!rects || rects.length === 0) return null;
+
+  const mask = new Uint8Array(cols * rows);
+  const cells = [];
+
+  rects.forEach(({ left, top, right, bottom }) => {
+    const i0 = Math.max(1, Math.round(left / cellSize));
+    const i1 = Math.min(cols - 2, Math.round(right / cellSize) - 1);
+    const j0 = Math.max(1, Math.round(top / cellSize));
+    const j1 = Math.min(rows - 2, Math.round(bottom / cellSize) - 1);
+
+    for (let j = j0; j <= j1; j++) {
+      for (let i = i0; i <= i1; i++) {
+        const idx = i + j * cols;
+        if (!mask[idx]) {
+          mask[idx] = 1;
+          cells.push(idx);
+        }
+      }
+    }
+  });
+
+  return cells.length > 0 ? { mask, cells: Int32Array.from(cells) } : null;
+};
+
+// Whether two lists of obstacle rectangles describe the same layout
+export const sameObstacles = (a, b) => (
+  a.length === b.length && a.every((rect, i) => (
+    rect.left === b[i].left && rect.top === b[i].top && rect.right === b[i].right && rect.bottom === b[i].bottom
+  ))
+);
@@ -0,0 +1,65 @@
+import { rasterizeObstacles, sameObstacles } from './obstacles';
+import createFluidSimulation from './createFluidSimulation';
+
+describe('rasterizeObstacles', () => {
+  test('marks the cells a rectangle covers', () => {
+    const { mask, cells } = rasterizeObstacles([{ left: 20, top: 10, right: 40, bottom: 30 }], 10, 8, 10);
+
+    expect(Array.from(cells)).toEqual([2 + 1 * 10, 3 + 1 * 10, 2 + 2 * 10, 3 + 2 * 10]);
+    expect(mask[2 + 1 * 10]).toBe(1);
+    expect(mask[4 + 1 * 10]).toBe(0);
+  });
+
+  test('keeps obstacles off the outer boundary layer', () => {
+    const { cells } = rasterizeObstacles([{ left: -50, top: -50, right: 500, bottom: 500 }], 6, 5, 10);
+    expect(cells).toHaveLength(4 * 3);
+  });
+
+  test('returns null when nothing is solid', () => {
+    expect(rasterizeObstacles([], 10, 10, 10)).toBeNull();
+    expect(rasterizeObstacles([{ left: 20, top: 20, right: 22, bottom: 22 }], 10, 10, 10)).toBeNull();
+  });
+
+  test('sameObstacles compares layouts', () => {
+    const rect = { left: 1, top: 2, right: 3, bottom: 4 };
+    expect(sameObstacles([rect], [{ ...rect }])).toBe(true);
+    expect(sameObstacles([rect], [{ ...rect, left: 0 }])).toBe(false);
+    expect(sameObstacles([rect], [])).toBe(false);
+  });
+});
+
+describe('simulation with obstacles', () => {
+  const wall = { left: 100, top: 50, right: 120, bottom: 150 };
+
+  test('dye flows around a wall instead of through it', () => {
+    const sim = createFluidSimulation({ width: 200, height: 200, cellSize: 10, decayRate: 1 });
+    sim.setObstacles([wall]);
+
+    for (let k = 0; k < 20; k++) {
+      for (let j = 8; j <= 12; j++) {
+        sim.addDensity(7, j, 20);
+        sim.addVelocity(7, j, 4, 0);
+      }
+      sim.step();
+    }
+
+    // Nothing inside the wall, but dye has made it past it
+    for (let j = 5; j < 15; j++) {
+      expect(sim.density[sim.index(10, j)]).toBe(0);
+      expect(sim.density[sim.index(11, j)]).toBe(0);
+    }
+    let behind = 0;
+    for (let j = 1; j < 19; j++) behind += sim.density[sim.index(13, j)];
+    expect(behind).toBeGreaterThan(0);
+  });
+
+  test('obstacles follow the grid through a resize', () => {
+    const sim = createFluidSimulation({ width: 200, height: 200, cellSize: 10 });
+    sim.setObstacles([wall]);
+    sim.resize(200, 200, 20);
+    sim.addDensity(5, 5, 100);
+    sim.step();
+
+    expect(sim.density[sim.index(5, 5)]).toBe(0);
+  });
+});
@@ -0,0 +1,120 @@
+// Colour palettes as data. A palette is a list of gradient stops:
+//   { pos: 0-1 along the density range, color: '#rrggbb', alpha: opacity before colorIntensity }
+// Alpha may go over 1 so the densest fluid still saturates at low intensity.
+//
+// In a config (and so in presets and share links) a palette is stored as a compact
+// string, "0-3b82f6-0.1_0.3-3b82f6-0.6_...", which survives the key:value URL format.
+
+export const MIN_STOPS = 2;
+export const MAX_STOPS = 8;
+export const MAX_ALPHA = 1.5;
+
+export const BUILT_IN_PALETTES = {
+  // KAI fluid colors - blue through teal to white
+  KAI: [
+    { pos: 0, color: '#3b82f6', alpha: 0.1 },
+    { pos: 0.3, color: '#3b82f6', alpha: 0.6 },
+    { pos: 0.6, color: '#5ff4e8', alpha: 0.9 },
+    { pos: 0.8, color: '#93faff', alpha: 1 },
+    { pos: 1, color: '#ffffff', alpha: 1.2 },
+  ],
+  Fire: [
+    { pos: 0, color: '#7a0a00', alpha: 0.1 },
+    { pos: 0.35, color: '#d62800', alpha: 0.6 },
+    { pos: 0.65, color: '#ff8c00', alpha: 0.9 },
+    { pos: 0.85, color: '#ffd23f', alpha: 1 },
+    { pos: 1, color: '#ffffff', alpha: 1.2 },
+  ],
+  Monochrome: [
+    { pos: 0, color: '#ffffff', alpha: 0.05 },
+    { pos: 0.5, color: '#bfbfbf', alpha: 0.5 },
+    { pos: 1, color: '#ffffff', alpha: 1.1 },
+  ],
+  Neon: [
+    { pos: 0, color: '#3a0ca3', alpha: 0.1 },
+    { pos: 0.3, color: '#7209b7', alpha: 0.6 },
+    { pos: 0.6, color: '#f72585', alpha: 0.9 },
+    { pos: 0.85, color: '#4cc9f0', alpha: 1 },
+    { pos: 1, color: '#ffffff', alpha: 1.2 },
+  ],
+};
+
+const round = (value) => Number(value.toFixed(3));
+const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+
+export const formatPalette = (stops) => stops
+  .map(({ pos, color, alpha }) => `${round(pos)}-${color.replace('#', '').toLowerCase()}-${round(alpha)}`)
+  .join('_');
+
+// Parse a palette string into stops (in the order they were written), or null if
+// it isn't a usable palette. Positions and alphas are clamped to their ranges.
+export const parsePalette = (value) => {
+  if (typeof value !== 'string') return null;
+
+  const stops = value.split('_').map((part) => {
+    const [pos, hex, alpha] = part.split('-');
+    if (!/^[0-9a-f]{6}$/i.test(hex || '') || pos === '' || alpha === '') return null;
+    const stop = { pos: Number(pos), color: `#${hex.toLowerCase()}`, alpha: Number(alpha) };
+    if (!Number.isFinite(stop.pos) || !Number.isFinite(stop.alpha)) return null;
+    return { ...stop, pos: clamp(stop.pos, 0, 1), alpha: clamp(stop.alpha, 0, MAX_ALPHA) };
+  });
+
+  if (stops.length < MIN_STOPS || stops.length > MAX_STOPS || stops.includes(null)) return null;
+  return stops;
+};
+
+export const DEFAULT_PALETTE = formatPalette(BUILT_IN_PALETTES.KAI);
+
+// Name of the built-in palette a palette string matches, or null for a custom one
+export const findPaletteName = (value) => (
+  Object.keys(BUILT_IN_PALETTES).find((name) => formatPalette(BUILT_IN_PALETTES[name]) === value) || null
+);
+
+export const hexToRgb = (hex) => [1, 3, 5].map((i) => parseInt(hex.slice(i, i + 2), 16));
+
+export const rgbToHex = (rgb) => `#${rgb.map((c) => Math.round(c).toString(16).padStart(2, '0')).join('')}`;
+
+// An [r, g, b] colour (0-255) with its hue turned by `degrees`, the same way as
+// CSS hue-rotate()
+export const rotateHue = ([r, g, b], degrees) => {
+  const angle = (degrees * Math.PI) / 180;
+  const cos = Math.cos(angle);
+  const sin = Math.sin(angle);
+  return [
+    (0.213 + cos * 0.787 - sin * 0.213) * r + (0.715 - cos * 0.715 - sin * 0.715) * g + (0.072 - cos * 0.072 + sin * 0.928) * b,
+    (0.213 - cos * 0.213 + sin * 0.143) * r + (0.715 + cos * 0.285 + sin * 0.14) * g + (0.072 - cos * 0.072 - sin * 0.283) * b,
+    (0.213 - cos * 0.213 - sin * 0.787) * r + (0.715 - cos * 0.715 + sin * 0.715) * g + (0.072 + cos * 0.928 + sin * 0.072) * b,
+  ].map((c) => clamp(c, 0, 255));
+};
+
+// A palette string with the hue of every stop turned by `degrees`
+export const shiftPalette = (value, degrees) => {
+  const stops = parsePalette(value);
+  if (!stops || degrees === 0) return value;
+  return formatPalette(stops.map((stop) => ({ ...stop, color: rgbToHex(rotateHue(hexToRgb(stop.color), degrees)) })));
+};
+
+// Colour and alpha of a palette at position t (0-1). Stops may be in any order;
+// outside the first/last stop the end colour holds.
+export const samplePalette = (stops, t) => {
+  const sorted = [...stops].sort((a, b) => a.pos - b.pos);
+  if (t <= sorted[0].pos) return { color: hexToRgb(sorted[0].color), alpha: sorted[0].alpha };
+
+  for (let i = 0; i < sorted.length - 1; i++) {
+    const stop1 = sorted[i];
+    const stop2 = sorted[i + 1];
+    if (t <= stop2.pos) {
+      const span = stop2.pos - stop1.pos;
+      const s = span > 0 ? (t - stop1.pos) / span : 1;
+      const c1 = hexToRgb(stop1.color);
+      const c2 = hexToRgb(stop2.color);
+      return {
+        color: c1.map((c, k) => c * (1 - s) + c2[k] * s),
+        alpha: stop1.alpha * (1 - s) + stop2.alpha * s,
+      };
+    }
+  }
+
+  const last = sorted[sorted.length - 1];
+  return { color: hexToRgb(last.color), alpha: last.alpha };
+};
@@ -0,0 +1,72 @@
+import {
+  BUILT_IN_PALETTES,
+  DEFAULT_PALETTE,
+  MAX_ALPHA,
+  formatPalette,
+  parsePalette,
+  findPaletteName,
+  samplePalette,
+  rotateHue,
+  shiftPalette,
+} from './palettes';
+
+describe('palette strings', () => {
+  test('round-trip every built-in palette', () => {
+    Object.keys(BUILT_IN_PALETTES).forEach((name) => {
+      const value = formatPalette(BUILT_IN_PALETTES[name]);
+      expect(parsePalette(value)).toEqual(BUILT_IN_PALETTES[name]);
+      expect(findPaletteName(value)).toBe(name);
+    });
+    expect(findPaletteName(DEFAULT_PALETTE)).toBe('KAI');
+  });
+
+  test('keep the stop order and clamp out-of-range values', () => {
+    expect(parsePalette('1.5-FFFFFF-9_0-000000-0.5')).toEqual([
+      { pos: 1, color: '#ffffff', alpha: MAX_ALPHA },
+      { pos: 0, color: '#000000', alpha: 0.5 },
+    ]);
+  });
+
+  test('reject unusable palettes', () => {
+    expect(parsePalette('0-ffffff-1')).toBeNull(); // a single stop
+    expect(parsePalette('0-fff-1_1-000000-1')).toBeNull();
+    expect(parsePalette('0-ffffff-x_1-000000-1')).toBeNull();
+    expect(parsePalette(42)).toBeNull();
+  });
+
+  test('custom palettes have no built-in name', () => {
+    expect(findPaletteName('0-123456-1_1-abcdef-1')).toBeNull();
+  });
+});
+
+describe('samplePalette', () => {
+  const stops = [
+    { pos: 1, color: '#ffffff', alpha: 1 },
+    { pos: 0.5, color: '#000000', alpha: 0 },
+  ];
+
+  test('interpolates between sorted stops', () => {
+    expect(samplePalette(stops, 0.75)).toEqual({ color: [127.5, 127.5, 127.5], alpha: 0.5 });
+  });
+
+  test('holds the end colours outside the stops', () => {
+    expect(samplePalette(stops, 0.2)).toEqual({ color: [0, 0, 0], alpha: 0 });
+  });
+});
+
+describe('shiftPalette', () => {
+  test('turns the hue of every stop and keeps positions and alphas', () => {
+    const shifted = parsePalette(shiftPalette(DEFAULT_PALETTE, 180));
+    const original = parsePalette(DEFAULT_PALETTE);
+
+    expect(shifted.map(({ pos, alpha }) => [pos, alpha])).toEqual(original.map(({ pos, alpha }) => [pos, alpha]));
+    expect(shifted[0].color).not.toBe(original[0].color);
+    // White has no hue to turn
+    expect(shifted[4].color).toBe('#ffffff');
+    expect(shiftPalette(DEFAULT_PALETTE, 0)).toBe(DEFAULT_PALETTE);
+  });
+
+  test('rotateHue matches a full turn', () => {
+    rotateHue([59, 130, 246], 360).forEach((c, i) => expect(c).toBeCloseTo([59, 130, 246][i]));
+  });
+});
@@ -0,0 +1,155 @@
+import { DEFAULT_CONFIG, CONFIG_FIELDS, sanitizeConfig } from './config';
+
+export const STORAGE_KEY = 'kai-fluid-presets';
+export const ACCESSIBILITY_KEY = 'kai-fluid-accessibility';
+export const URL_PARAM = 'fluid';
+export const URL_PRESET_PARAM = 'fluidPreset';
+
+// Looks that ship with the page. Values not listed fall back to DEFAULT_CONFIG.
+export const BUILT_IN_PRESETS = {
+  Default: DEFAULT_CONFIG,
+  Calm: sanitizeConfig({
+    fluidDensity: 80,
+    fluidViscosity: 0.004,
+    fluidDiffusion: 0.0002,
+    colorIntensity: 1.4,
+    decayRate: 0.985,
+  }),
+  Smoke: sanitizeConfig({
+    fluidDensity: 120,
+    fluidViscosity: 0.0001,
+    fluidDiffusion: 0.006,
+    colorIntensity: 1.1,
+    decayRate: 0.997,
+  }),
+  'Ink burst': sanitizeConfig({
+    fluidDensity: 200,
+    fluidViscosity: 0.0001,
+    fluidDiffusion: 0.0001,
+    colorIntensity: 3,
+    decayRate: 0.999,
+  }),
+};
+
+const getStorage = () => {
+  try {
+    return typeof window !== 'undefined' ? window.localStorage : null;
+  } catch (e) {
+    // Access to localStorage throws when storage is disabled
+    return null;
+  }
+};
+
+// User presets saved in localStorage, keyed by name
+export const loadSavedPresets = () => {
+  const storage = getStorage();
+  if (!storage) return {};
+
+  try {
+    const saved = JSON.parse(storage.getItem(STORAGE_KEY)) || {};
+    return Object.keys(saved).reduce(
+      (presets, name) => ({ ...presets, [name]: sanitizeConfig(saved[name]) }),
+      {}
+    );
+  } catch (e) {
+    return {};
+  }
+};
+
+const writeSavedPresets = (presets) => {
+  const storage = getStorage();
+  if (!storage) return presets;
+
+  try {
+    storage.setItem(STORAGE_KEY, JSON.stringify(presets));
+  } catch (e) {
+    // Quota exceeded or storage disabled - keep the presets for this session only
+  }
+  return presets;
+};
+
+// Save (or overwrite) a named preset and return the updated set
+export const savePreset = (name, config) => {
+  const trimmed = String(name || '').trim();
+  if (!trimmed) throw new Error('savePreset: a preset needs a name');
+
+  return writeSavedPresets({ ...loadSavedPresets(), [trimmed]: sanitizeConfig(config) });
+};
+
+// The visitor's accessibility choices: { nativeCursor, reducedMotion }, where
+// reducedMotion is null until they pick it over their system setting
+export const loadAccessibility = () => {
+  const fallback = { nativeCursor: false, reducedMotion: null };
+  const storage = getStorage();
+  if (!storage) return fallback;
+
+  try {
+    const saved = JSON.parse(storage.getItem(ACCESSIBILITY_KEY)) || {};
+    return {
+      nativeCursor: saved.nativeCursor === true,
+      reducedMotion: typeof saved.reducedMotion === 'boolean' ? saved.reducedMotion : null,
+    };
+  } catch (e) {
+    return fallback;
+  }
+};
+
+export const saveAccessibility = (choices) => {
+  const storage = getStorage();
+  if (!storage) return;
+
+  try {
+    storage.setItem(ACCESSIBILITY_KEY, JSON.stringify(choices));
+  } catch (e) {
+    // Storage disabled - the choices last for this visit only
+  }
+};
+
+// Remove a saved preset and return the updated set
+export const deletePreset = (name) => {
+  const { [name]: removed, ...rest } = loadSavedPresets();
+  return writeSavedPresets(rest);
+};
+
+// Encode a config as a compact URL value, e.g. "fluidDensity:80,decayRate:0.985".
+// Only values that differ from the defaults are included.
+export const encodeConfig = (config) => CONFIG_FIELDS
+  .filter(({ key }) => config[key] !== DEFAULT_CONFIG[key])
+  .map(({ key }) => `${key}:${config[key]}`)
+  .join(',');
+
+export const decodeConfig = (value, base = DEFAULT_CONFIG) => {
+  const values = String(value || '').split(',').reduce((parsed, pair) => {
+    const [key, raw] = pair.split(':');
+    return key ? { ...parsed, [key.trim()]: raw } : parsed;
+  }, {});
+  return sanitizeConfig(values, base);
+};
+
+// Read a shared look from a URL's query string or hash. Accepts either a preset
+// name (?fluidPreset=Calm) or explicit values (#fluid=fluidDensity:80), values win.
+// Returns null when the URL carries no fluid settings.
+export const readConfigFromUrl = (location, presets = BUILT_IN_PRESETS) => {
+  if (!location) return null;
+
+  const params = new URLSearchParams(location.search);
+  new URLSearchParams(String(location.hash || '').replace(/^#/, '')).forEach((value, key) => {
+    params.set(key, value);
+  });
+
+  const presetName = params.get(URL_PRESET_PARAM);
+  const encoded = params.get(URL_PARAM);
+  if (!presetName && !encoded) return null;
+
+  const base = (presetName && presets[presetName]) || DEFAULT_CONFIG;
+  return encoded ? decodeConfig(encoded, base) : { ...base };
+};
+
+// Build a link to `href` that reproduces `config`, replacing any previous fluid settings
+export const buildShareUrl = (href, config) => {
+  const url = new URL(href);
+  url.searchParams.delete(URL_PARAM);
+  url.searchParams.delete(URL_PRESET_PARAM);
+  url.hash = `${URL_PARAM}=${encodeConfig(config)}`;
+  return url.toString();
+};
@@ -0,0 +1,82 @@
+import { DEFAULT_CONFIG } from './config';
+import {
+  STORAGE_KEY,
+  BUILT_IN_PRESETS,
+  loadSavedPresets,
+  savePreset,
+  deletePreset,
+  encodeConfig,
+  decodeConfig,
+  readConfigFromUrl,
+  buildShareUrl,
+} from './presets';
+
+beforeEach(() => {
+  window.localStorage.clear();
+});
+
+describe('saved presets', () => {
+  test('round-trips through localStorage', () => {
+    const look = { ...DEFAULT_CONFIG, fluidDensity: 90 };
+
+    savePreset('  Mine ', look);
+
+    expect(JSON.parse(window.localStorage.getItem(STORAGE_KEY))).toHaveProperty('Mine');
+    expect(loadSavedPresets()).toEqual({ Mine: look });
+
+    expect(deletePreset('Mine')).toEqual({});
+    expect(loadSavedPresets()).toEqual({});
+  });
+
+  test('requires a name', () => {
+    expect(() => savePreset('  ', DEFAULT_CONFIG)).toThrow(/name/);
+  });
+
+  test('ignores corrupt storage', () => {
+    window.localStorage.setItem(STORAGE_KEY, '{not json');
+    expect(loadSavedPresets()).toEqual({});
+  });
+});
+
+describe('URL sharing', () => {
+  test('encodes only the values that differ from the defaults', () => {
+    expect(encodeConfig(DEFAULT_CONFIG)).toBe('');
+    expect(encodeConfig({ ...DEFAULT_CONFIG, decayRate: 0.97 })).toBe('decayRate:0.97');
+  });
+
+  test('decodes, clamps and drops unknown keys', () => {
+    const config = decodeConfig('fluidDensity:999,decayRate:0.96,bogus:1,fluidViscosity:abc');
+
+    expect(config).toEqual({ ...DEFAULT_CONFIG, fluidDensity: 200, decayRate: 0.96 });
+  });
+
+  test('reads values from the hash and presets from the query string', () => {
+    expect(readConfigFromUrl({ search: '', hash: '' })).toBeNull();
+    expect(readConfigFromUrl({ search: '?fluidPreset=Calm', hash: '' })).toEqual(BUILT_IN_PRESETS.Calm);
+    expect(readConfigFromUrl({ search: '?fluidPreset=Smoke', hash: '#fluid=fluidDensity:60' }))
+      .toEqual({ ...BUILT_IN_PRESETS.Smoke, fluidDensity: 60 });
+  });
+
+  test('share links reproduce the exact config', () => {
+    const look = { ...BUILT_IN_PRESETS['Ink burst'], colorIntensity: 1.7 };
+    const url = new URL(buildShareUrl('https://kainow.example/?fluidPreset=Calm&ref=x', look));
+
+    expect(url.searchParams.get('ref')).toBe('x');
+    expect(url.searchParams.get('fluidPreset')).toBeNull();
+    expect(readConfigFromUrl(url)).toEqual(look);
+  });
+
+  test('share links carry a custom palette', () => {
+    const look = { ...DEFAULT_CONFIG, palette: '0-102030-0.2_0.5-ff0000-0.8_1-ffffff-1.25' };
+    const url = new URL(buildShareUrl('https://kainow.example/', look));
+
+    expect(readConfigFromUrl(url)).toEqual(look);
+  });
+
+  test('share links carry rgb dye settings', () => {
+    const look = { ...DEFAULT_CONFIG, dyeMode: 'rgb', dyeSource: 'fixed', dyeColor: '#ff8800' };
+    const url = new URL(buildShareUrl('https://kainow.example/', look));
+
+    expect(readConfigFromUrl(url)).toEqual(look);
+  });
+});
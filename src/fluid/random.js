@@ -0,0 +1,17 @@
+// Small seeded PRNG (mulberry32) returning numbers in [0, 1). The same seed always
+// gives the same sequence, which keeps recordings and idle scripts reproducible.
+const createRandom = (seed) => {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+// A seed for when none is given
+export const randomSeed = () => Math.floor(Math.random() * 4294967296);
+
+export default createRandom;
@@ -0,0 +1,16 @@
+import createRandom from './random';
+
+describe('createRandom', () => {
+  test('repeats the same sequence for the same seed', () => {
+    const a = createRandom(7);
+    const b = createRandom(7);
+    const values = [a(), a(), a()];
+
+    expect([b(), b(), b()]).toEqual(values);
+    values.forEach((value) => {
+      expect(value).toBeGreaterThanOrEqual(0);
+      expect(value).toBeLessThan(1);
+    });
+    expect(createRandom(8)()).not.toBe(values[0]);
+  });
+});
@@ -0,0 +1,29 @@
+// Bilinear resampling of a row-major grid field onto a grid of another size.
+// The field is stretched so both grids cover the same area, which keeps the dye
+// where it was on screen when the viewport is resized or rotated.
+const resampleField = (source, sourceCols, sourceRows, cols, rows, target = new Float32Array(cols * rows)) => {
+  const scaleX = sourceCols / cols;
+  const scaleY = sourceRows / rows;
+
+  for (let j = 0; j < rows; j++) {
+    // Cell centres map onto cell centres
+    const y = Math.min(Math.max((j + 0.5) * scaleY - 0.5, 0), sourceRows - 1);
+    const j0 = Math.min(Math.floor(y), sourceRows - 2);
+    const t = y - j0;
+
+    for (let i = 0; i < cols; i++) {
+      const x = Math.min(Math.max((i + 0.5) * scaleX - 0.5, 0), sourceCols - 1);
+      const i0 = Math.min(Math.floor(x), sourceCols - 2);
+      const s = x - i0;
+      const k = i0 + j0 * sourceCols;
+
+      target[i + j * cols] =
+        (1 - t) * ((1 - s) * source[k] + s * source[k + 1]) +
+        t * ((1 - s) * source[k + sourceCols] + s * source[k + sourceCols + 1]);
+    }
+  }
+
+  return target;
+};
+
+export default resampleField;
@@ -0,0 +1,31 @@
+import resampleField from './resample';
+
+describe('resampleField', () => {
+  test('copies a field onto a grid of the same size unchanged', () => {
+    const field = Float32Array.from({ length: 12 }, (_, i) => i);
+
+    expect(Array.from(resampleField(field, 4, 3, 4, 3))).toEqual(Array.from(field));
+  });
+
+  test('stretches a constant field to any size', () => {
+    const field = new Float32Array(5 * 4).fill(2);
+
+    expect(resampleField(field, 5, 4, 9, 7).every((value) => value === 2)).toBe(true);
+  });
+
+  test('keeps features at the same relative position', () => {
+    const field = new Float32Array(8 * 8);
+    field[6 + 1 * 8] = 10; // Near the top-right corner
+
+    const result = resampleField(field, 8, 8, 16, 4);
+    const peak = result.indexOf(Math.max(...result));
+
+    expect(peak % 16).toBeGreaterThanOrEqual(12);
+    expect(Math.floor(peak / 16)).toBeLessThanOrEqual(1);
+  });
+
+  test('writes into a provided target', () => {
+    const target = new Float32Array(4 * 4);
+    expect(resampleField(new Float32Array(16).fill(1), 4, 4, 4, 4, target)).toBe(target);
+  });
+});
@@ -0,0 +1,378 @@
+// Stable-fluids solver primitives (Jos Stam, "Real-Time Fluid Dynamics for Games").
+//
+// Every field is a cols x rows grid stored row-major in a Float32Array. The outer
+// ring of cells is a boundary layer that setBoundary() fills in after each pass, so
+// the interior cells are 1..cols-2 and 1..rows-2.
+//
+// Cells are square, so the solver uses one spatial scale for both axes: the longer
+// side of the grid. A wide viewport therefore behaves exactly like the square grid
+// of the same width, minus the rows that were never on screen.
+//
+// A grid may also carry obstacles (see obstacles.js): solid interior cells that
+// setBoundary() treats as walls, so the fluid flows around them.
+//
+// Optional higher-fidelity features, passed to the step functions as `options`:
+//   vorticity          - vorticity confinement strength (0 = off), puts back the
+//                        small swirls that numerical diffusion smooths away
+//   advection          - 'semi-lagrangian' or 'maccormack' (second order, sharper)
+//   pressureSolver     - 'standard' (fixed Gauss-Seidel passes) or 'red-black'
+//                        (red-black Gauss-Seidel that stops once it converges)
+//   pressureIterations - cap on the red-black passes
+//   forceX, forceY     - constant acceleration of the dye (gravity, wind, tilt)
+//   buoyancy           - lift of the dye, so dense dye rises like smoke
+//   turbulence         - strength of a swirling noise field that stirs all of the
+//                        fluid (see applyForces)
+//   timer              - gets the time spent in the diffuse, project and advect
+//                        phases (see createPhaseTimer.js)
+
+export const ADVECTION_METHODS = ['semi-lagrangian', 'maccormack'];
+export const PRESSURE_SOLVERS = ['standard', 'red-black'];
+
+// The red-black solve stops once no cell changes by more than this fraction of
+// the largest pressure
+const PRESSURE_TOLERANCE = 1e-3;
+
+// Grid description shared by all the primitives, plus one scratch field for the
+// passes that need extra working memory
+export const createGrid = (cols, rows, obstacles = null) => ({
+  cols,
+  rows,
+  scale: Math.max(cols, rows),
+  obstacles,
+  scratch: new Float32Array(cols * rows),
+});
+
+// Array index for grid coordinates (no clamping - callers stay inside the grid)
+export const IX = (grid, x, y) => x + y * grid.cols;
+
+// Internal walls: each solid cell takes the average of its fluid neighbours, with
+// the velocity component normal to the wall negated - the same rule as the outer
+// walls below. Cells with no fluid neighbour are zeroed.
+function setObstacleBoundary(grid, b, x) {
+  const { cols, obstacles: { mask, cells } } = grid;
+
+  for (let n = 0; n < cells.length; n++) {
+    const idx = cells[n];
+    const fluidX = (mask[idx - 1] ? 0 : 1) + (mask[idx + 1] ? 0 : 1);
+    const fluidY = (mask[idx - cols] ? 0 : 1) + (mask[idx + cols] ? 0 : 1);
+    const sumX = (mask[idx - 1] ? 0 : x[idx - 1]) + (mask[idx + 1] ? 0 : x[idx + 1]);
+    const sumY = (mask[idx - cols] ? 0 : x[idx - cols]) + (mask[idx + cols] ? 0 : x[idx + cols]);
+
+    if (b === 1 && fluidX > 0) {
+      x[idx] = -sumX / fluidX;
+    } else if (b === 2 && fluidY > 0) {
+      x[idx] = -sumY / fluidY;
+    } else if (fluidX + fluidY > 0) {
+      x[idx] = (sumX + sumY) / (fluidX + fluidY);
+    } else {
+      x[idx] = 0;
+    }
+  }
+}
+
+// Handle boundaries: b = 1 mirrors horizontal velocity off the left/right walls,
+// b = 2 mirrors vertical velocity off the top/bottom walls, b = 0 copies scalars.
+// Obstacles on the grid are handled the same way.
+export function setBoundary(grid, b, x) {
+  const { cols, rows } = grid;
+
+  for (let i = 1; i < cols - 1; i++) {
+    x[IX(grid, i, 0)] = b === 2 ? -x[IX(grid, i, 1)] : x[IX(grid, i, 1)];
+    x[IX(grid, i, rows - 1)] = b === 2 ? -x[IX(grid, i, rows - 2)] : x[IX(grid, i, rows - 2)];
+  }
+
+  for (let j = 1; j < rows - 1; j++) {
+    x[IX(grid, 0, j)] = b === 1 ? -x[IX(grid, 1, j)] : x[IX(grid, 1, j)];
+    x[IX(grid, cols - 1, j)] = b === 1 ? -x[IX(grid, cols - 2, j)] : x[IX(grid, cols - 2, j)];
+  }
+
+  // Corners take the average of their two neighbours
+  x[IX(grid, 0, 0)] = 0.5 * (x[IX(grid, 1, 0)] + x[IX(grid, 0, 1)]);
+  x[IX(grid, 0, rows - 1)] = 0.5 * (x[IX(grid, 1, rows - 1)] + x[IX(grid, 0, rows - 2)]);
+  x[IX(grid, cols - 1, 0)] = 0.5 * (x[IX(grid, cols - 2, 0)] + x[IX(grid, cols - 1, 1)]);
+  x[IX(grid, cols - 1, rows - 1)] = 0.5 * (x[IX(grid, cols - 2, rows - 1)] + x[IX(grid, cols - 1, rows - 2)]);
+
+  if (grid.obstacles) setObstacleBoundary(grid, b, x);
+}
+
+// Diffuse scalar values (density or one velocity component) with Gauss-Seidel relaxation
+export function diffuse(grid, b, x, x0, diff, dt, iterations) {
+  const { cols, rows, scale } = grid;
+  const a = dt * diff * (scale - 2) * (scale - 2);
+  const c = 1 + 4 * a;
+
+  for (let k = 0; k < iterations; k++) {
+    for (let j = 1; j < rows - 1; j++) {
+      for (let i = 1; i < cols - 1; i++) {
+        const idx = IX(grid, i, j);
+        x[idx] = (x0[idx] + a * (x[idx + 1] + x[idx - 1] + x[idx + cols] + x[idx - cols])) / c;
+      }
+    }
+    setBoundary(grid, b, x);
+  }
+}
+
+// Red-black Gauss-Seidel passes over p until it settles (or `iterations` run out).
+// Updating every other cell in two half sweeps lets each half use fully updated
+// neighbours, which converges about twice as fast as a plain sweep.
+// Returns the number of passes used.
+export function solvePressureRedBlack(grid, p, div, iterations) {
+  const { cols, rows } = grid;
+
+  for (let k = 0; k < iterations; k++) {
+    let change = 0;
+    let largest = 0;
+
+    for (let parity = 0; parity < 2; parity++) {
+      for (let j = 1; j < rows - 1; j++) {
+        for (let i = 1 + ((j + parity + 1) % 2); i < cols - 1; i += 2) {
+          const idx = IX(grid, i, j);
+          const next = (div[idx] + p[idx + 1] + p[idx - 1] + p[idx + cols] + p[idx - cols]) / 4;
+          change = Math.max(change, Math.abs(next - p[idx]));
+          largest = Math.max(largest, Math.abs(next));
+          p[idx] = next;
+        }
+      }
+      setBoundary(grid, 0, p);
+    }
+
+    if (change <= largest * PRESSURE_TOLERANCE) return k + 1;
+  }
+  return iterations;
+}
+
+// Project velocities onto their divergence-free part so the fluid conserves mass.
+// p and div are scratch grids.
+export function project(grid, vx, vy, p, div, iterations, { pressureSolver = 'standard', pressureIterations = iterations } = {}) {
+  const { cols, rows, scale } = grid;
+
+  for (let j = 1; j < rows - 1; j++) {
+    for (let i = 1; i < cols - 1; i++) {
+      const idx = IX(grid, i, j);
+      div[idx] = -0.5 * (vx[idx + 1] - vx[idx - 1] + vy[idx + cols] - vy[idx - cols]) / scale;
+      p[idx] = 0;
+    }
+  }
+  setBoundary(grid, 0, div);
+  setBoundary(grid, 0, p);
+
+  if (pressureSolver === 'red-black') {
+    solvePressureRedBlack(grid, p, div, pressureIterations);
+  } else {
+    for (let k = 0; k < iterations; k++) {
+      for (let j = 1; j < rows - 1; j++) {
+        for (let i = 1; i < cols - 1; i++) {
+          const idx = IX(grid, i, j);
+          p[idx] = (div[idx] + p[idx + 1] + p[idx - 1] + p[idx + cols] + p[idx - cols]) / 4;
+        }
+      }
+      setBoundary(grid, 0, p);
+    }
+  }
+
+  for (let j = 1; j < rows - 1; j++) {
+    for (let i = 1; i < cols - 1; i++) {
+      const idx = IX(grid, i, j);
+      vx[idx] -= 0.5 * (p[idx + 1] - p[idx - 1]) * scale;
+      vy[idx] -= 0.5 * (p[idx + cols] - p[idx - cols]) * scale;
+    }
+  }
+  setBoundary(grid, 1, vx);
+  setBoundary(grid, 2, vy);
+}
+
+// Advect density or velocity through the velocity field (semi-Lagrangian backtrace)
+export function advect(grid, b, d, d0, vx, vy, dt) {
+  const { cols, rows, scale } = grid;
+  const dt0 = dt * (scale - 2);
+  const maxX = cols - 1.5;
+  const maxY = rows - 1.5;
+
+  for (let j = 1; j < rows - 1; j++) {
+    for (let i = 1; i < cols - 1; i++) {
+      const idx = IX(grid, i, j);
+      let x = i - dt0 * vx[idx];
+      let y = j - dt0 * vy[idx];
+
+      // Keep the sample point inside the grid
+      if (x < 0.5) x = 0.5; else if (x > maxX) x = maxX;
+      if (y < 0.5) y = 0.5; else if (y > maxY) y = maxY;
+
+      const i0 = Math.floor(x);
+      const j0 = Math.floor(y);
+      const s1 = x - i0;
+      const s0 = 1 - s1;
+      const t1 = y - j0;
+      const t0 = 1 - t1;
+      const k = IX(grid, i0, j0);
+
+      d[idx] =
+        s0 * (t0 * d0[k] + t1 * d0[k + cols]) +
+        s1 * (t0 * d0[k + 1] + t1 * d0[k + 1 + cols]);
+    }
+  }
+  setBoundary(grid, b, d);
+}
+
+// MacCormack advection: a semi-Lagrangian step forward, one back from the result,
+// and half the round-trip error added back. The result is clamped to the cells the
+// forward step sampled so the correction can't overshoot. Uses grid.scratch.
+export function advectMacCormack(grid, b, d, d0, vx, vy, dt) {
+  const { cols, rows, scale, scratch } = grid;
+  const dt0 = dt * (scale - 2);
+  const maxX = cols - 1.5;
+  const maxY = rows - 1.5;
+
+  advect(grid, b, d, d0, vx, vy, dt);
+  advect(grid, b, scratch, d, vx, vy, -dt);
+
+  for (let j = 1; j < rows - 1; j++) {
+    for (let i = 1; i < cols - 1; i++) {
+      const idx = IX(grid, i, j);
+      let x = i - dt0 * vx[idx];
+      let y = j - dt0 * vy[idx];
+      if (x < 0.5) x = 0.5; else if (x > maxX) x = maxX;
+      if (y < 0.5) y = 0.5; else if (y > maxY) y = maxY;
+
+      const k = IX(grid, Math.floor(x), Math.floor(y));
+      const low = Math.min(d0[k], d0[k + 1], d0[k + cols], d0[k + 1 + cols]);
+      const high = Math.max(d0[k], d0[k + 1], d0[k + cols], d0[k + 1 + cols]);
+      const corrected = d[idx] + 0.5 * (d0[idx] - scratch[idx]);
+
+      d[idx] = Math.min(high, Math.max(low, corrected));
+    }
+  }
+  setBoundary(grid, b, d);
+}
+
+// Vorticity confinement: push velocity towards the centre of each swirl, in
+// proportion to its curl, to make up for the rotation the solver smooths away.
+// Uses grid.scratch for the curl.
+export function confineVorticity(grid, vx, vy, strength, dt) {
+  const { cols, rows, scratch: curl } = grid;
+  const mask = grid.obstacles ? grid.obstacles.mask : null;
+
+  curl.fill(0);
+  for (let j = 1; j < rows - 1; j++) {
+    for (let i = 1; i < cols - 1; i++) {
+      const idx = IX(grid, i, j);
+      curl[idx] = 0.5 * (vy[idx + 1] - vy[idx - 1] - vx[idx + cols] + vx[idx - cols]);
+    }
+  }
+
+  for (let j = 2; j < rows - 2; j++) {
+    for (let i = 2; i < cols - 2; i++) {
+      const idx = IX(grid, i, j);
+      if (mask && mask[idx]) continue;
+
+      // Direction of growing curl magnitude
+      const gradX = 0.5 * (Math.abs(curl[idx + 1]) - Math.abs(curl[idx - 1]));
+      const gradY = 0.5 * (Math.abs(curl[idx + cols]) - Math.abs(curl[idx - cols]));
+      const length = Math.sqrt(gradX * gradX + gradY * gradY) + 1e-5;
+
+      vx[idx] += dt * strength * (gradY / length) * curl[idx];
+      vy[idx] -= dt * strength * (gradX / length) * curl[idx];
+    }
+  }
+  setBoundary(grid, 1, vx);
+  setBoundary(grid, 2, vy);
+}
+
+// Dye at which the body forces reach half strength - they act on dye-laden fluid,
+// saturating so a dense spot doesn't shoot off
+export const FORCE_DYE_REFERENCE = 50;
+
+// Spatial frequency of the turbulence in waves across the grid's longer side, and
+// how fast it changes per unit of simulation time
+export const TURBULENCE_WAVES = 3;
+export const TURBULENCE_SPEED = 0.3;
+
+// Turbulence at normalised grid position (x, y) and simulation time t: the curl of
+// a sum of travelling sine waves, so it swirls without compressing the fluid.
+// Returns [vx, vy] in the range of about -2 to 2.
+export const turbulenceAt = (x, y, t) => {
+  const u = x * 2 * Math.PI * TURBULENCE_WAVES;
+  const v = y * 2 * Math.PI * TURBULENCE_WAVES;
+  const s = t * TURBULENCE_SPEED;
+  const cross = Math.cos(1.7 * u - 1.3 * v + 1.1 * s);
+  const dPsiDu = Math.cos(u + 0.7 * s) * Math.sin(v - 0.5 * s) + 0.85 * cross;
+  const dPsiDv = Math.sin(u + 0.7 * s) * Math.cos(v - 0.5 * s) - 0.65 * cross;
+  return [dPsiDv, -dPsiDu];
+};
+
+// External forces for one step at simulation time t: forceX/forceY and buoyancy
+// push fluid in proportion to the dye it carries, turbulence stirs all of it.
+// Solid cells stay still.
+export function applyForces(grid, vx, vy, density, options, t, dt) {
+  const { cols, rows, scale } = grid;
+  const { forceX = 0, forceY = 0, buoyancy = 0, turbulence = 0 } = options;
+  if (forceX === 0 && forceY === 0 && buoyancy === 0 && turbulence === 0) return;
+  const mask = grid.obstacles ? grid.obstacles.mask : null;
+  const liftY = forceY - buoyancy;
+
+  for (let j = 1; j < rows - 1; j++) {
+    for (let i = 1; i < cols - 1; i++) {
+      const idx = IX(grid, i, j);
+      if (mask && mask[idx]) continue;
+
+      const d = Math.max(0, density[idx]);
+      const weight = d / (d + FORCE_DYE_REFERENCE);
+      vx[idx] += dt * forceX * weight;
+      vy[idx] += dt * liftY * weight;
+      if (turbulence > 0) {
+        const [tx, ty] = turbulenceAt(i / scale, j / scale, t);
+        vx[idx] += dt * turbulence * tx;
+        vy[idx] += dt * turbulence * ty;
+      }
+    }
+  }
+  setBoundary(grid, 1, vx);
+  setBoundary(grid, 2, vy);
+}
+
+const NO_TIMER = { start() {}, lap() {} };
+
+const advectWith = (options) => (options.advection === 'maccormack' ? advectMacCormack : advect);
+
+// Velocity step: confine vorticity, diffuse, project, self-advect, project again
+export function velocityStep(grid, vx, vy, vxPrev, vyPrev, viscosity, dt, iterations, options = {}) {
+  const advectField = advectWith(options);
+  const { timer = NO_TIMER } = options;
+  if (options.vorticity > 0) confineVorticity(grid, vx, vy, options.vorticity, dt);
+
+  timer.start();
+  diffuse(grid, 1, vxPrev, vx, viscosity, dt, iterations);
+  diffuse(grid, 2, vyPrev, vy, viscosity, dt, iterations);
+  timer.lap('diffuse');
+
+  // vx/vy are free to use as scratch here, they get overwritten by advection
+  project(grid, vxPrev, vyPrev, vx, vy, iterations, options);
+  timer.lap('project');
+
+  advectField(grid, 1, vx, vxPrev, vxPrev, vyPrev, dt);
+  advectField(grid, 2, vy, vyPrev, vxPrev, vyPrev, dt);
+  timer.lap('advect');
+
+  project(grid, vx, vy, vxPrev, vyPrev, iterations, options);
+  timer.lap('project');
+}
+
+// Density step: diffuse, advect along the velocity field, then fade by decayRate.
+// Obstacles hold no dye of their own once the step is done.
+export function densityStep(grid, density, densityPrev, vx, vy, diffusion, decayRate, dt, iterations, options = {}) {
+  const { timer = NO_TIMER } = options;
+  timer.start();
+  diffuse(grid, 0, densityPrev, density, diffusion, dt, iterations);
+  timer.lap('diffuse');
+  advectWith(options)(grid, 0, density, densityPrev, vx, vy, dt);
+  timer.lap('advect');
+
+  for (let i = 0; i < density.length; i++) {
+    density[i] *= decayRate;
+  }
+
+  if (grid.obstacles) {
+    const { cells } = grid.obstacles;
+    for (let n = 0; n < cells.length; n++) density[cells[n]] = 0;
+  }
+}
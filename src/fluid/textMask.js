@@ -0,0 +1,67 @@
+// Text rasterized for the fluid (see createTextWatcher.js), as coverage masks of
+// bytes from 0 (no text) to 255 at TEXT_MASK_SCALE mask pixels per CSS pixel.
+//
+// A layer is one element's text: { left, top, columns, rows, data }, placed at
+// left/top in viewport CSS pixels with `columns` x `rows` mask pixels of data.
+export const TEXT_MASK_SCALE = 0.25;
+
+export const TEXT_EFFECTS = ['off', 'emit', 'reveal'];
+
+// Paint layers into one mask covering a width x height CSS pixel viewport.
+// Returns { width, height, scale, data } with width x height mask pixels.
+export const composeTextMask = (layers, width, height, scale = TEXT_MASK_SCALE) => {
+  const maskWidth = Math.max(1, Math.ceil(width * scale));
+  const maskHeight = Math.max(1, Math.ceil(height * scale));
+  const data = new Uint8Array(maskWidth * maskHeight);
+
+  layers.forEach((layer) => {
+    const offsetX = Math.round(layer.left * scale);
+    const offsetY = Math.round(layer.top * scale);
+    const startX = Math.max(0, -offsetX);
+    const endX = Math.min(layer.columns, maskWidth - offsetX);
+
+    for (let y = Math.max(0, -offsetY); y < Math.min(layer.rows, maskHeight - offsetY); y++) {
+      for (let x = startX; x < endX; x++) {
+        const value = layer.data[x + y * layer.columns];
+        const idx = (offsetX + x) + (offsetY + y) * maskWidth;
+        if (value > data[idx]) data[idx] = value;
+      }
+    }
+  });
+
+  return { width: maskWidth, height: maskHeight, scale, data };
+};
+
+// How much of each interior grid cell the text covers, as a list of
+// { x, y, coverage } with coverage from 0 to 1, skipping empty cells
+export const textCells = (mask, cols, rows, cellSize) => {
+  const sums = new Float32Array(cols * rows);
+  const cellPixels = cellSize * mask.scale;
+
+  for (let my = 0; my < mask.height; my++) {
+    const y = Math.floor(my / cellPixels);
+    for (let mx = 0; mx < mask.width; mx++) {
+      const value = mask.data[mx + my * mask.width];
+      const x = Math.floor(mx / cellPixels);
+      if (value > 0 && x > 0 && x < cols - 1 && y > 0 && y < rows - 1) sums[x + y * cols] += value;
+    }
+  }
+
+  const full = 255 * Math.max(1, cellPixels * cellPixels);
+  const cells = [];
+  for (let y = 1; y < rows - 1; y++) {
+    for (let x = 1; x < cols - 1; x++) {
+      const sum = sums[x + y * cols];
+      if (sum > 0) cells.push({ x, y, coverage: Math.min(1, sum / full) });
+    }
+  }
+  return cells;
+};
+
+// Text coverage (0-1) at a point in viewport CSS pixels, with no interpolation
+export const sampleTextMask = (mask, x, y) => {
+  const mx = Math.floor(x * mask.scale);
+  const my = Math.floor(y * mask.scale);
+  if (mx < 0 || my < 0 || mx >= mask.width || my >= mask.height) return 0;
+  return mask.data[mx + my * mask.width] / 255;
+};
@@ -0,0 +1,46 @@
+import { composeTextMask, textCells, sampleTextMask } from './textMask';
+
+// A solid layer of `columns` x `rows` mask pixels
+const solidLayer = (left, top, columns, rows, value = 255) => ({
+  left, top, columns, rows, data: new Uint8Array(columns * rows).fill(value),
+});
+
+describe('composeTextMask', () => {
+  test('places layers at their position and keeps the strongest coverage', () => {
+    const mask = composeTextMask([solidLayer(8, 4, 2, 1, 100), solidLayer(12, 4, 2, 1)], 40, 20, 0.25);
+
+    expect([mask.width, mask.height]).toEqual([10, 5]);
+    expect(Array.from(mask.data.slice(10, 20))).toEqual([0, 0, 100, 255, 255, 0, 0, 0, 0, 0]);
+  });
+
+  test('clips layers that are partly off screen', () => {
+    const mask = composeTextMask([solidLayer(-8, -8, 4, 4)], 40, 20, 0.25);
+
+    expect(Array.from(mask.data.slice(0, 3))).toEqual([255, 255, 0]);
+    expect(Array.from(mask.data.slice(10, 13))).toEqual([255, 255, 0]);
+    expect(mask.data[20]).toBe(0);
+  });
+});
+
+describe('textCells', () => {
+  test('averages the coverage of every interior cell the text touches', () => {
+    // 8 px cells are 2 x 2 mask pixels at this scale
+    const mask = composeTextMask([solidLayer(8, 8, 3, 2)], 40, 40, 0.25);
+    const cells = textCells(mask, 5, 5, 8);
+
+    expect(cells).toEqual([
+      { x: 1, y: 1, coverage: 1 },
+      { x: 2, y: 1, coverage: 0.5 },
+    ]);
+  });
+});
+
+describe('sampleTextMask', () => {
+  test('reads coverage from 0 to 1 at CSS pixel positions', () => {
+    const mask = composeTextMask([solidLayer(4, 0, 1, 1, 51)], 8, 4, 0.25);
+
+    expect(sampleTextMask(mask, 5, 3)).toBeCloseTo(0.2);
+    expect(sampleTextMask(mask, 1, 1)).toBe(0);
+    expect(sampleTextMask(mask, 100, 1)).toBe(0);
+  });
+});
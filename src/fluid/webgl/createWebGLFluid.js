@@ -0,0 +1,678 @@
+import {
+  vertexShader,
+  addSourceShader,
+  jacobiShader,
+  divergenceShader,
+  gradientSubtractShader,
+  advectShader,
+  macCormackShader,
+  curlShader,
+  vorticityShader,
+  forcesShader,
+  resampleShader,
+  displayShader,
+} from './shaders';
+import {
+  createColorLookup, DENSITY_THRESHOLD, DENSITY_SCALE, LOOKUP_SIZE, RGB_ALPHA, REVEAL_BACKGROUND, REVEAL_BOOST,
+} from '../colors';
+import { rasterizeObstacles } from '../obstacles';
+import { DEFAULT_CELL_SIZE, DEFAULT_ITERATIONS, DEFAULT_TIME_STEP } from '../createFluidSimulation';
+import { resampleState } from '../fluidState';
+import createPhaseTimer from '../createPhaseTimer';
+
+// Jacobi passes per Gauss-Seidel sweep of the CPU solver. Jacobi converges about
+// half as fast, so `iterations` buys the same accuracy on both backends.
+const JACOBI_PER_SWEEP = 2;
+
+const VELOCITY_FLIP = [-1, -1];
+const SCALAR_FLIP = [1, 1];
+
+const CONTEXT_ATTRIBUTES = { alpha: true, premultipliedAlpha: true, antialias: false, depth: false, stencil: false };
+
+// Get a WebGL context of the given version (2 or 1) with the float texture
+// extensions the solver needs, or null.
+export const getWebGLContext = (canvas, version) => {
+  if (version === 2) {
+    const gl = canvas.getContext('webgl2', CONTEXT_ATTRIBUTES);
+    return gl && gl.getExtension('EXT_color_buffer_float') ? { gl, version } : null;
+  }
+
+  const gl = canvas.getContext('webgl', CONTEXT_ATTRIBUTES) || canvas.getContext('experimental-webgl', CONTEXT_ATTRIBUTES);
+  if (!gl || !gl.getExtension('OES_texture_float')) return null;
+  gl.getExtension('WEBGL_color_buffer_float');
+  return { gl, version };
+};
+
+// A canvas keeps the first context type it hands out, so capability checks run on
+// a scratch canvas to keep the real one free for the Canvas2D fallback.
+const createScratchCanvas = (canvas) => {
+  if (canvas.ownerDocument) return canvas.ownerDocument.createElement('canvas');
+  if (typeof OffscreenCanvas !== 'undefined') return new OffscreenCanvas(1, 1);
+  return null;
+};
+
+// Highest WebGL version (2 or 1) that can render into float textures and build
+// the fluid's shaders, or 0. Shader failures go to onError(error).
+export const detectWebGLVersion = (canvas, { preferWebGL2 = true, onError = () => {} } = {}) => {
+  const versions = preferWebGL2 ? [2, 1] : [1];
+
+  for (let i = 0; i < versions.length; i++) {
+    const scratch = createScratchCanvas(canvas);
+    const context = scratch && getWebGLContext(scratch, versions[i]);
+    if (context) {
+      const { gl } = context;
+      const texture = gl.createTexture();
+      gl.bindTexture(gl.TEXTURE_2D, texture);
+      gl.texImage2D(gl.TEXTURE_2D, 0, versions[i] === 2 ? gl.RGBA32F : gl.RGBA, 4, 4, 0, gl.RGBA, gl.FLOAT, null);
+      const framebuffer = gl.createFramebuffer();
+      gl.bindFramebuffer(gl.FRAMEBUFFER, framebuffer);
+      gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, texture, 0);
+      let usable = gl.checkFramebufferStatus(gl.FRAMEBUFFER) === gl.FRAMEBUFFER_COMPLETE;
+      if (usable) {
+        // Some drivers pass the checks above but reject the shaders
+        try {
+          createWebGLFluid(context, { width: 4, height: 4, cellSize: 1 }).destroy();
+        } catch (e) {
+          onError(e);
+          usable = false;
+        }
+      }
+
+      const lose = gl.getExtension('WEBGL_lose_context');
+      if (lose) lose.loseContext();
+      if (usable) return versions[i];
+    }
+  }
+  return 0;
+};
+
+const compileShader = (gl, type, source) => {
+  const shader = gl.createShader(type);
+  gl.shaderSource(shader, source);
+  gl.compileShader(shader);
+  if (!gl.getShaderParameter(shader, gl.COMPILE_STATUS)) {
+    const log = gl.getShaderInfoLog(shader);
+    gl.deleteShader(shader);
+    throw new Error(`WebGL fluid: shader compile failed: ${log}`);
+  }
+  return shader;
+};
+
+const createProgram = (gl, vertex, fragmentSource) => {
+  const program = gl.createProgram();
+  const fragment = compileShader(gl, gl.FRAGMENT_SHADER, fragmentSource);
+  gl.attachShader(program, vertex);
+  gl.attachShader(program, fragment);
+  gl.bindAttribLocation(program, 0, 'a_position');
+  gl.linkProgram(program);
+  if (!gl.getProgramParameter(program, gl.LINK_STATUS)) {
+    throw new Error(`WebGL fluid: program link failed: ${gl.getProgramInfoLog(program)}`);
+  }
+  gl.deleteShader(fragment); // Freed together with the program
+
+  // Cache uniform locations by name
+  const uniforms = {};
+  const count = gl.getProgramParameter(program, gl.ACTIVE_UNIFORMS);
+  for (let i = 0; i < count; i++) {
+    const name = gl.getActiveUniform(program, i).name.replace(/\[0\]$/, '');
+    uniforms[name] = gl.getUniformLocation(program, name);
+  }
+  return { program, uniforms };
+};
+
+// GPU fluid backend: runs the same stable-fluids steps as the CPU solver as shader
+// passes over float textures and draws the dye straight to the canvas.
+// Expects a context from getWebGLContext(); throws if the shaders don't build.
+const createWebGLFluid = (context, {
+  width: initialWidth,
+  height: initialHeight,
+  cellSize: initialCellSize = DEFAULT_CELL_SIZE,
+  iterations: initialIterations = DEFAULT_ITERATIONS,
+  ...params
+}) => {
+  const { gl, version } = context;
+
+  let width = initialWidth;
+  let height = initialHeight;
+  let cellSize = initialCellSize;
+  let iterations = initialIterations;
+  let cols;
+  let rows;
+  let scale;
+
+  let { viscosity = 0.0002, diffusion = 0.0003, decayRate = 0.992, dyeMode = 'gradient' } = params;
+  let dyeColor = [1, 1, 1];
+  let time = 0; // Simulation clock, sum of the step lengths
+  const solverOptions = {
+    vorticity: 0,
+    advection: 'semi-lagrangian',
+    pressureSolver: 'standard',
+    pressureIterations: 40,
+    forceX: 0,
+    forceY: 0,
+    buoyancy: 0,
+    turbulence: 0,
+  };
+  const setSolverOptions = (next) => Object.keys(solverOptions).forEach((key) => {
+    if (next[key] !== undefined) solverOptions[key] = next[key];
+  });
+  setSolverOptions(params);
+
+  const internalFormat = version === 2 ? gl.RGBA32F : gl.RGBA;
+
+  const createTarget = () => {
+    const texture = gl.createTexture();
+    gl.bindTexture(gl.TEXTURE_2D, texture);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.NEAREST);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.NEAREST);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+    gl.texImage2D(gl.TEXTURE_2D, 0, internalFormat, cols, rows, 0, gl.RGBA, gl.FLOAT, null);
+
+    const framebuffer = gl.createFramebuffer();
+    gl.bindFramebuffer(gl.FRAMEBUFFER, framebuffer);
+    gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, texture, 0);
+    return { texture, framebuffer };
+  };
+
+  const deleteTarget = ({ texture, framebuffer }) => {
+    gl.deleteTexture(texture);
+    gl.deleteFramebuffer(framebuffer);
+  };
+
+  // Two targets that swap after every pass that reads and writes the same field
+  const createDoubleTarget = () => {
+    let read = createTarget();
+    let write = createTarget();
+    return {
+      get read() { return read; },
+      get write() { return write; },
+      swap() { [read, write] = [write, read]; },
+      targets() { return [read, write]; },
+    };
+  };
+
+  const vertex = compileShader(gl, gl.VERTEX_SHADER, vertexShader);
+  const programs = {
+    addSource: createProgram(gl, vertex, addSourceShader),
+    jacobi: createProgram(gl, vertex, jacobiShader),
+    divergence: createProgram(gl, vertex, divergenceShader),
+    gradientSubtract: createProgram(gl, vertex, gradientSubtractShader),
+    advect: createProgram(gl, vertex, advectShader),
+    macCormack: createProgram(gl, vertex, macCormackShader),
+    curl: createProgram(gl, vertex, curlShader),
+    vorticity: createProgram(gl, vertex, vorticityShader),
+    forces: createProgram(gl, vertex, forcesShader),
+    resample: createProgram(gl, vertex, resampleShader),
+    display: createProgram(gl, vertex, displayShader),
+  };
+
+  // Full-screen quad
+  const quad = gl.createBuffer();
+  gl.bindBuffer(gl.ARRAY_BUFFER, quad);
+  gl.bufferData(gl.ARRAY_BUFFER, new Float32Array([-1, -1, 1, -1, -1, 1, -1, 1, 1, -1, 1, 1]), gl.STATIC_DRAW);
+  gl.enableVertexAttribArray(0);
+  gl.vertexAttribPointer(0, 2, gl.FLOAT, false, 0, 0);
+  gl.disable(gl.BLEND);
+
+  const createByteTexture = () => {
+    const texture = gl.createTexture();
+    gl.bindTexture(gl.TEXTURE_2D, texture);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.NEAREST);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.NEAREST);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+    return { texture };
+  };
+
+  // Solid cells as a cols x rows byte texture (r = 255), rebuilt with the grid
+  const obstacleTexture = createByteTexture();
+  let obstacleRects = [];
+
+  const uploadObstacles = () => {
+    const obstacles = rasterizeObstacles(obstacleRects, cols, rows, cellSize);
+    const pixels = new Uint8Array(cols * rows * 4);
+    if (obstacles) obstacles.cells.forEach((idx) => { pixels[idx * 4] = 255; });
+    gl.bindTexture(gl.TEXTURE_2D, obstacleTexture.texture);
+    gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, cols, rows, 0, gl.RGBA, gl.UNSIGNED_BYTE, pixels);
+  };
+
+  // Text coverage for reveal mode (see ../textMask.js) as a luminance texture,
+  // filtered so the letters' edges stay smooth when the mask is scaled up
+  const textMaskTexture = createByteTexture();
+  gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.LINEAR);
+  gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.LINEAR);
+  let textMask = null;
+
+  const uploadTextMask = () => {
+    const { width: maskWidth, height: maskHeight, data } = textMask || { width: 1, height: 1, data: new Uint8Array(1) };
+    gl.bindTexture(gl.TEXTURE_2D, textMaskTexture.texture);
+    gl.pixelStorei(gl.UNPACK_ALIGNMENT, 1);
+    gl.texImage2D(gl.TEXTURE_2D, 0, gl.LUMINANCE, maskWidth, maskHeight, 0, gl.LUMINANCE, gl.UNSIGNED_BYTE, data);
+    gl.pixelStorei(gl.UNPACK_ALIGNMENT, 4);
+  };
+  uploadTextMask();
+
+  // Palette lookup table as a LOOKUP_SIZE x 1 texture, uploaded only when it changes
+  const getLookup = createColorLookup();
+  const paletteTexture = createByteTexture();
+  let uploadedLookup = null;
+
+  // Bind textures to units and set uniforms, then draw into target (null = canvas)
+  const run = ({ program, uniforms }, values, target) => {
+    gl.useProgram(program);
+    let unit = 0;
+    Object.keys(values).forEach((name) => {
+      const value = values[name];
+      const location = uniforms[name];
+      if (location === undefined) return;
+      if (value && value.texture) {
+        gl.activeTexture(gl.TEXTURE0 + unit);
+        gl.bindTexture(gl.TEXTURE_2D, value.texture);
+        gl.uniform1i(location, unit);
+        unit += 1;
+      } else if (Array.isArray(value)) {
+        gl.uniform2fv(location, value);
+      } else {
+        gl.uniform1f(location, value);
+      }
+    });
+    gl.bindFramebuffer(gl.FRAMEBUFFER, target ? target.framebuffer : null);
+    gl.drawArrays(gl.TRIANGLES, 0, 6);
+  };
+
+  const clearTarget = ({ framebuffer }) => {
+    gl.bindFramebuffer(gl.FRAMEBUFFER, framebuffer);
+    gl.clearColor(0, 0, 0, 0);
+    gl.clear(gl.COLOR_BUFFER_BIT);
+  };
+
+  // Splats are accumulated on the CPU and uploaded once per step, laid out like the
+  // fields (dye: density then rgb amounts, velocity: x and y). Only the rows touched
+  // this step or the last one are re-uploaded.
+  let dyeSources;
+  let velocitySources;
+  let dirtyMin;
+  let dirtyMax;
+  let uploadedMin;
+  let uploadedMax;
+
+  const clearSources = () => {
+    dyeSources.fill(0);
+    velocitySources.fill(0);
+    dirtyMin = Infinity;
+    dirtyMax = -1;
+    uploadedMin = Infinity;
+    uploadedMax = -1;
+  };
+
+  const markDirty = (y) => {
+    dirtyMin = Math.min(dirtyMin, y);
+    dirtyMax = Math.max(dirtyMax, y);
+  };
+
+  // Field textures. Velocity and dye survive a resize; the rest is scratch.
+  let velocity;
+  let density;
+  let pressure;
+  let scratch;
+  let forward;
+  let divergence;
+  let dyeSource;
+  let velocitySource;
+
+  const scratchTargets = () => [...pressure.targets(), scratch, forward, divergence, dyeSource, velocitySource];
+  const allTargets = () => [...velocity.targets(), ...density.targets(), ...scratchTargets()];
+
+  // Build the textures for an area, resampling the current velocity and dye into them
+  const build = () => {
+    const previous = velocity && { cols, rows, velocity: velocity.read, density: density.read };
+
+    cols = Math.max(4, Math.ceil(width / cellSize));
+    rows = Math.max(4, Math.ceil(height / cellSize));
+    scale = Math.max(cols, rows);
+
+    if (previous) scratchTargets().forEach(deleteTarget);
+    const nextVelocity = createDoubleTarget();
+    const nextDensity = createDoubleTarget();
+    pressure = createDoubleTarget();
+    scratch = createTarget();
+    forward = createTarget();
+    divergence = createTarget();
+    dyeSource = createTarget();
+    velocitySource = createTarget();
+    dyeSources = new Float32Array(cols * rows * 4);
+    velocitySources = new Float32Array(cols * rows * 4);
+    clearSources();
+    [...nextVelocity.targets(), ...nextDensity.targets(), ...scratchTargets()].forEach(clearTarget);
+
+    if (previous) {
+      gl.viewport(0, 0, cols, rows);
+      const sourceSize = [previous.cols, previous.rows];
+      run(programs.resample, { u_size: [cols, rows], u_sourceSize: sourceSize, u_source: previous.velocity }, nextVelocity.read);
+      run(programs.resample, { u_size: [cols, rows], u_sourceSize: sourceSize, u_source: previous.density }, nextDensity.read);
+      [...velocity.targets(), ...density.targets()].forEach(deleteTarget);
+    }
+
+    velocity = nextVelocity;
+    density = nextDensity;
+    uploadObstacles();
+  };
+
+  build();
+
+  const inside = (x, y) => x >= 1 && x <= cols - 2 && y >= 1 && y <= rows - 2;
+
+  const gridUniforms = () => ({ u_size: [cols, rows], u_scale: scale, u_obstacles: obstacleTexture });
+
+  const uploadSources = () => {
+    const from = Math.min(dirtyMin, uploadedMin);
+    const to = Math.max(dirtyMax, uploadedMax);
+    if (to < from) return false;
+
+    [[dyeSource, dyeSources], [velocitySource, velocitySources]].forEach(([target, staged]) => {
+      gl.bindTexture(gl.TEXTURE_2D, target.texture);
+      gl.texSubImage2D(
+        gl.TEXTURE_2D, 0, 0, from, cols, to - from + 1, gl.RGBA, gl.FLOAT,
+        staged.subarray(from * cols * 4, (to + 1) * cols * 4)
+      );
+
+      // Rows uploaded now must be zeroed on the GPU next step
+      if (dirtyMax >= dirtyMin) staged.fill(0, dirtyMin * cols * 4, (dirtyMax + 1) * cols * 4);
+    });
+    uploadedMin = dirtyMin;
+    uploadedMax = dirtyMax;
+    dirtyMin = Infinity;
+    dirtyMax = -1;
+    return uploadedMax >= uploadedMin;
+  };
+
+  const diffuse = (target, flip, rate, dt) => {
+    const a = dt * rate * (scale - 2) * (scale - 2);
+    // Keep the starting field as b while iterating on x
+    const values = { ...gridUniforms(), u_flip: flip, u_parity: -1 };
+    run(programs.jacobi, { ...values, u_x: target.read, u_b: target.read, u_alpha: 0, u_beta: 1 }, scratch);
+    for (let k = 0; k < iterations * JACOBI_PER_SWEEP; k++) {
+      run(programs.jacobi, { ...values, u_x: target.read, u_b: scratch, u_alpha: a, u_beta: 1 + 4 * a }, target.write);
+      target.swap();
+    }
+  };
+
+  // Red-black passes can't check for convergence without reading back from the
+  // GPU, so they always run up to pressureIterations
+  const project = () => {
+    run(programs.divergence, { ...gridUniforms(), u_velocity: velocity.read }, divergence);
+    clearTarget(pressure.read);
+    const redBlack = solverOptions.pressureSolver === 'red-black';
+    const parities = redBlack ? [0, 1] : [-1];
+    // A red-black pass is a full Gauss-Seidel sweep already
+    const passes = redBlack ? solverOptions.pressureIterations : iterations * JACOBI_PER_SWEEP;
+    const values = { ...gridUniforms(), u_b: divergence, u_alpha: 1, u_beta: 4, u_flip: SCALAR_FLIP };
+    for (let k = 0; k < passes; k++) {
+      for (let p = 0; p < parities.length; p++) {
+        run(programs.jacobi, { ...values, u_x: pressure.read, u_parity: parities[p] }, pressure.write);
+        pressure.swap();
+      }
+    }
+    run(programs.gradientSubtract, { ...gridUniforms(), u_velocity: velocity.read, u_pressure: pressure.read }, velocity.write);
+    velocity.swap();
+  };
+
+  // MacCormack advects forward into `forward`, back from there into scratch, and
+  // combines the three
+  const advect = (target, flip, dissipation, dt) => {
+    const values = { ...gridUniforms(), u_velocity: velocity.read, u_dt: dt, u_flip: flip };
+    if (solverOptions.advection === 'maccormack') {
+      run(programs.advect, { ...values, u_source: target.read, u_dissipation: 1 }, forward);
+      run(programs.advect, { ...values, u_source: forward, u_dt: -dt, u_dissipation: 1 }, scratch);
+      run(programs.macCormack, {
+        ...values, u_source: target.read, u_forward: forward, u_backward: scratch, u_dissipation: dissipation,
+      }, target.write);
+    } else {
+      run(programs.advect, { ...values, u_source: target.read, u_dissipation: dissipation }, target.write);
+    }
+    target.swap();
+  };
+
+  // Curl into scratch, then the confinement force into the velocity
+  const confineVorticity = (dt) => {
+    run(programs.curl, { ...gridUniforms(), u_velocity: velocity.read }, scratch);
+    run(programs.vorticity, {
+      ...gridUniforms(), u_velocity: velocity.read, u_curl: scratch, u_strength: solverOptions.vorticity, u_dt: dt,
+    }, velocity.write);
+    velocity.swap();
+  };
+
+  // External forces, skipped while there are none
+  const applyForces = (dt) => {
+    const { forceX, forceY, buoyancy, turbulence } = solverOptions;
+    if (forceX === 0 && forceY === 0 && buoyancy === 0 && turbulence === 0) return;
+    run(programs.forces, {
+      ...gridUniforms(),
+      u_velocity: velocity.read,
+      u_density: density.read,
+      u_force: [forceX, forceY - buoyancy],
+      u_turbulence: turbulence,
+      u_time: time,
+      u_dt: dt,
+    }, velocity.write);
+    velocity.swap();
+  };
+
+  // Profiling waits for the GPU after every phase
+  const timer = createPhaseTimer({ sync: () => gl.finish() });
+
+  const step = (dt) => {
+    gl.viewport(0, 0, cols, rows);
+
+    if (uploadSources()) {
+      run(programs.addSource, { ...gridUniforms(), u_field: velocity.read, u_source: velocitySource }, velocity.write);
+      velocity.swap();
+      run(programs.addSource, { ...gridUniforms(), u_field: density.read, u_source: dyeSource }, density.write);
+      density.swap();
+    }
+
+    applyForces(dt);
+    time += dt;
+
+    // Velocity step
+    if (solverOptions.vorticity > 0) confineVorticity(dt);
+    timer.start();
+    diffuse(velocity, VELOCITY_FLIP, viscosity, dt);
+    timer.lap('diffuse');
+    project();
+    timer.lap('project');
+    advect(velocity, VELOCITY_FLIP, 1, dt);
+    timer.lap('advect');
+    project();
+    timer.lap('project');
+
+    // Density step
+    diffuse(density, SCALAR_FLIP, diffusion, dt);
+    timer.lap('diffuse');
+    advect(density, SCALAR_FLIP, decayRate, dt);
+    timer.lap('advect');
+  };
+
+  let destroyed = false;
+
+  return {
+    type: version === 2 ? 'webgl2' : 'webgl',
+    get width() { return width; },
+    get height() { return height; },
+    get cellSize() { return cellSize; },
+    get iterations() { return iterations; },
+    get cols() { return cols; },
+    get rows() { return rows; },
+
+    // The colour channels are filled in every mode; only drawing depends on dyeMode
+    addDensity(x, y, amount) {
+      if (!inside(x, y)) return;
+      const idx = (x + y * cols) * 4;
+      dyeSources[idx] += amount;
+      dyeSources[idx + 1] += amount * dyeColor[0];
+      dyeSources[idx + 2] += amount * dyeColor[1];
+      dyeSources[idx + 3] += amount * dyeColor[2];
+      markDirty(y);
+    },
+
+    setDyeColor(color) {
+      dyeColor = color;
+    },
+
+    addVelocity(x, y, amountX, amountY) {
+      if (!inside(x, y)) return;
+      const idx = (x + y * cols) * 4;
+      velocitySources[idx] += amountX;
+      velocitySources[idx + 1] += amountY;
+      markDirty(y);
+    },
+
+    configure(next) {
+      if (next.viscosity !== undefined) viscosity = next.viscosity;
+      if (next.diffusion !== undefined) diffusion = next.diffusion;
+      if (next.decayRate !== undefined) decayRate = next.decayRate;
+      if (next.iterations !== undefined) iterations = next.iterations;
+      if (next.dyeMode !== undefined) dyeMode = next.dyeMode;
+      setSolverOptions(next);
+    },
+
+    step(dt = DEFAULT_TIME_STEP) {
+      if (destroyed) return;
+      timer.measure('step', () => step(dt));
+    },
+
+    // Cover a new area (and optionally a new cell size), keeping the fluid
+    resize(nextWidth, nextHeight, nextCellSize = cellSize) {
+      if (destroyed || !(nextWidth > 0) || !(nextHeight > 0)) return;
+      width = nextWidth;
+      height = nextHeight;
+      cellSize = nextCellSize;
+      build();
+    },
+
+    // Solid rectangles in pixels that the fluid flows around (replaces the previous set)
+    setObstacles(rects) {
+      if (destroyed) return;
+      obstacleRects = rects || [];
+      uploadObstacles();
+    },
+
+    // The dye and velocity read back from the GPU (see ../fluidState.js). The
+    // colour channels are always there, since this backend fills them in every mode.
+    getState() {
+      if (destroyed) return null;
+      const read = (target) => {
+        const pixels = new Float32Array(cols * rows * 4);
+        gl.bindFramebuffer(gl.FRAMEBUFFER, target.framebuffer);
+        gl.readPixels(0, 0, cols, rows, gl.RGBA, gl.FLOAT, pixels);
+        return pixels;
+      };
+      const dye = read(density.read);
+      const motion = read(velocity.read);
+      const channel = (pixels, c) => pixels.filter((value, i) => i % 4 === c);
+      return {
+        cols,
+        rows,
+        density: channel(dye, 0),
+        velocityX: channel(motion, 0),
+        velocityY: channel(motion, 1),
+        dye: [1, 2, 3].map((c) => channel(dye, c)),
+        time,
+      };
+    },
+
+    // Replace the dye and velocity with a saved state, resampled onto this grid.
+    // A state without colours is white dye.
+    setState(state) {
+      if (destroyed) return;
+      const next = resampleState(state, cols, rows);
+      const dye = new Float32Array(cols * rows * 4);
+      const motion = new Float32Array(cols * rows * 4);
+      for (let i = 0; i < cols * rows; i++) {
+        dye[i * 4] = next.density[i];
+        for (let c = 0; c < 3; c++) dye[i * 4 + c + 1] = next.dye ? next.dye[c][i] : next.density[i];
+        motion[i * 4] = next.velocityX[i];
+        motion[i * 4 + 1] = next.velocityY[i];
+      }
+      [[density, dye], [velocity, motion]].forEach(([target, pixels]) => {
+        gl.bindTexture(gl.TEXTURE_2D, target.read.texture);
+        gl.texImage2D(gl.TEXTURE_2D, 0, internalFormat, cols, rows, 0, gl.RGBA, gl.FLOAT, pixels);
+      });
+      scratchTargets().forEach(clearTarget);
+      clearSources();
+      if (Number.isFinite(next.time)) time = next.time;
+    },
+
+    // Text coverage mask in viewport CSS pixels for reveal mode, or null for none
+    setTextMask(mask) {
+      if (destroyed) return;
+      textMask = mask;
+      uploadTextMask();
+    },
+
+    reset() {
+      if (destroyed) return;
+      allTargets().forEach(clearTarget);
+      clearSources();
+    },
+
+    draw({ colorIntensity, palette }) {
+      if (destroyed) return;
+      timer.measure('draw', () => {
+        const lookup = getLookup(palette, colorIntensity);
+        if (lookup !== uploadedLookup) {
+          gl.bindTexture(gl.TEXTURE_2D, paletteTexture.texture);
+          gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, LOOKUP_SIZE, 1, 0, gl.RGBA, gl.UNSIGNED_BYTE, new Uint8Array(lookup.buffer));
+          uploadedLookup = lookup;
+        }
+
+        gl.viewport(0, 0, gl.canvas.width, gl.canvas.height);
+        gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+        gl.clearColor(0, 0, 0, 0);
+        gl.clear(gl.COLOR_BUFFER_BIT);
+
+        run(programs.display, {
+          ...gridUniforms(),
+          u_density: density.read,
+          u_palette: paletteTexture,
+          u_paletteSize: LOOKUP_SIZE,
+          u_cellPixels: [cellSize * (gl.canvas.width / width), cellSize * (gl.canvas.height / height)],
+          u_canvasHeight: gl.canvas.height,
+          u_threshold: DENSITY_THRESHOLD,
+          u_densityScale: DENSITY_SCALE,
+          u_rgb: dyeMode === 'rgb' ? 1 : 0,
+          u_colorIntensity: colorIntensity,
+          u_rgbAlpha: RGB_ALPHA,
+          u_textMask: textMaskTexture,
+          u_textMaskScale: textMask ? [
+            (width / gl.canvas.width) * (textMask.scale / textMask.width),
+            (height / gl.canvas.height) * (textMask.scale / textMask.height),
+          ] : [0, 0],
+          u_reveal: textMask ? 1 : 0,
+          u_revealBackground: REVEAL_BACKGROUND,
+          u_revealBoost: REVEAL_BOOST,
+        }, null);
+      });
+    },
+
+    setProfiling: timer.setEnabled,
+    takeTimings: timer.take,
+
+    // Free the GPU resources. The context itself stays usable, so a new backend
+    // can be created on the same canvas (e.g. React StrictMode remounts).
+    destroy() {
+      if (destroyed) return;
+      destroyed = true;
+      allTargets().forEach(deleteTarget);
+      Object.keys(programs).forEach((name) => gl.deleteProgram(programs[name].program));
+      gl.deleteTexture(paletteTexture.texture);
+      gl.deleteTexture(obstacleTexture.texture);
+      gl.deleteTexture(textMaskTexture.texture);
+      gl.deleteShader(vertex);
+      gl.deleteBuffer(quad);
+    },
+  };
+};
+
+export default createWebGLFluid;
@@ -0,0 +1,120 @@
+import createWebGLFluid from './createWebGLFluid';
+import createFakeWebGL from './fakeWebGL';
+import * as shaders from './shaders';
+import { DEFAULT_PALETTE } from '../palettes';
+
+// Shader export name of each recorded draw, e.g. 'jacobi' for jacobiShader
+const SHADER_NAMES = new Map(Object.keys(shaders).map((name) => [shaders[name], name.replace(/Shader$/, '')]));
+const passes = (gl) => gl.draws.map((draw) => SHADER_NAMES.get(draw.fragment));
+
+const repeat = (name, count) => Array.from({ length: count }, () => name);
+
+const create = (options = {}, glOptions = {}) => {
+  const gl = createFakeWebGL(glOptions);
+  const fluid = createWebGLFluid({ gl, version: 2 }, { width: 200, height: 100, iterations: 4, ...options });
+  gl.draws.length = 0;
+  return { gl, fluid };
+};
+
+describe('createWebGLFluid', () => {
+  test('builds a program for every fragment shader', () => {
+    const gl = createFakeWebGL();
+    const createProgram = jest.spyOn(gl, 'createProgram');
+    const fluid = createWebGLFluid({ gl, version: 1 }, { width: 200, height: 100 });
+
+    expect(fluid.type).toBe('webgl');
+    expect([fluid.cols, fluid.rows]).toEqual([20, 10]);
+    expect(createProgram).toHaveBeenCalledTimes(SHADER_NAMES.size - 1); // All but the vertex shader
+    expect(createWebGLFluid({ gl, version: 2 }, { width: 200, height: 100 }).type).toBe('webgl2');
+  });
+
+  test('throws when a shader fails to compile', () => {
+    expect(() => create({}, { failCompile: true })).toThrow(/shader compile failed: fake compile error/);
+  });
+
+  test('step runs the solver passes in order, adding splats first', () => {
+    const { gl, fluid } = create();
+    fluid.addDensity(5, 5, 10);
+    fluid.step();
+
+    // Two Jacobi passes per Gauss-Seidel iteration of the CPU solver
+    const jacobi = repeat('jacobi', 8);
+    const project = ['divergence', ...jacobi, 'gradientSubtract'];
+    expect(passes(gl)).toEqual([
+      'addSource', 'addSource',
+      'jacobi', ...jacobi, // Diffuse velocity
+      ...project,
+      'advect',
+      ...project,
+      'jacobi', ...jacobi, // Diffuse dye
+      'advect',
+    ]);
+
+    // Nothing new to add
+    gl.draws.length = 0;
+    fluid.step();
+    expect(passes(gl)[0]).toBe('jacobi');
+  });
+
+  test('forces, vorticity, MacCormack and red-black add or swap their passes', () => {
+    const { gl, fluid } = create();
+    fluid.configure({
+      forceY: 0.1, vorticity: 1, advection: 'maccormack', pressureSolver: 'red-black', pressureIterations: 3,
+    });
+    fluid.step(0.5);
+
+    const names = passes(gl);
+    expect(names.slice(0, 3)).toEqual(['forces', 'curl', 'vorticity']);
+    expect(gl.draws[0].uniforms).toMatchObject({ u_force: [0, 0.1], u_time: 0, u_dt: 0.5 });
+    // 1 + 8 per diffusion, and 3 red-black passes of two sweeps per projection
+    expect(names.filter((name) => name === 'jacobi')).toHaveLength(2 * 9 + 2 * 6);
+    expect(names.filter((name) => name === 'macCormack')).toHaveLength(2);
+  });
+
+  test('draw renders the dye to the canvas and uploads the palette once', () => {
+    const { gl, fluid } = create();
+    const texImage2D = jest.spyOn(gl, 'texImage2D');
+    const config = { colorIntensity: 2, palette: DEFAULT_PALETTE };
+
+    fluid.draw(config);
+    fluid.draw(config);
+
+    expect(passes(gl)).toEqual(['display', 'display']);
+    expect(gl.draws[0].target).toBeNull();
+    expect(gl.draws[0].uniforms).toMatchObject({ u_rgb: 0, u_colorIntensity: 2, u_reveal: 0 });
+    expect(texImage2D.mock.calls.filter((call) => call[3] === 256)).toHaveLength(1);
+  });
+
+  test('resize resamples the velocity and dye into the new grid', () => {
+    const { gl, fluid } = create();
+    fluid.resize(400, 100);
+
+    expect([fluid.cols, fluid.rows]).toEqual([40, 10]);
+    expect(passes(gl)).toEqual(['resample', 'resample']);
+    expect(gl.draws[0].uniforms).toMatchObject({ u_size: [40, 10], u_sourceSize: [20, 10] });
+  });
+
+  test('getState reads back what setState wrote, clock included', () => {
+    const { fluid } = create({ width: 40, height: 40 });
+    const cells = fluid.cols * fluid.rows;
+    const field = (value) => new Float32Array(cells).fill(value);
+    fluid.setState({
+      cols: fluid.cols,
+      rows: fluid.rows,
+      density: field(3),
+      velocityX: field(1),
+      velocityY: field(-1),
+      dye: [field(3), field(0), field(1.5)],
+      time: 7,
+    });
+
+    const state = fluid.getState();
+    expect(state).toMatchObject({ cols: 4, rows: 4, time: 7 });
+    expect(Array.from(state.density)).toEqual(Array.from(field(3)));
+    expect(Array.from(state.velocityY)).toEqual(Array.from(field(-1)));
+    expect(Array.from(state.dye[2])).toEqual(Array.from(field(1.5)));
+
+    fluid.reset();
+    expect(fluid.getState().density.every((value) => value === 0)).toBe(true);
+  });
+});
@@ -0,0 +1,77 @@
+// A WebGL context stand-in for tests. It runs no shaders, but keeps enough state
+// to check what the GPU backend does: textures hold the pixels uploaded or cleared
+// into them (readPixels reads them back through the bound framebuffer), programs
+// remember their fragment source and the uniforms it declares, and every draw is
+// recorded as { fragment, target, uniforms } in `draws` (target null = the canvas).
+// Constants are their own names, e.g. gl.TEXTURE_2D === 'TEXTURE_2D'.
+// Options: failCompile makes every shader fail to compile, floatTargets whether
+// float textures can be rendered to (checkFramebufferStatus).
+const createFakeWebGL = ({ failCompile = false, floatTargets = true, width = 200, height = 100 } = {}) => {
+  const draws = [];
+  let program = null;
+  let framebuffer = null;
+  let texture = null;
+  let pending = {}; // Uniform values set since the last draw, by name
+
+  const base = {
+    canvas: { width, height },
+    draws,
+
+    getExtension: (name) => ({ name, loseContext() {} }),
+
+    createShader: (type) => ({ type, source: '' }),
+    shaderSource: (shader, source) => { shader.source = source; },
+    getShaderParameter: () => !failCompile,
+    getShaderInfoLog: () => 'fake compile error',
+
+    createProgram: () => ({ shaders: [], fragment: null, uniforms: [] }),
+    attachShader: (target, shader) => {
+      target.shaders.push(shader);
+      if (shader.type === 'FRAGMENT_SHADER') {
+        target.fragment = shader.source;
+        target.uniforms = Array.from(shader.source.matchAll(/uniform\s+\w+\s+(\w+)/g), (match) => match[1]);
+      }
+    },
+    getProgramParameter: (target, name) => (name === 'ACTIVE_UNIFORMS' ? target.uniforms.length : true),
+    getActiveUniform: (target, index) => ({ name: target.uniforms[index] }),
+    getUniformLocation: (target, name) => name,
+    useProgram: (target) => { program = target; },
+    uniform1i: (name, value) => { pending[name] = value; },
+    uniform1f: (name, value) => { pending[name] = value; },
+    uniform2fv: (name, value) => { pending[name] = value; },
+
+    createTexture: () => ({ data: null }),
+    bindTexture: (target, next) => { texture = next; },
+    texImage2D: (target, level, internal, w, h, border, format, type, pixels) => {
+      texture.width = w;
+      texture.height = h;
+      texture.data = pixels ? Float32Array.from(pixels) : new Float32Array(w * h * 4);
+    },
+    createFramebuffer: () => ({ texture: null }),
+    bindFramebuffer: (target, next) => { framebuffer = next; },
+    framebufferTexture2D: (target, attachment, textureTarget, attached) => { framebuffer.texture = attached; },
+    checkFramebufferStatus: () => (floatTargets ? 'FRAMEBUFFER_COMPLETE' : 'FRAMEBUFFER_UNSUPPORTED'),
+    clear: () => {
+      if (framebuffer && framebuffer.texture.data) framebuffer.texture.data.fill(0);
+    },
+    readPixels: (x, y, w, h, format, type, out) => {
+      out.set(framebuffer.texture.data);
+    },
+    drawArrays: () => {
+      draws.push({ fragment: program.fragment, target: framebuffer, uniforms: pending });
+      pending = {};
+    },
+  };
+
+  // Anything else is a constant (upper case) or a call that does nothing
+  return new Proxy(base, {
+    get: (target, name) => {
+      if (name in target || typeof name !== 'string') return target[name];
+      if (/^[A-Z0-9_]+$/.test(name)) return name;
+      target[name] = () => {};
+      return target[name];
+    },
+  });
+};
+
+export default createFakeWebGL;
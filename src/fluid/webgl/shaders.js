@@ -0,0 +1,358 @@
+// GLSL ES 1.00 sources for the GPU fluid backend. WebGL2 accepts 1.00 shaders too,
+// so both context versions share them.
+//
+// Fields are cols x rows textures in grid space (texel (i, j) is cell (i, j), y down)
+// and mirror the CPU solver in ../solver.js, including its single spatial scale.
+// Instead of a separate boundary pass, every neighbour read goes through field(),
+// which maps border cells to their interior neighbour and flips the normal velocity
+// component - the same rule setBoundary uses. Obstacles (u_obstacles, r = 1 for a
+// solid cell) work the same way through neighbour(): a solid neighbour mirrors the
+// cell that reads it, and solid cells themselves hold no velocity or dye.
+//
+// The dye texture holds the density in r and the colour-weighted amounts of rgb dye
+// in g, b and a, so colours ride along with every dye pass at no extra cost.
+
+import { FORCE_DYE_REFERENCE, TURBULENCE_WAVES, TURBULENCE_SPEED } from '../solver';
+
+// A JavaScript number as a GLSL float literal
+const float = (value) => (Number.isInteger(value) ? `${value}.0` : `${value}`);
+
+export const vertexShader = `
+  attribute vec2 a_position;
+  void main() {
+    gl_Position = vec4(a_position, 0.0, 1.0);
+  }
+`;
+
+const common = `
+  precision highp float;
+  uniform vec2 u_size; // cols, rows
+  uniform float u_scale; // max(cols, rows)
+  uniform sampler2D u_obstacles;
+
+  vec4 fetch(sampler2D tex, vec2 cell) {
+    return texture2D(tex, (cell + 0.5) / u_size);
+  }
+
+  // Boundary-aware read. flip = (-1, -1) for velocity, (1, 1) for scalars.
+  vec4 field(sampler2D tex, vec2 cell, vec2 flip) {
+    vec2 inner = clamp(cell, vec2(1.0), vec2(u_size - 2.0));
+    vec4 value = fetch(tex, inner);
+    if (inner.x != cell.x) value.x *= flip.x;
+    if (inner.y != cell.y) value.y *= flip.y;
+    return value;
+  }
+
+  bool solid(vec2 cell) {
+    return fetch(u_obstacles, cell).r > 0.5;
+  }
+
+  // field() for a neighbour of the cell at "from", treating solid cells as walls
+  vec4 neighbour(sampler2D tex, vec2 cell, vec2 from, vec2 flip) {
+    if (!solid(cell)) return field(tex, cell, flip);
+    vec4 value = fetch(tex, from);
+    if (cell.x != from.x) value.x *= flip.x;
+    if (cell.y != from.y) value.y *= flip.y;
+    return value;
+  }
+
+  vec2 currentCell() {
+    return floor(gl_FragCoord.xy);
+  }
+`;
+
+// field += queued splats, laid out like the field itself
+export const addSourceShader = `${common}
+  uniform sampler2D u_field;
+  uniform sampler2D u_source;
+
+  void main() {
+    vec2 cell = currentCell();
+    gl_FragColor = fetch(u_field, cell) + fetch(u_source, cell);
+  }
+`;
+
+// One Jacobi relaxation pass of x = (b + alpha * sum(neighbours of x)) / beta.
+// Used for both diffusion and the pressure solve. With u_parity at 0 or 1 only the
+// cells where (x + y) mod 2 matches are updated, so two passes make one red-black
+// Gauss-Seidel sweep; -1 updates every cell.
+export const jacobiShader = `${common}
+  uniform sampler2D u_x;
+  uniform sampler2D u_b;
+  uniform float u_alpha;
+  uniform float u_beta;
+  uniform vec2 u_flip;
+  uniform float u_parity;
+
+  void main() {
+    vec2 cell = currentCell();
+    if (u_parity >= 0.0 && abs(mod(cell.x + cell.y, 2.0) - u_parity) > 0.5) {
+      gl_FragColor = fetch(u_x, cell);
+      return;
+    }
+    vec4 neighbours =
+      neighbour(u_x, cell + vec2(1.0, 0.0), cell, u_flip) +
+      neighbour(u_x, cell - vec2(1.0, 0.0), cell, u_flip) +
+      neighbour(u_x, cell + vec2(0.0, 1.0), cell, u_flip) +
+      neighbour(u_x, cell - vec2(0.0, 1.0), cell, u_flip);
+    gl_FragColor = (fetch(u_b, cell) + u_alpha * neighbours) / u_beta;
+  }
+`;
+
+export const divergenceShader = `${common}
+  uniform sampler2D u_velocity;
+
+  void main() {
+    vec2 cell = currentCell();
+    vec2 flip = vec2(-1.0);
+    float div = -0.5 * (
+      neighbour(u_velocity, cell + vec2(1.0, 0.0), cell, flip).x -
+      neighbour(u_velocity, cell - vec2(1.0, 0.0), cell, flip).x +
+      neighbour(u_velocity, cell + vec2(0.0, 1.0), cell, flip).y -
+      neighbour(u_velocity, cell - vec2(0.0, 1.0), cell, flip).y
+    ) / u_scale;
+    gl_FragColor = vec4(div, 0.0, 0.0, 1.0);
+  }
+`;
+
+export const gradientSubtractShader = `${common}
+  uniform sampler2D u_velocity;
+  uniform sampler2D u_pressure;
+
+  void main() {
+    vec2 cell = currentCell();
+    if (solid(cell)) {
+      gl_FragColor = vec4(0.0);
+      return;
+    }
+    vec2 flip = vec2(1.0);
+    float left = neighbour(u_pressure, cell - vec2(1.0, 0.0), cell, flip).x;
+    float right = neighbour(u_pressure, cell + vec2(1.0, 0.0), cell, flip).x;
+    float top = neighbour(u_pressure, cell - vec2(0.0, 1.0), cell, flip).x;
+    float bottom = neighbour(u_pressure, cell + vec2(0.0, 1.0), cell, flip).x;
+    vec4 velocity = fetch(u_velocity, cell);
+    velocity.xy -= 0.5 * u_scale * vec2(right - left, bottom - top);
+    gl_FragColor = velocity;
+  }
+`;
+
+// Semi-Lagrangian advection with manual bilinear filtering, so the backend does not
+// depend on float texture filtering support. u_dissipation applies the dye decay.
+export const advectShader = `${common}
+  uniform sampler2D u_velocity;
+  uniform sampler2D u_source;
+  uniform float u_dt;
+  uniform float u_dissipation;
+  uniform vec2 u_flip;
+
+  void main() {
+    vec2 cell = currentCell();
+    if (solid(cell)) {
+      gl_FragColor = vec4(0.0);
+      return;
+    }
+    vec2 pos = cell - u_dt * (u_scale - 2.0) * fetch(u_velocity, cell).xy;
+    pos = clamp(pos, vec2(0.5), vec2(u_size - 1.5));
+
+    vec2 base = floor(pos);
+    vec2 t = pos - base;
+    vec4 a = field(u_source, base, u_flip);
+    vec4 b = field(u_source, base + vec2(1.0, 0.0), u_flip);
+    vec4 c = field(u_source, base + vec2(0.0, 1.0), u_flip);
+    vec4 d = field(u_source, base + vec2(1.0, 1.0), u_flip);
+
+    gl_FragColor = u_dissipation * mix(mix(a, b, t.x), mix(c, d, t.x), t.y);
+  }
+`;
+
+// Second half of MacCormack advection: u_forward is the field advected forward,
+// u_backward that result advected back again. Half the round-trip error is added
+// back, clamped to the cells the forward step sampled.
+export const macCormackShader = `${common}
+  uniform sampler2D u_velocity;
+  uniform sampler2D u_source;
+  uniform sampler2D u_forward;
+  uniform sampler2D u_backward;
+  uniform float u_dt;
+  uniform float u_dissipation;
+  uniform vec2 u_flip;
+
+  void main() {
+    vec2 cell = currentCell();
+    if (solid(cell)) {
+      gl_FragColor = vec4(0.0);
+      return;
+    }
+    vec2 pos = cell - u_dt * (u_scale - 2.0) * fetch(u_velocity, cell).xy;
+    pos = clamp(pos, vec2(0.5), vec2(u_size - 1.5));
+
+    vec2 base = floor(pos);
+    vec4 a = field(u_source, base, u_flip);
+    vec4 b = field(u_source, base + vec2(1.0, 0.0), u_flip);
+    vec4 c = field(u_source, base + vec2(0.0, 1.0), u_flip);
+    vec4 d = field(u_source, base + vec2(1.0, 1.0), u_flip);
+    vec4 low = min(min(a, b), min(c, d));
+    vec4 high = max(max(a, b), max(c, d));
+
+    vec4 corrected = fetch(u_forward, cell) + 0.5 * (fetch(u_source, cell) - fetch(u_backward, cell));
+    gl_FragColor = u_dissipation * clamp(corrected, low, high);
+  }
+`;
+
+// Curl of the velocity field, in x
+export const curlShader = `${common}
+  uniform sampler2D u_velocity;
+
+  void main() {
+    vec2 cell = currentCell();
+    vec2 flip = vec2(-1.0);
+    float curl = 0.5 * (
+      field(u_velocity, cell + vec2(1.0, 0.0), flip).y -
+      field(u_velocity, cell - vec2(1.0, 0.0), flip).y -
+      field(u_velocity, cell + vec2(0.0, 1.0), flip).x +
+      field(u_velocity, cell - vec2(0.0, 1.0), flip).x
+    );
+    gl_FragColor = vec4(curl, 0.0, 0.0, 1.0);
+  }
+`;
+
+// Vorticity confinement: velocity += force towards the centre of each swirl
+export const vorticityShader = `${common}
+  uniform sampler2D u_velocity;
+  uniform sampler2D u_curl;
+  uniform float u_strength;
+  uniform float u_dt;
+
+  void main() {
+    vec2 cell = currentCell();
+    vec4 velocity = fetch(u_velocity, cell);
+    if (solid(cell)) {
+      gl_FragColor = velocity;
+      return;
+    }
+    vec2 flip = vec2(1.0);
+    float curl = fetch(u_curl, cell).x;
+    vec2 gradient = 0.5 * vec2(
+      abs(field(u_curl, cell + vec2(1.0, 0.0), flip).x) - abs(field(u_curl, cell - vec2(1.0, 0.0), flip).x),
+      abs(field(u_curl, cell + vec2(0.0, 1.0), flip).x) - abs(field(u_curl, cell - vec2(0.0, 1.0), flip).x)
+    );
+    gradient /= length(gradient) + 1e-5;
+    velocity.xy += u_dt * u_strength * curl * vec2(gradient.y, -gradient.x);
+    gl_FragColor = velocity;
+  }
+`;
+
+// External forces: u_force pushes fluid in proportion to the dye it carries,
+// turbulence stirs all of it (see applyForces and turbulenceAt in ../solver.js)
+export const forcesShader = `${common}
+  uniform sampler2D u_velocity;
+  uniform sampler2D u_density;
+  uniform vec2 u_force; // forceX, forceY - buoyancy
+  uniform float u_turbulence;
+  uniform float u_time;
+  uniform float u_dt;
+
+  const float PI = 3.14159265;
+
+  vec2 turbulenceAt(vec2 position, float t) {
+    float u = position.x * 2.0 * PI * ${float(TURBULENCE_WAVES)};
+    float v = position.y * 2.0 * PI * ${float(TURBULENCE_WAVES)};
+    float s = t * ${float(TURBULENCE_SPEED)};
+    float cross = cos(1.7 * u - 1.3 * v + 1.1 * s);
+    float dPsiDu = cos(u + 0.7 * s) * sin(v - 0.5 * s) + 0.85 * cross;
+    float dPsiDv = sin(u + 0.7 * s) * cos(v - 0.5 * s) - 0.65 * cross;
+    return vec2(dPsiDv, -dPsiDu);
+  }
+
+  void main() {
+    vec2 cell = currentCell();
+    vec4 velocity = fetch(u_velocity, cell);
+    if (solid(cell)) {
+      gl_FragColor = velocity;
+      return;
+    }
+    float d = max(0.0, fetch(u_density, cell).r);
+    float weight = d / (d + ${float(FORCE_DYE_REFERENCE)});
+    velocity.xy += u_dt * (u_force * weight + u_turbulence * turbulenceAt(cell / u_scale, u_time));
+    gl_FragColor = velocity;
+  }
+`;
+
+// Stretch a field from a grid of u_sourceSize onto the current grid with bilinear
+// filtering, so a resize keeps the fluid (see ../resample.js)
+export const resampleShader = `
+  precision highp float;
+  uniform sampler2D u_source;
+  uniform vec2 u_sourceSize;
+  uniform vec2 u_size;
+
+  vec4 at(vec2 cell) {
+    return texture2D(u_source, (cell + 0.5) / u_sourceSize);
+  }
+
+  void main() {
+    vec2 pos = clamp((floor(gl_FragCoord.xy) + 0.5) * u_sourceSize / u_size - 0.5, vec2(0.0), u_sourceSize - 1.0);
+    vec2 base = min(floor(pos), u_sourceSize - 2.0);
+    vec2 t = pos - base;
+    gl_FragColor = mix(
+      mix(at(base), at(base + vec2(1.0, 0.0)), t.x),
+      mix(at(base + vec2(0.0, 1.0)), at(base + vec2(1.0, 1.0)), t.x),
+      t.y
+    );
+  }
+`;
+
+// Paint the dye through the palette lookup table, or in rgb mode (u_rgb = 1) with
+// the colour the dye mixed to (see ../colors.js). Each cell becomes a block of
+// u_cellPixels canvas pixels, matching the Canvas2D renderer. In reveal mode
+// (u_reveal = 1) the opacity follows the text mask pixel by pixel.
+export const displayShader = `${common}
+  uniform sampler2D u_density;
+  uniform sampler2D u_palette;
+  uniform float u_paletteSize;
+  uniform vec2 u_cellPixels;
+  uniform float u_canvasHeight;
+  uniform float u_threshold;
+  uniform float u_densityScale;
+  uniform float u_rgb;
+  uniform float u_colorIntensity;
+  uniform float u_rgbAlpha;
+  uniform sampler2D u_textMask;
+  uniform vec2 u_textMaskScale; // Canvas pixels to text mask texture coordinates
+  uniform float u_reveal;
+  uniform float u_revealBackground;
+  uniform float u_revealBoost;
+
+  void main() {
+    // Canvas pixels run top-down, gl_FragCoord bottom-up
+    vec2 pixel = vec2(gl_FragCoord.x, u_canvasHeight - gl_FragCoord.y);
+    vec2 cell = floor(pixel / u_cellPixels);
+    if (cell.x >= u_size.x || cell.y >= u_size.y) discard;
+
+    vec4 dye = field(u_density, cell, vec2(1.0));
+    float d = dye.x;
+    if (d <= u_threshold) discard;
+    float n = min(d / u_densityScale, 1.0);
+
+    vec3 color;
+    float alpha;
+    if (u_rgb > 0.5) {
+      float brightest = max(dye.y, max(dye.z, dye.w));
+      color = brightest > 0.0 ? dye.yzw / brightest : vec3(1.0);
+      alpha = min(1.0, sqrt(n) * u_colorIntensity * u_rgbAlpha);
+    } else {
+      // Same entry the Canvas2D renderer picks
+      float entry = floor(n * (u_paletteSize - 1.0) + 0.5);
+      vec4 entryColor = texture2D(u_palette, vec2((entry + 0.5) / u_paletteSize, 0.5));
+      color = entryColor.rgb;
+      alpha = entryColor.a;
+    }
+
+    if (u_reveal > 0.5) {
+      float coverage = texture2D(u_textMask, pixel * u_textMaskScale).r;
+      alpha = min(1.0, alpha * (u_revealBackground + (u_revealBoost - u_revealBackground) * coverage));
+    }
+
+    gl_FragColor = vec4(color * alpha, alpha);
+  }
+`;
@@ -0,0 +1,18 @@
+// Latest Web Vitals values by name (CLS, FID, FCP, LCP, TTFB), for whatever wants
+// to show or report them. index.js hands recordVital to reportWebVitals.
+const vitals = {};
+const listeners = new Set();
+
+// Takes the metric objects web-vitals reports
+export const recordVital = ({ name, value }) => {
+  vitals[name] = value;
+  listeners.forEach((listener) => listener({ name, value }));
+};
+
+export const getVitals = () => ({ ...vitals });
+
+// listener({ name, value }) on every new value; returns an unsubscribe function
+export const subscribeVitals = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};